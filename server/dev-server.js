@@ -0,0 +1,158 @@
+/**
+ * Stars for Starlikers - Development server
+ * @fileoverview Serves the static pages and proxies the API routes to an
+ * upstream, so the browser only talks to its own origin during development.
+ * Run with `node server/dev-server.js`.
+ *
+ * Environment:
+ *   PORT             Port to listen on (default 8080)
+ *   UPSTREAM_URL     API the proxy forwards to (default: production API Gateway)
+ *   PROXY_TIMEOUT    Upstream timeout in milliseconds (default 60000)
+ *   ALLOWED_ORIGINS  Comma separated origins allowed to call the proxy (default *)
+ *   TOKEN_SECRET     When set, /auth/token is answered locally instead of proxied
+ *   TOKEN_TTL        Lifetime of the local tokens in seconds (default 300)
+ */
+
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { sendJson, corsHeaders, listFromEnv } = require('./lib/http');
+const { createStaticRoute } = require('./lib/static');
+const { createTokenRoute, tokenSettingsFromEnv } = require('./token-server');
+
+const DEFAULT_UPSTREAM = 'https://9nj2r6j9fd.execute-api.sa-east-1.amazonaws.com';
+
+/**
+ * Routes forwarded to the upstream API
+ */
+const PROXIED_PATHS = ['/constellations', '/moon', '/auth/token'];
+
+/**
+ * Request headers forwarded to the upstream
+ */
+const FORWARDED_HEADERS = ['accept', 'authorization', 'content-type', 'content-length'];
+
+/**
+ * Response headers that must not be copied back (hop-by-hop or replaced by ours)
+ */
+const DROPPED_RESPONSE_HEADERS = [
+    'connection', 'keep-alive', 'transfer-encoding', 'upgrade',
+    'access-control-allow-origin', 'access-control-allow-methods',
+    'access-control-allow-headers', 'access-control-max-age',
+    'access-control-allow-credentials', 'vary'
+];
+
+/**
+ * Read dev server settings from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} Dev server settings
+ */
+function devSettingsFromEnv(env = process.env) {
+    return {
+        port: parseInt(env.PORT, 10) || 8080,
+        upstream: (env.UPSTREAM_URL || DEFAULT_UPSTREAM).replace(/\/+$/, ''),
+        timeout: parseInt(env.PROXY_TIMEOUT, 10) || 60000,
+        allowedOrigins: listFromEnv(env.ALLOWED_ORIGINS, ['*']),
+        localTokens: Boolean(env.TOKEN_SECRET)
+    };
+}
+
+/**
+ * Create the route that forwards API requests to the upstream
+ * @param {Object} settings - Dev server settings (upstream, timeout, allowedOrigins)
+ * @returns {Function} Handler returning true when it answered the request
+ */
+function createProxyRoute(settings) {
+    return function proxyRoute(req, res) {
+        const { pathname, search } = new URL(req.url, 'http://localhost');
+        if (!PROXIED_PATHS.includes(pathname)) return false;
+
+        const cors = corsHeaders(req, settings.allowedOrigins);
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, cors);
+            res.end();
+            return true;
+        }
+
+        const target = new URL(`${settings.upstream}${pathname}${search}`);
+        const headers = {};
+        FORWARDED_HEADERS.forEach(name => {
+            if (req.headers[name]) {
+                headers[name] = req.headers[name];
+            }
+        });
+
+        const client = target.protocol === 'https:' ? https : http;
+        const upstreamReq = client.request(target, { method: req.method, headers }, upstreamRes => {
+            const responseHeaders = { ...cors };
+            Object.entries(upstreamRes.headers).forEach(([name, value]) => {
+                if (!DROPPED_RESPONSE_HEADERS.includes(name)) {
+                    responseHeaders[name] = value;
+                }
+            });
+
+            res.writeHead(upstreamRes.statusCode, responseHeaders);
+            upstreamRes.pipe(res);
+        });
+
+        upstreamReq.setTimeout(settings.timeout, () => {
+            upstreamReq.destroy(new Error('Upstream timeout'));
+        });
+
+        upstreamReq.on('error', error => {
+            console.warn(`Proxy ${req.method} ${pathname} failed: ${error.message}`);
+            if (res.headersSent) {
+                res.destroy();
+                return;
+            }
+            const status = error.message === 'Upstream timeout' ? 504 : 502;
+            sendJson(res, status, { message: `Upstream unavailable: ${error.message}` }, cors);
+        });
+
+        req.pipe(upstreamReq);
+        return true;
+    };
+}
+
+/**
+ * Create the dev server
+ * @param {Object} settings - Dev server settings
+ * @returns {http.Server} Server (not listening yet)
+ */
+function createDevServer(settings) {
+    const routes = [];
+
+    if (settings.localTokens) {
+        routes.push(createTokenRoute(tokenSettingsFromEnv()));
+    }
+
+    routes.push(
+        createProxyRoute(settings),
+        createStaticRoute({
+            root: path.join(__dirname, '..'),
+            // Point the pages at this origin instead of the API Gateway
+            config: { api: { mode: 'proxy' } }
+        })
+    );
+
+    return http.createServer((req, res) => {
+        if (!routes.some(route => route(req, res))) {
+            sendJson(res, 404, { message: 'Not found' });
+        }
+    });
+}
+
+if (require.main === module) {
+    const settings = devSettingsFromEnv();
+
+    createDevServer(settings).listen(settings.port, () => {
+        console.log(`Dev server on http://localhost:${settings.port}/`);
+        console.log(`Proxying ${PROXIED_PATHS.join(', ')} to ${settings.upstream}`);
+        if (settings.localTokens) {
+            console.log('Answering /auth/token locally');
+        }
+    });
+}
+
+module.exports = { createDevServer, createProxyRoute, devSettingsFromEnv };
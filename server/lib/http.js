@@ -0,0 +1,83 @@
+/**
+ * Stars for Starlikers - HTTP helpers
+ * @fileoverview Small helpers shared by the local Node servers
+ */
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ * @param {Object} headers - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Build CORS headers for a request origin
+ * @param {http.IncomingMessage} req - Request
+ * @param {Array<string>} allowedOrigins - Allowed origins ('*' allows any)
+ * @returns {Object} CORS headers (empty when the origin is not allowed)
+ */
+function corsHeaders(req, allowedOrigins) {
+    const origin = req.headers.origin;
+    if (!origin) return {};
+
+    if (!allowedOrigins.includes('*') && !allowedOrigins.includes(origin)) {
+        return {};
+    }
+
+    return {
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type,Authorization,Accept',
+        // Not a CORS-safelisted header: without this the client can't read it on 429/503
+        'Access-Control-Expose-Headers': 'Retry-After',
+        'Access-Control-Max-Age': '600',
+        'Vary': 'Origin'
+    };
+}
+
+/**
+ * Read a request body as a string
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} limit - Maximum body size in bytes
+ * @returns {Promise<string>} Body text
+ */
+function readBody(req, limit = 64 * 1024) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Split a comma separated environment variable
+ * @param {string} value - Raw value
+ * @param {Array<string>} fallback - Value when unset
+ * @returns {Array<string>} List of values
+ */
+function listFromEnv(value, fallback) {
+    if (!value) return fallback;
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = { sendJson, corsHeaders, readBody, listFromEnv };
@@ -0,0 +1,216 @@
+/**
+ * Stars for Starlikers - Placeholder images
+ * @fileoverview Deterministic stand-ins for the star charts and moon images the
+ * Astronomy API generates. They reflect the requested style and colours, and the
+ * moon disc shows a roughly correct phase for the requested date.
+ */
+
+const crypto = require('crypto');
+const { Raster } = require('./png');
+
+const COLORS = {
+    red: [200, 40, 40],
+    blue: [30, 80, 200],
+    black: [0, 0, 0],
+    navy: [10, 31, 68],
+    purple: [90, 40, 140],
+    white: [255, 255, 255],
+    yellow: [250, 210, 60]
+};
+
+const CHART_STYLES = {
+    default: { background: [11, 16, 38], star: [255, 255, 255], line: [120, 150, 255] },
+    inverted: { background: [255, 255, 255], star: [0, 0, 0], line: [90, 90, 160] },
+    navy: { background: [10, 31, 68], star: [255, 255, 255], line: [160, 190, 255] },
+    red: { background: [0, 0, 0], star: [255, 70, 70], line: [150, 30, 30] }
+};
+
+const SYNODIC_MONTH = 29.530588853;
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param {Object} data - Request payload used as seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function seededRandom(data) {
+    let seed = crypto.createHash('sha1').update(JSON.stringify(data)).digest().readUInt32BE(0);
+    return function random() {
+        seed = (seed + 0x6d2b79f5) >>> 0;
+        let t = seed;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Approximate moon age from a known new moon (2000-01-06 18:14 UTC)
+ * @param {string} date - Date as YYYY-MM-DD
+ * @returns {number} Days since the last new moon
+ */
+function moonAge(date) {
+    const days = (Date.parse(`${date}T00:00:00Z`) - Date.UTC(2000, 0, 6, 18, 14)) / 86400000;
+    return ((days % SYNODIC_MONTH) + SYNODIC_MONTH) % SYNODIC_MONTH;
+}
+
+/**
+ * Horizontal extent of the lit part of a disc row
+ * @param {number} halfWidth - Half width of the disc at this row
+ * @param {number} age - Moon age in days
+ * @returns {Array<number>} [from, to] offsets from the disc centre, lit side to the right when waxing
+ */
+function litSpan(halfWidth, age) {
+    const angle = (2 * Math.PI * age) / SYNODIC_MONTH;
+    const terminator = halfWidth * Math.cos(angle);
+    return age < SYNODIC_MONTH / 2 ? [terminator, halfWidth] : [-halfWidth, -terminator];
+}
+
+/**
+ * Scatter background stars
+ * @param {Raster} raster - Target raster
+ * @param {Function} random - Seeded generator
+ * @param {Array<number>} color - Star colour
+ * @param {number} count - Number of stars
+ */
+function drawStars(raster, random, color, count) {
+    for (let i = 0; i < count; i++) {
+        const brightness = 80 + Math.round(random() * 175);
+        raster.setPixel(random() * raster.width, random() * raster.height, [...color, brightness]);
+    }
+}
+
+/**
+ * Render a star chart placeholder
+ * @param {Object} requestData - Validated /constellations payload
+ * @returns {{body: Buffer, contentType: string, extension: string}} Image
+ */
+function renderStarChart(requestData) {
+    const style = CHART_STYLES[requestData.style] || CHART_STYLES.default;
+    const random = seededRandom(requestData);
+    const raster = new Raster(640, 480);
+
+    raster.fill(style.background);
+    drawStars(raster, random, style.star, 400);
+
+    // A zig-zag "constellation figure" of brighter stars
+    const figure = Array.from({ length: 7 }, (_, i) => [120 + i * 65, 140 + random() * 200]);
+    figure.slice(1).forEach(([x, y], i) => {
+        raster.line(figure[i][0], figure[i][1], x, y, [...style.line, 200]);
+    });
+    figure.forEach(([x, y]) => raster.circle(x, y, 3, style.star));
+
+    return { body: raster.toPng(), contentType: 'image/png', extension: 'png' };
+}
+
+/**
+ * Render a moon placeholder
+ * @param {Object} requestData - Validated /moon payload
+ * @returns {{body: Buffer, contentType: string, extension: string}} Image
+ */
+function renderMoon(requestData) {
+    const { style, view, observer, format } = requestData;
+    const landscape = view.type.startsWith('landscape');
+    const width = landscape ? 640 : 480;
+    const height = landscape ? 480 : 640;
+    const age = moonAge(observer.date);
+    // South-up views mirror the disc
+    const mirror = view.orientation === 'south-up' ? -1 : 1;
+
+    if (format === 'svg') {
+        return {
+            body: Buffer.from(renderMoonSvg(requestData, width, height, age, mirror)),
+            contentType: 'image/svg+xml',
+            extension: 'svg'
+        };
+    }
+
+    const random = seededRandom(requestData);
+    const raster = new Raster(width, height);
+    const background = COLORS[style.backgroundColor] || COLORS.black;
+
+    if (style.backgroundStyle !== 'transparent') {
+        raster.fill(background);
+    }
+    if (style.backgroundStyle === 'stars') {
+        drawStars(raster, random, COLORS.white, 300);
+    }
+
+    // Heading and text bands stand in for the captions of the real image
+    for (let x = 40; x < width - 40; x++) {
+        for (let y = 30; y < 38; y++) raster.setPixel(x, y, COLORS[style.headingColor] || COLORS.white);
+        for (let y = height - 40; y < height - 34; y++) raster.setPixel(x, y, COLORS[style.textColor] || COLORS.white);
+    }
+
+    const cx = width / 2;
+    const cy = height / 2;
+    const radius = Math.min(width, height) * 0.3;
+
+    for (let dy = -radius; dy <= radius; dy++) {
+        const halfWidth = Math.sqrt(radius * radius - dy * dy);
+        const [from, to] = litSpan(halfWidth, age);
+
+        for (let dx = -halfWidth; dx <= halfWidth; dx++) {
+            const lit = dx * mirror >= from && dx * mirror <= to;
+            let color = lit ? [232, 230, 220] : [45, 45, 52];
+
+            if (style.moonStyle === 'shaded') {
+                // Limb darkening
+                const limb = Math.sqrt(1 - (dx * dx + dy * dy) / (radius * radius));
+                color = color.map(channel => Math.round(channel * (0.55 + 0.45 * limb)));
+            } else if (style.moonStyle === 'sketch' && !lit) {
+                continue;
+            }
+
+            raster.setPixel(cx + dx, cy + dy, color);
+        }
+    }
+
+    if (style.moonStyle === 'sketch') {
+        for (let a = 0; a < 2 * Math.PI; a += 1 / radius) {
+            raster.setPixel(cx + radius * Math.cos(a), cy + radius * Math.sin(a), [232, 230, 220]);
+        }
+    }
+
+    return { body: raster.toPng(), contentType: 'image/png', extension: format === 'jpg' ? 'jpg' : 'png' };
+}
+
+/**
+ * Render the moon placeholder as SVG
+ * @param {Object} requestData - Validated /moon payload
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} age - Moon age in days
+ * @param {number} mirror - -1 for south-up views, 1 otherwise
+ * @returns {string} SVG document
+ */
+function renderMoonSvg(requestData, width, height, age, mirror) {
+    const { style, observer } = requestData;
+    const cx = width / 2;
+    const cy = height / 2;
+    const radius = Math.min(width, height) * 0.3;
+    const toRgb = name => `rgb(${(COLORS[name] || COLORS.white).join(',')})`;
+
+    // Lit region: outer limb half plus the terminator half-ellipse
+    const angle = (2 * Math.PI * age) / SYNODIC_MONTH;
+    const waxing = age < SYNODIC_MONTH / 2;
+    const terminatorRx = Math.abs(radius * Math.cos(angle));
+    const limbSweep = (waxing ? 1 : 0) ^ (mirror < 0 ? 1 : 0);
+    const terminatorSweep = (Math.cos(angle) > 0) === Boolean(limbSweep) ? 0 : 1;
+    const litPath = `M ${cx} ${cy - radius} A ${radius} ${radius} 0 0 ${limbSweep} ${cx} ${cy + radius} `
+        + `A ${terminatorRx} ${radius} 0 0 ${terminatorSweep} ${cx} ${cy - radius} Z`;
+
+    const background = style.backgroundStyle === 'transparent'
+        ? ''
+        : `<rect width="100%" height="100%" fill="${toRgb(style.backgroundColor)}"/>`;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+    ${background}
+    <text x="${cx}" y="40" fill="${toRgb(style.headingColor)}" font-family="sans-serif" font-size="24" text-anchor="middle">Moon Phase (mock)</text>
+    <circle cx="${cx}" cy="${cy}" r="${radius}" fill="rgb(45,45,52)"/>
+    <path d="${litPath}" fill="rgb(232,230,220)"/>
+    <text x="${cx}" y="${height - 30}" fill="${toRgb(style.textColor)}" font-family="sans-serif" font-size="16" text-anchor="middle">${observer.date} · ${observer.latitude}, ${observer.longitude}</text>
+</svg>`;
+}
+
+module.exports = { renderStarChart, renderMoon, moonAge };
@@ -0,0 +1,161 @@
+/**
+ * Stars for Starlikers - PNG encoding
+ * @fileoverview Minimal RGBA raster with a PNG encoder, enough to produce
+ * placeholder images without native dependencies.
+ */
+
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Encoded chunk
+ */
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * RGBA pixel buffer with a few drawing primitives
+ */
+class Raster {
+    /**
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.pixels = Buffer.alloc(width * height * 4);
+    }
+
+    /**
+     * Blend a colour into one pixel
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @param {Array<number>} rgba - Colour [r, g, b, a] with alpha 0-255
+     */
+    setPixel(x, y, [r, g, b, a = 255]) {
+        x = Math.round(x);
+        y = Math.round(y);
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+
+        const i = (y * this.width + x) * 4;
+        const alpha = a / 255;
+        const base = this.pixels[i + 3] / 255;
+        const outAlpha = alpha + base * (1 - alpha);
+
+        if (outAlpha === 0) return;
+
+        this.pixels[i] = Math.round((r * alpha + this.pixels[i] * base * (1 - alpha)) / outAlpha);
+        this.pixels[i + 1] = Math.round((g * alpha + this.pixels[i + 1] * base * (1 - alpha)) / outAlpha);
+        this.pixels[i + 2] = Math.round((b * alpha + this.pixels[i + 2] * base * (1 - alpha)) / outAlpha);
+        this.pixels[i + 3] = Math.round(outAlpha * 255);
+    }
+
+    /**
+     * Fill the whole raster
+     * @param {Array<number>} rgba - Colour
+     */
+    fill(rgba) {
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const i = (y * this.width + x) * 4;
+                this.pixels[i] = rgba[0];
+                this.pixels[i + 1] = rgba[1];
+                this.pixels[i + 2] = rgba[2];
+                this.pixels[i + 3] = rgba[3] === undefined ? 255 : rgba[3];
+            }
+        }
+    }
+
+    /**
+     * Draw a filled circle
+     * @param {number} cx - Centre column
+     * @param {number} cy - Centre row
+     * @param {number} radius - Radius in pixels
+     * @param {Array<number>} rgba - Colour
+     */
+    circle(cx, cy, radius, rgba) {
+        for (let y = Math.floor(cy - radius); y <= Math.ceil(cy + radius); y++) {
+            for (let x = Math.floor(cx - radius); x <= Math.ceil(cx + radius); x++) {
+                if ((x - cx) ** 2 + (y - cy) ** 2 <= radius * radius) {
+                    this.setPixel(x, y, rgba);
+                }
+            }
+        }
+    }
+
+    /**
+     * Draw a straight line
+     * @param {number} x0 - Start column
+     * @param {number} y0 - Start row
+     * @param {number} x1 - End column
+     * @param {number} y1 - End row
+     * @param {Array<number>} rgba - Colour
+     */
+    line(x0, y0, x1, y1, rgba) {
+        const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1);
+        for (let i = 0; i <= steps; i++) {
+            this.setPixel(x0 + ((x1 - x0) * i) / steps, y0 + ((y1 - y0) * i) / steps, rgba);
+        }
+    }
+
+    /**
+     * Encode the raster as PNG
+     * @returns {Buffer} PNG file
+     */
+    toPng() {
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(this.width, 0);
+        header.writeUInt32BE(this.height, 4);
+        header[8] = 8; // bit depth
+        header[9] = 6; // colour type RGBA
+        header[10] = 0;
+        header[11] = 0;
+        header[12] = 0;
+
+        // Every scanline starts with filter type 0
+        const rowLength = this.width * 4;
+        const raw = Buffer.alloc((rowLength + 1) * this.height);
+        for (let y = 0; y < this.height; y++) {
+            this.pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+        }
+
+        return Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+            chunk('IHDR', header),
+            chunk('IDAT', zlib.deflateSync(raw)),
+            chunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+}
+
+module.exports = { Raster, crc32 };
@@ -0,0 +1,122 @@
+/**
+ * Stars for Starlikers - Static file serving
+ * @fileoverview Serves the site pages from the repository root, optionally
+ * injecting a window.STARS_CONFIG override into the HTML pages. Only the
+ * pages and the asset directories are served, never the rest of the
+ * repository.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { sendJson } = require('./http');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon',
+    '.webp': 'image/webp',
+    '.woff2': 'font/woff2'
+};
+
+/**
+ * Insert a window.STARS_CONFIG script before src/config.js
+ * @param {string} html - Page source
+ * @param {Object} config - Configuration override
+ * @returns {string} Page source with the override
+ */
+function injectConfig(html, config) {
+    // Escape "<" so the JSON cannot close the script element
+    const json = JSON.stringify(config).replace(/</g, '\\u003c');
+    const script = `<script>window.STARS_CONFIG = ${json};</script>\n`;
+    const marker = '<script src="src/config.js"></script>';
+
+    return html.includes(marker) ? html.replace(marker, script + marker) : html;
+}
+
+/**
+ * Whether a path below the root may be served: an HTML page at the top level
+ * or a file inside one of the public directories, with no dot-file or
+ * dot-directory anywhere in the path
+ * @param {string} relative - Path relative to the root
+ * @param {Array<string>} directories - Top-level directories served
+ * @returns {boolean} True when the file is public
+ */
+function isPublicPath(relative, directories) {
+    const segments = relative.split(path.sep);
+
+    if (relative.startsWith('..') || path.isAbsolute(relative) || segments.some(segment => segment.startsWith('.'))) {
+        return false;
+    }
+
+    return segments.length === 1
+        ? path.extname(relative).toLowerCase() === '.html'
+        : directories.includes(segments[0]);
+}
+
+/**
+ * Create a route serving the site files below a directory
+ * @param {Object} options - Route options
+ * @param {string} options.root - Directory to serve
+ * @param {Object} options.config - Optional STARS_CONFIG injected into HTML pages
+ * @param {Array<string>} options.directories - Top-level directories served besides the HTML pages
+ * @returns {Function} Handler returning true when it answered the request
+ */
+function createStaticRoute({ root, config = null, directories = ['src', 'css', 'assets'] }) {
+    const rootDir = path.resolve(root);
+
+    return function staticRoute(req, res) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+
+        let pathname;
+        try {
+            pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        } catch (error) {
+            sendJson(res, 400, { message: 'Malformed URL' });
+            return true;
+        }
+
+        if (pathname.endsWith('/')) {
+            pathname += 'index.html';
+        }
+
+        const filePath = path.join(rootDir, pathname);
+        const relative = path.relative(rootDir, filePath);
+
+        if (!isPublicPath(relative, directories)) {
+            sendJson(res, 404, { message: 'Not found' });
+            return true;
+        }
+
+        fs.readFile(filePath, (error, data) => {
+            if (error) {
+                sendJson(res, 404, { message: 'Not found' });
+                return;
+            }
+
+            const extension = path.extname(filePath).toLowerCase();
+            let body = data;
+
+            if (extension === '.html' && config) {
+                body = Buffer.from(injectConfig(data.toString('utf8'), config));
+            }
+
+            res.writeHead(200, {
+                'Content-Type': MIME_TYPES[extension] || 'application/octet-stream',
+                'Content-Length': body.length,
+                'Cache-Control': 'no-cache'
+            });
+            res.end(req.method === 'HEAD' ? undefined : body);
+        });
+
+        return true;
+    };
+}
+
+module.exports = { createStaticRoute, injectConfig };
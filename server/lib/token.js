@@ -0,0 +1,94 @@
+/**
+ * Stars for Starlikers - Token helpers
+ * @fileoverview Sign and verify the short-lived HS256 tokens the browser
+ * exchanges for API access. The API authorizer verifies with the same secret.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Encode a buffer or string as base64url
+ * @param {Buffer|string} value - Value to encode
+ * @returns {string} base64url string
+ */
+function base64url(value) {
+    return Buffer.from(value).toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+/**
+ * Compute the HS256 signature of a token body
+ * @param {string} body - "header.payload" part of the token
+ * @param {string} secret - Signing secret
+ * @returns {string} base64url signature
+ */
+function sign(body, secret) {
+    return base64url(crypto.createHmac('sha256', secret).update(body).digest());
+}
+
+/**
+ * Create a signed token
+ * @param {Object} claims - Extra claims to embed (e.g. origin)
+ * @param {Object} options - Signing options
+ * @param {string} options.secret - Signing secret
+ * @param {number} options.ttl - Lifetime in seconds
+ * @returns {{token: string, expiresIn: number}} Signed token and lifetime
+ */
+function signToken(claims, { secret, ttl = 300 }) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+        ...claims,
+        aud: 'stars-api',
+        iat: now,
+        exp: now + ttl
+    }));
+
+    return {
+        token: `${header}.${payload}.${sign(`${header}.${payload}`, secret)}`,
+        expiresIn: ttl
+    };
+}
+
+/**
+ * Verify a token signature and expiry
+ * @param {string} token - Token to verify
+ * @param {string} secret - Signing secret
+ * @returns {Object|null} Token claims, or null when invalid or expired
+ */
+function verifyToken(token, secret) {
+    if (!token || typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const expected = Buffer.from(sign(`${parts[0]}.${parts[1]}`, secret));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const claims = JSON.parse(Buffer.from(parts[1], 'base64').toString('utf8'));
+        if (claims.aud !== 'stars-api' || claims.exp <= Math.floor(Date.now() / 1000)) {
+            return null;
+        }
+        return claims;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Extract the bearer token from an Authorization header
+ * @param {string} header - Authorization header value
+ * @returns {string|null} Token or null
+ */
+function readBearer(header) {
+    const match = /^Bearer\s+(.+)$/i.exec(header || '');
+    return match ? match[1].trim() : null;
+}
+
+module.exports = { signToken, verifyToken, readBearer };
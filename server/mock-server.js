@@ -0,0 +1,356 @@
+/**
+ * Stars for Starlikers - Mock Astronomy API
+ * @fileoverview Offline stand-in for the Astronomy API Gateway. Implements
+ * POST /constellations and POST /moon with the same validation and response
+ * shapes, serves placeholder images and can simulate failures.
+ * Run with `node server/mock-server.js`.
+ *
+ * Environment:
+ *   PORT              Port to listen on (default 8788)
+ *   TOKEN_SECRET      Secret used to sign and verify bearer tokens (random if unset)
+ *   REQUIRE_AUTH      Set to 0 to accept requests without a bearer token
+ *   MOCK_FAIL         Failure to simulate: 401, 422, 429, 500, 502, 503, 504 or network
+ *   MOCK_FAIL_TIMES   Fail only the next N generation requests (default: all)
+ *   MOCK_RETRY_AFTER  Retry-After seconds sent with simulated 429/503 (default 1)
+ *   MOCK_DELAY        Delay before answering, in milliseconds (default 300)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { sendJson, corsHeaders, readBody } = require('./lib/http');
+const { verifyToken, readBearer } = require('./lib/token');
+const { renderStarChart, renderMoon } = require('./lib/placeholder');
+const { createTokenRoute, tokenSettingsFromEnv } = require('./token-server');
+
+const CONSTELLATIONS = [
+    'and', 'ant', 'aps', 'aqr', 'aql', 'ara', 'ari', 'aur', 'boo', 'cae', 'cam', 'cnc',
+    'cvn', 'cma', 'cmi', 'cap', 'car', 'cas', 'cen', 'cep', 'cet', 'cha', 'cir', 'col',
+    'com', 'cra', 'crb', 'crv', 'crt', 'cru', 'cyg', 'del', 'dor', 'dra', 'equ', 'eri',
+    'for', 'gem', 'gru', 'her', 'hor', 'hya', 'hyi', 'ind', 'lac', 'leo', 'lmi', 'lep',
+    'lib', 'lup', 'lyn', 'lyr', 'men', 'mic', 'mon', 'mus', 'nor', 'oct', 'oph', 'ori',
+    'pav', 'peg', 'per', 'phe', 'pic', 'psc', 'psa', 'pup', 'pyx', 'ret', 'sge', 'sgr',
+    'sco', 'scl', 'sct', 'ser', 'sex', 'tau', 'tel', 'tri', 'tra', 'tuc', 'uma', 'umi',
+    'vel', 'vir', 'vol', 'vul'
+];
+
+const COLORS = ['red', 'blue', 'black', 'navy', 'purple', 'white', 'yellow'];
+
+const FAILURE_MODES = ['401', '422', '429', '500', '502', '503', '504', 'network'];
+
+/**
+ * Maximum number of generated images kept in memory
+ */
+const IMAGE_LIMIT = 100;
+
+// =============================================================================
+// REQUEST VALIDATION
+// =============================================================================
+
+/**
+ * Read a dotted property from a payload
+ * @param {Object} data - Payload
+ * @param {string} property - Dotted path such as observer.date
+ * @returns {*} Value or undefined
+ */
+function getProperty(data, property) {
+    return property.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+}
+
+/**
+ * Validate the observer block shared by both endpoints
+ * @param {Object} data - Payload
+ * @param {Array<Object>} errors - Collected { property, message } errors
+ */
+function validateObserver(data, errors) {
+    const latitude = getProperty(data, 'observer.latitude');
+    const longitude = getProperty(data, 'observer.longitude');
+    const date = getProperty(data, 'observer.date');
+
+    if (typeof latitude !== 'number' || latitude < -90 || latitude > 90) {
+        errors.push({ property: 'observer.latitude', message: 'must be a number between -90 and 90' });
+    }
+    if (typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+        errors.push({ property: 'observer.longitude', message: 'must be a number between -180 and 180' });
+    }
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+        errors.push({ property: 'observer.date', message: 'must be a date in the format YYYY-MM-DD' });
+    }
+}
+
+/**
+ * Check that a property holds one of the allowed values
+ * @param {Object} data - Payload
+ * @param {string} property - Dotted path
+ * @param {Array<string>} allowed - Allowed values
+ * @param {Array<Object>} errors - Collected errors
+ * @param {string} message - Message replacing the list of allowed values
+ */
+function validateEnum(data, property, allowed, errors, message = `must be one of: ${allowed.join(', ')}`) {
+    const value = getProperty(data, property);
+    if (!allowed.includes(value)) {
+        errors.push({ property, message });
+    }
+}
+
+/**
+ * Validate a POST /constellations payload
+ * @param {Object} data - Payload
+ * @returns {Array<Object>} Validation errors
+ */
+function validateStarChart(data) {
+    const errors = [];
+    validateEnum(data, 'style', ['default', 'inverted', 'navy', 'red'], errors);
+    validateObserver(data, errors);
+
+    // Optional time of night, as HH:MM:SS with the UTC offset of the observer
+    const time = getProperty(data, 'observer.time');
+    if (time !== undefined && (typeof time !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d:[0-5]\d([+-]([01]\d|2[0-3]):[0-5]\d|Z)$/.test(time))) {
+        errors.push({ property: 'observer.time', message: 'must be a time in the format HH:MM:SS±HH:MM' });
+    }
+    validateEnum(data, 'view.type', ['constellation'], errors);
+    validateEnum(data, 'view.parameters.constellation', CONSTELLATIONS, errors, 'must be a lowercase IAU constellation abbreviation');
+    return errors;
+}
+
+/**
+ * Validate a POST /moon payload
+ * @param {Object} data - Payload
+ * @returns {Array<Object>} Validation errors
+ */
+function validateMoon(data) {
+    const errors = [];
+    validateEnum(data, 'format', ['png', 'jpg', 'svg'], errors);
+    validateObserver(data, errors);
+    validateEnum(data, 'style.moonStyle', ['default', 'sketch', 'shaded'], errors);
+    validateEnum(data, 'style.backgroundStyle', ['stars', 'solid', 'transparent'], errors);
+    validateEnum(data, 'style.backgroundColor', COLORS, errors);
+    validateEnum(data, 'style.headingColor', COLORS, errors);
+    validateEnum(data, 'style.textColor', COLORS, errors);
+    validateEnum(data, 'view.orientation', ['north-up', 'south-up'], errors);
+    validateEnum(data, 'view.type', ['portrait-simple', 'landscape-simple', 'portrait-detailed', 'landscape-detailed'], errors);
+    return errors;
+}
+
+const GENERATORS = {
+    '/constellations': { validate: validateStarChart, render: renderStarChart },
+    '/moon': { validate: validateMoon, render: renderMoon }
+};
+
+// =============================================================================
+// MOCK SERVER
+// =============================================================================
+
+/**
+ * Read mock settings from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} Mock settings
+ */
+function mockSettingsFromEnv(env = process.env) {
+    return {
+        port: parseInt(env.PORT, 10) || 8788,
+        requireAuth: env.REQUIRE_AUTH !== '0',
+        failure: {
+            mode: env.MOCK_FAIL || null,
+            remaining: env.MOCK_FAIL_TIMES ? parseInt(env.MOCK_FAIL_TIMES, 10) : Infinity
+        },
+        retryAfter: env.MOCK_RETRY_AFTER !== undefined ? parseInt(env.MOCK_RETRY_AFTER, 10) : 1,
+        delay: env.MOCK_DELAY !== undefined ? parseInt(env.MOCK_DELAY, 10) : 300
+    };
+}
+
+/**
+ * Take the failure to simulate for this request, if any
+ * @param {Object} failure - Mutable failure switch { mode, remaining }
+ * @returns {string|null} Failure mode
+ */
+function takeFailure(failure) {
+    if (!failure.mode || failure.remaining <= 0) return null;
+    failure.remaining--;
+    return failure.mode;
+}
+
+/**
+ * Answer a request with a simulated failure
+ * @param {http.ServerResponse} res - Response
+ * @param {string} mode - Failure mode
+ * @param {Object} settings - Mock settings
+ * @param {Object} cors - CORS headers
+ */
+function sendFailure(res, mode, settings, cors) {
+    const retryHeaders = { ...cors, 'Retry-After': String(settings.retryAfter) };
+
+    switch (mode) {
+        case 'network':
+            res.socket.destroy();
+            return;
+        case '401':
+            sendJson(res, 401, { message: 'Unauthorized' }, cors);
+            return;
+        case '422':
+            sendJson(res, 422, {
+                message: 'Validation failed',
+                errors: [{ property: 'observer.date', message: 'simulated validation error' }]
+            }, cors);
+            return;
+        case '429':
+            sendJson(res, 429, { message: 'Too Many Requests' }, retryHeaders);
+            return;
+        default:
+            sendJson(res, parseInt(mode, 10), { message: 'Simulated server error' }, mode === '503' ? retryHeaders : cors);
+    }
+}
+
+/**
+ * Create the mock server
+ * @param {Object} settings - Mock settings
+ * @returns {http.Server} Server (not listening yet)
+ */
+function createMockServer(settings) {
+    const tokenSettings = tokenSettingsFromEnv();
+    const tokenRoute = createTokenRoute(tokenSettings);
+    const images = new Map();
+
+    /**
+     * Handle POST /constellations and POST /moon
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @param {Object} generator - Validator and renderer of the route
+     * @param {Object} cors - CORS headers
+     */
+    async function generate(req, res, generator, cors) {
+        const failure = takeFailure(settings.failure);
+
+        if (settings.delay) {
+            await new Promise(resolve => setTimeout(resolve, settings.delay));
+        }
+
+        if (failure) {
+            sendFailure(res, failure, settings, cors);
+            return;
+        }
+
+        if (settings.requireAuth && !verifyToken(readBearer(req.headers.authorization), tokenSettings.secret)) {
+            sendJson(res, 401, { message: 'Unauthorized' }, cors);
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(await readBody(req));
+        } catch (error) {
+            sendJson(res, 400, { message: 'Request body must be valid JSON' }, cors);
+            return;
+        }
+
+        const errors = generator.validate(data || {});
+        if (errors.length > 0) {
+            sendJson(res, 422, { message: 'Validation failed', errors }, cors);
+            return;
+        }
+
+        const image = generator.render(data);
+        const id = crypto.randomBytes(8).toString('hex');
+        images.set(`${id}.${image.extension}`, image);
+
+        // Forget the oldest image once the limit is reached
+        if (images.size > IMAGE_LIMIT) {
+            images.delete(images.keys().next().value);
+        }
+
+        sendJson(res, 200, { imageUrl: `http://${req.headers.host}/images/${id}.${image.extension}` }, cors);
+    }
+
+    /**
+     * Handle the /__mock control endpoint used to switch failures at runtime
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @param {Object} cors - CORS headers
+     */
+    async function control(req, res, cors) {
+        if (req.method === 'DELETE') {
+            settings.failure = { mode: null, remaining: Infinity };
+        } else if (req.method === 'POST') {
+            let body;
+            try {
+                body = JSON.parse(await readBody(req) || '{}');
+            } catch (error) {
+                sendJson(res, 400, { message: 'Request body must be valid JSON' }, cors);
+                return;
+            }
+
+            const mode = body.fail === undefined || body.fail === null ? null : String(body.fail);
+            if (mode && !FAILURE_MODES.includes(mode)) {
+                sendJson(res, 422, {
+                    message: 'Validation failed',
+                    errors: [{ property: 'fail', message: `must be one of: ${FAILURE_MODES.join(', ')}` }]
+                }, cors);
+                return;
+            }
+
+            settings.failure = { mode, remaining: Number.isInteger(body.times) ? body.times : Infinity };
+            if (Number.isInteger(body.delay)) {
+                settings.delay = body.delay;
+            }
+        }
+
+        const { mode, remaining } = settings.failure;
+        sendJson(res, 200, { fail: mode, times: remaining === Infinity ? null : remaining, delay: settings.delay }, cors);
+    }
+
+    return http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const cors = corsHeaders(req, ['*']);
+
+        if (tokenRoute(req, res)) return;
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, cors);
+            res.end();
+            return;
+        }
+
+        if (pathname === '/__mock') {
+            control(req, res, cors);
+            return;
+        }
+
+        if (GENERATORS[pathname]) {
+            if (req.method !== 'POST') {
+                sendJson(res, 405, { message: 'Method not allowed' }, { ...cors, 'Allow': 'POST, OPTIONS' });
+                return;
+            }
+            generate(req, res, GENERATORS[pathname], cors).catch(error => {
+                sendJson(res, 500, { message: error.message }, cors);
+            });
+            return;
+        }
+
+        const imageMatch = pathname.match(/^\/images\/([\w.]+)$/);
+        if (imageMatch && images.has(imageMatch[1])) {
+            const image = images.get(imageMatch[1]);
+            // Images are public so the page can cache their bytes
+            res.writeHead(200, {
+                'Content-Type': image.contentType,
+                'Content-Length': image.body.length,
+                'Access-Control-Allow-Origin': '*'
+            });
+            res.end(image.body);
+            return;
+        }
+
+        sendJson(res, 404, { message: 'Not found' }, cors);
+    });
+}
+
+if (require.main === module) {
+    const settings = mockSettingsFromEnv();
+
+    createMockServer(settings).listen(settings.port, () => {
+        console.log(`Mock Astronomy API on http://localhost:${settings.port}`);
+        if (settings.failure.mode) {
+            console.log(`Simulating failure: ${settings.failure.mode}`);
+        }
+    });
+}
+
+module.exports = { createMockServer, mockSettingsFromEnv, validateStarChart, validateMoon };
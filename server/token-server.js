@@ -0,0 +1,91 @@
+/**
+ * Stars for Starlikers - Token endpoint stand-in
+ * @fileoverview Local replacement for the backend endpoint that exchanges
+ * page visits for short-lived API tokens. Run with `node server/token-server.js`.
+ *
+ * Environment:
+ *   PORT             Port to listen on (default 8787)
+ *   TOKEN_SECRET     Secret shared with the API authorizer
+ *   TOKEN_TTL        Token lifetime in seconds (default 300)
+ *   ALLOWED_ORIGINS  Comma separated origins allowed to request tokens (default *)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { signToken } = require('./lib/token');
+const { sendJson, corsHeaders, listFromEnv } = require('./lib/http');
+
+/**
+ * Read token settings from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} Token settings
+ */
+function tokenSettingsFromEnv(env = process.env) {
+    let secret = env.TOKEN_SECRET;
+
+    if (!secret) {
+        secret = crypto.randomBytes(32).toString('hex');
+        console.warn('TOKEN_SECRET not set, using a random secret for this process only');
+    }
+
+    return {
+        secret,
+        ttl: parseInt(env.TOKEN_TTL, 10) || 300,
+        allowedOrigins: listFromEnv(env.ALLOWED_ORIGINS, ['*'])
+    };
+}
+
+/**
+ * Create the POST /auth/token route handler
+ * @param {Object} settings - Token settings (secret, ttl, allowedOrigins)
+ * @returns {Function} Handler returning true when it answered the request
+ */
+function createTokenRoute(settings) {
+    return function tokenRoute(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname !== '/auth/token') return false;
+
+        const cors = corsHeaders(req, settings.allowedOrigins);
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, cors);
+            res.end();
+            return true;
+        }
+
+        if (req.method !== 'POST') {
+            sendJson(res, 405, { message: 'Method not allowed' }, { ...cors, 'Allow': 'POST, OPTIONS' });
+            return true;
+        }
+
+        // Only pages served from an allowed origin may obtain tokens
+        if (req.headers.origin && Object.keys(cors).length === 0) {
+            sendJson(res, 403, { message: 'Origin not allowed' });
+            return true;
+        }
+
+        const { token, expiresIn } = signToken(
+            { sub: 'web', origin: req.headers.origin || null },
+            settings
+        );
+
+        sendJson(res, 200, { token, tokenType: 'Bearer', expiresIn }, cors);
+        return true;
+    };
+}
+
+if (require.main === module) {
+    const settings = tokenSettingsFromEnv();
+    const tokenRoute = createTokenRoute(settings);
+    const port = parseInt(process.env.PORT, 10) || 8787;
+
+    http.createServer((req, res) => {
+        if (!tokenRoute(req, res)) {
+            sendJson(res, 404, { message: 'Not found' });
+        }
+    }).listen(port, () => {
+        console.log(`Token endpoint listening on http://localhost:${port}/auth/token`);
+    });
+}
+
+module.exports = { createTokenRoute, tokenSettingsFromEnv };
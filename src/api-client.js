@@ -0,0 +1,711 @@
+/**
+ * Stars for Starlikers - API Client
+ * @fileoverview Single Astronomy API client shared by every page, with
+ * pluggable transports (fetch, mock and recorder).
+ */
+
+// =============================================================================
+// TRANSPORTS
+// =============================================================================
+
+/**
+ * Build a fetch-like response object from plain values
+ * @param {Object} init - Response values
+ * @param {number} init.status - HTTP status
+ * @param {string} init.statusText - HTTP status text
+ * @param {Object} init.headers - Response headers
+ * @param {*} init.body - Response body (serialized as JSON)
+ * @returns {Object} Response-like object
+ */
+function createResponse({ status = 200, statusText = 'OK', headers = {}, body = null } = {}) {
+    const text = body === null || body === undefined ? '' : JSON.stringify(body);
+    const headerMap = new Map(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), String(value)]));
+
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        statusText,
+        headers: {
+            get: (name) => headerMap.get(name.toLowerCase()) ?? null,
+            entries: () => headerMap.entries()
+        },
+        json: async () => JSON.parse(text),
+        text: async () => text,
+        clone() {
+            return createResponse({ status, statusText, headers, body });
+        }
+    };
+}
+
+/**
+ * Transport that sends requests with window.fetch
+ */
+class FetchTransport {
+    /**
+     * Send a request
+     * @param {Object} request - Request with url, method, headers and body
+     * @returns {Promise<Response>} Fetch response
+     */
+    async send(request) {
+        const { url, ...options } = request;
+        return fetch(url, options);
+    }
+}
+
+/**
+ * Transport that answers requests from in-memory route handlers
+ */
+class MockTransport {
+    /**
+     * Handlers receive the request (with parsed body) and return the values
+     * for createResponse; throwing simulates a network failure.
+     * @param {Object} routes - Handlers keyed by "METHOD /endpoint"
+     * @param {Object} options - Mock options
+     * @param {number} options.delay - Simulated latency in milliseconds
+     */
+    constructor(routes = {}, options = {}) {
+        this.routes = routes;
+        this.delay = options.delay || 0;
+    }
+
+    /**
+     * Send a request to the matching route handler
+     * @param {Object} request - Request with url, method, headers and body
+     * @returns {Promise<Object>} Response-like object
+     */
+    async send(request) {
+        if (this.delay) {
+            await sleep(this.delay, request.signal);
+        }
+
+        const { pathname } = new URL(request.url, window.location.href);
+        const handler = this.routes[`${request.method} ${pathname}`];
+
+        if (!handler) {
+            return createResponse({ status: 404, statusText: 'Not Found', body: { message: 'No mock route' } });
+        }
+
+        const body = request.body ? JSON.parse(request.body) : null;
+        const result = await handler({ ...request, body });
+        return createResponse(result);
+    }
+}
+
+/**
+ * Transport that records every exchange made through another transport
+ */
+class RecordingTransport {
+    /**
+     * @param {Object} transport - Transport that actually sends the requests
+     * @param {number} limit - Maximum number of entries kept
+     */
+    constructor(transport = new FetchTransport(), limit = 50) {
+        this.transport = transport;
+        this.limit = limit;
+        this.entries = [];
+    }
+
+    /**
+     * Send a request and record it
+     * @param {Object} request - Request with url, method, headers and body
+     * @returns {Promise<Object>} Response from the wrapped transport
+     */
+    async send(request) {
+        const { signal, ...recordedRequest } = request;
+        const entry = {
+            request: recordedRequest,
+            startedAt: new Date().toISOString(),
+            duration: 0,
+            response: null,
+            error: null
+        };
+        const start = performance.now();
+
+        this.entries.push(entry);
+        if (this.entries.length > this.limit) {
+            this.entries.shift();
+        }
+
+        try {
+            const response = await this.transport.send(request);
+            entry.duration = Math.round(performance.now() - start);
+            entry.response = {
+                status: response.status,
+                statusText: response.statusText,
+                body: await response.clone().json().catch(() => null)
+            };
+            return response;
+        } catch (error) {
+            entry.duration = Math.round(performance.now() - start);
+            entry.error = error.message;
+            throw error;
+        }
+    }
+
+    /**
+     * Get recorded entries
+     * @returns {Array<Object>} Recorded exchanges, oldest first
+     */
+    getEntries() {
+        return [...this.entries];
+    }
+
+    /**
+     * Clear recorded entries
+     */
+    clear() {
+        this.entries = [];
+    }
+}
+
+/**
+ * Create the transport named in the API configuration
+ * @param {Object} api - API configuration (transport, mock, tokenUrl)
+ * @returns {Object} Transport with a send(request) method
+ */
+function createTransport({ transport, mock = {}, tokenUrl }) {
+    switch (transport) {
+        case 'recorder':
+            return new RecordingTransport();
+        case 'mock': {
+            const tokenPath = tokenUrl ? new URL(tokenUrl, window.location.href).pathname : '/auth/token';
+            return new MockTransport({
+                [`POST ${tokenPath}`]: () => ({ body: { token: 'mock-token', expiresIn: 3600 } }),
+                ...mock.routes
+            }, { delay: mock.delay });
+        }
+        default:
+            return new FetchTransport();
+    }
+}
+
+// =============================================================================
+// AUTHENTICATION
+// =============================================================================
+
+/**
+ * Obtains and caches the short-lived API token from the token endpoint
+ */
+class TokenProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.tokenUrl - Token endpoint URL
+     * @param {Object} options.transport - Transport used to call the endpoint
+     * @param {number} options.refreshMargin - Seconds before expiry to renew
+     */
+    constructor({ tokenUrl, transport = new FetchTransport(), refreshMargin = 30 }) {
+        this.tokenUrl = tokenUrl;
+        this.transport = transport;
+        this.refreshMargin = refreshMargin;
+        this.token = null;
+        this.expiresAt = 0;
+        this.pending = null;
+    }
+
+    /**
+     * Get a valid token, requesting a new one when needed
+     * @param {AbortSignal} signal - Cancels the token request
+     * @returns {Promise<string>} Bearer token
+     */
+    async getToken(signal) {
+        if (this.token && Date.now() < this.expiresAt - this.refreshMargin * 1000) {
+            return this.token;
+        }
+        return this.refresh(signal);
+    }
+
+    /**
+     * Request a new token; concurrent callers share the same request, which
+     * follows the signal of the caller that started it
+     * @param {AbortSignal} signal - Cancels the token request
+     * @returns {Promise<string>} Bearer token
+     */
+    refresh(signal) {
+        if (!this.pending) {
+            this.pending = this.fetchToken(signal).finally(() => {
+                this.pending = null;
+            });
+        }
+        return this.pending;
+    }
+
+    /**
+     * Call the token endpoint
+     * @param {AbortSignal} signal - Cancels the request
+     * @returns {Promise<string>} Bearer token
+     */
+    async fetchToken(signal) {
+        const response = await this.transport.send({
+            url: this.tokenUrl,
+            method: 'POST',
+            headers: { 'Accept': 'application/json' },
+            signal
+        });
+
+        if (!response.ok) {
+            throw new APIError(
+                `Token Error: ${response.status} - ${response.statusText}`,
+                response.status,
+                response.statusText,
+                await response.json().catch(() => ({}))
+            );
+        }
+
+        const { token, expiresIn } = await response.json();
+        this.token = token;
+        this.expiresAt = Date.now() + expiresIn * 1000;
+        return token;
+    }
+
+    /**
+     * Forget the cached token
+     */
+    clear() {
+        this.token = null;
+        this.expiresAt = 0;
+    }
+}
+
+// =============================================================================
+// API CLIENT
+// =============================================================================
+
+/**
+ * Statuses worth retrying: network failures, rate limiting and server errors
+ */
+const RETRYABLE_STATUSES = [0, 429, 500, 502, 503, 504];
+
+/**
+ * Create the error thrown when the caller cancels a request
+ * @returns {APIError} Cancellation error
+ */
+function createCancellationError() {
+    return new APIError('Request cancelled', 499, 'Client Closed Request', {});
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+
+    if (/^\d+$/.test(value.trim())) {
+        return parseInt(value, 10) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Parse a JSON request body for logging
+ * @param {string|undefined} body - Raw body
+ * @returns {*} Parsed body, the raw string if it is not JSON, or undefined
+ */
+function parseBody(body) {
+    if (typeof body !== 'string') return body;
+    try {
+        return JSON.parse(body);
+    } catch (error) {
+        return body;
+    }
+}
+
+/**
+ * Astronomy API client
+ */
+class AstronomyClient {
+    /**
+     * @param {Object} options - Client options
+     * @param {string} options.baseUrl - API base URL
+     * @param {TokenProvider} options.tokens - Provider of the bearer token
+     * @param {Object} options.transport - Transport with a send(request) method
+     * @param {Object} options.retry - Retry policy (maxAttempts, baseDelay, maxDelay, maxRetryAfter)
+     * @param {number} options.timeout - Per-attempt timeout in milliseconds (0 disables)
+     * @param {ResponseCache} options.cache - Cache of generated images (null disables)
+     * @param {Logger} options.logger - Logger receiving messages and request records
+     */
+    constructor({ baseUrl = '', tokens = null, transport = new FetchTransport(), retry = {}, timeout = 30000, cache = null, logger = new Logger({ level: 'silent' }) } = {}) {
+        this.baseUrl = baseUrl;
+        this.tokens = tokens;
+        this.transport = transport;
+        this.timeout = timeout;
+        this.cache = cache;
+        this.logger = logger;
+        this.retry = {
+            maxAttempts: 4,
+            baseDelay: 500,
+            maxDelay: 8000,
+            maxRetryAfter: 30000,
+            ...retry
+        };
+    }
+
+    /**
+     * Create a client from the application configuration
+     * @param {Object} config - Application configuration
+     * @returns {AstronomyClient} Configured client
+     */
+    static fromConfig(config = APP_CONFIG) {
+        const { retry, timeout } = config.api;
+        const { baseUrl, tokenUrl } = resolveApiEndpoints(config.api);
+        const transport = createTransport({ ...config.api, tokenUrl });
+        const cache = config.cache && config.cache.enabled ? new ResponseCache(config.cache) : null;
+
+        return new AstronomyClient({
+            baseUrl,
+            tokens: tokenUrl ? new TokenProvider({ tokenUrl, transport }) : null,
+            transport,
+            retry,
+            timeout,
+            cache,
+            logger
+        });
+    }
+
+    /**
+     * Make API request, retrying idempotent requests on transient failures
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Request options
+     * @param {boolean} options.idempotent - Whether the request may be retried
+     * @param {Function} options.onRetry - Called with { attempt, maxAttempts, delay, error } before each retry
+     * @param {AbortSignal} options.signal - Cancels the request and any pending retry
+     * @returns {Promise<Object>} API response
+     */
+    async request(endpoint, options = {}) {
+        const maxAttempts = options.idempotent ? this.retry.maxAttempts : 1;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.sendAuthorized(endpoint, options);
+            } catch (error) {
+                const delay = this.getRetryDelay(error, attempt);
+
+                if (attempt >= maxAttempts || delay === null) {
+                    error.attempts = attempt;
+                    throw error;
+                }
+
+                if (options.onRetry) {
+                    options.onRetry({ attempt: attempt + 1, maxAttempts, delay, error });
+                }
+
+                await sleep(delay, options.signal).catch(() => {
+                    throw createCancellationError();
+                });
+            }
+        }
+    }
+
+    /**
+     * Compute the wait before the next attempt
+     * @param {Error} error - Error of the failed attempt
+     * @param {number} attempt - Number of the failed attempt (1-based)
+     * @returns {number|null} Delay in milliseconds, or null if not retryable
+     */
+    getRetryDelay(error, attempt) {
+        if (!(error instanceof APIError) || !RETRYABLE_STATUSES.includes(error.status)) {
+            return null;
+        }
+
+        const { baseDelay, maxDelay, maxRetryAfter } = this.retry;
+
+        // Honour the server's Retry-After, unless it asks us to wait too long
+        if (error.retryAfter !== null && error.retryAfter !== undefined) {
+            return error.retryAfter <= maxRetryAfter ? error.retryAfter : null;
+        }
+
+        // Exponential backoff with equal jitter
+        const backoff = Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1));
+        return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+    }
+
+    /**
+     * Send a request, renewing the token once if the API reports 401
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} API response
+     */
+    async sendAuthorized(endpoint, options = {}) {
+        try {
+            return await this.send(endpoint, options);
+        } catch (error) {
+            if (error instanceof APIError && error.status === 401 && this.tokens) {
+                this.tokens.clear();
+                return this.send(endpoint, options);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Send a single API request and record it in the logger
+     * @param {string} endpoint - API endpoint
+     * @param {Object} options - Request options
+     * @returns {Promise<Object>} API response
+     */
+    async send(endpoint, options = {}) {
+        const { signal } = options;
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        let timedOut = false;
+
+        if (signal?.aborted) {
+            throw createCancellationError();
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        const timer = this.timeout ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.timeout) : null;
+
+        const record = {
+            method: options.method || 'GET',
+            url: `${this.baseUrl}${endpoint}`,
+            startedAt: Date.now(),
+            requestBody: parseBody(options.body)
+        };
+
+        try {
+            const headers = {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                ...options.headers
+            };
+
+            if (this.tokens) {
+                // The token request counts against this attempt's timeout and cancellation
+                headers['Authorization'] = `Bearer ${await this.tokens.getToken(controller.signal)}`;
+            }
+            record.requestHeaders = headers;
+
+            const response = await this.transport.send({
+                url: record.url,
+                method: record.method,
+                headers,
+                body: options.body,
+                signal: controller.signal
+            });
+
+            record.status = response.status;
+            record.statusText = response.statusText;
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                record.responseBody = errorData;
+                const apiError = new APIError(
+                    `API Error: ${response.status} - ${response.statusText}`,
+                    response.status,
+                    response.statusText,
+                    errorData
+                );
+                apiError.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+                throw apiError;
+            }
+
+            record.responseBody = await response.json();
+            return record.responseBody;
+        } catch (error) {
+            const apiError = this.toAPIError(error, { timedOut, cancelled: signal?.aborted });
+            record.status = apiError.status;
+            record.statusText = apiError.statusText;
+            record.error = apiError.getDetails();
+            throw apiError;
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            record.duration = Date.now() - record.startedAt;
+            this.logger.recordRequest(record);
+        }
+    }
+
+    /**
+     * Map a failure of send() to an APIError
+     * @param {Error} error - Thrown error
+     * @param {Object} state - Why the request stopped
+     * @param {boolean} state.timedOut - Whether the per-attempt timeout fired
+     * @param {boolean} state.cancelled - Whether the caller aborted the request
+     * @returns {APIError} Error to throw
+     */
+    toAPIError(error, { timedOut, cancelled }) {
+        if (error instanceof APIError) {
+            return error;
+        }
+
+        if (timedOut) {
+            return new APIError(
+                `Request timed out after ${this.timeout} ms`,
+                408,
+                'Request Timeout',
+                { timeout: this.timeout }
+            );
+        }
+
+        if (cancelled) {
+            return createCancellationError();
+        }
+
+        // Network or other errors
+        return new APIError(
+            'Network error or API unavailable',
+            0,
+            'Network Error',
+            { originalError: error.message }
+        );
+    }
+
+    /**
+     * Send a generation request and check the returned image URL.
+     * Payloads are validated against API_SCHEMAS in both directions.
+     * Generation requests are idempotent, so they are retried automatically,
+     * and their results are served from the response cache when available.
+     * @param {string} endpoint - API endpoint
+     * @param {Object} requestData - Request payload
+     * @param {Object} options - Extra request options (onRetry, signal)
+     * @returns {Promise<Object>} API response with imageUrl; cache hits also
+     * carry fromCache, cachedAt and imageBlob (null if the bytes were not stored)
+     */
+    async generate(endpoint, requestData, options = {}) {
+        const schemas = API_SCHEMAS[endpoint];
+
+        if (schemas) {
+            const errors = validateSchema(schemas.request, requestData);
+            if (errors.length > 0) {
+                this.logger.warn(`POST ${endpoint} rejected by the request schema`, errors);
+                // Same shape as the API's own 422, so the pages treat both alike
+                throw new APIError(
+                    'Request does not match the API schema',
+                    422,
+                    'Client Validation',
+                    { message: 'Validation failed', errors }
+                );
+            }
+        }
+
+        const cacheKey = this.cache ? await hashRequest(endpoint, requestData) : null;
+
+        if (cacheKey) {
+            const entry = await this.cache.get(cacheKey);
+            if (entry) {
+                this.logger.info(`POST ${endpoint} served from cache`, { imageUrl: entry.imageUrl });
+                return {
+                    imageUrl: entry.imageUrl,
+                    imageBlob: entry.blob,
+                    fromCache: true,
+                    cachedAt: entry.storedAt
+                };
+            }
+        }
+
+        this.logger.debug(`POST ${endpoint}`, requestData);
+
+        const response = await this.request(endpoint, {
+            ...options,
+            method: 'POST',
+            body: JSON.stringify(requestData),
+            idempotent: true
+        });
+
+        const responseErrors = schemas
+            ? validateSchema(schemas.response, response)
+            : (response && response.imageUrl ? [] : [{ property: 'imageUrl', message: 'campo obrigatório' }]);
+
+        if (responseErrors.length > 0) {
+            throw new APIError(
+                'Response does not match the API schema',
+                502,
+                'Invalid Response',
+                { message: 'Invalid API response', errors: responseErrors }
+            );
+        }
+
+        if (cacheKey) {
+            // Downloading the bytes must not delay the result
+            this.cache.save(cacheKey, response.imageUrl);
+        }
+
+        return response;
+    }
+
+    /**
+     * Generate star chart
+     * @param {Object} params - Star chart parameters
+     * @param {Object} options - Request options (onRetry, signal)
+     * @returns {Promise<Object>} Star chart response
+     */
+    async starChart(params, options = {}) {
+        const {
+            constellation,
+            style = 'default',
+            latitude,
+            longitude,
+            date,
+            time
+        } = params;
+
+        const requestData = {
+            style: style,
+            observer: {
+                latitude: parseFloat(latitude),
+                longitude: parseFloat(longitude),
+                date: date,
+                ...(time && { time: time })
+            },
+            view: {
+                type: 'constellation',
+                parameters: {
+                    constellation: constellation
+                }
+            }
+        };
+
+        return this.generate('/constellations', requestData, options);
+    }
+
+    /**
+     * Generate moon phase visualization
+     * @param {Object} params - Moon visualization parameters
+     * @param {Object} options - Request options (onRetry, signal)
+     * @returns {Promise<Object>} Moon visualization response
+     */
+    async moonPhase(params, options = {}) {
+        const {
+            format,
+            latitude,
+            longitude,
+            date,
+            moonStyle,
+            backgroundStyle,
+            backgroundColor,
+            headingColor,
+            textColor,
+            orientation,
+            viewType
+        } = params;
+
+        const requestData = {
+            format: format,
+            observer: {
+                latitude: parseFloat(latitude),
+                longitude: parseFloat(longitude),
+                date: date
+            },
+            style: {
+                moonStyle: moonStyle || 'default',
+                backgroundStyle: backgroundStyle || 'stars',
+                backgroundColor: backgroundColor || 'red',
+                headingColor: headingColor || 'white',
+                textColor: textColor || 'red'
+            },
+            view: {
+                orientation: orientation || 'south-up',
+                type: viewType || 'portrait-simple'
+            }
+        };
+
+        return this.generate('/moon', requestData, options);
+    }
+}
@@ -0,0 +1,232 @@
+/**
+ * Stars for Starlikers - Response Cache
+ * @fileoverview IndexedDB cache of generated images, keyed by a canonical hash
+ * of the request payload so repeated charts do not hit the API again.
+ */
+
+// =============================================================================
+// REQUEST HASHING
+// =============================================================================
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal payloads
+ * always produce the same string
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJSON).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Hash a request into a cache key
+ * @param {string} endpoint - API endpoint
+ * @param {Object} requestData - Request payload
+ * @returns {Promise<string>} Hex SHA-256 digest (FNV-1a outside secure contexts)
+ */
+async function hashRequest(endpoint, requestData) {
+    const text = `${endpoint}|${canonicalJSON(requestData)}`;
+
+    if (window.crypto && crypto.subtle) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // crypto.subtle is only available on https/localhost
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return `fnv-${hash.toString(16)}-${text.length}`;
+}
+
+// =============================================================================
+// INDEXEDDB CACHE
+// =============================================================================
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Cache of generated image URLs and bytes with TTL and size limits.
+ * Every operation fails soft: without IndexedDB the cache simply misses.
+ */
+class ResponseCache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {number} options.ttl - Entry lifetime in milliseconds
+     * @param {number} options.maxEntries - Maximum number of entries
+     * @param {number} options.maxBytes - Maximum total size of stored images
+     * @param {string} options.dbName - IndexedDB database name
+     */
+    constructor({ ttl = 24 * 60 * 60 * 1000, maxEntries = 50, maxBytes = 50 * 1024 * 1024, dbName = 'stars-for-starlikers' } = {}) {
+        this.ttl = ttl;
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.dbName = dbName;
+        this.storeName = 'responses';
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (once) the IndexedDB database
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    open() {
+        if (!this.dbPromise) {
+            if (!window.indexedDB) {
+                return Promise.reject(new Error('IndexedDB not available'));
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                store.createIndex('storedAt', 'storedAt');
+            };
+            this.dbPromise = promisifyRequest(request);
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a callback against the object store
+     * @param {string} mode - Transaction mode
+     * @param {Function} callback - Receives the object store
+     * @returns {Promise<*>} Callback result
+     */
+    async withStore(mode, callback) {
+        const db = await this.open();
+        const transaction = db.transaction(this.storeName, mode);
+        const result = await callback(transaction.objectStore(this.storeName));
+
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+
+        return result;
+    }
+
+    /**
+     * Get a fresh entry
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} Entry with imageUrl, blob and storedAt, or null
+     */
+    async get(key) {
+        try {
+            const entry = await this.withStore('readonly', store => promisifyRequest(store.get(key)));
+            if (!entry) return null;
+
+            if (entry.expiresAt <= Date.now()) {
+                await this.delete(key);
+                return null;
+            }
+
+            return entry;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Store the image URL and, when the image host allows it, its bytes
+     * @param {string} key - Cache key
+     * @param {string} imageUrl - Generated image URL
+     */
+    async save(key, imageUrl) {
+        let blob = null;
+
+        try {
+            const response = await fetch(imageUrl);
+            if (response.ok) {
+                blob = await response.blob();
+            }
+        } catch (error) {
+            // Image host without CORS: keep only the URL
+        }
+
+        const now = Date.now();
+        const entry = {
+            key,
+            imageUrl,
+            blob,
+            size: blob ? blob.size : 0,
+            storedAt: now,
+            expiresAt: now + this.ttl
+        };
+
+        try {
+            await this.withStore('readwrite', store => promisifyRequest(store.put(entry)));
+            await this.prune();
+        } catch (error) {
+            // Quota exceeded or IndexedDB unavailable: caching is best effort
+        }
+    }
+
+    /**
+     * Delete an entry
+     * @param {string} key - Cache key
+     */
+    async delete(key) {
+        try {
+            await this.withStore('readwrite', store => promisifyRequest(store.delete(key)));
+        } catch (error) {
+            // Nothing to delete
+        }
+    }
+
+    /**
+     * Remove expired entries, then the oldest ones until the limits hold
+     */
+    async prune() {
+        await this.withStore('readwrite', async store => {
+            const entries = await promisifyRequest(store.index('storedAt').getAll());
+            const now = Date.now();
+            let count = entries.length;
+            let bytes = entries.reduce((total, entry) => total + entry.size, 0);
+
+            // Oldest first
+            for (const entry of entries) {
+                const expired = entry.expiresAt <= now;
+                if (!expired && count <= this.maxEntries && bytes <= this.maxBytes) {
+                    continue;
+                }
+
+                store.delete(entry.key);
+                count--;
+                bytes -= entry.size;
+            }
+        });
+    }
+
+    /**
+     * Remove every entry
+     */
+    async clear() {
+        try {
+            await this.withStore('readwrite', store => promisifyRequest(store.clear()));
+        } catch (error) {
+            // Nothing to clear
+        }
+    }
+}
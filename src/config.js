@@ -0,0 +1,99 @@
+/**
+ * Stars for Starlikers - Configuration
+ * @fileoverview Runtime configuration shared by every page. A deployment can
+ * override any value by defining window.STARS_CONFIG before this script loads.
+ */
+
+/**
+ * Default configuration values
+ */
+const DEFAULT_CONFIG = {
+    api: {
+        // 'direct' calls baseUrl/tokenUrl; 'proxy' calls the same API routes
+        // on proxyUrl, e.g. the dev server in server/dev-server.js
+        mode: 'direct',
+        // Base URL of the proxy; empty means the page's own origin
+        proxyUrl: '',
+        // Base URL of the Astronomy API gateway
+        baseUrl: 'https://9nj2r6j9fd.execute-api.sa-east-1.amazonaws.com',
+        // Endpoint that exchanges the page visit for a short-lived bearer token
+        tokenUrl: 'https://9nj2r6j9fd.execute-api.sa-east-1.amazonaws.com/auth/token',
+        // Transport used by the client: 'fetch', 'recorder' or 'mock'
+        transport: 'fetch',
+        // Answers of the 'mock' transport, for demos and tests without network
+        mock: {
+            // Handlers keyed by "METHOD /path", e.g. "POST /moon". Each receives the
+            // request with its body parsed and returns { status, statusText, headers,
+            // body }, or throws to simulate a network failure. Unknown routes answer
+            // 404; the token route answers a fake token unless it is given here.
+            routes: {},
+            // Simulated latency in milliseconds
+            delay: 0
+        },
+        // Per-attempt request timeout in milliseconds
+        timeout: 30000,
+        // Automatic retries of chart and moon requests on 429/5xx
+        retry: {
+            maxAttempts: 4,
+            baseDelay: 500,
+            maxDelay: 8000,
+            maxRetryAfter: 30000
+        }
+    },
+    logging: {
+        // Minimum console level: 'debug', 'info', 'warn', 'error' or 'silent'
+        level: 'warn',
+        // Show the debug drawer (also enabled per visit with ?debug=1)
+        debug: false,
+        // Number of API requests kept for the debug drawer and HAR export
+        maxRecords: 50
+    },
+    // IndexedDB cache of generated images, keyed by the request payload
+    cache: {
+        enabled: true,
+        // Entry lifetime in milliseconds
+        ttl: 24 * 60 * 60 * 1000,
+        // Size limits; the oldest entries are evicted first
+        maxEntries: 50,
+        maxBytes: 50 * 1024 * 1024
+    }
+};
+
+/**
+ * Deep merge plain objects, returning a new object
+ * @param {Object} base - Base values
+ * @param {Object} overrides - Values that take precedence
+ * @returns {Object} Merged object
+ */
+function mergeConfig(base, overrides) {
+    const result = { ...base };
+
+    Object.keys(overrides || {}).forEach(key => {
+        const value = overrides[key];
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+
+        result[key] = isObject && base[key] && typeof base[key] === 'object'
+            ? mergeConfig(base[key], value)
+            : value;
+    });
+
+    return result;
+}
+
+/**
+ * Resolve the API and token URLs for the configured mode
+ * @param {Object} api - API configuration
+ * @returns {{baseUrl: string, tokenUrl: string}} URLs the client should call
+ */
+function resolveApiEndpoints(api) {
+    if (api.mode === 'proxy') {
+        return {
+            baseUrl: api.proxyUrl,
+            tokenUrl: api.tokenUrl ? `${api.proxyUrl}/auth/token` : ''
+        };
+    }
+
+    return { baseUrl: api.baseUrl, tokenUrl: api.tokenUrl };
+}
+
+const APP_CONFIG = mergeConfig(DEFAULT_CONFIG, window.STARS_CONFIG);
@@ -0,0 +1,322 @@
+/**
+ * Stars for Starlikers - Constellation Search
+ * @fileoverview Fuzzy search over constellation names in Latin, Portuguese and
+ * English, IAU abbreviations, star names and asterisms, and the combobox that
+ * drives the constellation select with it.
+ */
+
+// =============================================================================
+// SEARCH
+// =============================================================================
+
+const SEARCH_KIND_LABELS = {
+    latin: 'nome latino',
+    portuguese: 'nome em português',
+    english: 'nome em inglês',
+    abbreviation: 'abreviação IAU',
+    star: 'estrela',
+    asterism: 'asterismo'
+};
+
+let searchIndex = null;
+
+/**
+ * Fold text for comparison: no accents, lowercase, single spaces
+ * @param {string} text - Text to fold
+ * @returns {string} Normalized text
+ */
+function normalizeSearchText(text) {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Every searchable term, built once from the encyclopedia and the star catalog
+ * @returns {Array<Object>} Terms with constellation, term, kind and normalized text
+ */
+function getSearchIndex() {
+    if (!searchIndex) {
+        searchIndex = Object.entries(CONSTELLATION_ENCYCLOPEDIA).flatMap(([constellation, entry]) => [
+            [entry.latinName, 'latin'],
+            [entry.genitive, 'latin'],
+            [entry.portugueseName, 'portuguese'],
+            [entry.englishName, 'english'],
+            [entry.abbreviation, 'abbreviation'],
+            ...entry.asterisms.map(asterism => [asterism, 'asterism']),
+            ...CONSTELLATIONS[constellation].stars.filter(star => star[4]).map(star => [star[4], 'star'])
+        ].map(([term, kind]) => ({ constellation, term, kind, normalized: normalizeSearchText(term) })));
+    }
+    return searchIndex;
+}
+
+/**
+ * Edit distance counting adjacent transpositions as one edit
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of edits
+ */
+function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+/**
+ * How well a normalized query matches a normalized term
+ * @param {string} query - Normalized query
+ * @param {string} term - Normalized term
+ * @returns {number} Score from 0 (no match) to 100 (exact)
+ */
+function scoreSearchTerm(query, term) {
+    if (term === query) return 100;
+    if (term.startsWith(query)) return 90;
+
+    const words = term.split(' ');
+    if (words.some(word => word.startsWith(query))) return 80;
+
+    // Every query word starts a word of the term, in any order ("cruzeiro sul")
+    const queryWords = query.split(' ');
+    if (queryWords.length > 1 && queryWords.every(part => words.some(word => word.startsWith(part)))) return 75;
+    if (term.includes(query)) return 70;
+
+    // Typos: one edit from four letters on, two from seven
+    const allowed = query.length >= 7 ? 2 : query.length >= 4 ? 1 : 0;
+    if (!allowed) return 0;
+
+    // A typo of a whole word beats one of the start of a longer word ("orian":
+    // Orion before "Triângulo")
+    const candidates = [term, ...words];
+    const whole = Math.min(...candidates.map(candidate => editDistance(query, candidate)));
+    if (whole <= allowed) return 60 - whole * 10;
+
+    const prefix = Math.min(...candidates
+        .filter(candidate => candidate.length > query.length)
+        .map(candidate => editDistance(query, candidate.slice(0, query.length))));
+    return prefix <= allowed ? 50 - prefix * 10 : 0;
+}
+
+/**
+ * Search constellations by any of their names, stars or asterisms
+ * @param {string} query - Free text
+ * @param {number} limit - Maximum results
+ * @returns {Array<Object>} Best match per constellation, best first: constellation,
+ * term and kind of the matching term, score
+ */
+function searchConstellations(query, limit = 8) {
+    const normalized = normalizeSearchText(query);
+    if (!normalized) return [];
+
+    const best = new Map();
+    getSearchIndex().forEach(({ constellation, term, kind, normalized: text }) => {
+        const score = scoreSearchTerm(normalized, text);
+        if (score > (best.get(constellation)?.score || 0)) {
+            best.set(constellation, { constellation, term, kind, score });
+        }
+    });
+
+    return Array.from(best.values())
+        .sort((a, b) => b.score - a.score || a.constellation.localeCompare(b.constellation))
+        .slice(0, limit);
+}
+
+// =============================================================================
+// COMBOBOX
+// =============================================================================
+
+/**
+ * Text field with a suggestion list that sets the value of the constellation select
+ */
+class ConstellationCombobox {
+    /**
+     * @param {Object} options - Combobox options
+     * @param {HTMLSelectElement} options.select - Select that holds the chosen code
+     * @param {HTMLInputElement} options.input - Search field
+     * @param {HTMLElement} options.list - Listbox for the results
+     */
+    constructor({ select, input, list }) {
+        this.select = select;
+        this.input = input;
+        this.list = list;
+        this.results = [];
+        this.activeIndex = -1;
+
+        this.setupEventListeners();
+        this.sync();
+    }
+
+    /**
+     * Wire typing, keyboard navigation and clicks on the results
+     */
+    setupEventListeners() {
+        this.input.addEventListener('input', () => this.open());
+        this.input.addEventListener('focus', () => {
+            this.input.select();
+            this.open();
+        });
+        this.input.addEventListener('blur', () => {
+            this.close();
+            this.sync();
+        });
+
+        this.input.addEventListener('keydown', (e) => {
+            const expanded = !this.list.hidden;
+
+            switch (e.key) {
+                case 'ArrowDown':
+                case 'ArrowUp':
+                    e.preventDefault();
+                    if (!expanded) {
+                        this.open();
+                    } else {
+                        this.moveActive(e.key === 'ArrowDown' ? 1 : -1);
+                    }
+                    break;
+                case 'Enter':
+                    // A closed list lets Enter submit the form
+                    if (expanded && this.results.length) {
+                        e.preventDefault();
+                        this.choose(this.results[Math.max(0, this.activeIndex)].constellation);
+                    }
+                    break;
+                case 'Escape':
+                    if (expanded) {
+                        e.preventDefault();
+                        this.close();
+                        this.sync();
+                    }
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        // mousedown keeps the focus in the field until the choice is made
+        this.list.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            const option = e.target.closest('[data-constellation]');
+            if (option) {
+                this.choose(option.dataset.constellation);
+            }
+        });
+    }
+
+    /**
+     * Show the results for the current text; all constellations when it is empty
+     * or still shows the chosen name
+     */
+    open() {
+        const query = this.input.value;
+        const showAll = !normalizeSearchText(query) || query === this.getName(this.select.value);
+
+        this.results = showAll
+            ? Array.from(this.select.options)
+                .filter(option => option.value)
+                .map(option => ({ constellation: option.value, term: null, kind: null }))
+            : searchConstellations(query);
+        this.activeIndex = showAll
+            ? this.results.findIndex(result => result.constellation === this.select.value)
+            : 0;
+
+        this.render();
+    }
+
+    /**
+     * Hide the results
+     */
+    close() {
+        this.list.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Move the highlighted result
+     * @param {number} step - 1 for down, -1 for up
+     */
+    moveActive(step) {
+        if (!this.results.length) return;
+
+        this.activeIndex = (this.activeIndex + step + this.results.length) % this.results.length;
+        this.render();
+    }
+
+    /**
+     * Set the select to a constellation and tell the form
+     * @param {string} constellation - Constellation code
+     */
+    choose(constellation) {
+        this.select.value = constellation;
+        this.close();
+        this.sync();
+        this.select.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * Show the chosen constellation's name in the field
+     */
+    sync() {
+        this.input.value = this.getName(this.select.value);
+    }
+
+    /**
+     * Name of a constellation as listed in the select, without its visibility badge
+     * @param {string} constellation - Constellation code
+     * @returns {string} Name, or an empty string when none is chosen
+     */
+    getName(constellation) {
+        const option = constellation ? this.select.querySelector(`option[value="${constellation}"]`) : null;
+        return option ? option.dataset.name || option.textContent : '';
+    }
+
+    /**
+     * Draw the results list
+     */
+    render() {
+        if (!this.results.length) {
+            this.list.innerHTML = '<li class="combobox-empty">Nenhuma constelação encontrada</li>';
+        } else {
+            this.list.innerHTML = this.results.map(({ constellation, term, kind }, index) => {
+                const entry = CONSTELLATION_ENCYCLOPEDIA[constellation];
+                const option = this.select.querySelector(`option[value="${constellation}"]`);
+                const visibility = option?.dataset.visibility;
+                const detail = term && kind !== 'latin'
+                    ? `${SEARCH_KIND_LABELS[kind]}: ${term}`
+                    : `${entry.portugueseName} · ${entry.abbreviation}`;
+
+                return `
+                    <li class="combobox-option${index === this.activeIndex ? ' active' : ''}" id="constellation-option-${constellation}"
+                        role="option" aria-selected="${index === this.activeIndex}" data-constellation="${constellation}">
+                        <span class="combobox-name">${this.getName(constellation)}</span>
+                        <span class="combobox-detail">${detail}</span>
+                        ${visibility ? `<span class="combobox-badge ${visibility}">${VISIBILITY_LABELS[visibility]}</span>` : ''}
+                    </li>
+                `;
+            }).join('');
+        }
+
+        this.list.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+
+        const active = this.results[this.activeIndex];
+        if (active) {
+            this.input.setAttribute('aria-activedescendant', `constellation-option-${active.constellation}`);
+            this.list.querySelector('.combobox-option.active')?.scrollIntoView({ block: 'nearest' });
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+}
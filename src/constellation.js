@@ -4,748 +4,340 @@
  */
 
 // =============================================================================
-// UTILITY FUNCTIONS
+// CONSTELLATION APPLICATION
 // =============================================================================
 
 /**
- * Debounce function to limit the rate of function execution
- * @param {Function} func - The function to debounce
- * @param {number} wait - The number of milliseconds to delay
- * @param {boolean} immediate - Whether to execute immediately
- * @returns {Function} The debounced function
- */
-function debounce(func, wait, immediate) {
-    let timeout;
-    return function executedFunction(...args) {
-        const later = () => {
-            timeout = null;
-            if (!immediate) func(...args);
-        };
-        const callNow = immediate && !timeout;
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
-        if (callNow) func(...args);
-    };
-}
-
-/**
- * Format date to YYYY-MM-DD format
- * @param {Date} date - The date to format
- * @returns {string} Formatted date string
- */
-function formatDate(date) {
-    return date.toISOString().split('T')[0];
-}
-
-/**
- * Validate date format (YYYY-MM-DD)
- * @param {string} dateString - The date string to validate
- * @returns {boolean} Whether the date is valid
- */
-function isValidDate(dateString) {
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(dateString)) return false;
-
-    const date = new Date(dateString);
-    return date instanceof Date && !isNaN(date);
-}
-
-/**
- * Parse coordinates from string format "lat,lng"
- * @param {string} coordString - The coordinate string
- * @returns {Object|null} Object with lat and lng properties or null if invalid
- */
-function parseCoordinates(coordString) {
-    if (!coordString || typeof coordString !== 'string') return null;
-
-    const parts = coordString.split(',');
-    if (parts.length !== 2) return null;
-
-    const lat = parseFloat(parts[0].trim());
-    const lng = parseFloat(parts[1].trim());
-
-    if (isNaN(lat) || isNaN(lng)) return null;
-    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
-
-    return { lat, lng };
-}
-
-/**
- * Generate a unique ID
- * @returns {string} Unique identifier
- */
-function generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
-}
-
-/**
- * Copy text to clipboard
- * @param {string} text - Text to copy
- * @returns {Promise<boolean>} Success status
- */
-async function copyToClipboard(text) {
-    try {
-        if (navigator.clipboard && window.isSecureContext) {
-            await navigator.clipboard.writeText(text);
-            return true;
-        } else {
-            // Fallback for older browsers
-            const textArea = document.createElement('textarea');
-            textArea.value = text;
-            textArea.style.position = 'fixed';
-            textArea.style.left = '-999999px';
-            textArea.style.top = '-999999px';
-            document.body.appendChild(textArea);
-            textArea.focus();
-            textArea.select();
-            const success = document.execCommand('copy');
-            textArea.remove();
-            return success;
-        }
-    } catch (error) {
-        console.error('Failed to copy text:', error);
-        return false;
-    }
-}
-
-/**
- * Download file from URL
- * @param {string} url - File URL
- * @param {string} filename - Desired filename
- */
-function downloadFile(url, filename) {
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = filename;
-    link.target = '_blank';
-    link.rel = 'noopener noreferrer';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-}
-
-/**
- * Check if device supports sharing
- * @returns {boolean} Whether native sharing is supported
- */
-function canShare() {
-    return navigator.share && typeof navigator.share === 'function';
-}
-
-/**
- * Share content using native sharing or fallback
- * @param {Object} shareData - Data to share
- * @returns {Promise<boolean>} Success status
- */
-async function shareContent(shareData) {
-    try {
-        if (canShare()) {
-            await navigator.share(shareData);
-            return true;
-        } else {
-            // Fallback: copy to clipboard
-            const shareText = `${shareData.title}\n${shareData.text}\n${shareData.url}`;
-            return await copyToClipboard(shareText);
-        }
-    } catch (error) {
-        console.error('Failed to share:', error);
-        return false;
-    }
-}
-
-/**
- * Scroll to element smoothly
- * @param {Element|string} target - Element or selector to scroll to
- * @param {Object} options - Scroll options
+ * Constellation Charts application
  */
-function scrollToElement(target, options = {}) {
-    const element = typeof target === 'string' ? document.querySelector(target) : target;
-    if (!element) return;
-
-    const defaultOptions = {
-        behavior: 'smooth',
-        block: 'start',
-        inline: 'nearest'
-    };
-
-    element.scrollIntoView({ ...defaultOptions, ...options });
-}
+class ConstellationApp extends PageApp {
+    constructor() {
+        super();
 
-// =============================================================================
-// UI MANAGEMENT CLASSES
-// =============================================================================
+        // Initialize API client
+        this.api = AstronomyClient.fromConfig();
 
-/**
- * Toast notification system
- */
-class ToastManager {
-    constructor() {
-        this.container = document.getElementById('toastContainer');
-        if (!this.container) {
-            this.container = document.createElement('div');
-            this.container.id = 'toastContainer';
-            this.container.className = 'toast-container';
-            document.body.appendChild(this.container);
-        }
+        // Initialize application
+        this.init();
+        this.setupEventListeners();
+        this.setDefaultDate();
+        this.setupTimeZoneSelect();
+        this.createInteractiveStars();
+        this.refreshLocalViews();
     }
 
     /**
-     * Show a toast notification
-     * @param {string} message - Message to display
-     * @param {string} type - Toast type (success, error, warning, info)
-     * @param {number} duration - Duration in milliseconds
+     * Initialize DOM elements and progress manager
      */
-    show(message, type = 'info', duration = 4000) {
-        const toast = document.createElement('div');
-        const id = generateId();
-
-        toast.id = id;
-        toast.className = `toast toast-${type}`;
-
-        const icon = this.getIcon(type);
-        toast.innerHTML = `
-            <svg class="toast-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                ${icon}
-            </svg>
-            <span>${message}</span>
-        `;
+    init() {
+        super.init('constellationForm', 'constellationInfo');
+
+        // Where schema and API validation messages are shown
+        this.fieldMap = {
+            'style': 'style',
+            'observer.latitude': 'location',
+            'observer.longitude': 'location',
+            'observer.date': 'date',
+            'observer.time': 'time',
+            'view.parameters.constellation': 'constellationSearch'
+        };
 
-        this.container.appendChild(toast);
+        // Result elements
+        this.constellationImage = document.getElementById('constellationImage');
+        this.localRenderBtn = document.getElementById('localRenderBtn');
 
-        // Trigger animation
-        requestAnimationFrame(() => {
-            toast.classList.add('show');
-        });
+        // Image returned by the API, kept while the local rendering is shown
+        this.apiResult = null;
 
-        // Auto remove
-        setTimeout(() => {
-            this.remove(id);
-        }, duration);
+        // Whole sky for the chosen place and date; clicking a figure generates its chart
+        this.planisphere = new Planisphere({ onSelect: (code) => this.selectFromSky(code) });
 
-        return id;
-    }
+        // Search by any name, star or asterism; it fills the constellation select
+        const constellationSelect = document.getElementById('constellation');
+        const constellationSearch = document.getElementById('constellationSearch');
+        const constellationOptions = document.getElementById('constellationOptions');
+        this.constellationSearch = constellationSelect && constellationSearch && constellationOptions
+            ? new ConstellationCombobox({ select: constellationSelect, input: constellationSearch, list: constellationOptions })
+            : null;
 
-    /**
-     * Remove a toast notification
-     * @param {string} id - Toast ID to remove
-     */
-    remove(id) {
-        const toast = document.getElementById(id);
-        if (!toast) return;
-
-        toast.classList.remove('show');
-        setTimeout(() => {
-            if (toast.parentNode) {
-                toast.parentNode.removeChild(toast);
-            }
-        }, 300);
+        // Place and night the suggestions panel was ranked for
+        this.suggestionsKey = null;
     }
 
     /**
-     * Get icon SVG for toast type
-     * @param {string} type - Toast type
-     * @returns {string} SVG path
+     * Setup all event listeners
      */
-    getIcon(type) {
-        const icons = {
-            success: '<path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22,4 12,14.01 9,11.01"/>',
-            error: '<circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/>',
-            warning: '<path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/>',
-            info: '<circle cx="12" cy="12" r="10"/><path d="M12 16v-4"/><path d="M12 8h.01"/>'
-        };
-        return icons[type] || icons.info;
-    }
-}
-
-/**
- * Theme management
- */
-class ThemeManager {
-    constructor() {
-        this.init();
-    }
+    setupEventListeners() {
+        // Back button, theme toggle and retry button
+        this.setupCommonListeners();
 
-    init() {
-        // Set initial theme
-        const theme = this.getStoredTheme() || this.getSystemTheme();
-        this.setTheme(theme);
-
-        // Listen for system theme changes
-        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-            if (!this.getStoredTheme()) {
-                this.setTheme(e.matches ? 'dark' : 'light');
-            }
-        });
-    }
+        // Form submission
+        if (this.form) {
+            this.form.addEventListener('submit', (e) => this.handleSubmit(e));
 
-    getStoredTheme() {
-        return localStorage.getItem('theme');
-    }
+            // Keep the sky view and visibility on the chosen place, date, time and constellation
+            this.form.addEventListener('change', () => this.refreshLocalViews());
+        }
 
-    getSystemTheme() {
-        return window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark';
-    }
+        // Fill date and time with the current moment
+        const nowBtn = document.getElementById('nowBtn');
+        if (nowBtn) {
+            nowBtn.addEventListener('click', () => this.setObservationNow());
+        }
 
-    setTheme(theme) {
-        document.documentElement.setAttribute('data-theme', theme);
-        localStorage.setItem('theme', theme);
-    }
+        // Suggestion constellation items, rebuilt for each place and night
+        const suggestionsGrid = document.getElementById('suggestionsGrid');
+        if (suggestionsGrid) {
+            suggestionsGrid.addEventListener('click', (e) => {
+                const item = e.target.closest('.suggestion-item');
+                if (item) {
+                    this.selectSuggestedConstellation(item.dataset.constellation);
+                }
+            });
+        }
 
-    toggleTheme() {
-        const currentTheme = document.documentElement.getAttribute('data-theme');
-        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
-        this.setTheme(newTheme);
-        return newTheme;
+        // Action buttons
+        this.setupActionButtons();
     }
-}
 
-/**
- * Animation utilities
- */
-class AnimationManager {
     /**
-     * Animate element entrance
-     * @param {Element} element - Element to animate
-     * @param {string} animation - Animation type
+     * Setup action buttons (download, share, fullscreen)
      */
-    static animateIn(element, animation = 'fadeInUp') {
-        element.style.opacity = '0';
-        element.style.transform = 'translateY(20px)';
-
-        requestAnimationFrame(() => {
-            element.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
-            element.style.opacity = '1';
-            element.style.transform = 'translateY(0)';
-        });
-    }
+    setupActionButtons() {
+        const downloadBtn = document.getElementById('downloadBtn');
+        const shareBtn = document.getElementById('shareBtn');
+        const fullscreenBtn = document.getElementById('fullscreenBtn');
 
-    /**
-     * Animate element exit
-     * @param {Element} element - Element to animate
-     * @param {Function} callback - Callback after animation
-     */
-    static animateOut(element, callback) {
-        element.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
-        element.style.opacity = '0';
-        element.style.transform = 'translateY(-20px)';
-
-        setTimeout(() => {
-            if (callback) callback();
-        }, 300);
-    }
+        if (downloadBtn) {
+            downloadBtn.addEventListener('click', () => this.downloadImage());
+        }
 
-    /**
-     * Pulse animation
-     * @param {Element} element - Element to pulse
-     */
-    static pulse(element) {
-        element.style.transform = 'scale(1.05)';
-        element.style.transition = 'transform 0.15s ease';
+        if (this.localRenderBtn) {
+            this.localRenderBtn.addEventListener('click', () => this.toggleLocalRender());
+        }
 
-        setTimeout(() => {
-            element.style.transform = 'scale(1)';
-        }, 150);
+        if (shareBtn) {
+            shareBtn.addEventListener('click', () => this.shareConstellation());
+        }
+
+        if (fullscreenBtn) {
+            fullscreenBtn.addEventListener('click', () => this.openFullscreen());
+        }
     }
 
     /**
-     * Shake animation for errors
-     * @param {Element} element - Element to shake
+     * Select a suggested constellation
+     * @param {string} constellation - Constellation code
      */
-    static shake(element) {
-        element.style.animation = 'shake 0.5s ease-in-out';
-
-        setTimeout(() => {
-            element.style.animation = '';
-        }, 500);
-    }
-}
+    selectSuggestedConstellation(constellation) {
+        const constellationSelect = document.getElementById('constellation');
+        const styleSelect = document.getElementById('style');
 
-/**
- * Progress bar management
- */
-class ProgressManager {
-    constructor(element) {
-        this.element = element;
-        this.currentProgress = 0;
-    }
+        if (constellationSelect) constellationSelect.value = constellation;
+        if (styleSelect) styleSelect.value = 'default';
+        this.refreshLocalViews();
 
-    /**
-     * Set progress value
-     * @param {number} value - Progress value (0-100)
-     */
-    setProgress(value) {
-        this.currentProgress = Math.max(0, Math.min(100, value));
-        if (this.element) {
-            this.element.style.width = `${this.currentProgress}%`;
+        // Highlight the form briefly
+        const searchCard = document.querySelector('.search-card');
+        if (searchCard) {
+            AnimationManager.pulse(searchCard);
+            this.toast.show(`Constelação ${this.getConstellationName(constellation)} selecionada!`, 'info', 2000);
         }
     }
 
     /**
-     * Animate progress to value
-     * @param {number} targetValue - Target progress value
-     * @param {number} duration - Animation duration in ms
+     * Select a constellation clicked in the sky view and generate its chart
+     * @param {string} constellation - Constellation code
      */
-    animateToProgress(targetValue, duration = 300) {
-        const startValue = this.currentProgress;
-        const difference = targetValue - startValue;
-        const startTime = performance.now();
-
-        const animate = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-
-            const easeOutCubic = 1 - Math.pow(1 - progress, 3);
-            const currentValue = startValue + (difference * easeOutCubic);
+    selectFromSky(constellation) {
+        const constellationSelect = document.getElementById('constellation');
+        if (!constellationSelect || !this.form) return;
 
-            this.setProgress(currentValue);
+        constellationSelect.value = constellation;
+        const constellationSearch = document.getElementById('constellationSearch');
+        if (constellationSearch) this.clearFieldError(constellationSearch);
 
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            }
-        };
+        // Like the suggestions, fall back to the default style so the form can be sent
+        const styleSelect = document.getElementById('style');
+        if (styleSelect && !styleSelect.value) styleSelect.value = 'default';
 
-        requestAnimationFrame(animate);
+        this.refreshLocalViews();
+        this.toast.show(`Constelação ${this.getConstellationName(constellation)} selecionada!`, 'info', 2000);
+        this.form.requestSubmit();
     }
 
     /**
-     * Reset progress to 0
+     * Set the observation date and time to now in the chosen time zone
      */
-    reset() {
-        this.setProgress(0);
-    }
-}
-
-// =============================================================================
-// API MANAGEMENT
-// =============================================================================
-
-/**
- * Custom API Error class
- */
-class APIError extends Error {
-    constructor(message, status, statusText, details) {
-        super(message);
-        this.name = 'APIError';
-        this.status = status;
-        this.statusText = statusText;
-        this.details = details;
-    }
+    setObservationNow() {
+        const dateInput = document.getElementById('date');
+        const timeInput = document.getElementById('time');
+        const { timezone } = this.getFormData();
+        const now = new Date();
 
-    /**
-     * Get user-friendly error message
-     * @returns {string} User-friendly error message
-     */
-    getUserMessage() {
-        switch (this.status) {
-            case 401:
-                return 'Credenciais da API inválidas. Verifique sua Application ID e Secret.';
-            case 403:
-                return 'Acesso negado. Verifique suas permissões da API.';
-            case 429:
-                return 'Limite de requisições excedido. Tente novamente em alguns minutos.';
-            case 422:
-                return 'Dados inválidos enviados para a API. Verifique os parâmetros.';
-            case 500:
-            case 502:
-            case 503:
-            case 504:
-                return 'Erro no servidor da API. Tente novamente mais tarde.';
-            case 0:
-                return 'Erro de conexão. Verifique sua internet e tente novamente.';
-            default:
-                return this.message || 'Erro desconhecido na API.';
+        if (dateInput) {
+            dateInput.value = formatDateInTimeZone(now, timezone);
+            this.clearFieldError(dateInput);
+        }
+        if (timeInput) {
+            timeInput.value = formatTimeInTimeZone(now, timezone);
+            this.clearFieldError(timeInput);
         }
-    }
-
-    /**
-     * Get detailed error information
-     * @returns {Object} Detailed error info
-     */
-    getDetails() {
-        return {
-            message: this.message,
-            status: this.status,
-            statusText: this.statusText,
-            details: this.details,
-            userMessage: this.getUserMessage()
-        };
-    }
-}
 
-/**
- * Astronomy API client
- */
-class AstronomyAPI {
-    constructor() {
-        this.baseUrl = 'https://9nj2r6j9fd.execute-api.sa-east-1.amazonaws.com';
-        // Credenciais fixas da sua API
-        this.authHeader = 'dHllZGZzZGY6dHdyZXQyMzQ=';
+        this.refreshLocalViews();
     }
 
     /**
-     * Make API request
-     * @param {string} endpoint - API endpoint
-     * @param {Object} options - Request options
-     * @returns {Promise<Object>} API response
+     * Refresh everything worked out locally from the form: sky view, visibility and suggestions
      */
-    async request(endpoint, options = {}) {
-        const url = `${this.baseUrl}${endpoint}`;
-
-        const defaultOptions = {
-            method: 'GET',
-            headers: {
-                'Authorization': `Basic ${this.authHeader}`,
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            }
-        };
-
-        const requestOptions = { ...defaultOptions, ...options };
-
-        // Merge headers
-        if (options.headers) {
-            requestOptions.headers = { ...defaultOptions.headers, ...options.headers };
-        }
-
-        try {
-            const response = await fetch(url, requestOptions);
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new APIError(
-                    `API Error: ${response.status} - ${response.statusText}`,
-                    response.status,
-                    response.statusText,
-                    errorData
-                );
-            }
-
-            return await response.json();
-        } catch (error) {
-            if (error instanceof APIError) {
-                throw error;
-            }
+    refreshLocalViews() {
+        const formData = this.getFormData();
+        this.planisphere?.update(formData);
+        this.updateVisibility(formData);
+        this.renderSuggestions(formData);
 
-            // Network or other errors
-            throw new APIError(
-                'Network error or API unavailable',
-                0,
-                'Network Error',
-                { originalError: error.message }
-            );
+        // Show the chosen name, unless the user is still typing a search
+        if (this.constellationSearch && document.activeElement !== this.constellationSearch.input) {
+            this.constellationSearch.sync();
         }
     }
 
     /**
-     * Generate star chart
-     * @param {Object} params - Star chart parameters
-     * @returns {Promise<Object>} Star chart response
+     * Fill the suggestions panel with the best constellations for the place and night
+     * @param {Object} formData - Form data
      */
-    async generateStarChart(params) {
-        const {
-            constellation,
-            style = 'default',
-            latitude,
-            longitude,
-            date
-        } = params;
-
-        // Validate required parameters
-        if (!constellation) {
-            throw new Error('Constellation is required');
-        }
-        if (latitude === undefined || longitude === undefined) {
-            throw new Error('Latitude and longitude are required');
-        }
-        if (!date) {
-            throw new Error('Date is required');
-        }
+    renderSuggestions({ location, date, time, timezone }) {
+        const grid = document.getElementById('suggestionsGrid');
+        const coordinates = parseCoordinates(location || '');
+        if (!grid || !coordinates || !isValidDate(date) || !isValidDate(`${date}T${time}`)) return;
 
-        const requestData = {
-            style: style,
-            observer: {
-                latitude: parseFloat(latitude),
-                longitude: parseFloat(longitude),
-                date: date
-            },
-            view: {
-                type: "constellation",
-                parameters: {
-                    constellation: constellation
-                }
-            }
-        };
+        // Picking a constellation doesn't change the ranking
+        const key = [location, date, time, timezone].join('|');
+        if (key === this.suggestionsKey) return;
+        this.suggestionsKey = key;
 
-        console.log('API Request:', JSON.stringify(requestData, null, 2));
+        const suggestions = tonightSuggestions(coordinates.lat, coordinates.lng, zonedTimeToUtc(date, time, timezone));
+        const [, month, day] = date.split('-');
 
-        const response = await this.request('/constellations', {
-            method: 'POST',
-            body: JSON.stringify(requestData)
-        });
-
-        console.log('API Response:', response);
-
-        if (!response || !response.imageUrl) {
-            throw new Error('Invalid API response: missing image URL');
+        const subtitle = document.getElementById('suggestionsSubtitle');
+        if (subtitle) {
+            subtitle.textContent = `${this.getLocationName(location)}, ${day}/${month} às ${time}. Clique para selecionar.`;
         }
 
-        return response;
-    }
-}
-
-// =============================================================================
-// CONSTELLATION APPLICATION
-// =============================================================================
-
-/**
- * Constellation Charts application
- */
-class ConstellationApp {
-    constructor() {
-        // Initialize API and managers
-        this.astronomyAPI = new AstronomyAPI();
-        this.toast = new ToastManager();
-        this.theme = new ThemeManager();
-
-        // Initialize application
-        this.init();
-        this.setupEventListeners();
-        this.setDefaultDate();
-        this.createInteractiveStars();
+        grid.innerHTML = suggestions.length
+            ? suggestions.map(suggestion => `
+                <button type="button" class="suggestion-item" data-constellation="${suggestion.constellation}">
+                    <div class="suggestion-icon suggestion-altitude" title="Altura às ${time}">${Math.round(suggestion.altitude)}°</div>
+                    <div class="suggestion-content">
+                        <h4>${this.getConstellationName(suggestion.constellation)}</h4>
+                        <p>${this.explainSuggestion(suggestion, time)}</p>
+                    </div>
+                </button>
+            `).join('')
+            : '<p class="suggestions-subtitle">Nenhuma constelação acima do horizonte neste horário.</p>';
     }
 
     /**
-     * Initialize DOM elements and progress manager
+     * Why a constellation is suggested
+     * @param {Object} suggestion - Entry from tonightSuggestions
+     * @param {string} time - Observation time as HH:MM
+     * @returns {string} Explanation
      */
-    init() {
-        // Form elements
-        this.form = document.getElementById('constellationForm');
-        this.searchBtn = document.getElementById('searchBtn');
-
-        // Section elements
-        this.loadingSection = document.getElementById('loadingSection');
-        this.resultsSection = document.getElementById('resultsSection');
-        this.errorSection = document.getElementById('errorSection');
-        this.constellationInfo = document.getElementById('constellationInfo');
+    explainSuggestion({ altitude, darkHours, nightHours, brightest }, time) {
+        const decimal = value => value.toLocaleString('pt-BR', { maximumFractionDigits: 1 });
+        const reasons = [`${Math.round(altitude)}° acima do horizonte às ${time}`];
 
-        // Result elements
-        this.constellationImage = document.getElementById('constellationImage');
-
-        // Progress manager
-        this.progressManager = new ProgressManager(document.getElementById('progressBar'));
-
-        // Current request data
-        this.currentRequest = null;
-    }
-
-    /**
-     * Set default date to today
-     */
-    setDefaultDate() {
-        const dateInput = document.getElementById('date');
-        if (dateInput) {
-            dateInput.value = formatDate(new Date());
+        if (!nightHours) {
+            reasons.push('sem céu totalmente escuro nesta data');
+        } else if (darkHours) {
+            reasons.push(`bem posicionada por ${decimal(darkHours)} h de céu escuro`);
+        } else {
+            reasons.push('baixa durante o céu escuro');
         }
+
+        reasons.push(`destaque: ${brightest.name || `estrela ${brightest.designation}`} (magnitude ${decimal(brightest.magnitude)})`);
+        return reasons.join(' · ');
     }
 
     /**
-     * Setup all event listeners
+     * Visibility of one constellation for the form's place, date and time
+     * @param {Object} formData - Form data
+     * @param {string} constellation - Constellation code (default: the selected one)
+     * @returns {Object|null} Result of constellationVisibility, or null while the form is incomplete
      */
-    setupEventListeners() {
-        // Back to home button
-        const backToHome = document.getElementById('backToHome');
-        if (backToHome) {
-            backToHome.addEventListener('click', () => {
-                window.location.href = 'index.html';
-            });
-        }
-
-        // Form submission
-        if (this.form) {
-            this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+    getVisibility({ constellation: selected, location, date, time, timezone }, constellation = selected) {
+        const coordinates = parseCoordinates(location || '');
+        if (!CONSTELLATIONS[constellation] || !coordinates || !isValidDate(date) || !isValidDate(`${date}T${time}`)) {
+            return null;
         }
 
-        // Theme toggle
-        const themeToggle = document.getElementById('themeToggle');
-        if (themeToggle) {
-            themeToggle.addEventListener('click', () => {
-                const newTheme = this.theme.toggleTheme();
-                this.toast.show(`Tema alterado para ${newTheme === 'light' ? 'claro' : 'escuro'}`, 'info', 2000);
-            });
-        }
-
-        // Suggestion constellation items
-        document.querySelectorAll('.suggestion-item').forEach(item => {
-            item.addEventListener('click', () => {
-                const constellation = item.dataset.constellation;
-                this.selectSuggestedConstellation(constellation);
-            });
-        });
-
-        // Action buttons
-        this.setupActionButtons();
-
-        // Config buttons
-        const retryBtn = document.getElementById('retryBtn');
-        if (retryBtn) {
-            retryBtn.addEventListener('click', () => this.retrySearch());
-        }
+        return constellationVisibility(constellation, coordinates.lat, coordinates.lng, zonedTimeToUtc(date, time, timezone));
     }
 
     /**
-     * Setup action buttons (download, share, fullscreen)
+     * Badge every option of the constellation select by visibility and describe the selected one
+     * @param {Object} formData - Form data
      */
-    setupActionButtons() {
-        const downloadBtn = document.getElementById('downloadBtn');
-        const shareBtn = document.getElementById('shareBtn');
-        const fullscreenBtn = document.getElementById('fullscreenBtn');
+    updateVisibility(formData) {
+        const constellationSelect = document.getElementById('constellation');
+        if (!constellationSelect) return;
 
-        if (downloadBtn) {
-            downloadBtn.addEventListener('click', () => this.downloadImage());
-        }
+        Array.from(constellationSelect.options).forEach(option => {
+            if (!option.value) return;
 
-        if (shareBtn) {
-            shareBtn.addEventListener('click', () => this.shareConstellation());
-        }
+            option.dataset.name = option.dataset.name || option.textContent;
+            const visibility = this.getVisibility(formData, option.value);
+            if (visibility) {
+                option.dataset.visibility = visibility.status;
+                option.textContent = `${option.dataset.name} (${VISIBILITY_LABELS[visibility.status]})`;
+            }
+        });
 
-        if (fullscreenBtn) {
-            fullscreenBtn.addEventListener('click', () => this.openFullscreen());
+        const visibilityInfo = document.getElementById('visibilityInfo');
+        if (visibilityInfo) {
+            const visibility = this.getVisibility(formData);
+            visibilityInfo.className = `visibility-info ${visibility?.status || ''}`.trim();
+            visibilityInfo.textContent = visibility ? this.describeVisibility(visibility, formData.timezone) : '';
         }
     }
 
     /**
-     * Select a suggested constellation
-     * @param {string} constellation - Constellation code
+     * Sentence with a constellation's rise, culmination, set and maximum altitude
+     * @param {Object} visibility - Result of constellationVisibility
+     * @param {string} timeZone - IANA time zone of the times
+     * @returns {string} Description
      */
-    selectSuggestedConstellation(constellation) {
-        const constellationSelect = document.getElementById('constellation');
-        const styleSelect = document.getElementById('style');
-
-        if (constellationSelect) constellationSelect.value = constellation;
-        if (styleSelect) styleSelect.value = 'default';
+    describeVisibility({ status, maxAltitude, culmination, rise, set }, timeZone) {
+        const clock = date => {
+            const [, month, day] = formatDateInTimeZone(date, timeZone).split('-');
+            return `${formatTimeInTimeZone(date, timeZone)} de ${day}/${month}`;
+        };
+        const height = `${Math.round(maxAltitude)}° de altura`;
 
-        // Highlight the form briefly
-        const searchCard = document.querySelector('.search-card');
-        if (searchCard) {
-            AnimationManager.pulse(searchCard);
-            this.toast.show(`Constelação ${this.getConstellationName(constellation)} selecionada!`, 'info', 2000);
+        switch (status) {
+            case 'never':
+                return `Nunca visível deste local: mesmo na culminação fica ${Math.abs(Math.round(maxAltitude))}° abaixo do horizonte.`;
+            case 'circumpolar':
+                return `Circumpolar: sempre acima do horizonte, culmina às ${clock(culmination)} a ${height}.`;
+            default:
+                return `Nasce às ${clock(rise)}, culmina às ${clock(culmination)} a ${height} e se põe às ${clock(set)}.`;
         }
     }
 
     /**
-     * Set button loading state
-     * @param {boolean} loading - Whether to show loading state
+     * Warning for a constellation that can't be seen at the requested time
+     * @param {Object} formData - Form data
+     * @returns {string|null} Warning message, or null when it is above the horizon
      */
-    setButtonLoading(loading) {
-        if (!this.searchBtn) return;
+    getVisibilityWarning(formData) {
+        const visibility = this.getVisibility(formData);
+        if (!visibility || visibility.altitude >= 0) return null;
 
-        if (loading) {
-            this.searchBtn.classList.add('loading');
-            this.searchBtn.disabled = true;
-        } else {
-            this.searchBtn.classList.remove('loading');
-            this.searchBtn.disabled = false;
+        const name = this.getConstellationName(formData.constellation);
+        if (visibility.status === 'never') {
+            return `${name} nunca nasce neste local. O mapa mostrará a constelação abaixo do horizonte.`;
         }
+        return `${name} está abaixo do horizonte às ${formData.time}. ${this.describeVisibility(visibility, formData.timezone)}`;
     }
 
     /**
@@ -755,9 +347,13 @@ class ConstellationApp {
     async handleSubmit(e) {
         e.preventDefault();
 
+        // Cancel any generation still in flight; its response is now stale
+        const request = this.beginRequest();
+
         // Reset all sections and states
         this.hideAllSections();
         this.progressManager.reset();
+        this.clearFieldErrors();
 
         // Get form data
         const formData = this.getFormData();
@@ -769,22 +365,40 @@ class ConstellationApp {
             return;
         }
 
+        // Warn, without blocking the request, when the constellation can't be seen then
+        const visibilityWarning = this.getVisibilityWarning(formData);
+        if (visibilityWarning) {
+            this.toast.show(visibilityWarning, 'warning', 6000);
+        }
+
         // Show loading and start generation
         this.showLoading();
         this.setButtonLoading(true);
 
         try {
-            await this.generateStarChart(formData);
+            await this.generateStarChart(formData, request);
         } catch (error) {
-            console.error('Error generating star chart:', error);
+            if (this.isStaleRequest(request) || (error instanceof APIError && error.isCancellation())) {
+                return;
+            }
+
+            logger.error('Error generating star chart', error);
 
             if (error instanceof APIError) {
+                const invalidFields = this.showFieldErrors(error.details?.errors);
                 this.showError(error.getUserMessage(), this.formatErrorDetails(error));
+
+                // The bundled catalog can draw the chart without the API
+                if (!invalidFields) {
+                    this.showOfflineChart(formData);
+                }
             } else {
                 this.showError('Erro inesperado', error.message);
             }
         } finally {
-            this.setButtonLoading(false);
+            if (!this.isStaleRequest(request)) {
+                this.setButtonLoading(false);
+            }
         }
     }
 
@@ -797,7 +411,9 @@ class ConstellationApp {
             constellation: document.getElementById('constellation')?.value,
             style: document.getElementById('style')?.value,
             location: document.getElementById('location')?.value,
-            date: document.getElementById('date')?.value
+            date: document.getElementById('date')?.value,
+            time: document.getElementById('time')?.value,
+            timezone: document.getElementById('timezone')?.value || getBrowserTimeZone()
         };
     }
 
@@ -807,7 +423,7 @@ class ConstellationApp {
      * @returns {Object} Validation result
      */
     validateFormData(formData) {
-        const { constellation, style, location, date } = formData;
+        const { constellation, style, location, date, time } = formData;
 
         if (!constellation) {
             return { valid: false, message: 'Por favor, selecione uma constelação.' };
@@ -829,6 +445,14 @@ class ConstellationApp {
             return { valid: false, message: 'Formato de data inválido. Use YYYY-MM-DD.' };
         }
 
+        if (!time) {
+            return { valid: false, message: 'Por favor, selecione um horário.' };
+        }
+
+        if (!isValidDate(`${date}T${time}`)) {
+            return { valid: false, message: 'Formato de horário inválido. Use HH:MM.' };
+        }
+
         const coordinates = parseCoordinates(location);
         if (!coordinates) {
             return { valid: false, message: 'Coordenadas de localização inválidas.' };
@@ -840,54 +464,62 @@ class ConstellationApp {
     /**
      * Generate star chart using API
      * @param {Object} formData - Form data
+     * @param {{id: number, signal: AbortSignal}} request - Request handle from beginRequest
      */
-    async generateStarChart(formData) {
-        const { constellation, style, location, date } = formData;
+    async generateStarChart(formData, request) {
+        const { constellation, style, location, date, time, timezone } = formData;
 
         // Parse coordinates
         const coordinates = parseCoordinates(location);
 
         this.progressManager.animateToProgress(25, 500);
 
-        try {
-            // Store current request
-            this.currentRequest = {
-                constellation,
-                style,
-                location,
-                date,
-                coordinates
-            };
-
-            // Make API request
-            const response = await this.astronomyAPI.generateStarChart({
-                constellation,
-                style,
-                latitude: coordinates.lat,
-                longitude: coordinates.lng,
-                date
-            });
+        // Make API request
+        const response = await this.api.starChart({
+            constellation,
+            style,
+            latitude: coordinates.lat,
+            longitude: coordinates.lng,
+            date,
+            time: toZonedTimeString(date, time, timezone)
+        }, {
+            signal: request.signal,
+            onRetry: (retry) => this.showRetry(retry)
+        });
 
-            this.progressManager.animateToProgress(100, 300);
+        if (this.isStaleRequest(request)) return;
 
-            // Wait a bit for progress animation
-            await new Promise(resolve => setTimeout(resolve, 500));
+        this.progressManager.animateToProgress(100, 300);
 
-            // Display results
-            this.displayResults(response.imageUrl);
-        } catch (error) {
-            throw error;
-        }
+        // Wait a bit for progress animation
+        await sleep(500);
+        if (this.isStaleRequest(request)) return;
+
+        // Store current request
+        this.currentRequest = {
+            constellation,
+            style,
+            location,
+            date,
+            time,
+            timezone,
+            coordinates
+        };
+
+        // Display results
+        this.displayResults(response.imageUrl, response);
     }
 
     /**
      * Display results
      * @param {string} imageUrl - Generated image URL
+     * @param {Object} cached - Cache metadata from the API client (fromCache, cachedAt, imageBlob)
      */
-    displayResults(imageUrl) {
+    displayResults(imageUrl, { fromCache = false, cachedAt = null, imageBlob = null } = {}) {
         this.hideAllSections();
+        this.resultsSection?.classList.remove('offline');
 
-        const { constellation, style, location, date } = this.currentRequest;
+        const { constellation } = this.currentRequest;
 
         // Update results title
         const resultsTitle = document.getElementById('resultsTitle');
@@ -901,23 +533,20 @@ class ConstellationApp {
             `;
         }
 
-        // Update image
+        // Update image and overlay
         if (this.constellationImage) {
-            this.constellationImage.src = imageUrl;
             this.constellationImage.alt = `Mapa estelar da constelação ${this.getConstellationName(constellation)}`;
         }
 
-        // Update overlay
         const overlayTitle = document.getElementById('overlayTitle');
-        const overlayDescription = document.getElementById('overlayDescription');
-
         if (overlayTitle) {
             overlayTitle.textContent = this.getConstellationName(constellation);
         }
 
-        if (overlayDescription) {
-            overlayDescription.textContent = `Mapa estelar gerado pela Astronomy API - Estilo: ${style}`;
-        }
+        this.apiResult = { imageUrl, imageBlob };
+        this.setLocalRenderShown(false);
+
+        this.updateCacheIndicator(fromCache ? cachedAt : null);
 
         // Update info cards
         this.updateInfoCards(imageUrl);
@@ -928,131 +557,162 @@ class ConstellationApp {
             AnimationManager.animateIn(this.resultsSection);
         }
 
-        if (this.constellationInfo) {
-            this.constellationInfo.classList.add('show');
+        if (this.infoPanel) {
+            this.infoPanel.classList.add('show');
         }
 
         // Scroll to results
         scrollToElement(this.resultsSection);
 
         // Show success notification
-        this.toast.show('Mapa estelar gerado com sucesso!', 'success');
+        this.toast.show(fromCache ? 'Mapa estelar carregado do cache!' : 'Mapa estelar gerado com sucesso!', 'success');
     }
 
     /**
-     * Update info cards with current request data
-     * @param {string} imageUrl - Generated image URL
+     * Show the locally drawn chart alongside the error when the API fails
+     * @param {Object} formData - Form data of the failed request
      */
-    updateInfoCards(imageUrl) {
-        const { constellation, style, location, date } = this.currentRequest;
+    showOfflineChart(formData) {
+        this.currentRequest = { ...formData, coordinates: parseCoordinates(formData.location) };
+        this.updateCacheIndicator(null);
 
-        // Request details
-        const requestDetails = document.getElementById('requestDetails');
-        if (requestDetails) {
-            const constellationName = this.getConstellationName(constellation);
-            requestDetails.innerHTML = `
-                <p><strong>Constelação:</strong> ${constellationName} (${constellation})</p>
-                <p><strong>Estilo:</strong> ${this.getStyleName(style)}</p>
-                <p><strong>URL da Imagem:</strong> <a href="${imageUrl}" target="_blank" rel="noopener noreferrer" style="color: var(--primary-color); word-break: break-all;">${imageUrl}</a></p>
+        const constellationName = this.getConstellationName(formData.constellation);
+        const resultsTitle = document.getElementById('resultsTitle');
+        if (resultsTitle) {
+            resultsTitle.innerHTML = `
+                <svg class="results-icon" viewBox="0 0 24 24" fill="currentColor">
+                    <path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/>
+                </svg>
+                ${constellationName} (desenhado localmente)
             `;
         }
 
-        // Constellation description
-        const constellationDescription = document.getElementById('constellationDescription');
-        if (constellationDescription) {
-            constellationDescription.textContent = this.getConstellationDescription(constellation);
+        if (this.constellationImage) {
+            this.constellationImage.alt = `Mapa estelar da constelação ${constellationName}`;
         }
 
-        // Location info
-        const locationInfo = document.getElementById('locationInfo');
-        if (locationInfo) {
-            const locationName = this.getLocationName(location);
-            locationInfo.textContent = `${locationName} (${location})`;
+        const overlayTitle = document.getElementById('overlayTitle');
+        if (overlayTitle) {
+            overlayTitle.textContent = constellationName;
         }
 
-        // Date and time info
-        const dateTimeInfo = document.getElementById('dateTimeInfo');
-        if (dateTimeInfo) {
-            const formattedDate = new Date(date).toLocaleDateString('pt-BR');
-            const currentTime = new Date().toLocaleTimeString('pt-BR');
-            dateTimeInfo.textContent = `${formattedDate} - Gerado às ${currentTime}`;
+        // Without the API image the local rendering takes its place
+        this.apiResult = null;
+        this.setLocalRenderShown(true);
+
+        this.updateInfoCards(null);
+
+        if (this.resultsSection) {
+            this.resultsSection.classList.add('offline', 'show');
+        }
+
+        if (this.infoPanel) {
+            this.infoPanel.classList.add('show');
         }
     }
 
     /**
-     * Show loading state
+     * Draw the chart locally for a request
+     * @param {Object} request - Current request (constellation, style, date, time, timezone, coordinates)
+     * @returns {{svg: string, width: number, height: number, instant: Date, center: Object}} Rendering
      */
-    showLoading() {
-        this.hideAllSections();
-        if (this.loadingSection) {
-            this.loadingSection.classList.add('show');
-            AnimationManager.animateIn(this.loadingSection);
-        }
+    renderLocalChart({ constellation, style, date, time, timezone, coordinates }) {
+        return renderStarChartSvg({
+            constellation,
+            style,
+            latitude: coordinates.lat,
+            longitude: coordinates.lng,
+            date,
+            time,
+            timeZone: timezone
+        });
     }
 
     /**
-     * Show error state
-     * @param {string} title - Error title
-     * @param {string} message - Error message
-     * @param {string} details - Error details
+     * Switch the result image between the API image and the local rendering
+     * @param {boolean} local - Whether to show the local rendering
      */
-    showError(title, message, details = '') {
-        this.hideAllSections();
-
-        const errorMessage = document.getElementById('errorMessage');
-        const errorDetails = document.getElementById('errorDetails');
+    setLocalRenderShown(local) {
+        this.showingLocalRender = local;
 
-        if (errorMessage) {
-            errorMessage.textContent = message;
+        if (this.constellationImage) {
+            if (local) {
+                const { svg } = this.renderLocalChart(this.currentRequest);
+                const blob = new Blob([svg], { type: 'image/svg+xml' });
+                this.setResultImage(this.constellationImage, this.apiResult?.imageUrl || null, blob);
+            } else if (this.apiResult) {
+                this.setResultImage(this.constellationImage, this.apiResult.imageUrl, this.apiResult.imageBlob);
+            }
         }
 
-        if (errorDetails) {
-            if (details) {
-                errorDetails.textContent = typeof details === 'string' ? details : JSON.stringify(details, null, 2);
-                errorDetails.style.display = 'block';
-            } else {
-                errorDetails.style.display = 'none';
+        if (this.localRenderBtn) {
+            this.localRenderBtn.setAttribute('aria-pressed', String(local));
+            const label = this.localRenderBtn.querySelector('.btn-label');
+            if (label) {
+                label.textContent = local ? 'Imagem da API' : 'Renderização Local';
             }
         }
 
-        if (this.errorSection) {
-            this.errorSection.classList.add('show');
-            AnimationManager.animateIn(this.errorSection);
+        const overlayDescription = document.getElementById('overlayDescription');
+        if (overlayDescription && this.currentRequest) {
+            overlayDescription.textContent = local
+                ? `Mapa estelar desenhado localmente - Estilo: ${this.currentRequest.style}`
+                : `Mapa estelar gerado pela Astronomy API - Estilo: ${this.currentRequest.style}`;
         }
+    }
 
-        // Show error toast
-        this.toast.show(title, 'error');
+    /**
+     * Toggle between the API image and the local rendering
+     */
+    toggleLocalRender() {
+        if (!this.currentRequest || !this.apiResult) return;
+        this.setLocalRenderShown(!this.showingLocalRender);
     }
 
     /**
-     * Hide all sections
+     * Update info cards with current request data
+     * @param {string|null} imageUrl - Generated image URL, or null when the API failed
      */
-    hideAllSections() {
-        const sections = [this.loadingSection, this.resultsSection, this.errorSection];
+    updateInfoCards(imageUrl) {
+        const { constellation, style, location, time, timezone, coordinates } = this.currentRequest;
+        const { center, instant } = this.renderLocalChart(this.currentRequest);
+        const visibility = constellationVisibility(constellation, coordinates.lat, coordinates.lng, instant);
+        const imageLink = imageUrl
+            ? `<a href="${imageUrl}" target="_blank" rel="noopener noreferrer" style="color: var(--primary-color); word-break: break-all;">${imageUrl}</a>`
+            : 'indisponível (API fora do ar)';
 
-        sections.forEach(section => {
-            if (section) {
-                section.classList.remove('show');
-            }
-        });
+        // Request details
+        const requestDetails = document.getElementById('requestDetails');
+        if (requestDetails) {
+            const constellationName = this.getConstellationName(constellation);
+            requestDetails.innerHTML = `
+                <p><strong>Constelação:</strong> ${constellationName} (${constellation})</p>
+                <p><strong>Estilo:</strong> ${this.getStyleName(style)}</p>
+                <p><strong>Posição no horário da observação:</strong> ${center.altitude >= 0 ? `${Math.round(center.altitude)}° de altura, azimute ${Math.round(center.azimuth)}°` : 'abaixo do horizonte'}</p>
+                <p><strong>Visibilidade:</strong> ${this.describeVisibility(visibility, timezone)}</p>
+                <p><strong>URL da Imagem:</strong> ${imageLink}</p>
+            `;
+        }
 
-        if (this.constellationInfo) {
-            this.constellationInfo.classList.remove('show');
+        // Constellation description
+        const constellationDescription = document.getElementById('constellationDescription');
+        if (constellationDescription) {
+            constellationDescription.innerHTML = this.getConstellationDescription(constellation);
         }
-    }
 
-    /**
-     * Retry search
-     */
-    retrySearch() {
-        this.hideAllSections();
-        this.progressManager.reset();
-        this.setButtonLoading(false);
-        const searchPanel = document.querySelector('.search-panel');
-        if (searchPanel) {
-            scrollToElement(searchPanel);
+        // Location info
+        const locationInfo = document.getElementById('locationInfo');
+        if (locationInfo) {
+            const locationName = this.getLocationName(location);
+            locationInfo.textContent = `${locationName} (${location})`;
+        }
+
+        // Observation date and time, in the chosen time zone
+        const dateTimeInfo = document.getElementById('dateTimeInfo');
+        if (dateTimeInfo) {
+            const formattedDate = instant.toLocaleDateString('pt-BR', { timeZone: timezone });
+            dateTimeInfo.textContent = `${formattedDate} às ${time} - ${formatTimeZoneLabel(timezone, instant)}`;
         }
-        this.toast.show('Pronto para nova busca!', 'info', 2000);
     }
 
     /**
@@ -1067,10 +727,35 @@ class ConstellationApp {
         const constellation = this.currentRequest?.constellation || 'constellation';
         const filename = `star-chart-${constellation}-${Date.now()}.png`;
 
+        if (this.showingLocalRender) {
+            this.downloadLocalBitmap(filename);
+            return;
+        }
+
         downloadFile(this.constellationImage.src, filename);
         this.toast.show('Download iniciado!', 'success');
     }
 
+    /**
+     * Download the local rendering converted to PNG
+     * @param {string} filename - Download file name
+     */
+    async downloadLocalBitmap(filename) {
+        const { svg, width, height } = this.renderLocalChart(this.currentRequest);
+
+        try {
+            const blob = await rasterizeSvg(svg, width, height);
+            const url = URL.createObjectURL(blob);
+            downloadFile(url, filename);
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            this.toast.show('Download iniciado!', 'success');
+        } catch (error) {
+            logger.warn('Could not convert the local rendering', error);
+            downloadFile(this.constellationImage.src, filename.replace(/\.\w+$/, '.svg'));
+            this.toast.show('Conversão indisponível; baixando em SVG.', 'info');
+        }
+    }
+
     /**
      * Share constellation
      */
@@ -1084,7 +769,7 @@ class ConstellationApp {
         const shareData = {
             title: `Mapa Estelar - ${constellationName}`,
             text: `Confira este mapa estelar da constelação ${constellationName}!`,
-            url: this.constellationImage.src
+            url: this.imageUrl
         };
 
         const success = await shareContent(shareData);
@@ -1114,35 +799,6 @@ class ConstellationApp {
         }
     }
 
-    /**
-     * Create interactive stars in background
-     */
-    createInteractiveStars() {
-        const starsContainer = document.querySelector('.stars-container');
-        if (!starsContainer) return;
-
-        const numberOfStars = 100;
-
-        for (let i = 0; i < numberOfStars; i++) {
-            const star = document.createElement('div');
-            star.className = 'interactive-star';
-            star.style.cssText = `
-                position: absolute;
-                width: ${Math.random() * 3 + 1}px;
-                height: ${Math.random() * 3 + 1}px;
-                background: white;
-                border-radius: 50%;
-                top: ${Math.random() * 100}%;
-                left: ${Math.random() * 100}%;
-                animation: twinkle ${Math.random() * 3 + 2}s infinite;
-                animation-delay: ${Math.random() * 2}s;
-                opacity: ${Math.random() * 0.8 + 0.2};
-            `;
-
-            starsContainer.appendChild(star);
-        }
-    }
-
     /**
      * Get constellation name from code
      * @param {string} code - Constellation code
@@ -1152,8 +808,9 @@ class ConstellationApp {
         const constellationSelect = document.getElementById('constellation');
         if (!constellationSelect) return code;
 
+        // Options may carry a visibility badge after the name
         const option = constellationSelect.querySelector(`option[value="${code}"]`);
-        return option ? option.textContent : code;
+        return option ? option.dataset.name || option.textContent : code;
     }
 
     /**
@@ -1185,43 +842,47 @@ class ConstellationApp {
     }
 
     /**
-     * Get constellation description
+     * Get constellation description from the encyclopedia
      * @param {string} constellation - Constellation code
-     * @returns {string} Constellation description
+     * @returns {string} Description HTML
      */
     getConstellationDescription(constellation) {
-        const descriptions = {
-            'ori': 'Órion é uma das constelações mais reconhecíveis do céu noturno, representando um caçador mitológico com seu cinturão de três estrelas.',
-            'uma': 'A Ursa Maior é uma das constelações mais conhecidas, contendo o famoso asterismo da "Grande Carroça" ou "Arado".',
-            'cas': 'Cassiopeia é facilmente reconhecível por sua forma distintiva de "W" ou "M", representando a rainha vaidosa da mitologia grega.',
-            'cyg': 'Cygnus, o Cisne, é uma grande constelação que se estende ao longo da Via Láctea, com Deneb marcando sua cauda.',
-            'leo': 'Leo é uma constelação zodiacal facilmente reconhecível, representando um leão com Regulus como sua estrela mais brilhante.',
-            'sco': 'Scorpius é uma constelação zodiacal que realmente se parece com um escorpião, com Antares como seu "coração" vermelho.'
-        };
-
-        return descriptions[constellation] || 'Uma fascinante constelação do céu noturno com sua própria história e características únicas.';
-    }
-
-    /**
-     * Format error details for display
-     * @param {APIError} error - API error object
-     * @returns {string} Formatted error details
-     */
-    formatErrorDetails(error) {
-        const details = error.getDetails();
-
-        let formatted = `Status: ${details.status} - ${details.statusText}\n`;
-
-        if (details.details && details.details.errors) {
-            formatted += '\nDetalhes da validação:\n';
-            details.details.errors.forEach(err => {
-                formatted += `- ${err.property}: ${err.message}\n`;
-            });
-        } else if (details.details) {
-            formatted += `\nDetalhes: ${JSON.stringify(details.details, null, 2)}`;
-        }
-
-        return formatted;
+        const entry = CONSTELLATION_ENCYCLOPEDIA[constellation];
+        if (!entry) {
+            return '<p>Uma fascinante constelação do céu noturno com sua própria história e características únicas.</p>';
+        }
+
+        const decimal = value => value.toLocaleString('pt-BR', { maximumFractionDigits: 2 });
+        const sizeRank = Object.values(CONSTELLATION_ENCYCLOPEDIA).filter(other => other.area > entry.area).length + 1;
+        const month = new Date(2000, entry.bestMonth - 1, 1).toLocaleDateString('pt-BR', { month: 'long' });
+
+        const stars = entry.brightestStars
+            .map(star => `<li>${star.name} <span class="encyclopedia-magnitude">magnitude ${decimal(star.magnitude)}</span></li>`)
+            .join('');
+        const deepSky = entry.deepSky.length
+            ? `<ul class="encyclopedia-list">${entry.deepSky.map(object => `<li>${object}</li>`).join('')}</ul>`
+            : '<p>Nenhum objeto de destaque para pequenos telescópios.</p>';
+        const asterisms = entry.asterisms.length
+            ? `<h5 class="encyclopedia-heading">Asterismos</h5><p>${entry.asterisms.join(', ')}</p>`
+            : '';
+
+        return `
+            <p class="encyclopedia-names">
+                <strong>${entry.latinName}</strong> (${entry.portugueseName}; em inglês, ${entry.englishName}) · genitivo <em>${entry.genitive}</em> · abreviação ${entry.abbreviation}
+            </p>
+            <dl class="encyclopedia-facts">
+                <div><dt>Área</dt><dd>${decimal(Math.round(entry.area))} graus² (${sizeRank}ª de 88)</dd></div>
+                <div><dt>Melhor mês</dt><dd>${month}, por volta das 21h</dd></div>
+                <div><dt>Hemisfério</dt><dd>${HEMISPHERE_LABELS[entry.hemisphere]}</dd></div>
+            </dl>
+            <h5 class="encyclopedia-heading">Estrelas mais brilhantes</h5>
+            <ul class="encyclopedia-list">${stars}</ul>
+            <h5 class="encyclopedia-heading">Céu profundo</h5>
+            ${deepSky}
+            ${asterisms}
+            <h5 class="encyclopedia-heading">Mitologia e origem</h5>
+            <p>${entry.mythology}</p>
+        `;
     }
 }
 
@@ -0,0 +1,1279 @@
+/**
+ * Stars for Starlikers - Shared Core
+ * @fileoverview Utilities, UI managers and base page class shared by every page.
+ * Loaded as a classic script before the page script so everything stays global.
+ */
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+/**
+ * Debounce function to limit the rate of function execution
+ * @param {Function} func - The function to debounce
+ * @param {number} wait - The number of milliseconds to delay
+ * @param {boolean} immediate - Whether to execute immediately
+ * @returns {Function} The debounced function
+ */
+function debounce(func, wait, immediate) {
+    let timeout;
+    return function executedFunction(...args) {
+        const later = () => {
+            timeout = null;
+            if (!immediate) func(...args);
+        };
+        const callNow = immediate && !timeout;
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+        if (callNow) func(...args);
+    };
+}
+
+/**
+ * Throttle function to limit the rate of function execution
+ * @param {Function} func - The function to throttle
+ * @param {number} limit - The number of milliseconds to limit
+ * @returns {Function} The throttled function
+ */
+function throttle(func, limit) {
+    let inThrottle;
+    return function(...args) {
+        if (!inThrottle) {
+            func.apply(this, args);
+            inThrottle = true;
+            setTimeout(() => inThrottle = false, limit);
+        }
+    };
+}
+
+/**
+ * Format date to YYYY-MM-DD format
+ * @param {Date} date - The date to format
+ * @returns {string} Formatted date string
+ */
+function formatDate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Validate date format (YYYY-MM-DD) or ISO datetime (YYYY-MM-DDTHH:MM[:SS][Z|±HH:MM])
+ * @param {string} dateString - The date string to validate
+ * @returns {boolean} Whether the date is valid
+ */
+function isValidDate(dateString) {
+    const dateRegex = /^\d{4}-\d{2}-\d{2}(T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d{1,3})?)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d)?)?$/;
+    if (!dateRegex.test(dateString)) return false;
+
+    const date = new Date(dateString);
+    return date instanceof Date && !isNaN(date);
+}
+
+/**
+ * Get the browser's IANA time zone
+ * @returns {string} Time zone name
+ */
+function getBrowserTimeZone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch (error) {
+        return 'UTC';
+    }
+}
+
+/**
+ * List the IANA time zones the browser knows, falling back to fixed UTC offsets
+ * @returns {Array<string>} Time zone names
+ */
+function getTimeZones() {
+    if (typeof Intl.supportedValuesOf === 'function') {
+        return ['UTC', ...Intl.supportedValuesOf('timeZone').filter(zone => zone !== 'UTC')];
+    }
+
+    // Etc/GMT zones have inverted signs: Etc/GMT+3 is UTC-03:00
+    return ['UTC', ...Array.from({ length: 26 }, (_, i) => i - 12)
+        .filter(offset => offset !== 0)
+        .map(offset => `Etc/GMT${offset > 0 ? '-' : '+'}${Math.abs(offset)}`)];
+}
+
+/**
+ * Offset of a time zone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in minutes (UTC-03:00 is -180)
+ */
+function getTimeZoneOffset(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+    const get = type => Number(parts.find(part => part.type === type).value);
+    const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+
+    return (wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000;
+}
+
+/**
+ * Convert a wall-clock date and time in a time zone to an instant
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {string} time - Time as HH:MM
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+function zonedTimeToUtc(date, time = '00:00', timeZone = 'UTC') {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+    // A second pass settles instants next to a DST change
+    let instant = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone) * 60000;
+    instant = wallClock - getTimeZoneOffset(new Date(instant), timeZone) * 60000;
+
+    return new Date(instant);
+}
+
+/**
+ * Instants bounding a calendar day in a time zone (23 or 25 hours long across DST changes)
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {string} timeZone - IANA time zone
+ * @returns {{start: Date, end: Date}} Local midnight and the next one
+ */
+function getZonedDayRange(date, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const nextDate = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().split('T')[0];
+
+    return {
+        start: zonedTimeToUtc(date, '00:00', timeZone),
+        end: zonedTimeToUtc(nextDate, '00:00', timeZone)
+    };
+}
+
+/**
+ * Calendar date of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function formatDateInTimeZone(date, timeZone) {
+    return new Date(date.getTime() + getTimeZoneOffset(date, timeZone) * 60000).toISOString().split('T')[0];
+}
+
+/**
+ * Wall-clock time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Time as HH:MM
+ */
+function formatTimeInTimeZone(date, timeZone) {
+    return new Date(date.getTime() + getTimeZoneOffset(date, timeZone) * 60000).toISOString().slice(11, 16);
+}
+
+/**
+ * Format a UTC offset
+ * @param {number} offset - Offset in minutes
+ * @returns {string} Offset such as "-03:00"
+ */
+function formatUtcOffset(offset) {
+    const sign = offset < 0 ? '-' : '+';
+    const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+    const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+
+    return `${sign}${hours}:${minutes}`;
+}
+
+/**
+ * Label of a time zone with its current UTC offset
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} date - Instant used for the offset
+ * @returns {string} Label such as "America/Sao_Paulo (UTC-03:00)"
+ */
+function formatTimeZoneLabel(timeZone, date = new Date()) {
+    return `${timeZone.replace(/_/g, ' ')} (UTC${formatUtcOffset(getTimeZoneOffset(date, timeZone))})`;
+}
+
+/**
+ * ISO 8601 time of a wall-clock date and time in a time zone, with the offset in effect then
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {string} time - Time as HH:MM
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Time such as "22:00:00-03:00"
+ */
+function toZonedTimeString(date, time, timeZone) {
+    const offset = getTimeZoneOffset(zonedTimeToUtc(date, time, timeZone), timeZone);
+    return `${time}:00${formatUtcOffset(offset)}`;
+}
+
+/**
+ * Parse coordinates from string format "lat,lng"
+ * @param {string} coordString - The coordinate string
+ * @returns {Object|null} Object with lat and lng properties or null if invalid
+ */
+function parseCoordinates(coordString) {
+    if (!coordString || typeof coordString !== 'string') return null;
+
+    const parts = coordString.split(',');
+    if (parts.length !== 2) return null;
+
+    const lat = parseFloat(parts[0].trim());
+    const lng = parseFloat(parts[1].trim());
+
+    if (isNaN(lat) || isNaN(lng)) return null;
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+
+    return { lat, lng };
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Optional signal that cancels the wait
+ * @returns {Promise<void>} Resolves after the delay, rejects with AbortError if cancelled
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('Aborted', 'AbortError'));
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('Aborted', 'AbortError'));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Generate a unique ID
+ * @returns {string} Unique identifier
+ */
+function generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+/**
+ * Copy text to clipboard
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} Success status
+ */
+async function copyToClipboard(text) {
+    try {
+        if (navigator.clipboard && window.isSecureContext) {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } else {
+            // Fallback for older browsers
+            const textArea = document.createElement('textarea');
+            textArea.value = text;
+            textArea.style.position = 'fixed';
+            textArea.style.left = '-999999px';
+            textArea.style.top = '-999999px';
+            document.body.appendChild(textArea);
+            textArea.focus();
+            textArea.select();
+            const success = document.execCommand('copy');
+            textArea.remove();
+            return success;
+        }
+    } catch (error) {
+        console.error('Failed to copy text:', error);
+        return false;
+    }
+}
+
+/**
+ * Download file from URL
+ * @param {string} url - File URL
+ * @param {string} filename - Desired filename
+ */
+function downloadFile(url, filename) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
+/**
+ * Escape text for use inside SVG markup
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeSvgText(text) {
+    return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+}
+
+/**
+ * Round a coordinate for compact SVG output
+ * @param {number} value - Coordinate
+ * @returns {number} Value rounded to 0.01
+ */
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Convert an SVG document to a bitmap through a canvas
+ * @param {string} svg - SVG document
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @param {string} type - Output MIME type ('image/png' or 'image/jpeg')
+ * @returns {Promise<Blob>} Bitmap image
+ */
+function rasterizeSvg(svg, width, height, type = 'image/png') {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+        const image = new Image();
+
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const context = canvas.getContext('2d');
+
+            // JPEG has no alpha channel; transparent backgrounds turn black otherwise
+            if (type === 'image/jpeg') {
+                context.fillStyle = '#ffffff';
+                context.fillRect(0, 0, width, height);
+            }
+
+            context.drawImage(image, 0, 0, width, height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas export failed'))), type, 0.92);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not load the SVG'));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Check if device supports sharing
+ * @returns {boolean} Whether native sharing is supported
+ */
+function canShare() {
+    return navigator.share && typeof navigator.share === 'function';
+}
+
+/**
+ * Share content using native sharing or fallback
+ * @param {Object} shareData - Data to share
+ * @returns {Promise<boolean>} Success status
+ */
+async function shareContent(shareData) {
+    try {
+        if (canShare()) {
+            await navigator.share(shareData);
+            return true;
+        } else {
+            // Fallback: copy to clipboard
+            const shareText = `${shareData.title}\n${shareData.text}\n${shareData.url}`;
+            return await copyToClipboard(shareText);
+        }
+    } catch (error) {
+        console.error('Failed to share:', error);
+        return false;
+    }
+}
+
+/**
+ * Scroll to element smoothly
+ * @param {Element|string} target - Element or selector to scroll to
+ * @param {Object} options - Scroll options
+ */
+function scrollToElement(target, options = {}) {
+    const element = typeof target === 'string' ? document.querySelector(target) : target;
+    if (!element) return;
+
+    const defaultOptions = {
+        behavior: 'smooth',
+        block: 'start',
+        inline: 'nearest'
+    };
+
+    element.scrollIntoView({ ...defaultOptions, ...options });
+}
+
+// =============================================================================
+// UI MANAGEMENT CLASSES
+// =============================================================================
+
+/**
+ * Toast notification system
+ */
+class ToastManager {
+    constructor() {
+        this.container = document.getElementById('toastContainer');
+        if (!this.container) {
+            this.container = document.createElement('div');
+            this.container.id = 'toastContainer';
+            this.container.className = 'toast-container';
+            document.body.appendChild(this.container);
+        }
+    }
+
+    /**
+     * Show a toast notification
+     * @param {string} message - Message to display
+     * @param {string} type - Toast type (success, error, warning, info)
+     * @param {number} duration - Duration in milliseconds
+     */
+    show(message, type = 'info', duration = 4000) {
+        const toast = document.createElement('div');
+        const id = generateId();
+
+        toast.id = id;
+        toast.className = `toast toast-${type}`;
+
+        const icon = this.getIcon(type);
+        toast.innerHTML = `
+            <svg class="toast-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                ${icon}
+            </svg>
+            <span>${message}</span>
+        `;
+
+        this.container.appendChild(toast);
+
+        // Trigger animation
+        requestAnimationFrame(() => {
+            toast.classList.add('show');
+        });
+
+        // Auto remove
+        setTimeout(() => {
+            this.remove(id);
+        }, duration);
+
+        return id;
+    }
+
+    /**
+     * Remove a toast notification
+     * @param {string} id - Toast ID to remove
+     */
+    remove(id) {
+        const toast = document.getElementById(id);
+        if (!toast) return;
+
+        toast.classList.remove('show');
+        setTimeout(() => {
+            if (toast.parentNode) {
+                toast.parentNode.removeChild(toast);
+            }
+        }, 300);
+    }
+
+    /**
+     * Get icon SVG for toast type
+     * @param {string} type - Toast type
+     * @returns {string} SVG path
+     */
+    getIcon(type) {
+        const icons = {
+            success: '<path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22,4 12,14.01 9,11.01"/>',
+            error: '<circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/>',
+            warning: '<path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/>',
+            info: '<circle cx="12" cy="12" r="10"/><path d="M12 16v-4"/><path d="M12 8h.01"/>'
+        };
+        return icons[type] || icons.info;
+    }
+}
+
+/**
+ * Theme management
+ */
+class ThemeManager {
+    constructor() {
+        this.init();
+    }
+
+    init() {
+        // Set initial theme
+        const theme = this.getStoredTheme() || this.getSystemTheme();
+        this.setTheme(theme);
+
+        // Listen for system theme changes
+        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
+            if (!this.getStoredTheme()) {
+                this.setTheme(e.matches ? 'dark' : 'light');
+            }
+        });
+    }
+
+    getStoredTheme() {
+        return localStorage.getItem('theme');
+    }
+
+    getSystemTheme() {
+        return window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark';
+    }
+
+    setTheme(theme) {
+        document.documentElement.setAttribute('data-theme', theme);
+        localStorage.setItem('theme', theme);
+    }
+
+    toggleTheme() {
+        const currentTheme = document.documentElement.getAttribute('data-theme');
+        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+        this.setTheme(newTheme);
+        return newTheme;
+    }
+}
+
+/**
+ * Loading state management
+ */
+class LoadingManager {
+    constructor() {
+        this.activeLoaders = new Set();
+    }
+
+    /**
+     * Show loading state
+     * @param {string} id - Unique loader ID
+     * @param {Element} element - Element to show loading on
+     */
+    show(id, element) {
+        this.activeLoaders.add(id);
+        if (element) {
+            element.classList.add('loading');
+            element.disabled = true;
+        }
+    }
+
+    /**
+     * Hide loading state
+     * @param {string} id - Loader ID to hide
+     * @param {Element} element - Element to hide loading from
+     */
+    hide(id, element) {
+        this.activeLoaders.delete(id);
+        if (element) {
+            element.classList.remove('loading');
+            element.disabled = false;
+        }
+    }
+
+    /**
+     * Check if any loaders are active
+     * @returns {boolean} Whether any loaders are active
+     */
+    isLoading() {
+        return this.activeLoaders.size > 0;
+    }
+}
+
+/**
+ * Modal management
+ */
+class ModalManager {
+    constructor() {
+        this.activeModals = new Set();
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // Close modal on Escape key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeAll();
+            }
+        });
+    }
+
+    /**
+     * Open a modal
+     * @param {string} modalId - Modal element ID
+     */
+    open(modalId) {
+        const modal = document.getElementById(modalId);
+        if (!modal) return;
+
+        this.activeModals.add(modalId);
+        modal.classList.add('show');
+        document.body.style.overflow = 'hidden';
+
+        // Focus trap
+        this.trapFocus(modal);
+    }
+
+    /**
+     * Close a modal
+     * @param {string} modalId - Modal element ID
+     */
+    close(modalId) {
+        const modal = document.getElementById(modalId);
+        if (!modal) return;
+
+        this.activeModals.delete(modalId);
+        modal.classList.remove('show');
+
+        if (this.activeModals.size === 0) {
+            document.body.style.overflow = '';
+        }
+    }
+
+    /**
+     * Close all modals
+     */
+    closeAll() {
+        this.activeModals.forEach(modalId => {
+            this.close(modalId);
+        });
+    }
+
+    /**
+     * Trap focus within modal
+     * @param {Element} modal - Modal element
+     */
+    trapFocus(modal) {
+        const focusableElements = modal.querySelectorAll(
+            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        );
+
+        if (focusableElements.length === 0) return;
+
+        const firstElement = focusableElements[0];
+        const lastElement = focusableElements[focusableElements.length - 1];
+
+        const handleTabKey = (e) => {
+            if (e.key !== 'Tab') return;
+
+            if (e.shiftKey) {
+                if (document.activeElement === firstElement) {
+                    lastElement.focus();
+                    e.preventDefault();
+                }
+            } else {
+                if (document.activeElement === lastElement) {
+                    firstElement.focus();
+                    e.preventDefault();
+                }
+            }
+        };
+
+        modal.addEventListener('keydown', handleTabKey);
+        firstElement.focus();
+    }
+}
+
+/**
+ * Animation utilities
+ */
+class AnimationManager {
+    /**
+     * Animate element entrance
+     * @param {Element} element - Element to animate
+     * @param {string} animation - Animation type
+     */
+    static animateIn(element, animation = 'fadeInUp') {
+        element.style.opacity = '0';
+        element.style.transform = 'translateY(20px)';
+
+        requestAnimationFrame(() => {
+            element.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
+            element.style.opacity = '1';
+            element.style.transform = 'translateY(0)';
+        });
+    }
+
+    /**
+     * Animate element exit
+     * @param {Element} element - Element to animate
+     * @param {Function} callback - Callback after animation
+     */
+    static animateOut(element, callback) {
+        element.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
+        element.style.opacity = '0';
+        element.style.transform = 'translateY(-20px)';
+
+        setTimeout(() => {
+            if (callback) callback();
+        }, 300);
+    }
+
+    /**
+     * Pulse animation
+     * @param {Element} element - Element to pulse
+     */
+    static pulse(element) {
+        element.style.transform = 'scale(1.05)';
+        element.style.transition = 'transform 0.15s ease';
+
+        setTimeout(() => {
+            element.style.transform = 'scale(1)';
+        }, 150);
+    }
+
+    /**
+     * Shake animation for errors
+     * @param {Element} element - Element to shake
+     */
+    static shake(element) {
+        element.style.animation = 'shake 0.5s ease-in-out';
+
+        setTimeout(() => {
+            element.style.animation = '';
+        }, 500);
+    }
+}
+
+/**
+ * Progress bar management
+ */
+class ProgressManager {
+    constructor(element) {
+        this.element = element;
+        this.currentProgress = 0;
+    }
+
+    /**
+     * Set progress value
+     * @param {number} value - Progress value (0-100)
+     */
+    setProgress(value) {
+        this.currentProgress = Math.max(0, Math.min(100, value));
+        if (this.element) {
+            this.element.style.width = `${this.currentProgress}%`;
+        }
+    }
+
+    /**
+     * Animate progress to value
+     * @param {number} targetValue - Target progress value
+     * @param {number} duration - Animation duration in ms
+     */
+    animateToProgress(targetValue, duration = 300) {
+        const startValue = this.currentProgress;
+        const difference = targetValue - startValue;
+        const startTime = performance.now();
+
+        const animate = (currentTime) => {
+            const elapsed = currentTime - startTime;
+            const progress = Math.min(elapsed / duration, 1);
+
+            const easeOutCubic = 1 - Math.pow(1 - progress, 3);
+            const currentValue = startValue + (difference * easeOutCubic);
+
+            this.setProgress(currentValue);
+
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            }
+        };
+
+        requestAnimationFrame(animate);
+    }
+
+    /**
+     * Reset progress to 0
+     */
+    reset() {
+        this.setProgress(0);
+    }
+}
+
+// =============================================================================
+// API MANAGEMENT
+// =============================================================================
+
+/**
+ * Custom API Error class
+ */
+class APIError extends Error {
+    constructor(message, status, statusText, details) {
+        super(message);
+        this.name = 'APIError';
+        this.status = status;
+        this.statusText = statusText;
+        this.details = details;
+    }
+
+    /**
+     * Get user-friendly error message
+     * @returns {string} User-friendly error message
+     */
+    getUserMessage() {
+        switch (this.status) {
+            case 401:
+                return 'Sessão da API expirada ou não autorizada. Recarregue a página e tente novamente.';
+            case 403:
+                return 'Acesso negado. Verifique suas permissões da API.';
+            case 429:
+                return 'Limite de requisições excedido. Tente novamente em alguns minutos.';
+            case 422:
+                if (this.statusText === 'Client Validation') {
+                    return 'Alguns campos têm valores inválidos. Corrija os campos destacados no formulário.';
+                }
+                return 'Dados inválidos enviados para a API. Verifique os parâmetros.';
+            case 408:
+                return 'A API demorou demais para responder. Tente novamente.';
+            case 499:
+                return 'Requisição cancelada.';
+            case 500:
+            case 502:
+            case 503:
+            case 504:
+                return 'Erro no servidor da API. Tente novamente mais tarde.';
+            case 0:
+                return 'Erro de conexão. Verifique sua internet e tente novamente.';
+            default:
+                return this.message || 'Erro desconhecido na API.';
+        }
+    }
+
+    /**
+     * Check whether the request was cancelled by the client
+     * @returns {boolean} Whether this error represents a cancellation
+     */
+    isCancellation() {
+        return this.status === 499;
+    }
+
+    /**
+     * Get detailed error information
+     * @returns {Object} Detailed error info
+     */
+    getDetails() {
+        return {
+            message: this.message,
+            status: this.status,
+            statusText: this.statusText,
+            details: this.details,
+            userMessage: this.getUserMessage()
+        };
+    }
+}
+
+// =============================================================================
+// PAGE BASE CLASS
+// =============================================================================
+
+/**
+ * Behaviour shared by every page application (theme, sections, errors)
+ */
+class PageApp {
+    constructor() {
+        this.toast = new ToastManager();
+        this.theme = new ThemeManager();
+    }
+
+    /**
+     * Initialize the DOM elements common to the generator pages
+     * @param {string} formId - ID of the page form
+     * @param {string} infoPanelId - ID of the info panel inside the results
+     */
+    init(formId, infoPanelId) {
+        // Form elements
+        this.form = document.getElementById(formId);
+        this.searchBtn = document.getElementById('searchBtn');
+
+        // Section elements
+        this.loadingSection = document.getElementById('loadingSection');
+        this.resultsSection = document.getElementById('resultsSection');
+        this.errorSection = document.getElementById('errorSection');
+        this.infoPanel = document.getElementById(infoPanelId);
+        this.cacheBadge = document.getElementById('cacheBadge');
+
+        // Progress manager
+        this.progressManager = new ProgressManager(document.getElementById('progressBar'));
+        this.loadingText = this.loadingSection?.querySelector('.loading-text');
+        this.defaultLoadingText = this.loadingText?.textContent;
+
+        // Maps API payload properties (e.g. observer.date) to form input IDs
+        this.fieldMap = {};
+
+        // Current request data
+        this.currentRequest = null;
+        this.imageUrl = null;
+        this.objectUrl = null;
+
+        // In-flight generation request
+        this.abortController = null;
+        this.requestCounter = 0;
+    }
+
+    /**
+     * Set default date to today
+     */
+    setDefaultDate() {
+        const dateInput = document.getElementById('date');
+        if (dateInput) {
+            dateInput.value = formatDate(new Date());
+        }
+    }
+
+    /**
+     * Fill the time zone select, preselecting the browser's zone
+     * @param {string} selectId - ID of the select element
+     */
+    setupTimeZoneSelect(selectId = 'timezone') {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+
+        const browserZone = getBrowserTimeZone();
+        const now = new Date();
+        const zones = [browserZone, ...getTimeZones().filter(zone => zone !== browserZone)];
+
+        select.innerHTML = '';
+        zones.forEach(zone => {
+            const option = document.createElement('option');
+            option.value = zone;
+            option.textContent = zone === browserZone
+                ? `${formatTimeZoneLabel(zone, now)} - navegador`
+                : formatTimeZoneLabel(zone, now);
+            select.appendChild(option);
+        });
+        select.value = browserZone;
+    }
+
+    /**
+     * Setup the listeners every page has (back button, theme toggle, retry)
+     */
+    setupCommonListeners() {
+        // Back to home button
+        const backToHome = document.getElementById('backToHome');
+        if (backToHome) {
+            backToHome.addEventListener('click', () => {
+                window.location.href = 'index.html';
+            });
+        }
+
+        // Theme toggle
+        const themeToggle = document.getElementById('themeToggle');
+        if (themeToggle) {
+            themeToggle.addEventListener('click', () => {
+                const newTheme = this.theme.toggleTheme();
+                this.toast.show(`Tema alterado para ${newTheme === 'light' ? 'claro' : 'escuro'}`, 'info', 2000);
+            });
+        }
+
+        // Retry button
+        const retryBtn = document.getElementById('retryBtn');
+        if (retryBtn) {
+            retryBtn.addEventListener('click', () => this.retrySearch());
+        }
+
+        // Editing a field clears its validation message
+        if (this.form) {
+            this.form.addEventListener('change', (e) => this.clearFieldError(e.target));
+            this.form.addEventListener('input', (e) => this.clearFieldError(e.target));
+        }
+
+        // Leaving the page cancels any request still running
+        window.addEventListener('pagehide', () => this.cancelPendingRequest());
+    }
+
+    /**
+     * Start a new generation request, cancelling the previous one
+     * @returns {{id: number, signal: AbortSignal}} Handle of the new request
+     */
+    beginRequest() {
+        this.cancelPendingRequest();
+        this.abortController = new AbortController();
+        this.requestCounter++;
+
+        return { id: this.requestCounter, signal: this.abortController.signal };
+    }
+
+    /**
+     * Abort the request in flight, if any
+     */
+    cancelPendingRequest() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+    }
+
+    /**
+     * Check whether a newer request has replaced this one
+     * @param {{id: number}} request - Request handle from beginRequest
+     * @returns {boolean} Whether the request is stale
+     */
+    isStaleRequest(request) {
+        return request.id !== this.requestCounter;
+    }
+
+    /**
+     * Set button loading state
+     * @param {boolean} loading - Whether to show loading state
+     */
+    setButtonLoading(loading) {
+        if (!this.searchBtn) return;
+
+        if (loading) {
+            this.searchBtn.classList.add('loading');
+            this.searchBtn.disabled = true;
+        } else {
+            this.searchBtn.classList.remove('loading');
+            this.searchBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Show loading state
+     */
+    showLoading() {
+        this.hideAllSections();
+        if (this.loadingText) {
+            this.loadingText.textContent = this.defaultLoadingText;
+        }
+        if (this.loadingSection) {
+            this.loadingSection.classList.add('show');
+            AnimationManager.animateIn(this.loadingSection);
+        }
+    }
+
+    /**
+     * Reflect an automatic retry in the loading section
+     * @param {Object} retry - Retry information from the API client
+     * @param {number} retry.attempt - Attempt about to start
+     * @param {number} retry.maxAttempts - Maximum number of attempts
+     * @param {number} retry.delay - Milliseconds until the attempt
+     */
+    showRetry({ attempt, maxAttempts, delay }) {
+        if (this.loadingText) {
+            const seconds = (delay / 1000).toFixed(1).replace('.', ',');
+            this.loadingText.textContent = `API indisponível no momento. Tentativa ${attempt} de ${maxAttempts} em ${seconds}s...`;
+        }
+
+        // Spread the attempts over the middle of the progress bar
+        this.progressManager.animateToProgress(25 + ((attempt - 1) / maxAttempts) * 50, delay);
+    }
+
+    /**
+     * Show error state
+     * @param {string} title - Error title
+     * @param {string} message - Error message
+     * @param {string|Object} details - Error details
+     */
+    showError(title, message, details = '') {
+        this.hideAllSections();
+
+        const errorTitle = this.errorSection?.querySelector('.error-title');
+        const errorMessage = document.getElementById('errorMessage');
+        const errorDetails = document.getElementById('errorDetails');
+
+        if (errorTitle) {
+            errorTitle.textContent = title;
+        }
+
+        if (errorMessage) {
+            errorMessage.textContent = message;
+        }
+
+        if (errorDetails) {
+            if (details) {
+                errorDetails.textContent = typeof details === 'string' ? details : JSON.stringify(details, null, 2);
+                errorDetails.style.display = 'block';
+            } else {
+                errorDetails.style.display = 'none';
+            }
+        }
+
+        if (this.errorSection) {
+            this.errorSection.classList.add('show');
+            AnimationManager.animateIn(this.errorSection);
+        }
+
+        // Show error toast
+        this.toast.show(title, 'error');
+    }
+
+    /**
+     * Show validation errors next to the form inputs they refer to
+     * @param {Array<{property: string, message: string}>} errors - Errors from the schema or the API
+     * @returns {number} Number of inputs marked
+     */
+    showFieldErrors(errors) {
+        this.clearFieldErrors();
+        if (!Array.isArray(errors)) return 0;
+
+        const messages = {};
+        errors.forEach(({ property, message }) => {
+            const inputId = this.fieldMap[property];
+            if (inputId && document.getElementById(inputId)) {
+                (messages[inputId] = messages[inputId] || []).push(message);
+            }
+        });
+
+        Object.entries(messages).forEach(([inputId, list]) => {
+            const input = document.getElementById(inputId);
+            const message = document.createElement('p');
+            message.className = 'field-error';
+            message.id = `${inputId}-error`;
+            message.setAttribute('role', 'alert');
+            message.textContent = [...new Set(list)].join('; ');
+
+            input.classList.add('invalid');
+            input.setAttribute('aria-invalid', 'true');
+            input.setAttribute('aria-describedby', message.id);
+            input.insertAdjacentElement('afterend', message);
+        });
+
+        return Object.keys(messages).length;
+    }
+
+    /**
+     * Remove the validation message of one input
+     * @param {HTMLElement} input - Form input
+     */
+    clearFieldError(input) {
+        if (!input || !input.classList || !input.classList.contains('invalid')) return;
+
+        input.classList.remove('invalid');
+        input.removeAttribute('aria-invalid');
+        input.removeAttribute('aria-describedby');
+        document.getElementById(`${input.id}-error`)?.remove();
+    }
+
+    /**
+     * Remove every validation message from the form
+     */
+    clearFieldErrors() {
+        this.form?.querySelectorAll('.invalid').forEach(input => this.clearFieldError(input));
+    }
+
+    /**
+     * Hide all sections
+     */
+    hideAllSections() {
+        const sections = [this.loadingSection, this.resultsSection, this.errorSection];
+
+        sections.forEach(section => {
+            if (section) {
+                section.classList.remove('show');
+            }
+        });
+
+        if (this.infoPanel) {
+            this.infoPanel.classList.remove('show');
+        }
+    }
+
+    /**
+     * Show a generated image, preferring the bytes stored in the response cache
+     * @param {HTMLImageElement} image - Result image element
+     * @param {string} imageUrl - Generated image URL
+     * @param {Blob|null} imageBlob - Cached image bytes
+     */
+    setResultImage(image, imageUrl, imageBlob = null) {
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+
+        this.imageUrl = imageUrl;
+
+        if (!image) return;
+
+        if (imageBlob) {
+            this.objectUrl = URL.createObjectURL(imageBlob);
+            image.src = this.objectUrl;
+        } else {
+            image.src = imageUrl;
+        }
+    }
+
+    /**
+     * Show or hide the "served from cache" badge in the results header
+     * @param {number|null} cachedAt - When the cached entry was stored, or null for a fresh result
+     */
+    updateCacheIndicator(cachedAt) {
+        if (!this.cacheBadge) return;
+
+        this.cacheBadge.hidden = !cachedAt;
+        if (cachedAt) {
+            const storedAt = new Date(cachedAt);
+            this.cacheBadge.title = `Resultado salvo em ${storedAt.toLocaleDateString('pt-BR')} às ${storedAt.toLocaleTimeString('pt-BR')}`;
+        }
+    }
+
+    /**
+     * Retry search
+     */
+    retrySearch() {
+        this.hideAllSections();
+        this.progressManager?.reset();
+        this.setButtonLoading(false);
+        const searchPanel = document.querySelector('.search-panel');
+        if (searchPanel) {
+            scrollToElement(searchPanel);
+        }
+        this.toast.show('Pronto para nova busca!', 'info', 2000);
+    }
+
+    /**
+     * Create interactive stars in background
+     */
+    createInteractiveStars() {
+        const starsContainer = document.querySelector('.stars-container');
+        if (!starsContainer) return;
+
+        const numberOfStars = 100;
+
+        for (let i = 0; i < numberOfStars; i++) {
+            const star = document.createElement('div');
+            star.className = 'interactive-star';
+            star.style.cssText = `
+                position: absolute;
+                width: ${Math.random() * 3 + 1}px;
+                height: ${Math.random() * 3 + 1}px;
+                background: white;
+                border-radius: 50%;
+                top: ${Math.random() * 100}%;
+                left: ${Math.random() * 100}%;
+                animation: twinkle ${Math.random() * 3 + 2}s infinite;
+                animation-delay: ${Math.random() * 2}s;
+                opacity: ${Math.random() * 0.8 + 0.2};
+            `;
+
+            starsContainer.appendChild(star);
+        }
+    }
+
+    /**
+     * Format error details for display
+     * @param {APIError} error - API error object
+     * @returns {string} Formatted error details
+     */
+    formatErrorDetails(error) {
+        const details = error.getDetails();
+
+        let formatted = `Status: ${details.status} - ${details.statusText}\n`;
+
+        if (error.attempts > 1) {
+            formatted += `Tentativas: ${error.attempts}\n`;
+        }
+
+        if (details.details && details.details.errors) {
+            formatted += '\nDetalhes da validação:\n';
+            details.details.errors.forEach(err => {
+                formatted += `- ${err.property}: ${err.message}\n`;
+            });
+        } else if (details.details) {
+            formatted += `\nDetalhes: ${JSON.stringify(details.details, null, 2)}`;
+        }
+
+        return formatted;
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * Stars for Starlikers - Eclipse Finder
+ * @fileoverview Lists the lunar and solar eclipses after the date in the moon
+ * form, with their type, magnitude and visibility from the observer.
+ */
+
+// =============================================================================
+// ECLIPSE FINDER
+// =============================================================================
+
+const ECLIPSE_TYPE_NAMES = {
+    total: 'Total',
+    annular: 'Anular',
+    hybrid: 'Híbrido',
+    partial: 'Parcial',
+    penumbral: 'Penumbral'
+};
+
+/**
+ * List of upcoming eclipses; clicking one loads its date
+ */
+class EclipseFinder {
+    /**
+     * @param {Object} options - Finder options
+     * @param {Function} options.onSelect - Called with the YYYY-MM-DD of a chosen eclipse
+     * @param {number} options.count - Number of eclipses listed
+     */
+    constructor({ onSelect, count = 8 }) {
+        this.onSelect = onSelect;
+        this.count = count;
+        this.list = document.getElementById('eclipseList');
+        this.caption = document.getElementById('eclipseCaption');
+        this.kindSelect = document.getElementById('eclipseKind');
+
+        this.observer = null;
+        this.renderedKey = null;
+
+        this.kindSelect?.addEventListener('change', () => this.render());
+        this.list?.addEventListener('click', (e) => {
+            const item = e.target.closest('.eclipse-item');
+            if (item) {
+                this.onSelect(item.dataset.date);
+            }
+        });
+    }
+
+    /**
+     * Follow the moon form: start date, observer and time zone
+     * @param {Object} formData - Moon form data
+     */
+    update({ date, latitude, longitude, timezone }) {
+        const lat = parseFloat(latitude);
+        const lng = parseFloat(longitude);
+        if (!isFinite(lat) || !isFinite(lng) || !isValidDate(date)) return;
+
+        this.observer = { date, latitude: lat, longitude: lng, timeZone: timezone || getBrowserTimeZone() };
+        this.render();
+    }
+
+    /**
+     * Re-render the list if anything it depends on changed
+     */
+    render() {
+        if (!this.list || !this.observer) return;
+
+        const { date, latitude, longitude, timeZone } = this.observer;
+        const kind = this.kindSelect?.value || 'all';
+
+        const key = [date, latitude, longitude, timeZone, kind].join('|');
+        if (key === this.renderedKey) return;
+        this.renderedKey = key;
+
+        if (this.caption) {
+            this.caption.textContent = `A partir de ${formatCalendarDate(date)} · visibilidade para ${latitude}°, ${longitude}° · horários em ${formatTimeZoneLabel(timeZone, zonedTimeToUtc(date, '12:00', timeZone))}. Clique em um eclipse para gerar a visualização.`;
+        }
+
+        const eclipses = findEclipses(zonedTimeToUtc(date, '00:00', timeZone), this.count, kind);
+        this.list.innerHTML = '';
+        eclipses.forEach(eclipse => this.list.appendChild(this.renderEclipse(eclipse)));
+    }
+
+    /**
+     * Render one eclipse
+     * @param {Object} eclipse - Eclipse from findEclipses()
+     * @returns {HTMLElement} List item
+     */
+    renderEclipse(eclipse) {
+        const { latitude, longitude, timeZone } = this.observer;
+        const local = eclipseVisibility(eclipse, latitude, longitude);
+        const solar = eclipse.kind === 'solar';
+        const number = (value, digits) => value.toLocaleString('pt-BR', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+        const dateTime = instant => instant.toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short', timeZone });
+
+        const title = `Eclipse ${solar ? 'Solar' : 'Lunar'} ${ECLIPSE_TYPE_NAMES[eclipse.type]}`;
+
+        let magnitude;
+        if (solar) {
+            magnitude = eclipse.magnitude === null
+                ? `Central (γ = ${number(eclipse.gamma, 3)})`
+                : `Magnitude ${number(eclipse.magnitude, 3)}`;
+        } else {
+            magnitude = `Magnitude ${eclipse.type === 'penumbral' ? 'penumbral' : 'umbral'} ${number(eclipse.magnitude, 3)}`;
+        }
+
+        let visibility;
+        if (!local.visible) {
+            visibility = 'Não visível deste local';
+        } else if (solar) {
+            visibility = `Visível: magnitude local ${number(local.magnitude, 2)} às ${formatClock(local.maximum, timeZone)}`;
+        } else if (local.partly) {
+            visibility = 'Parcialmente visível: a Lua nasce ou se põe durante o eclipse';
+        } else {
+            visibility = `Visível: Lua a ${Math.round(local.altitude)}° no máximo`;
+        }
+
+        // Solar eclipses load the local maximum when there is one
+        const selected = local.visible && local.maximum ? local.maximum : eclipse.date;
+
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `eclipse-item eclipse-${eclipse.kind}`;
+        button.classList.toggle('visible', local.visible);
+        button.dataset.date = formatDateInTimeZone(selected, timeZone);
+        button.innerHTML = `
+            <span class="eclipse-icon" aria-hidden="true">${solar ? '☀️' : '🌕'}</span>
+            <span class="eclipse-content">
+                <strong class="eclipse-title">${title}</strong>
+                <span class="eclipse-meta">Máximo: ${dateTime(eclipse.date)} · ${magnitude}</span>
+                <span class="eclipse-visibility">${visibility}</span>
+            </span>
+        `;
+
+        item.appendChild(button);
+        return item;
+    }
+}
@@ -0,0 +1,1835 @@
+/**
+ * Stars for Starlikers - Constellation Encyclopedia
+ * @fileoverview Reference data for the 88 IAU constellations: names, area,
+ * brightest stars, deep-sky objects, asterisms, mythology and when to look for them.
+ * Stars and magnitudes follow the bundled star catalog; the best month is when
+ * the constellation culminates around 21:00.
+ */
+
+// =============================================================================
+// ENCYCLOPEDIA
+// =============================================================================
+
+const HEMISPHERE_LABELS = {
+    northern: 'Norte',
+    southern: 'Sul',
+    equatorial: 'Equatorial (visível dos dois hemisférios)'
+};
+
+/**
+ * Entries by lowercase IAU code. area is in square degrees, bestMonth is 1-12
+ * and hemisphere is northern, southern or equatorial.
+ */
+const CONSTELLATION_ENCYCLOPEDIA = {
+    and: {
+        latinName: 'Andromeda',
+        portugueseName: 'Andrômeda',
+        englishName: 'Andromeda',
+        genitive: 'Andromedae',
+        abbreviation: 'And',
+        area: 722.278,
+        brightestStars: [
+            { name: 'Mirach', magnitude: 2.05 },
+            { name: 'Alpheratz', magnitude: 2.06 },
+            { name: 'Almach', magnitude: 2.1 }
+        ],
+        deepSky: [
+            'M31 - Galáxia de Andrômeda',
+            'M32 e M110 - galáxias satélites de M31',
+            'NGC 7662 - Nebulosa Bola de Neve Azul'
+        ],
+        asterisms: [],
+        mythology: 'A princesa etíope, filha de Cefeu e Cassiopeia, acorrentada a um rochedo como oferenda ao monstro marinho Ceto e salva por Perseu.',
+        bestMonth: 11,
+        hemisphere: 'northern'
+    },
+    ant: {
+        latinName: 'Antlia',
+        portugueseName: 'Máquina Pneumática',
+        englishName: 'Air Pump',
+        genitive: 'Antliae',
+        abbreviation: 'Ant',
+        area: 238.901,
+        brightestStars: [
+            { name: 'α Antliae', magnitude: 4.25 },
+            { name: 'ε Antliae', magnitude: 4.51 },
+            { name: 'ι Antliae', magnitude: 4.6 }
+        ],
+        deepSky: [
+            'NGC 2997 - galáxia espiral'
+        ],
+        asterisms: [],
+        mythology: 'Criada por Lacaille em 1751-1752 para homenagear a bomba de vácuo de Denis Papin e Robert Boyle; não tem mitologia clássica.',
+        bestMonth: 4,
+        hemisphere: 'southern'
+    },
+    aps: {
+        latinName: 'Apus',
+        portugueseName: 'Ave-do-Paraíso',
+        englishName: 'Bird of Paradise',
+        genitive: 'Apodis',
+        abbreviation: 'Aps',
+        area: 206.327,
+        brightestStars: [
+            { name: 'α Apodis', magnitude: 3.83 },
+            { name: 'γ Apodis', magnitude: 3.89 },
+            { name: 'β Apodis', magnitude: 4.24 }
+        ],
+        deepSky: [
+            'NGC 6101 - aglomerado globular'
+        ],
+        asterisms: [],
+        mythology: 'Introduzida por Keyser e de Houtman no fim do século XVI; representa as aves-do-paraíso da Nova Guiné, que os europeus julgavam não ter pés.',
+        bestMonth: 7,
+        hemisphere: 'southern'
+    },
+    aql: {
+        latinName: 'Aquila',
+        portugueseName: 'Águia',
+        englishName: 'Eagle',
+        genitive: 'Aquilae',
+        abbreviation: 'Aql',
+        area: 652.473,
+        brightestStars: [
+            { name: 'Altair', magnitude: 0.76 },
+            { name: 'Tarazed', magnitude: 2.72 },
+            { name: 'ζ Aquilae', magnitude: 2.99 }
+        ],
+        deepSky: [
+            'NGC 6709 - aglomerado aberto',
+            'Barnard 143 - nebulosa escura'
+        ],
+        asterisms: ['Triângulo de Verão', 'Summer Triangle'],
+        mythology: 'A águia de Zeus, que carregava seus raios e raptou Ganimedes para o Olimpo.',
+        bestMonth: 8,
+        hemisphere: 'equatorial'
+    },
+    aqr: {
+        latinName: 'Aquarius',
+        portugueseName: 'Aquário',
+        englishName: 'Water Bearer',
+        genitive: 'Aquarii',
+        abbreviation: 'Aqr',
+        area: 979.854,
+        brightestStars: [
+            { name: 'Sadalsuud', magnitude: 2.9 },
+            { name: 'Sadalmelik', magnitude: 2.95 },
+            { name: 'Skat', magnitude: 3.27 }
+        ],
+        deepSky: [
+            'M2 - aglomerado globular',
+            'NGC 7009 - Nebulosa Saturno',
+            'NGC 7293 - Nebulosa Hélice'
+        ],
+        asterisms: [],
+        mythology: 'Ganimedes, o jovem troiano levado ao Olimpo por Zeus para servir de copeiro aos deuses, despejando água de seu jarro.',
+        bestMonth: 10,
+        hemisphere: 'equatorial'
+    },
+    ara: {
+        latinName: 'Ara',
+        portugueseName: 'Altar',
+        englishName: 'Altar',
+        genitive: 'Arae',
+        abbreviation: 'Ara',
+        area: 237.057,
+        brightestStars: [
+            { name: 'β Arae', magnitude: 2.85 },
+            { name: 'α Arae', magnitude: 2.95 },
+            { name: 'ζ Arae', magnitude: 3.13 }
+        ],
+        deepSky: [
+            'NGC 6193 - aglomerado aberto',
+            'NGC 6397 - aglomerado globular'
+        ],
+        asterisms: [],
+        mythology: 'O altar em que os deuses do Olimpo juraram aliança antes da guerra contra os Titãs; a fumaça sobe pela Via Láctea.',
+        bestMonth: 7,
+        hemisphere: 'southern'
+    },
+    ari: {
+        latinName: 'Aries',
+        portugueseName: 'Carneiro',
+        englishName: 'Ram',
+        genitive: 'Arietis',
+        abbreviation: 'Ari',
+        area: 441.395,
+        brightestStars: [
+            { name: 'Hamal', magnitude: 2 },
+            { name: 'Sheratan', magnitude: 2.64 },
+            { name: '41 Arietis', magnitude: 3.61 }
+        ],
+        deepSky: [
+            'NGC 772 - galáxia espiral'
+        ],
+        asterisms: [],
+        mythology: 'O carneiro de velo de ouro que salvou Frixo e Hele; seu velo foi depois buscado por Jasão e os Argonautas.',
+        bestMonth: 12,
+        hemisphere: 'northern'
+    },
+    aur: {
+        latinName: 'Auriga',
+        portugueseName: 'Cocheiro',
+        englishName: 'Charioteer',
+        genitive: 'Aurigae',
+        abbreviation: 'Aur',
+        area: 657.438,
+        brightestStars: [
+            { name: 'Capella', magnitude: 0.08 },
+            { name: 'Menkalinan', magnitude: 1.9 },
+            { name: 'θ Aurigae', magnitude: 2.65 }
+        ],
+        deepSky: [
+            'M36, M37 e M38 - aglomerados abertos'
+        ],
+        asterisms: [],
+        mythology: 'Associado a Erictônio, rei de Atenas que teria inventado a quadriga; Capela é a cabra Amalteia, que amamentou Zeus.',
+        bestMonth: 1,
+        hemisphere: 'northern'
+    },
+    boo: {
+        latinName: 'Boötes',
+        portugueseName: 'Boieiro',
+        englishName: 'Herdsman',
+        genitive: 'Bootis',
+        abbreviation: 'Boo',
+        area: 906.831,
+        brightestStars: [
+            { name: 'Arcturus', magnitude: -0.05 },
+            { name: 'Izar', magnitude: 2.37 },
+            { name: 'Muphrid', magnitude: 2.68 }
+        ],
+        deepSky: [
+            'NGC 5466 - aglomerado globular'
+        ],
+        asterisms: [],
+        mythology: 'O pastor que guia as Ursas ao redor do polo; às vezes identificado com Arcas, filho de Zeus e Calisto.',
+        bestMonth: 6,
+        hemisphere: 'northern'
+    },
+    cae: {
+        latinName: 'Caelum',
+        portugueseName: 'Buril',
+        englishName: 'Chisel',
+        genitive: 'Caeli',
+        abbreviation: 'Cae',
+        area: 124.865,
+        brightestStars: [
+            { name: 'α Caeli', magnitude: 4.45 },
+            { name: 'γ¹ Caeli', magnitude: 4.55 },
+            { name: 'β Caeli', magnitude: 5.05 }
+        ],
+        deepSky: [],
+        asterisms: [],
+        mythology: 'Criada por Lacaille para representar o buril, a ferramenta de gravação dos artesãos; não tem mitologia clássica.',
+        bestMonth: 1,
+        hemisphere: 'southern'
+    },
+    cam: {
+        latinName: 'Camelopardalis',
+        portugueseName: 'Girafa',
+        englishName: 'Giraffe',
+        genitive: 'Camelopardalis',
+        abbreviation: 'Cam',
+        area: 756.828,
+        brightestStars: [
+            { name: 'β Camelopardalis', magnitude: 4.03 },
+            { name: 'α Camelopardalis', magnitude: 4.29 },
+            { name: '7 Camelopardalis', magnitude: 4.47 }
+        ],
+        deepSky: [
+            'NGC 2403 - galáxia espiral',
+            'Cascata de Kemble - asterismo'
+        ],
+        asterisms: [],
+        mythology: 'Introduzida por Plancius em 1612-1613; alguns a associam ao camelo que levou Rebeca até Isaque.',
+        bestMonth: 1,
+        hemisphere: 'northern'
+    },
+    cap: {
+        latinName: 'Capricornus',
+        portugueseName: 'Capricórnio',
+        englishName: 'Sea Goat',
+        genitive: 'Capricorni',
+        abbreviation: 'Cap',
+        area: 413.947,
+        brightestStars: [
+            { name: 'Deneb Algedi', magnitude: 2.87 },
+            { name: 'Dabih', magnitude: 3.08 },
+            { name: 'Algedi', magnitude: 3.57 }
+        ],
+        deepSky: [
+            'M30 - aglomerado globular'
+        ],
+        asterisms: [],
+        mythology: 'O deus Pã, que se transformou em meio bode, meio peixe ao saltar no Nilo para fugir do monstro Tifão.',
+        bestMonth: 9,
+        hemisphere: 'southern'
+    },
+    car: {
+        latinName: 'Carina',
+        portugueseName: 'Quilha',
+        englishName: 'Keel',
+        genitive: 'Carinae',
+        abbreviation: 'Car',
+        area: 494.184,
+        brightestStars: [
+            { name: 'Canopus', magnitude: -0.74 },
+            { name: 'Miaplacidus', magnitude: 1.67 },
+            { name: 'Avior', magnitude: 1.86 }
+        ],
+        deepSky: [
+            'NGC 3372 - Nebulosa de Eta Carinae',
+            'IC 2602 - Plêiades do Sul',
+            'NGC 2516 - aglomerado aberto'
+        ],
+        asterisms: ['Falsa Cruz', 'False Cross'],
+        mythology: 'A quilha do navio Argo, dos Argonautas; Lacaille dividiu a antiga Argo Navis em Quilha, Popa e Vela.',
+        bestMonth: 3,
+        hemisphere: 'southern'
+    },
+    cas: {
+        latinName: 'Cassiopeia',
+        portugueseName: 'Cassiopeia',
+        englishName: 'Cassiopeia',
+        genitive: 'Cassiopeiae',
+        abbreviation: 'Cas',
+        area: 598.407,
+        brightestStars: [
+            { name: 'γ Cassiopeiae', magnitude: 2.15 },
+            { name: 'Schedar', magnitude: 2.24 },
+            { name: 'Caph', magnitude: 2.28 }
+        ],
+        deepSky: [
+            'M52 e M103 - aglomerados abertos',
+            'NGC 457 - Aglomerado da Coruja'
+        ],
+        asterisms: ['W de Cassiopeia'],
+        mythology: 'A rainha vaidosa da Etiópia que se gabou de ser mais bela que as nereidas; foi posta no céu presa ao trono, girando em torno do polo.',
+        bestMonth: 11,
+        hemisphere: 'northern'
+    },
+    cen: {
+        latinName: 'Centaurus',
+        portugueseName: 'Centauro',
+        englishName: 'Centaur',
+        genitive: 'Centauri',
+        abbreviation: 'Cen',
+        area: 1060.422,
+        brightestStars: [
+            { name: 'Rigil Kentaurus', magnitude: -0.27 },
+            { name: 'Hadar', magnitude: 0.61 },
+            { name: 'Menkent', magnitude: 2.06 }
+        ],
+        deepSky: [
+            'Ômega Centauri (NGC 5139) - o maior aglomerado globular da Galáxia',
+            'Centaurus A (NGC 5128) - radiogaláxia'
+        ],
+        asterisms: ['Guardas da Cruz', 'Ponteiros', 'Southern Pointers'],
+        mythology: 'Quíron, o sábio centauro que educou Aquiles, Jasão e Asclépio, ferido por engano por uma flecha envenenada de Héracles.',
+        bestMonth: 5,
+        hemisphere: 'southern'
+    },
+    cep: {
+        latinName: 'Cepheus',
+        portugueseName: 'Cefeu',
+        englishName: 'Cepheus',
+        genitive: 'Cephei',
+        abbreviation: 'Cep',
+        area: 587.787,
+        brightestStars: [
+            { name: 'Alderamin', magnitude: 2.45 },
+            { name: 'Errai', magnitude: 3.21 },
+            { name: 'Alfirk', magnitude: 3.23 }
+        ],
+        deepSky: [
+            'NGC 6946 - Galáxia Fogos de Artifício',
+            'IC 1396 - Nebulosa da Tromba de Elefante'
+        ],
+        asterisms: ['Casa de Cefeu'],
+        mythology: 'O rei da Etiópia, marido de Cassiopeia e pai de Andrômeda.',
+        bestMonth: 9,
+        hemisphere: 'northern'
+    },
+    cet: {
+        latinName: 'Cetus',
+        portugueseName: 'Baleia',
+        englishName: 'Whale',
+        genitive: 'Ceti',
+        abbreviation: 'Cet',
+        area: 1231.411,
+        brightestStars: [
+            { name: 'Diphda', magnitude: 2.04 },
+            { name: 'Menkar', magnitude: 2.54 },
+            { name: 'Mira', magnitude: 3.04 }
+        ],
+        deepSky: [
+            'M77 - galáxia de Seyfert',
+            'NGC 246 - nebulosa planetária'
+        ],
+        asterisms: [],
+        mythology: 'Ceto, o monstro marinho enviado por Posêidon para devorar Andrômeda, transformado em pedra por Perseu com a cabeça da Medusa.',
+        bestMonth: 12,
+        hemisphere: 'equatorial'
+    },
+    cha: {
+        latinName: 'Chamaeleon',
+        portugueseName: 'Camaleão',
+        englishName: 'Chameleon',
+        genitive: 'Chamaeleontis',
+        abbreviation: 'Cha',
+        area: 131.592,
+        brightestStars: [
+            { name: 'α Chamaeleontis', magnitude: 4.07 },
+            { name: 'γ Chamaeleontis', magnitude: 4.11 },
+            { name: 'β Chamaeleontis', magnitude: 4.26 }
+        ],
+        deepSky: [
+            'NGC 3195 - nebulosa planetária'
+        ],
+        asterisms: [],
+        mythology: 'Introduzida por Keyser e de Houtman; representa o camaleão, animal que os navegadores holandeses conheceram nas viagens às Índias.',
+        bestMonth: 3,
+        hemisphere: 'southern'
+    },
+    cir: {
+        latinName: 'Circinus',
+        portugueseName: 'Compasso',
+        englishName: 'Compasses',
+        genitive: 'Circini',
+        abbreviation: 'Cir',
+        area: 93.353,
+        brightestStars: [
+            { name: 'α Circini', magnitude: 3.19 },
+            { name: 'β Circini', magnitude: 4.07 },
+            { name: 'γ Circini', magnitude: 4.51 }
+        ],
+        deepSky: [
+            'Galáxia do Compasso - galáxia de Seyfert próxima'
+        ],
+        asterisms: [],
+        mythology: 'Criada por Lacaille para representar o compasso dos desenhistas e navegadores; não tem mitologia clássica.',
+        bestMonth: 6,
+        hemisphere: 'southern'
+    },
+    cma: {
+        latinName: 'Canis Major',
+        portugueseName: 'Cão Maior',
+        englishName: 'Great Dog',
+        genitive: 'Canis Majoris',
+        abbreviation: 'CMa',
+        area: 380.118,
+        brightestStars: [
+            { name: 'Sirius', magnitude: -1.46 },
+            { name: 'Adhara', magnitude: 1.5 },
+            { name: 'Wezen', magnitude: 1.84 }
+        ],
+        deepSky: [
+            'M41 - aglomerado aberto',
+            'NGC 2362 - aglomerado aberto'
+        ],
+        asterisms: ['Triângulo de Inverno', 'Winter Triangle'],
+        mythology: 'Um dos cães de Órion, às vezes identificado com Lélape, o cão que nunca deixava escapar a presa.',
+        bestMonth: 2,
+        hemisphere: 'southern'
+    },
+    cmi: {
+        latinName: 'Canis Minor',
+        portugueseName: 'Cão Menor',
+        englishName: 'Little Dog',
+        genitive: 'Canis Minoris',
+        abbreviation: 'CMi',
+        area: 183.367,
+        brightestStars: [
+            { name: 'Procyon', magnitude: 0.34 },
+            { name: 'Gomeisa', magnitude: 2.9 }
+        ],
+        deepSky: [],
+        asterisms: ['Triângulo de Inverno', 'Winter Triangle'],
+        mythology: 'O cão menor de Órion; Prócion, "antes do cão", nasce pouco antes de Sírius.',
+        bestMonth: 2,
+        hemisphere: 'equatorial'
+    },
+    cnc: {
+        latinName: 'Cancer',
+        portugueseName: 'Caranguejo',
+        englishName: 'Crab',
+        genitive: 'Cancri',
+        abbreviation: 'Cnc',
+        area: 505.872,
+        brightestStars: [
+            { name: 'Tarf', magnitude: 3.52 },
+            { name: 'Asellus Australis', magnitude: 3.94 },
+            { name: 'ι Cancri', magnitude: 4.02 }
+        ],
+        deepSky: [
+            'M44 - Aglomerado do Presépio',
+            'M67 - aglomerado aberto'
+        ],
+        asterisms: ['Presépio', 'Beehive'],
+        mythology: 'O caranguejo enviado por Hera para atrapalhar Héracles na luta contra a Hidra de Lerna, esmagado pelo herói.',
+        bestMonth: 3,
+        hemisphere: 'northern'
+    },
+    col: {
+        latinName: 'Columba',
+        portugueseName: 'Pomba',
+        englishName: 'Dove',
+        genitive: 'Columbae',
+        abbreviation: 'Col',
+        area: 270.184,
+        brightestStars: [
+            { name: 'Phact', magnitude: 2.65 },
+            { name: 'Wazn', magnitude: 3.12 },
+            { name: 'δ Columbae', magnitude: 3.85 }
+        ],
+        deepSky: [
+            'NGC 1851 - aglomerado globular'
+        ],
+        asterisms: [],
+        mythology: 'Introduzida por Plancius em 1592: a pomba que Noé soltou da arca e voltou com um ramo de oliveira.',
+        bestMonth: 1,
+        hemisphere: 'southern'
+    },
+    com: {
+        latinName: 'Coma Berenices',
+        portugueseName: 'Cabeleira de Berenice',
+        englishName: 'Berenice\'s Hair',
+        genitive: 'Comae Berenices',
+        abbreviation: 'Com',
+        area: 386.475,
+        brightestStars: [
+            { name: 'β Comae Berenices', magnitude: 4.26 },
+            { name: 'Diadem', magnitude: 4.32 },
+            { name: 'γ Comae Berenices', magnitude: 4.36 }
+        ],
+        deepSky: [
+            'M64 - Galáxia do Olho Negro',
+            'M53 - aglomerado globular',
+            'Melotte 111 - Aglomerado de Coma'
+        ],
+        asterisms: [],
+        mythology: 'Os cabelos que a rainha Berenice II do Egito ofereceu a Afrodite pelo retorno do marido da guerra; desaparecidos do templo, foram encontrados no céu.',
+        bestMonth: 5,
+        hemisphere: 'northern'
+    },
+    cra: {
+        latinName: 'Corona Austrina',
+        portugueseName: 'Coroa Austral',
+        englishName: 'Southern Crown',
+        genitive: 'Coronae Australis',
+        abbreviation: 'CrA',
+        area: 127.696,
+        brightestStars: [
+            { name: 'α Coronae Australis', magnitude: 4.1 },
+            { name: 'β Coronae Australis', magnitude: 4.11 },
+            { name: 'γ Coronae Australis', magnitude: 4.21 }
+        ],
+        deepSky: [
+            'NGC 6541 - aglomerado globular',
+            'NGC 6729 - nebulosa de reflexão'
+        ],
+        asterisms: [],
+        mythology: 'Uma coroa de louros ou de flores, às vezes ligada a Dioniso, que a teria posto no céu em honra de sua mãe Sêmele.',
+        bestMonth: 8,
+        hemisphere: 'southern'
+    },
+    crb: {
+        latinName: 'Corona Borealis',
+        portugueseName: 'Coroa Boreal',
+        englishName: 'Northern Crown',
+        genitive: 'Coronae Borealis',
+        abbreviation: 'CrB',
+        area: 178.71,
+        brightestStars: [
+            { name: 'Alphecca', magnitude: 2.23 },
+            { name: 'Nusakan', magnitude: 3.68 },
+            { name: 'γ Coronae Borealis', magnitude: 3.81 }
+        ],
+        deepSky: [
+            'Abell 2065 - aglomerado de galáxias'
+        ],
+        asterisms: ['Coroa de Ariadne'],
+        mythology: 'A coroa de Ariadne, lançada ao céu por Dioniso no casamento dos dois depois que Teseu a abandonou em Naxos.',
+        bestMonth: 6,
+        hemisphere: 'northern'
+    },
+    crt: {
+        latinName: 'Crater',
+        portugueseName: 'Taça',
+        englishName: 'Cup',
+        genitive: 'Crateris',
+        abbreviation: 'Crt',
+        area: 282.398,
+        brightestStars: [
+            { name: 'δ Crateris', magnitude: 3.56 },
+            { name: 'Alkes', magnitude: 4.07 },
+            { name: 'γ Crateris', magnitude: 4.08 }
+        ],
+        deepSky: [],
+        asterisms: [],
+        mythology: 'A taça de Apolo, posta fora do alcance do Corvo, sobre o dorso da Hidra.',
+        bestMonth: 4,
+        hemisphere: 'southern'
+    },
+    cru: {
+        latinName: 'Crux',
+        portugueseName: 'Cruzeiro do Sul',
+        englishName: 'Southern Cross',
+        genitive: 'Crucis',
+        abbreviation: 'Cru',
+        area: 68.447,
+        brightestStars: [
+            { name: 'Acrux', magnitude: 0.77 },
+            { name: 'Mimosa', magnitude: 1.25 },
+            { name: 'Gacrux', magnitude: 1.59 }
+        ],
+        deepSky: [
+            'NGC 4755 - Caixinha de Joias',
+            'Saco de Carvão - nebulosa escura'
+        ],
+        asterisms: ['Cruzeiro', 'Cruz do Sul'],
+        mythology: 'A menor das 88 constelações, separada do Centauro no fim do século XVI; guia dos navegadores para o polo sul e símbolo presente na bandeira do Brasil.',
+        bestMonth: 5,
+        hemisphere: 'southern'
+    },
+    crv: {
+        latinName: 'Corvus',
+        portugueseName: 'Corvo',
+        englishName: 'Crow',
+        genitive: 'Corvi',
+        abbreviation: 'Crv',
+        area: 183.801,
+        brightestStars: [
+            { name: 'Gienah', magnitude: 2.59 },
+            { name: 'Kraz', magnitude: 2.65 },
+            { name: 'Algorab', magnitude: 2.95 }
+        ],
+        deepSky: [
+            'NGC 4038/4039 - Galáxias Antenas'
+        ],
+        asterisms: ['Vela do Corvo', 'Spica\'s Spanker'],
+        mythology: 'O corvo de Apolo, castigado por mentir sobre a demora em trazer água; ficou no céu ao lado da Taça, sem nunca poder beber.',
+        bestMonth: 5,
+        hemisphere: 'southern'
+    },
+    cvn: {
+        latinName: 'Canes Venatici',
+        portugueseName: 'Cães de Caça',
+        englishName: 'Hunting Dogs',
+        genitive: 'Canum Venaticorum',
+        abbreviation: 'CVn',
+        area: 465.194,
+        brightestStars: [
+            { name: 'Cor Caroli', magnitude: 2.89 },
+            { name: 'Chara', magnitude: 4.24 }
+        ],
+        deepSky: [
+            'M51 - Galáxia do Redemoinho',
+            'M3 - aglomerado globular',
+            'M94 e M106 - galáxias espirais'
+        ],
+        asterisms: [],
+        mythology: 'Criada por Hevelius em 1687: os cães Asterion e Chara, conduzidos pelo Boieiro na caça às Ursas.',
+        bestMonth: 5,
+        hemisphere: 'northern'
+    },
+    cyg: {
+        latinName: 'Cygnus',
+        portugueseName: 'Cisne',
+        englishName: 'Swan',
+        genitive: 'Cygni',
+        abbreviation: 'Cyg',
+        area: 803.983,
+        brightestStars: [
+            { name: 'Deneb', magnitude: 1.25 },
+            { name: 'Sadr', magnitude: 2.23 },
+            { name: 'Aljanah', magnitude: 2.48 }
+        ],
+        deepSky: [
+            'NGC 7000 - Nebulosa América do Norte',
+            'Nebulosa do Véu (NGC 6960/6992)',
+            'M39 - aglomerado aberto'
+        ],
+        asterisms: ['Cruz do Norte', 'Northern Cross', 'Triângulo de Verão', 'Summer Triangle'],
+        mythology: 'O cisne em que Zeus se transformou para seduzir Leda, mãe de Castor, Pólux e Helena.',
+        bestMonth: 9,
+        hemisphere: 'northern'
+    },
+    del: {
+        latinName: 'Delphinus',
+        portugueseName: 'Golfinho',
+        englishName: 'Dolphin',
+        genitive: 'Delphini',
+        abbreviation: 'Del',
+        area: 188.549,
+        brightestStars: [
+            { name: 'Rotanev', magnitude: 3.63 },
+            { name: 'Sualocin', magnitude: 3.77 },
+            { name: 'ε Delphini', magnitude: 4.03 }
+        ],
+        deepSky: [
+            'NGC 6934 - aglomerado globular'
+        ],
+        asterisms: ['Caixão de Jó', 'Job\'s Coffin'],
+        mythology: 'O golfinho que convenceu a nereida Anfitrite a casar-se com Posêidon, recompensado com um lugar no céu.',
+        bestMonth: 9,
+        hemisphere: 'northern'
+    },
+    dor: {
+        latinName: 'Dorado',
+        portugueseName: 'Dourado',
+        englishName: 'Swordfish',
+        genitive: 'Doradus',
+        abbreviation: 'Dor',
+        area: 179.173,
+        brightestStars: [
+            { name: 'α Doradus', magnitude: 3.27 },
+            { name: 'β Doradus', magnitude: 3.76 },
+            { name: 'γ Doradus', magnitude: 4.25 }
+        ],
+        deepSky: [
+            'Grande Nuvem de Magalhães - galáxia satélite',
+            'NGC 2070 - Nebulosa da Tarântula'
+        ],
+        asterisms: [],
+        mythology: 'Introduzida por Keyser e de Houtman: o dourado, peixe dos mares tropicais; abriga a maior parte da Grande Nuvem de Magalhães.',
+        bestMonth: 1,
+        hemisphere: 'southern'
+    },
+    dra: {
+        latinName: 'Draco',
+        portugueseName: 'Dragão',
+        englishName: 'Dragon',
+        genitive: 'Draconis',
+        abbreviation: 'Dra',
+        area: 1082.952,
+        brightestStars: [
+            { name: 'Eltanin', magnitude: 2.23 },
+            { name: 'Athebyne', magnitude: 2.73 },
+            { name: 'Rastaban', magnitude: 2.79 }
+        ],
+        deepSky: [
+            'NGC 6543 - Nebulosa Olho de Gato',
+            'NGC 5866 - Galáxia do Fuso'
+        ],
+        asterisms: [],
+        mythology: 'Ládon, o dragão que guardava as maçãs de ouro do Jardim das Hespérides, morto por Héracles.',
+        bestMonth: 7,
+        hemisphere: 'northern'
+    },
+    equ: {
+        latinName: 'Equuleus',
+        portugueseName: 'Cavalo Menor',
+        englishName: 'Little Horse',
+        genitive: 'Equulei',
+        abbreviation: 'Equ',
+        area: 71.641,
+        brightestStars: [
+            { name: 'Kitalpha', magnitude: 3.92 },
+            { name: 'δ Equulei', magnitude: 4.47 },
+            { name: 'γ Equulei', magnitude: 4.69 }
+        ],
+        deepSky: [],
+        asterisms: [],
+        mythology: 'O potro Celéris, dado por Hermes a Castor, ou o irmão de Pégaso; a segunda menor constelação.',
+        bestMonth: 9,
+        hemisphere: 'equatorial'
+    },
+    eri: {
+        latinName: 'Eridanus',
+        portugueseName: 'Erídano',
+        englishName: 'River',
+        genitive: 'Eridani',
+        abbreviation: 'Eri',
+        area: 1137.919,
+        brightestStars: [
+            { name: 'Achernar', magnitude: 0.46 },
+            { name: 'Cursa', magnitude: 2.79 },
+            { name: 'Zaurak', magnitude: 2.95 }
+        ],
+        deepSky: [
+            'NGC 1300 - galáxia espiral barrada',
+            'NGC 1535 - nebulosa planetária'
+        ],
+        asterisms: [],
+        mythology: 'O rio em que caiu Faetonte, filho de Hélio, fulminado por Zeus ao perder o controle do carro do Sol.',
+        bestMonth: 12,
+        hemisphere: 'southern'
+    },
+    for: {
+        latinName: 'Fornax',
+        portugueseName: 'Forno',
+        englishName: 'Furnace',
+        genitive: 'Fornacis',
+        abbreviation: 'For',
+        area: 397.502,
+        brightestStars: [
+            { name: 'Dalim', magnitude: 3.87 },
+            { name: 'β Fornacis', magnitude: 4.46 },
+            { name: 'ν Fornacis', magnitude: 4.69 }
+        ],
+        deepSky: [
+            'Aglomerado de Fornax - aglomerado de galáxias',
+            'NGC 1365 - galáxia espiral barrada'
+        ],
+        asterisms: [],
+        mythology: 'Criada por Lacaille como o forno químico usado por Lavoisier e outros químicos; não tem mitologia clássica.',
+        bestMonth: 12,
+        hemisphere: 'southern'
+    },
+    gem: {
+        latinName: 'Gemini',
+        portugueseName: 'Gêmeos',
+        englishName: 'Twins',
+        genitive: 'Geminorum',
+        abbreviation: 'Gem',
+        area: 513.761,
+        brightestStars: [
+            { name: 'Pollux', magnitude: 1.14 },
+            { name: 'Castor', magnitude: 1.58 },
+            { name: 'Alhena', magnitude: 1.93 }
+        ],
+        deepSky: [
+            'M35 - aglomerado aberto',
+            'NGC 2392 - Nebulosa do Esquimó'
+        ],
+        asterisms: [],
+        mythology: 'Castor e Pólux, os gêmeos Dióscuros; quando o mortal Castor morreu, Pólux dividiu com ele a imortalidade.',
+        bestMonth: 2,
+        hemisphere: 'northern'
+    },
+    gru: {
+        latinName: 'Grus',
+        portugueseName: 'Grou',
+        englishName: 'Crane',
+        genitive: 'Gruis',
+        abbreviation: 'Gru',
+        area: 365.513,
+        brightestStars: [
+            { name: 'Alnair', magnitude: 1.74 },
+            { name: 'Tiaki', magnitude: 2.1 },
+            { name: 'Aldhanab', magnitude: 3 }
+        ],
+        deepSky: [
+            'NGC 7424 - galáxia espiral'
+        ],
+        asterisms: [],
+        mythology: 'Introduzida por Keyser e de Houtman; representa o grou, ave que simbolizava a vigilância.',
+        bestMonth: 10,
+        hemisphere: 'southern'
+    },
+    her: {
+        latinName: 'Hercules',
+        portugueseName: 'Hércules',
+        englishName: 'Hercules',
+        genitive: 'Herculis',
+        abbreviation: 'Her',
+        area: 1225.148,
+        brightestStars: [
+            { name: 'Kornephoros', magnitude: 2.77 },
+            { name: 'ζ Herculis', magnitude: 2.81 },
+            { name: 'Rasalgethi', magnitude: 3.1 }
+        ],
+        deepSky: [
+            'M13 - Grande Aglomerado de Hércules',
+            'M92 - aglomerado globular'
+        ],
+        asterisms: ['Pedra Angular', 'Keystone'],
+        mythology: 'Héracles, o herói dos doze trabalhos, ajoelhado com o pé sobre a cabeça do Dragão.',
+        bestMonth: 7,
+        hemisphere: 'northern'
+    },
+    hor: {
+        latinName: 'Horologium',
+        portugueseName: 'Relógio',
+        englishName: 'Clock',
+        genitive: 'Horologii',
+        abbreviation: 'Hor',
+        area: 248.885,
+        brightestStars: [
+            { name: 'α Horologii', magnitude: 3.86 },
+            { name: 'β Horologii', magnitude: 4.99 },
+            { name: 'μ Horologii', magnitude: 5.11 }
+        ],
+        deepSky: [
+            'NGC 1261 - aglomerado globular'
+        ],
+        asterisms: [],
+        mythology: 'Criada por Lacaille em homenagem ao relógio de pêndulo de Christiaan Huygens; não tem mitologia clássica.',
+        bestMonth: 12,
+        hemisphere: 'southern'
+    },
+    hya: {
+        latinName: 'Hydra',
+        portugueseName: 'Hidra',
+        englishName: 'Water Snake',
+        genitive: 'Hydrae',
+        abbreviation: 'Hya',
+        area: 1302.844,
+        brightestStars: [
+            { name: 'Alphard', magnitude: 1.98 },
+            { name: 'γ Hydrae', magnitude: 3 },
+            { name: 'ζ Hydrae', magnitude: 3.11 }
+        ],
+        deepSky: [
+            'M83 - Galáxia do Cata-vento do Sul',
+            'M48 - aglomerado aberto',
+            'NGC 3242 - Fantasma de Júpiter'
+        ],
+        asterisms: [],
+        mythology: 'A Hidra de Lerna, serpente de muitas cabeças morta por Héracles; é a maior das 88 constelações.',
+        bestMonth: 4,
+        hemisphere: 'southern'
+    },
+    hyi: {
+        latinName: 'Hydrus',
+        portugueseName: 'Hidra Macho',
+        englishName: 'Male Water Snake',
+        genitive: 'Hydri',
+        abbreviation: 'Hyi',
+        area: 243.035,
+        brightestStars: [
+            { name: 'β Hydri', magnitude: 2.82 },
+            { name: 'α Hydri', magnitude: 2.86 },
+            { name: 'γ Hydri', magnitude: 3.24 }
+        ],
+        deepSky: [],
+        asterisms: [],
+        mythology: 'Introduzida por Keyser e de Houtman como uma serpente d\'água, par austral da grande Hidra.',
+        bestMonth: 12,
+        hemisphere: 'southern'
+    },
+    ind: {
+        latinName: 'Indus',
+        portugueseName: 'Índio',
+        englishName: 'Indian',
+        genitive: 'Indi',
+        abbreviation: 'Ind',
+        area: 294.006,
+        brightestStars: [
+            { name: 'The Persian', magnitude: 3.11 },
+            { name: 'β Indi', magnitude: 3.65 },
+            { name: 'θ Indi', magnitude: 4.39 }
+        ],
+        deepSky: [],
+        asterisms: [],
+        mythology: 'Introduzida por Keyser e de Houtman; representa um indígena encontrado pelos navegadores nas Índias Orientais.',
+        bestMonth: 9,
+        hemisphere: 'southern'
+    },
+    lac: {
+        latinName: 'Lacerta',
+        portugueseName: 'Lagarto',
+        englishName: 'Lizard',
+        genitive: 'Lacertae',
+        abbreviation: 'Lac',
+        area: 200.688,
+        brightestStars: [
+            { name: 'α Lacertae', magnitude: 3.77 },
+            { name: '1 Lacertae', magnitude: 4.13 },
+            { name: '5 Lacertae', magnitude: 4.36 }
+        ],
+        deepSky: [
+            'BL Lacertae - protótipo dos blazares',
+            'NGC 7243 - aglomerado aberto'
+        ],
+        asterisms: [],
+        mythology: 'Criada por Hevelius em 1687 para preencher o espaço entre Cisne e Andrômeda; não tem mitologia clássica.',
+        bestMonth: 10,
+        hemisphere: 'northern'
+    },
+    leo: {
+        latinName: 'Leo',
+        portugueseName: 'Leão',
+        englishName: 'Lion',
+        genitive: 'Leonis',
+        abbreviation: 'Leo',
+        area: 946.964,
+        brightestStars: [
+            { name: 'Regulus', magnitude: 1.35 },
+            { name: 'Algieba', magnitude: 2.08 },
+            { name: 'Denebola', magnitude: 2.13 }
+        ],
+        deepSky: [
+            'Trio de Leão: M65, M66 e NGC 3628',
+            'M95 e M96 - galáxias espirais'
+        ],
+        asterisms: ['Foice', 'Sickle'],
+        mythology: 'O Leão de Nemeia, de pele invulnerável, estrangulado por Héracles em seu primeiro trabalho.',
+        bestMonth: 4,
+        hemisphere: 'northern'
+    },
+    lep: {
+        latinName: 'Lepus',
+        portugueseName: 'Lebre',
+        englishName: 'Hare',
+        genitive: 'Leporis',
+        abbreviation: 'Lep',
+        area: 290.291,
+        brightestStars: [
+            { name: 'Arneb', magnitude: 2.58 },
+            { name: 'Nihal', magnitude: 2.84 },
+            { name: 'ε Leporis', magnitude: 3.19 }
+        ],
+        deepSky: [
+            'M79 - aglomerado globular',
+            'R Leporis - Estrela Carmesim de Hind'
+        ],
+        asterisms: [],
+        mythology: 'A lebre caçada por Órion e seus cães, agachada aos pés do caçador.',
+        bestMonth: 1,
+        hemisphere: 'southern'
+    },
+    lib: {
+        latinName: 'Libra',
+        portugueseName: 'Balança',
+        englishName: 'Scales',
+        genitive: 'Librae',
+        abbreviation: 'Lib',
+        area: 538.052,
+        brightestStars: [
+            { name: 'Zubeneschamali', magnitude: 2.61 },
+            { name: 'Zubenelgenubi', magnitude: 2.75 },
+            { name: 'σ Librae', magnitude: 3.29 }
+        ],
+        deepSky: [
+            'NGC 5897 - aglomerado globular'
+        ],
+        asterisms: [],
+        mythology: 'A balança da justiça segurada por Astreia (Virgem); para os gregos eram as garras do Escorpião.',
+        bestMonth: 6,
+        hemisphere: 'southern'
+    },
+    lmi: {
+        latinName: 'Leo Minor',
+        portugueseName: 'Leão Menor',
+        englishName: 'Lesser Lion',
+        genitive: 'Leonis Minoris',
+        abbreviation: 'LMi',
+        area: 231.956,
+        brightestStars: [
+            { name: 'Praecipua', magnitude: 3.83 },
+            { name: 'β Leonis Minoris', magnitude: 4.21 },
+            { name: '21 Leonis Minoris', magnitude: 4.48 }
+        ],
+        deepSky: [
+            'NGC 3344 - galáxia espiral'
+        ],
+        asterisms: [],
+        mythology: 'Criada por Hevelius em 1687 entre o Leão e a Ursa Maior; não tem mitologia clássica.',
+        bestMonth: 4,
+        hemisphere: 'northern'
+    },
+    lup: {
+        latinName: 'Lupus',
+        portugueseName: 'Lobo',
+        englishName: 'Wolf',
+        genitive: 'Lupi',
+        abbreviation: 'Lup',
+        area: 333.683,
+        brightestStars: [
+            { name: 'α Lupi', magnitude: 2.3 },
+            { name: 'β Lupi', magnitude: 2.68 },
+            { name: 'γ Lupi', magnitude: 2.78 }
+        ],
+        deepSky: [
+            'NGC 5822 - aglomerado aberto',
+            'NGC 5986 - aglomerado globular'
+        ],
+        asterisms: [],
+        mythology: 'Um animal selvagem levado pelo Centauro até o Altar para ser sacrificado; às vezes ligado ao rei Licáon, transformado em lobo por Zeus.',
+        bestMonth: 6,
+        hemisphere: 'southern'
+    },
+    lyn: {
+        latinName: 'Lynx',
+        portugueseName: 'Lince',
+        englishName: 'Lynx',
+        genitive: 'Lyncis',
+        abbreviation: 'Lyn',
+        area: 545.386,
+        brightestStars: [
+            { name: 'α Lyncis', magnitude: 3.14 },
+            { name: '38 Lyncis', magnitude: 3.82 },
+            { name: '10 Lyncis', magnitude: 3.96 }
+        ],
+        deepSky: [
+            'NGC 2419 - Vagabundo Intergaláctico'
+        ],
+        asterisms: [],
+        mythology: 'Criada por Hevelius, que dizia ser preciso ter olhos de lince para ver suas estrelas fracas.',
+        bestMonth: 3,
+        hemisphere: 'northern'
+    },
+    lyr: {
+        latinName: 'Lyra',
+        portugueseName: 'Lira',
+        englishName: 'Lyre',
+        genitive: 'Lyrae',
+        abbreviation: 'Lyr',
+        area: 286.476,
+        brightestStars: [
+            { name: 'Vega', magnitude: 0.03 },
+            { name: 'Sulafat', magnitude: 3.24 },
+            { name: 'Sheliak', magnitude: 3.52 }
+        ],
+        deepSky: [
+            'M57 - Nebulosa do Anel',
+            'M56 - aglomerado globular',
+            'Épsilon Lyrae - a "Dupla Dupla"'
+        ],
+        asterisms: ['Triângulo de Verão', 'Summer Triangle'],
+        mythology: 'A lira de Orfeu, cuja música encantava até as pedras e quase o fez trazer Eurídice de volta do mundo dos mortos.',
+        bestMonth: 8,
+        hemisphere: 'northern'
+    },
+    men: {
+        latinName: 'Mensa',
+        portugueseName: 'Mesa',
+        englishName: 'Table Mountain',
+        genitive: 'Mensae',
+        abbreviation: 'Men',
+        area: 153.484,
+        brightestStars: [
+            { name: 'α Mensae', magnitude: 5.09 },
+            { name: 'γ Mensae', magnitude: 5.19 },
+            { name: 'β Mensae', magnitude: 5.31 }
+        ],
+        deepSky: [
+            'Parte da Grande Nuvem de Magalhães'
+        ],
+        asterisms: [],
+        mythology: 'Criada por Lacaille em homenagem à Montanha da Mesa, na Cidade do Cabo, onde ele observou; é a constelação mais fraca do céu.',
+        bestMonth: 1,
+        hemisphere: 'southern'
+    },
+    mic: {
+        latinName: 'Microscopium',
+        portugueseName: 'Microscópio',
+        englishName: 'Microscope',
+        genitive: 'Microscopii',
+        abbreviation: 'Mic',
+        area: 209.513,
+        brightestStars: [
+            { name: 'γ Microscopii', magnitude: 4.67 },
+            { name: 'ε Microscopii', magnitude: 4.71 },
+            { name: 'θ¹ Microscopii', magnitude: 4.82 }
+        ],
+        deepSky: [
+            'NGC 6925 - galáxia espiral'
+        ],
+        asterisms: [],
+        mythology: 'Criada por Lacaille para representar o microscópio composto; não tem mitologia clássica.',
+        bestMonth: 9,
+        hemisphere: 'southern'
+    },
+    mon: {
+        latinName: 'Monoceros',
+        portugueseName: 'Unicórnio',
+        englishName: 'Unicorn',
+        genitive: 'Monocerotis',
+        abbreviation: 'Mon',
+        area: 481.569,
+        brightestStars: [
+            { name: 'β Monocerotis', magnitude: 3.74 },
+            { name: 'α Monocerotis', magnitude: 3.93 },
+            { name: 'γ Monocerotis', magnitude: 3.98 }
+        ],
+        deepSky: [
+            'NGC 2237 - Nebulosa Roseta',
+            'NGC 2264 - Aglomerado Árvore de Natal e Nebulosa do Cone',
+            'M50 - aglomerado aberto'
+        ],
+        asterisms: [],
+        mythology: 'Introduzida por Plancius em 1612-1613; o unicórnio, animal lendário citado em traduções antigas da Bíblia.',
+        bestMonth: 2,
+        hemisphere: 'equatorial'
+    },
+    mus: {
+        latinName: 'Musca',
+        portugueseName: 'Mosca',
+        englishName: 'Fly',
+        genitive: 'Muscae',
+        abbreviation: 'Mus',
+        area: 138.355,
+        brightestStars: [
+            { name: 'α Muscae', magnitude: 2.69 },
+            { name: 'β Muscae', magnitude: 3.04 },
+            { name: 'δ Muscae', magnitude: 3.62 }
+        ],
+        deepSky: [
+            'NGC 4833 e NGC 4372 - aglomerados globulares'
+        ],
+        asterisms: [],
+        mythology: 'Introduzida por Keyser e de Houtman como uma abelha e mais tarde rebatizada de mosca; não tem mitologia clássica.',
+        bestMonth: 5,
+        hemisphere: 'southern'
+    },
+    nor: {
+        latinName: 'Norma',
+        portugueseName: 'Esquadro',
+        englishName: 'Carpenter\'s Square',
+        genitive: 'Normae',
+        abbreviation: 'Nor',
+        area: 165.29,
+        brightestStars: [
+            { name: 'γ² Normae', magnitude: 4.02 },
+            { name: 'ε Normae', magnitude: 4.46 },
+            { name: 'η Normae', magnitude: 4.65 }
+        ],
+        deepSky: [
+            'NGC 6087 - aglomerado aberto'
+        ],
+        asterisms: [],
+        mythology: 'Criada por Lacaille como o esquadro e a régua dos desenhistas; não tem mitologia clássica.',
+        bestMonth: 7,
+        hemisphere: 'southern'
+    },
+    oct: {
+        latinName: 'Octans',
+        portugueseName: 'Oitante',
+        englishName: 'Octant',
+        genitive: 'Octantis',
+        abbreviation: 'Oct',
+        area: 291.045,
+        brightestStars: [
+            { name: 'ν Octantis', magnitude: 3.76 },
+            { name: 'β Octantis', magnitude: 4.13 },
+            { name: 'δ Octantis', magnitude: 4.31 }
+        ],
+        deepSky: [],
+        asterisms: [],
+        mythology: 'Criada por Lacaille em homenagem ao octante de navegação de John Hadley; contém o polo sul celeste, marcado pela fraca Sigma Octantis.',
+        bestMonth: 9,
+        hemisphere: 'southern'
+    },
+    oph: {
+        latinName: 'Ophiuchus',
+        portugueseName: 'Serpentário',
+        englishName: 'Serpent Bearer',
+        genitive: 'Ophiuchi',
+        abbreviation: 'Oph',
+        area: 948.34,
+        brightestStars: [
+            { name: 'Rasalhague', magnitude: 2.07 },
+            { name: 'Sabik', magnitude: 2.43 },
+            { name: 'ζ Ophiuchi', magnitude: 2.56 }
+        ],
+        deepSky: [
+            'M10, M12, M19 e M62 - aglomerados globulares',
+            'Estrela de Barnard'
+        ],
+        asterisms: [],
+        mythology: 'Asclépio, o deus da medicina, que aprendeu a ressuscitar os mortos e foi fulminado por Zeus; segura a Serpente.',
+        bestMonth: 7,
+        hemisphere: 'equatorial'
+    },
+    ori: {
+        latinName: 'Orion',
+        portugueseName: 'Órion',
+        englishName: 'Hunter',
+        genitive: 'Orionis',
+        abbreviation: 'Ori',
+        area: 594.12,
+        brightestStars: [
+            { name: 'Rigel', magnitude: 0.13 },
+            { name: 'Betelgeuse', magnitude: 0.5 },
+            { name: 'Bellatrix', magnitude: 1.64 }
+        ],
+        deepSky: [
+            'M42 - Grande Nebulosa de Órion',
+            'M43 e M78 - nebulosas de reflexão',
+            'Nebulosa Cabeça de Cavalo (Barnard 33)'
+        ],
+        asterisms: ['Três Marias', 'Cinturão de Órion', 'Orion\'s Belt', 'Triângulo de Inverno', 'Winter Triangle'],
+        mythology: 'O caçador gigante, filho de Posêidon, morto pelo ferrão de um escorpião; por isso Órion se põe quando o Escorpião nasce.',
+        bestMonth: 1,
+        hemisphere: 'equatorial'
+    },
+    pav: {
+        latinName: 'Pavo',
+        portugueseName: 'Pavão',
+        englishName: 'Peacock',
+        genitive: 'Pavonis',
+        abbreviation: 'Pav',
+        area: 377.666,
+        brightestStars: [
+            { name: 'Peacock', magnitude: 1.94 },
+            { name: 'β Pavonis', magnitude: 3.42 },
+            { name: 'δ Pavonis', magnitude: 3.56 }
+        ],
+        deepSky: [
+            'NGC 6752 - aglomerado globular',
+            'NGC 6744 - galáxia espiral'
+        ],
+        asterisms: [],
+        mythology: 'Introduzida por Keyser e de Houtman; o pavão era a ave sagrada de Hera, que pôs em sua cauda os cem olhos de Argos.',
+        bestMonth: 8,
+        hemisphere: 'southern'
+    },
+    peg: {
+        latinName: 'Pegasus',
+        portugueseName: 'Pégaso',
+        englishName: 'Winged Horse',
+        genitive: 'Pegasi',
+        abbreviation: 'Peg',
+        area: 1120.794,
+        brightestStars: [
+            { name: 'Enif', magnitude: 2.39 },
+            { name: 'Scheat', magnitude: 2.42 },
+            { name: 'Markab', magnitude: 2.49 }
+        ],
+        deepSky: [
+            'M15 - aglomerado globular',
+            'NGC 7331 - galáxia espiral',
+            'Quinteto de Stephan - grupo de galáxias'
+        ],
+        asterisms: ['Grande Quadrado de Pégaso', 'Great Square of Pegasus'],
+        mythology: 'O cavalo alado nascido do sangue da Medusa, montado por Belerofonte contra a Quimera.',
+        bestMonth: 10,
+        hemisphere: 'northern'
+    },
+    per: {
+        latinName: 'Perseus',
+        portugueseName: 'Perseu',
+        englishName: 'Perseus',
+        genitive: 'Persei',
+        abbreviation: 'Per',
+        area: 614.997,
+        brightestStars: [
+            { name: 'Mirfak', magnitude: 1.79 },
+            { name: 'Algol', magnitude: 2.1 },
+            { name: 'Menkib', magnitude: 2.85 }
+        ],
+        deepSky: [
+            'Aglomerado Duplo (NGC 869 e NGC 884)',
+            'M34 - aglomerado aberto',
+            'NGC 1499 - Nebulosa Califórnia'
+        ],
+        asterisms: [],
+        mythology: 'O herói que decapitou a Medusa e salvou Andrômeda; Algol, a estrela "demônio", marca o olho da górgona.',
+        bestMonth: 12,
+        hemisphere: 'northern'
+    },
+    phe: {
+        latinName: 'Phoenix',
+        portugueseName: 'Fênix',
+        englishName: 'Phoenix',
+        genitive: 'Phoenicis',
+        abbreviation: 'Phe',
+        area: 469.319,
+        brightestStars: [
+            { name: 'Ankaa', magnitude: 2.4 },
+            { name: 'β Phoenicis', magnitude: 3.31 },
+            { name: 'γ Phoenicis', magnitude: 3.41 }
+        ],
+        deepSky: [
+            'Quarteto de Robert - grupo de galáxias'
+        ],
+        asterisms: [],
+        mythology: 'Introduzida por Keyser e de Houtman: a ave mítica que renasce das próprias cinzas.',
+        bestMonth: 11,
+        hemisphere: 'southern'
+    },
+    pic: {
+        latinName: 'Pictor',
+        portugueseName: 'Pintor',
+        englishName: 'Painter\'s Easel',
+        genitive: 'Pictoris',
+        abbreviation: 'Pic',
+        area: 246.739,
+        brightestStars: [
+            { name: 'α Pictoris', magnitude: 3.27 },
+            { name: 'β Pictoris', magnitude: 3.86 },
+            { name: 'γ Pictoris', magnitude: 4.5 }
+        ],
+        deepSky: [
+            'Beta Pictoris - estrela com disco de poeira e planetas'
+        ],
+        asterisms: [],
+        mythology: 'Criada por Lacaille como o cavalete do pintor; não tem mitologia clássica.',
+        bestMonth: 2,
+        hemisphere: 'southern'
+    },
+    psa: {
+        latinName: 'Piscis Austrinus',
+        portugueseName: 'Peixe Austral',
+        englishName: 'Southern Fish',
+        genitive: 'Piscis Austrini',
+        abbreviation: 'PsA',
+        area: 245.375,
+        brightestStars: [
+            { name: 'Fomalhaut', magnitude: 1.16 },
+            { name: 'ε Piscis Austrini', magnitude: 4.17 },
+            { name: 'δ Piscis Austrini', magnitude: 4.21 }
+        ],
+        deepSky: [],
+        asterisms: [],
+        mythology: 'O grande peixe que bebe a água derramada por Aquário; seria o pai dos dois peixes de Peixes.',
+        bestMonth: 10,
+        hemisphere: 'southern'
+    },
+    psc: {
+        latinName: 'Pisces',
+        portugueseName: 'Peixes',
+        englishName: 'Fishes',
+        genitive: 'Piscium',
+        abbreviation: 'Psc',
+        area: 889.417,
+        brightestStars: [
+            { name: 'Alpherg', magnitude: 3.62 },
+            { name: 'γ Piscium', magnitude: 3.69 },
+            { name: 'Alrescha', magnitude: 3.82 }
+        ],
+        deepSky: [
+            'M74 - galáxia espiral'
+        ],
+        asterisms: [],
+        mythology: 'Afrodite e Eros, que se transformaram em peixes e se amarraram por uma corda para fugir do monstro Tifão.',
+        bestMonth: 11,
+        hemisphere: 'northern'
+    },
+    pup: {
+        latinName: 'Puppis',
+        portugueseName: 'Popa',
+        englishName: 'Stern',
+        genitive: 'Puppis',
+        abbreviation: 'Pup',
+        area: 673.434,
+        brightestStars: [
+            { name: 'Naos', magnitude: 2.21 },
+            { name: 'π Puppis', magnitude: 2.7 },
+            { name: 'Tureis', magnitude: 2.83 }
+        ],
+        deepSky: [
+            'M46, M47 e M93 - aglomerados abertos'
+        ],
+        asterisms: [],
+        mythology: 'A popa do navio Argo, dos Argonautas, uma das três partes da antiga Argo Navis.',
+        bestMonth: 2,
+        hemisphere: 'southern'
+    },
+    pyx: {
+        latinName: 'Pyxis',
+        portugueseName: 'Bússola',
+        englishName: 'Mariner\'s Compass',
+        genitive: 'Pyxidis',
+        abbreviation: 'Pyx',
+        area: 220.833,
+        brightestStars: [
+            { name: 'α Pyxidis', magnitude: 3.68 },
+            { name: 'β Pyxidis', magnitude: 3.97 },
+            { name: 'γ Pyxidis', magnitude: 4.01 }
+        ],
+        deepSky: [
+            'NGC 2818 - nebulosa planetária'
+        ],
+        asterisms: [],
+        mythology: 'Criada por Lacaille como a bússola dos marinheiros, junto ao navio Argo; não tem mitologia clássica.',
+        bestMonth: 3,
+        hemisphere: 'southern'
+    },
+    ret: {
+        latinName: 'Reticulum',
+        portugueseName: 'Retículo',
+        englishName: 'Reticle',
+        genitive: 'Reticuli',
+        abbreviation: 'Ret',
+        area: 113.936,
+        brightestStars: [
+            { name: 'α Reticuli', magnitude: 3.33 },
+            { name: 'β Reticuli', magnitude: 3.85 },
+            { name: 'ε Reticuli', magnitude: 4.44 }
+        ],
+        deepSky: [
+            'NGC 1313 - galáxia espiral barrada'
+        ],
+        asterisms: [],
+        mythology: 'Criada por Lacaille em homenagem ao retículo da ocular com que mapeou as estrelas do sul; não tem mitologia clássica.',
+        bestMonth: 1,
+        hemisphere: 'southern'
+    },
+    scl: {
+        latinName: 'Sculptor',
+        portugueseName: 'Escultor',
+        englishName: 'Sculptor',
+        genitive: 'Sculptoris',
+        abbreviation: 'Scl',
+        area: 474.764,
+        brightestStars: [
+            { name: 'α Sculptoris', magnitude: 4.31 },
+            { name: 'β Sculptoris', magnitude: 4.37 },
+            { name: 'γ Sculptoris', magnitude: 4.41 }
+        ],
+        deepSky: [
+            'NGC 253 - Galáxia do Escultor',
+            'NGC 55 - galáxia irregular'
+        ],
+        asterisms: [],
+        mythology: 'Criada por Lacaille como o ateliê do escultor; não tem mitologia clássica. Abriga o polo sul galáctico.',
+        bestMonth: 10,
+        hemisphere: 'southern'
+    },
+    sco: {
+        latinName: 'Scorpius',
+        portugueseName: 'Escorpião',
+        englishName: 'Scorpion',
+        genitive: 'Scorpii',
+        abbreviation: 'Sco',
+        area: 496.783,
+        brightestStars: [
+            { name: 'Antares', magnitude: 1.06 },
+            { name: 'Shaula', magnitude: 1.62 },
+            { name: 'Sargas', magnitude: 1.86 }
+        ],
+        deepSky: [
+            'M4 - aglomerado globular',
+            'M6 - Aglomerado da Borboleta',
+            'M7 - Aglomerado de Ptolomeu',
+            'M80 - aglomerado globular'
+        ],
+        asterisms: ['Anzol de Maui', 'Maui\'s Fishhook'],
+        mythology: 'O escorpião enviado por Gaia ou Ártemis para matar Órion; os dois foram postos em lados opostos do céu.',
+        bestMonth: 7,
+        hemisphere: 'southern'
+    },
+    sct: {
+        latinName: 'Scutum',
+        portugueseName: 'Escudo',
+        englishName: 'Shield',
+        genitive: 'Scuti',
+        abbreviation: 'Sct',
+        area: 109.114,
+        brightestStars: [
+            { name: 'α Scuti', magnitude: 3.85 },
+            { name: 'β Scuti', magnitude: 4.22 },
+            { name: 'ζ Scuti', magnitude: 4.68 }
+        ],
+        deepSky: [
+            'M11 - Aglomerado do Pato Selvagem',
+            'M26 - aglomerado aberto'
+        ],
+        asterisms: [],
+        mythology: 'Criada por Hevelius em 1684 como o escudo do rei polonês João III Sobieski, vencedor da batalha de Viena.',
+        bestMonth: 8,
+        hemisphere: 'equatorial'
+    },
+    ser: {
+        latinName: 'Serpens',
+        portugueseName: 'Serpente',
+        englishName: 'Serpent',
+        genitive: 'Serpentis',
+        abbreviation: 'Ser',
+        area: 636.928,
+        brightestStars: [
+            { name: 'Unukalhai', magnitude: 2.63 },
+            { name: 'η Serpentis', magnitude: 3.26 },
+            { name: 'μ Serpentis', magnitude: 3.54 }
+        ],
+        deepSky: [
+            'M16 - Nebulosa da Águia',
+            'M5 - aglomerado globular',
+            'Objeto de Hoag - galáxia anelar'
+        ],
+        asterisms: [],
+        mythology: 'A serpente segurada por Asclépio (Serpentário), símbolo da cura; é a única constelação dividida em duas partes.',
+        bestMonth: 7,
+        hemisphere: 'equatorial'
+    },
+    sex: {
+        latinName: 'Sextans',
+        portugueseName: 'Sextante',
+        englishName: 'Sextant',
+        genitive: 'Sextantis',
+        abbreviation: 'Sex',
+        area: 313.515,
+        brightestStars: [
+            { name: 'α Sextantis', magnitude: 4.49 },
+            { name: 'γ Sextantis', magnitude: 5.05 },
+            { name: 'β Sextantis', magnitude: 5.09 }
+        ],
+        deepSky: [
+            'NGC 3115 - Galáxia do Fuso'
+        ],
+        asterisms: [],
+        mythology: 'Criada por Hevelius em homenagem ao sextante com que media posições estelares; não tem mitologia clássica.',
+        bestMonth: 4,
+        hemisphere: 'equatorial'
+    },
+    sge: {
+        latinName: 'Sagitta',
+        portugueseName: 'Flecha',
+        englishName: 'Arrow',
+        genitive: 'Sagittae',
+        abbreviation: 'Sge',
+        area: 79.932,
+        brightestStars: [
+            { name: 'γ Sagittae', magnitude: 3.47 },
+            { name: 'δ Sagittae', magnitude: 3.82 },
+            { name: 'Sham', magnitude: 4.37 }
+        ],
+        deepSky: [
+            'M71 - aglomerado globular'
+        ],
+        asterisms: [],
+        mythology: 'A flecha com que Héracles matou a águia que devorava o fígado de Prometeu; ou a flecha de Eros.',
+        bestMonth: 8,
+        hemisphere: 'northern'
+    },
+    sgr: {
+        latinName: 'Sagittarius',
+        portugueseName: 'Sagitário',
+        englishName: 'Archer',
+        genitive: 'Sagittarii',
+        abbreviation: 'Sgr',
+        area: 867.432,
+        brightestStars: [
+            { name: 'Kaus Australis', magnitude: 1.85 },
+            { name: 'Nunki', magnitude: 2.05 },
+            { name: 'Ascella', magnitude: 2.6 }
+        ],
+        deepSky: [
+            'M8 - Nebulosa da Lagoa',
+            'M17 - Nebulosa Ômega',
+            'M20 - Nebulosa Trífida',
+            'M22 - aglomerado globular',
+            'Sagittarius A* - centro da Via Láctea'
+        ],
+        asterisms: ['Bule de Chá', 'Teapot'],
+        mythology: 'O centauro arqueiro, às vezes identificado com Croto, inventor do arco, mirando o coração do Escorpião.',
+        bestMonth: 8,
+        hemisphere: 'southern'
+    },
+    tau: {
+        latinName: 'Taurus',
+        portugueseName: 'Touro',
+        englishName: 'Bull',
+        genitive: 'Tauri',
+        abbreviation: 'Tau',
+        area: 797.249,
+        brightestStars: [
+            { name: 'Aldebaran', magnitude: 0.87 },
+            { name: 'Elnath', magnitude: 1.65 },
+            { name: 'Alcyone', magnitude: 2.87 }
+        ],
+        deepSky: [
+            'M45 - Plêiades',
+            'Híades - aglomerado aberto',
+            'M1 - Nebulosa do Caranguejo'
+        ],
+        asterisms: ['Plêiades', 'Sete Irmãs', 'Seven Sisters', 'Híades', 'Hyades'],
+        mythology: 'O touro branco em que Zeus se transformou para raptar a princesa Europa e levá-la até Creta.',
+        bestMonth: 1,
+        hemisphere: 'northern'
+    },
+    tel: {
+        latinName: 'Telescopium',
+        portugueseName: 'Telescópio',
+        englishName: 'Telescope',
+        genitive: 'Telescopii',
+        abbreviation: 'Tel',
+        area: 251.512,
+        brightestStars: [
+            { name: 'α Telescopii', magnitude: 3.49 },
+            { name: 'ζ Telescopii', magnitude: 4.13 },
+            { name: 'ε Telescopii', magnitude: 4.52 }
+        ],
+        deepSky: [
+            'NGC 6584 - aglomerado globular'
+        ],
+        asterisms: [],
+        mythology: 'Criada por Lacaille em homenagem ao telescópio; não tem mitologia clássica.',
+        bestMonth: 8,
+        hemisphere: 'southern'
+    },
+    tra: {
+        latinName: 'Triangulum Australe',
+        portugueseName: 'Triângulo Austral',
+        englishName: 'Southern Triangle',
+        genitive: 'Trianguli Australis',
+        abbreviation: 'TrA',
+        area: 109.978,
+        brightestStars: [
+            { name: 'Atria', magnitude: 1.91 },
+            { name: 'β Trianguli Australis', magnitude: 2.85 },
+            { name: 'γ Trianguli Australis', magnitude: 2.89 }
+        ],
+        deepSky: [
+            'NGC 6025 - aglomerado aberto'
+        ],
+        asterisms: [],
+        mythology: 'Introduzida por Keyser e de Houtman como par austral do Triângulo; não tem mitologia clássica.',
+        bestMonth: 7,
+        hemisphere: 'southern'
+    },
+    tri: {
+        latinName: 'Triangulum',
+        portugueseName: 'Triângulo',
+        englishName: 'Triangle',
+        genitive: 'Trianguli',
+        abbreviation: 'Tri',
+        area: 131.847,
+        brightestStars: [
+            { name: 'β Trianguli', magnitude: 3 },
+            { name: 'Mothallah', magnitude: 3.41 },
+            { name: 'γ Trianguli', magnitude: 4.01 }
+        ],
+        deepSky: [
+            'M33 - Galáxia do Triângulo'
+        ],
+        asterisms: [],
+        mythology: 'Para os gregos lembrava o delta do Nilo ou a ilha da Sicília, posta no céu por Zeus a pedido de Deméter.',
+        bestMonth: 12,
+        hemisphere: 'northern'
+    },
+    tuc: {
+        latinName: 'Tucana',
+        portugueseName: 'Tucano',
+        englishName: 'Toucan',
+        genitive: 'Tucanae',
+        abbreviation: 'Tuc',
+        area: 294.557,
+        brightestStars: [
+            { name: 'α Tucanae', magnitude: 2.86 },
+            { name: 'γ Tucanae', magnitude: 3.99 },
+            { name: 'ζ Tucanae', magnitude: 4.23 }
+        ],
+        deepSky: [
+            '47 Tucanae (NGC 104) - aglomerado globular',
+            'Pequena Nuvem de Magalhães - galáxia satélite'
+        ],
+        asterisms: [],
+        mythology: 'Introduzida por Keyser e de Houtman; representa o tucano das Américas.',
+        bestMonth: 10,
+        hemisphere: 'southern'
+    },
+    uma: {
+        latinName: 'Ursa Major',
+        portugueseName: 'Ursa Maior',
+        englishName: 'Great Bear',
+        genitive: 'Ursae Majoris',
+        abbreviation: 'UMa',
+        area: 1279.66,
+        brightestStars: [
+            { name: 'Alioth', magnitude: 1.77 },
+            { name: 'Dubhe', magnitude: 1.79 },
+            { name: 'Alkaid', magnitude: 1.86 }
+        ],
+        deepSky: [
+            'M81 - Galáxia de Bode',
+            'M82 - Galáxia do Charuto',
+            'M101 - Galáxia do Cata-vento',
+            'M97 - Nebulosa da Coruja'
+        ],
+        asterisms: ['Grande Carro', 'Caçarola', 'Big Dipper', 'Plough'],
+        mythology: 'Calisto, ninfa amada por Zeus e transformada em ursa por Hera; seu filho Arcas quase a matou antes de Zeus pôr os dois no céu.',
+        bestMonth: 4,
+        hemisphere: 'northern'
+    },
+    umi: {
+        latinName: 'Ursa Minor',
+        portugueseName: 'Ursa Menor',
+        englishName: 'Little Bear',
+        genitive: 'Ursae Minoris',
+        abbreviation: 'UMi',
+        area: 255.864,
+        brightestStars: [
+            { name: 'Polaris', magnitude: 1.98 },
+            { name: 'Kochab', magnitude: 2.08 },
+            { name: 'Pherkad', magnitude: 3.05 }
+        ],
+        deepSky: [
+            'Galáxia Anã de Ursa Minor'
+        ],
+        asterisms: ['Pequeno Carro', 'Little Dipper'],
+        mythology: 'Arcas, filho de Calisto, ou uma das ninfas que criaram Zeus; sua estrela Polaris marca o polo norte celeste.',
+        bestMonth: 6,
+        hemisphere: 'northern'
+    },
+    vel: {
+        latinName: 'Vela',
+        portugueseName: 'Vela',
+        englishName: 'Sails',
+        genitive: 'Velorum',
+        abbreviation: 'Vel',
+        area: 499.649,
+        brightestStars: [
+            { name: 'Regor', magnitude: 1.83 },
+            { name: 'Alsephina', magnitude: 1.96 },
+            { name: 'Suhail', magnitude: 2.21 }
+        ],
+        deepSky: [
+            'NGC 3132 - Nebulosa dos Oito Anéis',
+            'IC 2391 - aglomerado aberto',
+            'Restos da Supernova de Vela'
+        ],
+        asterisms: ['Falsa Cruz', 'False Cross'],
+        mythology: 'As velas do navio Argo, dos Argonautas, uma das três partes da antiga Argo Navis.',
+        bestMonth: 3,
+        hemisphere: 'southern'
+    },
+    vir: {
+        latinName: 'Virgo',
+        portugueseName: 'Virgem',
+        englishName: 'Virgin',
+        genitive: 'Virginis',
+        abbreviation: 'Vir',
+        area: 1294.428,
+        brightestStars: [
+            { name: 'Spica', magnitude: 0.98 },
+            { name: 'Porrima', magnitude: 2.74 },
+            { name: 'Vindemiatrix', magnitude: 2.85 }
+        ],
+        deepSky: [
+            'Aglomerado de Virgem - aglomerado de galáxias',
+            'M87 - galáxia elíptica gigante',
+            'M104 - Galáxia do Sombreiro'
+        ],
+        asterisms: [],
+        mythology: 'Astreia, deusa da justiça, ou Deméter, deusa das colheitas, segurando uma espiga de trigo (Espiga).',
+        bestMonth: 5,
+        hemisphere: 'equatorial'
+    },
+    vol: {
+        latinName: 'Volans',
+        portugueseName: 'Peixe Voador',
+        englishName: 'Flying Fish',
+        genitive: 'Volantis',
+        abbreviation: 'Vol',
+        area: 141.354,
+        brightestStars: [
+            { name: 'β Volantis', magnitude: 3.77 },
+            { name: 'γ² Volantis', magnitude: 3.78 },
+            { name: 'ζ Volantis', magnitude: 3.95 }
+        ],
+        deepSky: [
+            'NGC 2442 - galáxia espiral'
+        ],
+        asterisms: [],
+        mythology: 'Introduzida por Keyser e de Houtman; representa os peixes-voadores vistos pelos navegadores nos mares tropicais.',
+        bestMonth: 2,
+        hemisphere: 'southern'
+    },
+    vul: {
+        latinName: 'Vulpecula',
+        portugueseName: 'Raposa',
+        englishName: 'Little Fox',
+        genitive: 'Vulpeculae',
+        abbreviation: 'Vul',
+        area: 268.165,
+        brightestStars: [
+            { name: 'Anser', magnitude: 4.44 },
+            { name: '23 Vulpeculae', magnitude: 4.52 },
+            { name: '13 Vulpeculae', magnitude: 4.57 }
+        ],
+        deepSky: [
+            'M27 - Nebulosa Haltere',
+            'Collinder 399 - asterismo do Cabide'
+        ],
+        asterisms: [],
+        mythology: 'Criada por Hevelius como uma raposa com um ganso na boca; não tem mitologia clássica.',
+        bestMonth: 8,
+        hemisphere: 'northern'
+    }
+};
@@ -0,0 +1,400 @@
+/**
+ * Stars for Starlikers - Logging
+ * @fileoverview Leveled logger that redacts secrets, keeps a record of recent
+ * API requests and, with ?debug=1, shows them in an in-page debug drawer.
+ */
+
+// =============================================================================
+// REDACTION
+// =============================================================================
+
+const LOG_LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100
+};
+
+/**
+ * Object keys whose values are never logged
+ */
+const SECRET_KEYS = /^(authorization|proxy-authorization|cookie|set-cookie|token|access_?token|refresh_?token|secret|password|api[-_]?key|api[-_]?secret|x-api-key)$/i;
+
+/**
+ * Credentials embedded in strings (headers, URLs, error messages)
+ */
+const SECRET_PATTERNS = [
+    [/\b(Bearer|Basic)\s+[\w.~+/=-]+/gi, '$1 [REDACTED]'],
+    [/([?&](?:token|access_token|api_key|key)=)[^&#\s]+/gi, '$1[REDACTED]']
+];
+
+/**
+ * Deep copy a value with secrets replaced by [REDACTED]
+ * @param {*} value - Value to redact
+ * @param {number} depth - Current depth (guards against cycles)
+ * @returns {*} Redacted copy
+ */
+function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return SECRET_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+    }
+
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    if (depth > 8) {
+        return '[...]';
+    }
+
+    if (value instanceof APIError) {
+        return redact(value.getDetails(), depth + 1);
+    }
+
+    if (value instanceof Error) {
+        return { name: value.name, message: redact(value.message) };
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+
+    const copy = {};
+    Object.keys(value).forEach(key => {
+        copy[key] = SECRET_KEYS.test(key) ? '[REDACTED]' : redact(value[key], depth + 1);
+    });
+    return copy;
+}
+
+// =============================================================================
+// LOGGER
+// =============================================================================
+
+/**
+ * Leveled logger with a bounded record of API requests
+ */
+class Logger {
+    /**
+     * @param {Object} options - Logger options
+     * @param {string} options.level - Minimum level written to the console
+     * @param {number} options.maxRecords - Number of request records kept
+     */
+    constructor({ level = 'warn', maxRecords = 50 } = {}) {
+        this.level = level in LOG_LEVELS ? level : 'warn';
+        this.maxRecords = maxRecords;
+        this.records = [];
+        this.listeners = [];
+    }
+
+    /**
+     * Write a message to the console if its level is enabled
+     * @param {string} level - Message level
+     * @param {string} message - Message
+     * @param {*} data - Optional data, redacted before writing
+     */
+    log(level, message, data) {
+        if (LOG_LEVELS[level] < LOG_LEVELS[this.level]) return;
+
+        const method = level === 'debug' ? 'log' : level;
+        const args = [`[${level.toUpperCase()}] ${message}`];
+        if (data !== undefined) {
+            args.push(redact(data));
+        }
+        console[method](...args);
+    }
+
+    /**
+     * Log a debug message
+     * @param {string} message - Message
+     * @param {*} data - Optional data
+     */
+    debug(message, data) {
+        this.log('debug', message, data);
+    }
+
+    /**
+     * Log an informational message
+     * @param {string} message - Message
+     * @param {*} data - Optional data
+     */
+    info(message, data) {
+        this.log('info', message, data);
+    }
+
+    /**
+     * Log a warning
+     * @param {string} message - Message
+     * @param {*} data - Optional data
+     */
+    warn(message, data) {
+        this.log('warn', message, data);
+    }
+
+    /**
+     * Log an error
+     * @param {string} message - Message
+     * @param {*} data - Optional data
+     */
+    error(message, data) {
+        this.log('error', message, data);
+    }
+
+    /**
+     * Record a finished API request
+     * @param {Object} record - Request record (method, url, startedAt, duration,
+     * requestHeaders, requestBody, status, statusText, responseBody, error)
+     */
+    recordRequest(record) {
+        const entry = redact({ id: generateId(), ...record });
+
+        this.records.unshift(entry);
+        this.records.length = Math.min(this.records.length, this.maxRecords);
+        this.listeners.forEach(listener => listener(entry));
+
+        const summary = `${entry.method} ${entry.url} → ${entry.status} (${entry.duration} ms)`;
+        if (entry.error) {
+            this.warn(summary, entry.error);
+        } else {
+            this.debug(summary);
+        }
+    }
+
+    /**
+     * Subscribe to new request records
+     * @param {Function} listener - Called with each new record
+     */
+    onRecord(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Get the recorded requests, newest first
+     * @returns {Array<Object>} Request records
+     */
+    getRecords() {
+        return [...this.records];
+    }
+
+    /**
+     * Forget the recorded requests
+     */
+    clearRecords() {
+        this.records = [];
+    }
+
+    /**
+     * Export the recorded requests in a HAR-like format
+     * @returns {Object} HAR log
+     */
+    toHAR() {
+        const toHeaders = headers => Object.entries(headers || {}).map(([name, value]) => ({ name, value: String(value) }));
+        const toText = body => (body === undefined || body === null ? '' : typeof body === 'string' ? body : JSON.stringify(body));
+
+        return {
+            log: {
+                version: '1.2',
+                creator: { name: 'Stars for Starlikers', version: '1.0' },
+                pages: [{
+                    startedDateTime: new Date().toISOString(),
+                    id: 'page_1',
+                    title: document.title,
+                    pageTimings: {}
+                }],
+                // HAR lists entries oldest first
+                entries: [...this.records].reverse().map(record => ({
+                    pageref: 'page_1',
+                    startedDateTime: new Date(record.startedAt).toISOString(),
+                    time: record.duration,
+                    request: {
+                        method: record.method,
+                        url: record.url,
+                        httpVersion: 'HTTP/1.1',
+                        headers: toHeaders(record.requestHeaders),
+                        queryString: [],
+                        cookies: [],
+                        headersSize: -1,
+                        bodySize: toText(record.requestBody).length,
+                        postData: record.requestBody === undefined ? undefined : {
+                            mimeType: 'application/json',
+                            text: toText(record.requestBody)
+                        }
+                    },
+                    response: {
+                        status: record.status,
+                        statusText: record.statusText || '',
+                        httpVersion: 'HTTP/1.1',
+                        headers: [],
+                        cookies: [],
+                        content: {
+                            size: toText(record.responseBody).length,
+                            mimeType: 'application/json',
+                            text: toText(record.responseBody)
+                        },
+                        redirectURL: '',
+                        headersSize: -1,
+                        bodySize: -1
+                    },
+                    cache: {},
+                    timings: { send: 0, wait: record.duration, receive: 0 },
+                    _error: record.error || undefined
+                }))
+            }
+        };
+    }
+}
+
+// =============================================================================
+// DEBUG DRAWER
+// =============================================================================
+
+/**
+ * In-page drawer listing the recent API requests
+ */
+class DebugPanel {
+    /**
+     * @param {Logger} logger - Logger whose records are shown
+     */
+    constructor(logger) {
+        this.logger = logger;
+        this.render();
+        this.refresh();
+        this.logger.onRecord(() => this.refresh());
+    }
+
+    /**
+     * Create the toggle button and the drawer
+     */
+    render() {
+        this.toggle = document.createElement('button');
+        this.toggle.type = 'button';
+        this.toggle.className = 'debug-toggle';
+        this.toggle.setAttribute('aria-controls', 'debugDrawer');
+        this.toggle.setAttribute('aria-expanded', 'false');
+        this.toggle.textContent = 'Debug';
+
+        this.drawer = document.createElement('aside');
+        this.drawer.id = 'debugDrawer';
+        this.drawer.className = 'debug-drawer';
+        this.drawer.setAttribute('aria-label', 'Painel de depuração');
+        this.drawer.innerHTML = `
+            <div class="debug-header">
+                <h2 class="debug-title">Requisições recentes</h2>
+                <div class="debug-actions">
+                    <button type="button" class="debug-btn" data-action="export">Exportar HAR</button>
+                    <button type="button" class="debug-btn" data-action="clear">Limpar</button>
+                    <button type="button" class="debug-btn" data-action="close" aria-label="Fechar">✕</button>
+                </div>
+            </div>
+            <p class="debug-empty">Nenhuma requisição registrada.</p>
+            <ol class="debug-list"></ol>
+        `;
+
+        this.list = this.drawer.querySelector('.debug-list');
+        this.empty = this.drawer.querySelector('.debug-empty');
+
+        this.toggle.addEventListener('click', () => this.setOpen(!this.drawer.classList.contains('open')));
+        this.drawer.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'export') this.exportHAR();
+            if (action === 'clear') {
+                this.logger.clearRecords();
+                this.refresh();
+            }
+            if (action === 'close') this.setOpen(false);
+        });
+
+        document.body.appendChild(this.toggle);
+        document.body.appendChild(this.drawer);
+    }
+
+    /**
+     * Open or close the drawer
+     * @param {boolean} open - Whether the drawer should be open
+     */
+    setOpen(open) {
+        this.drawer.classList.toggle('open', open);
+        this.toggle.setAttribute('aria-expanded', String(open));
+    }
+
+    /**
+     * Re-render the list of requests
+     */
+    refresh() {
+        const records = this.logger.getRecords();
+        this.empty.hidden = records.length > 0;
+        this.toggle.textContent = records.length ? `Debug (${records.length})` : 'Debug';
+        this.list.innerHTML = '';
+
+        records.forEach(record => {
+            const item = document.createElement('li');
+            const failed = Boolean(record.error);
+            item.className = failed ? 'debug-item debug-item-error' : 'debug-item';
+
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.innerHTML = `
+                <span class="debug-status">${record.status}</span>
+                <span class="debug-method">${record.method}</span>
+                <span class="debug-url"></span>
+                <span class="debug-duration">${record.duration} ms</span>
+            `;
+            summary.querySelector('.debug-url').textContent = record.url.replace(/^https?:\/\/[^/]+/, '');
+            summary.title = `${new Date(record.startedAt).toLocaleTimeString('pt-BR')} - ${record.url}`;
+
+            const body = document.createElement('pre');
+            body.className = 'debug-body';
+            body.textContent = JSON.stringify({
+                request: { headers: record.requestHeaders, body: record.requestBody },
+                response: { status: record.status, statusText: record.statusText, body: record.responseBody },
+                error: record.error
+            }, null, 2);
+
+            details.append(summary, body);
+            item.appendChild(details);
+            this.list.appendChild(item);
+        });
+    }
+
+    /**
+     * Download the records as a HAR-like JSON file
+     */
+    exportHAR() {
+        const blob = new Blob([JSON.stringify(this.logger.toHAR(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+        downloadFile(url, `stars-requests-${stamp}.har`);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+/**
+ * Check whether debug mode was requested with ?debug=1 or in the configuration
+ * @param {Object} config - Application configuration
+ * @returns {boolean} Whether debug mode is on
+ */
+function isDebugEnabled(config = APP_CONFIG) {
+    const param = new URLSearchParams(window.location.search).get('debug');
+    if (param !== null) {
+        return param === '1' || param === 'true';
+    }
+    return Boolean(config.logging.debug);
+}
+
+const DEBUG_ENABLED = isDebugEnabled();
+
+const logger = new Logger({
+    level: DEBUG_ENABLED ? 'debug' : APP_CONFIG.logging.level,
+    maxRecords: APP_CONFIG.logging.maxRecords
+});
+
+if (DEBUG_ENABLED) {
+    document.addEventListener('DOMContentLoaded', () => {
+        new DebugPanel(logger);
+    });
+}
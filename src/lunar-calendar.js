@@ -0,0 +1,254 @@
+/**
+ * Stars for Starlikers - Lunar Calendar
+ * @fileoverview Month and lunation grids of the Moon's phase, illumination,
+ * moonrise and moonset for the observer entered in the moon form.
+ */
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date - Date string
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} New date string
+ */
+function addCalendarDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+/**
+ * Format a time as HH:MM in a time zone
+ * @param {Date|null} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Time, or an em dash when there is none
+ */
+function formatClock(date, timeZone) {
+    return date ? date.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit', timeZone }) : '—';
+}
+
+/**
+ * Format a YYYY-MM-DD date as DD/MM/YYYY
+ * @param {string} date - Date string
+ * @returns {string} Brazilian date
+ */
+function formatCalendarDate(date) {
+    return date.split('-').reverse().join('/');
+}
+
+/**
+ * Render a notable moon tag as a chip whose tooltip explains it
+ * @param {{id: string, label: string, description: string}} tag - Tag from moonPhaseTags()
+ * @returns {string} HTML
+ */
+function renderMoonTag({ id, label, description }) {
+    return `<span class="moon-tag moon-tag-${id}" title="${description}">${label}</span>`;
+}
+
+// =============================================================================
+// LUNAR CALENDAR
+// =============================================================================
+
+/**
+ * Calendar grid of lunar data, one cell per day
+ */
+class LunarCalendar {
+    /**
+     * @param {Object} options - Calendar options
+     * @param {Function} options.onSelect - Called with the YYYY-MM-DD of a clicked day
+     */
+    constructor({ onSelect }) {
+        this.onSelect = onSelect;
+        this.section = document.getElementById('calendarSection');
+        this.grid = document.getElementById('calendarGrid');
+        this.caption = document.getElementById('calendarCaption');
+        this.modeSelect = document.getElementById('calendarMode');
+        this.monthInput = document.getElementById('calendarMonth');
+
+        this.mode = 'month';
+        this.anchor = formatDate(new Date());
+        this.observer = null;
+        this.selectedDate = null;
+        this.renderedKey = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Wire the period controls and day clicks
+     */
+    setupEventListeners() {
+        this.modeSelect?.addEventListener('change', () => {
+            this.mode = this.modeSelect.value;
+            this.render();
+        });
+
+        this.monthInput?.addEventListener('change', () => {
+            if (!this.monthInput.value) return;
+            this.anchor = `${this.monthInput.value}-01`;
+            this.render();
+        });
+
+        document.getElementById('calendarPrev')?.addEventListener('click', () => this.shift(-1));
+        document.getElementById('calendarNext')?.addEventListener('click', () => this.shift(1));
+
+        this.grid?.addEventListener('click', (e) => {
+            const day = e.target.closest('.calendar-day');
+            if (day) {
+                this.onSelect(day.dataset.date);
+            }
+        });
+    }
+
+    /**
+     * Follow the moon form: observer, time zone, orientation and selected date
+     * @param {Object} formData - Moon form data
+     */
+    update({ date, latitude, longitude, orientation, timezone }) {
+        const lat = parseFloat(latitude);
+        const lng = parseFloat(longitude);
+        if (!isFinite(lat) || !isFinite(lng) || !isValidDate(date)) return;
+
+        // Jump to the selected date only when it leaves the period on screen
+        if (!this.range || date < this.range.start || date >= this.range.end) {
+            this.anchor = date;
+        }
+
+        this.observer = { latitude: lat, longitude: lng, orientation, timeZone: timezone || getBrowserTimeZone() };
+        this.selectedDate = date;
+        this.render();
+    }
+
+    /**
+     * Move to the previous or next month or lunation
+     * @param {number} direction - -1 or 1
+     */
+    shift(direction) {
+        if (this.mode === 'lunation' && this.range) {
+            this.anchor = direction > 0 ? addCalendarDays(this.range.end, 1) : addCalendarDays(this.range.start, -2);
+        } else {
+            const [year, month] = this.anchor.split('-').map(Number);
+            this.anchor = new Date(Date.UTC(year, month - 1 + direction, 1)).toISOString().split('T')[0];
+        }
+        this.render();
+    }
+
+    /**
+     * Days covered by the current period
+     * @returns {{start: string, end: string}} YYYY-MM-DD dates; end is exclusive
+     */
+    getRange() {
+        const { timeZone } = this.observer;
+
+        if (this.mode === 'lunation') {
+            // From the day of the new moon on or before the anchor to the day of the next one
+            const anchorEnd = toJulianDay(getZonedDayRange(this.anchor, timeZone).end);
+            const newMoon = fromJulianDay(findPhase(anchorEnd, 'new', -1));
+            const nextNewMoon = fromJulianDay(findPhase(toJulianDay(newMoon) + 1, 'new', 1));
+            return {
+                start: formatDateInTimeZone(newMoon, timeZone),
+                end: addCalendarDays(formatDateInTimeZone(nextNewMoon, timeZone), 1)
+            };
+        }
+
+        const start = `${this.anchor.slice(0, 7)}-01`;
+        const [year, month] = start.split('-').map(Number);
+        return { start, end: new Date(Date.UTC(year, month, 1)).toISOString().split('T')[0] };
+    }
+
+    /**
+     * Re-render the grid if anything it depends on changed
+     */
+    render() {
+        if (!this.grid || !this.observer) return;
+
+        this.range = this.getRange();
+        const { start, end } = this.range;
+        const { latitude, longitude, orientation, timeZone } = this.observer;
+
+        const key = [this.mode, start, latitude, longitude, orientation, timeZone, this.selectedDate].join('|');
+        if (key === this.renderedKey) return;
+        this.renderedKey = key;
+
+        if (this.monthInput) {
+            this.monthInput.value = (this.mode === 'lunation' ? this.anchor : start).slice(0, 7);
+        }
+        if (this.modeSelect) {
+            this.modeSelect.value = this.mode;
+        }
+
+        if (this.caption) {
+            const period = this.mode === 'lunation'
+                ? `Lunação de ${formatCalendarDate(start)} a ${formatCalendarDate(addCalendarDays(end, -1))}`
+                : new Date(`${start}T12:00:00Z`).toLocaleDateString('pt-BR', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+            this.caption.textContent = `${period} · ${latitude}°, ${longitude}° · horários em ${formatTimeZoneLabel(timeZone, zonedTimeToUtc(start, '12:00', timeZone))}. Clique em um dia para gerar a visualização.`;
+        }
+
+        const phases = principalPhasesBetween(zonedTimeToUtc(start, '00:00', timeZone), zonedTimeToUtc(end, '00:00', timeZone));
+        const today = formatDateInTimeZone(new Date(), timeZone);
+        const fragment = document.createDocumentFragment();
+
+        // Blank cells up to the weekday of the first day
+        for (let i = 0; i < new Date(`${start}T12:00:00Z`).getUTCDay(); i++) {
+            const blank = document.createElement('div');
+            blank.className = 'calendar-blank';
+            fragment.appendChild(blank);
+        }
+
+        for (let date = start; date < end; date = addCalendarDays(date, 1)) {
+            const day = getZonedDayRange(date, timeZone);
+            const principal = phases.find(({ date: instant }) => instant >= day.start && instant < day.end);
+            fragment.appendChild(this.renderDay(date, day, principal, today));
+        }
+
+        this.grid.innerHTML = '';
+        this.grid.appendChild(fragment);
+    }
+
+    /**
+     * Render one day cell
+     * @param {string} date - Day as YYYY-MM-DD
+     * @param {{start: Date, end: Date}} day - Instants bounding the day in the observer's time zone
+     * @param {{phase: string, date: Date}|undefined} principal - Principal phase during the day
+     * @param {string} today - Today's YYYY-MM-DD
+     * @returns {HTMLElement} Cell
+     */
+    renderDay(date, day, principal, today) {
+        const { latitude, longitude, orientation, timeZone } = this.observer;
+        const moon = computeMoonInfo(zonedTimeToUtc(date, '12:00', timeZone), latitude, longitude);
+        const events = moonEvents(day.start, day.end, latitude, longitude);
+        const rise = events.rise?.date || null;
+        const set = events.set?.date || null;
+        const clock = instant => formatClock(instant, timeZone);
+        const percent = Math.round(moon.illumination * 100);
+        const tags = principal ? moonPhaseTags(principal, timeZone) : [];
+
+        const cell = document.createElement('button');
+        cell.type = 'button';
+        cell.className = 'calendar-day';
+        cell.dataset.date = date;
+        cell.classList.toggle('principal', Boolean(principal));
+        cell.classList.toggle('selected', date === this.selectedDate);
+        cell.classList.toggle('today', date === today);
+        if (principal) {
+            cell.classList.add(`phase-${principal.phase}`);
+        }
+
+        const phaseLabel = principal ? `${PRINCIPAL_PHASE_NAMES[principal.phase]} às ${clock(principal.date)}` : moon.phaseName;
+        const tagLabel = tags.map(({ label }) => `, ${label}`).join('');
+        cell.setAttribute('aria-label', `${formatCalendarDate(date)}: ${phaseLabel}${tagLabel}, ${percent}% iluminada, nascer ${clock(rise)}, ocaso ${clock(set)}`);
+
+        cell.innerHTML = `
+            <span class="calendar-day-number">${Number(date.slice(8))}</span>
+            ${renderPhaseGlyph(moon, 28, orientation)}
+            <span class="calendar-illumination">${percent}%</span>
+            <span class="calendar-times"><span title="Nascer da Lua">↑ ${clock(rise)}</span><span title="Ocaso da Lua">↓ ${clock(set)}</span></span>
+            ${principal ? `<span class="calendar-phase">${PRINCIPAL_PHASE_NAMES[principal.phase]} ${clock(principal.date)}</span>` : ''}
+            ${tags.length ? `<span class="calendar-tags">${tags.map(renderMoonTag).join('')}</span>` : ''}
+        `;
+
+        return cell;
+    }
+}
@@ -0,0 +1,1028 @@
+/**
+ * Stars for Starlikers - Lunar Ephemeris
+ * @fileoverview Offline Moon and Sun positions and lunar phases, following
+ * Jean Meeus, "Astronomical Algorithms" (2nd ed.), chapters 25, 47, 48 and 49.
+ * Accuracy is well within what the page displays (about 10" in the Moon's
+ * longitude and a minute or two in phase times).
+ */
+
+// =============================================================================
+// TIME AND ANGLES
+// =============================================================================
+
+const DEG = Math.PI / 180;
+const AU_KM = 149597870.7;
+const SYNODIC_MONTH = 29.530588861;
+const J2000 = 2451545.0;
+
+/**
+ * Normalize an angle to [0, 360)
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Normalized angle
+ */
+function normalizeDegrees(degrees) {
+    return ((degrees % 360) + 360) % 360;
+}
+
+/**
+ * Convert a Date to a Julian Day (UT)
+ * @param {Date} date - Instant
+ * @returns {number} Julian Day
+ */
+function toJulianDay(date) {
+    return date.getTime() / 86400000 + 2440587.5;
+}
+
+/**
+ * Convert a Julian Day (UT) to a Date
+ * @param {number} jd - Julian Day
+ * @returns {Date} Instant
+ */
+function fromJulianDay(jd) {
+    return new Date((jd - 2440587.5) * 86400000);
+}
+
+/**
+ * Approximate difference between Terrestrial Time and UT (Espenak & Meeus polynomials)
+ * @param {number} year - Decimal year
+ * @returns {number} ΔT in seconds
+ */
+function deltaT(year) {
+    const t = year - 2000;
+
+    if (year >= 1986 && year < 2005) {
+        return 63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3
+            + 0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+    }
+    if (year >= 2005 && year < 2050) {
+        return 62.92 + 0.32217 * t + 0.005589 * t ** 2;
+    }
+    if (year >= 2050 && year < 2150) {
+        return -20 + 32 * ((year - 1820) / 100) ** 2 - 0.5628 * (2150 - year);
+    }
+
+    // Long-term parabola outside the fitted ranges
+    return -20 + 32 * ((year - 1820) / 100) ** 2;
+}
+
+/**
+ * Convert a Julian Day in UT to Terrestrial Time
+ * @param {number} jd - Julian Day (UT)
+ * @returns {number} Julian Ephemeris Day (TT)
+ */
+function toEphemerisDay(jd) {
+    const year = 2000 + (jd - J2000) / 365.25;
+    return jd + deltaT(year) / 86400;
+}
+
+// =============================================================================
+// SUN AND MOON POSITIONS
+// =============================================================================
+
+/**
+ * Periodic terms of the Moon's longitude and distance (Meeus table 47.A):
+ * multiples of D, M, M', F and the coefficients of Σl (1e-6°) and Σr (1e-3 km)
+ */
+const MOON_LR_TERMS = [
+    [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111],
+    [2, 0, 0, 0, 658314, -2955968], [0, 0, 2, 0, 213618, -569925],
+    [0, 1, 0, 0, -185116, 48888], [0, 0, 0, 2, -114332, -3149],
+    [2, 0, -2, 0, 58793, 246158], [2, -1, -1, 0, 57066, -152138],
+    [2, 0, 1, 0, 53322, -170733], [2, -1, 0, 0, 45758, -204586],
+    [0, 1, -1, 0, -40923, -129620], [1, 0, 0, 0, -34720, 108743],
+    [0, 1, 1, 0, -30383, 104755], [2, 0, 0, -2, 15327, 10321],
+    [0, 0, 1, 2, -12528, 0], [0, 0, 1, -2, 10980, 79661],
+    [4, 0, -1, 0, 10675, -34782], [0, 0, 3, 0, 10034, -23210],
+    [4, 0, -2, 0, 8548, -21636], [2, 1, -1, 0, -7888, 24208],
+    [2, 1, 0, 0, -6766, 30824], [1, 0, -1, 0, -5163, -8379],
+    [1, 1, 0, 0, 4987, -16675], [2, -1, 1, 0, 4036, -12831],
+    [2, 0, 2, 0, 3994, -10445], [4, 0, 0, 0, 3861, -11650],
+    [2, 0, -3, 0, 3665, 14403], [0, 1, -2, 0, -2689, -7003],
+    [2, 0, -1, 2, -2602, 0], [2, -1, -2, 0, 2390, 10056],
+    [1, 0, 1, 0, -2348, 6322], [2, -2, 0, 0, 2236, -9884],
+    [0, 1, 2, 0, -2120, 5751], [0, 2, 0, 0, -2069, 0],
+    [2, -2, -1, 0, 2048, -4950], [2, 0, 1, -2, -1773, 4130],
+    [2, 0, 0, 2, -1595, 0], [4, -1, -1, 0, 1215, -3958],
+    [0, 0, 2, 2, -1110, 0], [3, 0, -1, 0, -892, 3258],
+    [2, 1, 1, 0, -810, 2616], [4, -1, -2, 0, 759, -1897],
+    [0, 2, -1, 0, -713, -2117], [2, 2, -1, 0, -700, 2354],
+    [2, 1, -2, 0, 691, 0], [2, -1, 0, -2, 596, 0],
+    [4, 0, 1, 0, 549, -1423], [0, 0, 4, 0, 537, -1117],
+    [4, -1, 0, 0, 520, -1571], [1, 0, -2, 0, -487, -1739],
+    [2, 1, 0, -2, -399, 0], [0, 0, 2, -2, -381, -4421],
+    [1, 1, 1, 0, 351, 0], [3, 0, -2, 0, -340, 0],
+    [4, 0, -3, 0, 330, 0], [2, -1, 2, 0, 327, 0],
+    [0, 2, 1, 0, -323, 1165], [1, 1, -1, 0, 299, 0],
+    [2, 0, 3, 0, 294, 0], [2, 0, -1, -2, 0, 8752]
+];
+
+/**
+ * Periodic terms of the Moon's latitude (Meeus table 47.B):
+ * multiples of D, M, M', F and the coefficient of Σb (1e-6°)
+ */
+const MOON_B_TERMS = [
+    [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602], [0, 0, 1, -1, 277693],
+    [2, 0, 0, -1, 173237], [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271],
+    [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198], [2, 0, 1, -1, 9266],
+    [0, 0, 2, -1, 8822], [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+    [2, 0, 1, 1, 4200], [2, 1, 0, -1, -3359], [2, -1, -1, 1, 2463],
+    [2, -1, 0, 1, 2211], [2, -1, -1, -1, 2065], [0, 1, -1, -1, -1870],
+    [4, 0, -1, -1, 1828], [0, 1, 0, 1, -1794], [0, 0, 0, 3, -1749],
+    [0, 1, -1, 1, -1565], [1, 0, 0, 1, -1491], [0, 1, 1, 1, -1475],
+    [0, 1, 1, -1, -1410], [0, 1, 0, -1, -1344], [1, 0, 0, -1, -1335],
+    [0, 0, 3, 1, 1107], [4, 0, 0, -1, 1021], [4, 0, -1, 1, 833],
+    [0, 0, 1, -3, 777], [4, 0, -2, 1, 671], [2, 0, 0, -3, 607],
+    [2, 0, 2, -1, 596], [2, -1, 1, -1, 491], [2, 0, -2, 1, -451],
+    [0, 0, 3, -1, 439], [2, 0, 2, 1, 422], [2, 0, -3, -1, 421],
+    [2, 1, -1, 1, -366], [2, 1, 0, 1, -351], [4, 0, 0, 1, 331],
+    [2, -1, 1, 1, 315], [2, -2, 0, -1, 302], [0, 0, 1, 3, -283],
+    [2, 1, 1, -1, -229], [1, 1, 0, -1, 223], [1, 1, 0, 1, 223],
+    [0, 1, -2, -1, -220], [2, 1, -1, -1, -220], [1, 0, 1, 1, -185],
+    [2, -1, -2, -1, 181], [0, 1, 2, 1, -177], [4, -2, -1, -1, 176],
+    [4, -1, -1, -1, 166], [1, 0, 1, -1, -164], [4, 0, 1, -1, 132],
+    [1, 0, -1, -1, -119], [4, -1, 0, -1, 115], [2, -2, 0, 1, 107]
+];
+
+/**
+ * Geocentric position of the Sun (Meeus chapter 25, low accuracy)
+ * @param {number} jd - Julian Day (UT)
+ * @returns {{longitude: number, latitude: number, distance: number}} Apparent
+ * ecliptic longitude and latitude in degrees, distance in km
+ */
+function sunPosition(jd) {
+    const T = (toEphemerisDay(jd) - J2000) / 36525;
+    const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
+    const M = 357.52911 + 35999.05029 * T - 0.0001537 * T * T;
+    const e = 0.016708634 - 0.000042037 * T - 0.0000001267 * T * T;
+    const C = (1.914602 - 0.004817 * T - 0.000014 * T * T) * Math.sin(M * DEG)
+        + (0.019993 - 0.000101 * T) * Math.sin(2 * M * DEG)
+        + 0.000289 * Math.sin(3 * M * DEG);
+    const trueLongitude = L0 + C;
+    const anomaly = M + C;
+    const omega = 125.04 - 1934.136 * T;
+    const radius = (1.000001018 * (1 - e * e)) / (1 + e * Math.cos(anomaly * DEG));
+
+    return {
+        longitude: normalizeDegrees(trueLongitude - 0.00569 - 0.00478 * Math.sin(omega * DEG)),
+        latitude: 0,
+        distance: radius * AU_KM
+    };
+}
+
+/**
+ * Geocentric position of the Moon (Meeus chapter 47)
+ * @param {number} jd - Julian Day (UT)
+ * @returns {{longitude: number, latitude: number, distance: number}} Ecliptic
+ * longitude and latitude in degrees, distance between centres in km
+ */
+function moonPosition(jd) {
+    const T = (toEphemerisDay(jd) - J2000) / 36525;
+
+    const Lp = normalizeDegrees(218.3164477 + 481267.88123421 * T - 0.0015786 * T ** 2 + T ** 3 / 538841 - T ** 4 / 65194000);
+    const D = normalizeDegrees(297.8501921 + 445267.1114034 * T - 0.0018819 * T ** 2 + T ** 3 / 545868 - T ** 4 / 113065000);
+    const M = normalizeDegrees(357.5291092 + 35999.0502909 * T - 0.0001536 * T ** 2 + T ** 3 / 24490000);
+    const Mp = normalizeDegrees(134.9633964 + 477198.8675055 * T + 0.0087414 * T ** 2 + T ** 3 / 69699 - T ** 4 / 14712000);
+    const F = normalizeDegrees(93.2720950 + 483202.0175233 * T - 0.0036539 * T ** 2 - T ** 3 / 3526000 + T ** 4 / 863310000);
+    const A1 = 119.75 + 131.849 * T;
+    const A2 = 53.09 + 479264.290 * T;
+    const A3 = 313.45 + 481266.484 * T;
+    const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+
+    // Terms involving the Sun's anomaly shrink with the Earth's eccentricity
+    const eccentricity = m => (Math.abs(m) === 2 ? E * E : Math.abs(m) === 1 ? E : 1);
+
+    let sumL = 0;
+    let sumR = 0;
+    MOON_LR_TERMS.forEach(([d, m, mp, f, l, r]) => {
+        const argument = (d * D + m * M + mp * Mp + f * F) * DEG;
+        sumL += l * eccentricity(m) * Math.sin(argument);
+        sumR += r * eccentricity(m) * Math.cos(argument);
+    });
+
+    let sumB = 0;
+    MOON_B_TERMS.forEach(([d, m, mp, f, b]) => {
+        sumB += b * eccentricity(m) * Math.sin((d * D + m * M + mp * Mp + f * F) * DEG);
+    });
+
+    sumL += 3958 * Math.sin(A1 * DEG) + 1962 * Math.sin((Lp - F) * DEG) + 318 * Math.sin(A2 * DEG);
+    sumB += -2235 * Math.sin(Lp * DEG) + 382 * Math.sin(A3 * DEG)
+        + 175 * Math.sin((A1 - F) * DEG) + 175 * Math.sin((A1 + F) * DEG)
+        + 127 * Math.sin((Lp - Mp) * DEG) - 115 * Math.sin((Lp + Mp) * DEG);
+
+    return {
+        longitude: normalizeDegrees(Lp + sumL / 1e6),
+        latitude: sumB / 1e6,
+        distance: 385000.56 + sumR / 1000
+    };
+}
+
+/**
+ * Convert ecliptic coordinates to equatorial ones
+ * @param {number} longitude - Ecliptic longitude in degrees
+ * @param {number} latitude - Ecliptic latitude in degrees
+ * @param {number} jd - Julian Day (UT), for the obliquity
+ * @returns {{rightAscension: number, declination: number}} Degrees
+ */
+function eclipticToEquatorial(longitude, latitude, jd) {
+    const T = (jd - J2000) / 36525;
+    const epsilon = (23.4392911 - 0.0130042 * T) * DEG;
+    const lambda = longitude * DEG;
+    const beta = latitude * DEG;
+
+    const rightAscension = Math.atan2(
+        Math.sin(lambda) * Math.cos(epsilon) - Math.tan(beta) * Math.sin(epsilon),
+        Math.cos(lambda)
+    );
+    const declination = Math.asin(
+        Math.sin(beta) * Math.cos(epsilon) + Math.cos(beta) * Math.sin(epsilon) * Math.sin(lambda)
+    );
+
+    return {
+        rightAscension: normalizeDegrees(rightAscension / DEG),
+        declination: declination / DEG
+    };
+}
+
+/**
+ * Greenwich mean sidereal time (Meeus 12.4)
+ * @param {number} jd - Julian Day (UT)
+ * @returns {number} Sidereal time in degrees
+ */
+function siderealTime(jd) {
+    const T = (jd - J2000) / 36525;
+    return normalizeDegrees(280.46061837 + 360.98564736629 * (jd - J2000) + 0.000387933 * T * T - T ** 3 / 38710000);
+}
+
+/**
+ * Distance from an observer on the Earth's surface to the Moon's centre
+ * @param {number} jd - Julian Day (UT)
+ * @param {number} latitude - Observer latitude in degrees
+ * @param {number} longitude - Observer longitude in degrees (east positive)
+ * @param {Object} moon - Geocentric Moon position from moonPosition()
+ * @returns {number} Topocentric distance in km
+ */
+function topocentricDistance(jd, latitude, longitude, moon) {
+    const { rightAscension, declination } = eclipticToEquatorial(moon.longitude, moon.latitude, jd);
+    const localSidereal = (siderealTime(jd) + longitude) * DEG;
+    const earthRadius = 6378.14;
+
+    const moonVector = [
+        moon.distance * Math.cos(declination * DEG) * Math.cos(rightAscension * DEG),
+        moon.distance * Math.cos(declination * DEG) * Math.sin(rightAscension * DEG),
+        moon.distance * Math.sin(declination * DEG)
+    ];
+    const observerVector = [
+        earthRadius * Math.cos(latitude * DEG) * Math.cos(localSidereal),
+        earthRadius * Math.cos(latitude * DEG) * Math.sin(localSidereal),
+        earthRadius * Math.sin(latitude * DEG)
+    ];
+
+    return Math.hypot(...moonVector.map((value, i) => value - observerVector[i]));
+}
+
+// =============================================================================
+// PHASES
+// =============================================================================
+
+/**
+ * Principal phases, as fractions of a lunation
+ */
+const PRINCIPAL_PHASES = {
+    new: 0,
+    firstQuarter: 0.25,
+    full: 0.5,
+    lastQuarter: 0.75
+};
+
+const PRINCIPAL_PHASE_NAMES = {
+    new: 'Lua Nova',
+    firstQuarter: 'Quarto Crescente',
+    full: 'Lua Cheia',
+    lastQuarter: 'Quarto Minguante'
+};
+
+/**
+ * Time of a principal phase (Meeus chapter 49)
+ * @param {number} k - Lunation number (integer; 0 is the new moon of 2000-01-06)
+ * @param {string} phase - Key of PRINCIPAL_PHASES
+ * @returns {number} Julian Day (UT) of the phase
+ */
+function moonPhaseTime(k, phase) {
+    k += PRINCIPAL_PHASES[phase];
+    const T = k / 1236.85;
+
+    let jde = 2451550.09766 + SYNODIC_MONTH * k + 0.00015437 * T ** 2 - 0.00000015 * T ** 3 + 0.00000000073 * T ** 4;
+
+    const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+    const M = (2.5534 + 29.1053567 * k - 0.0000014 * T ** 2 - 0.00000011 * T ** 3) * DEG;
+    const Mp = (201.5643 + 385.81693528 * k + 0.0107582 * T ** 2 + 0.00001238 * T ** 3 - 0.000000058 * T ** 4) * DEG;
+    const F = (160.7108 + 390.67050284 * k - 0.0016118 * T ** 2 - 0.00000227 * T ** 3 + 0.000000011 * T ** 4) * DEG;
+    const omega = (124.7746 - 1.56375588 * k + 0.0020672 * T ** 2 + 0.00000215 * T ** 3) * DEG;
+    const sin = Math.sin;
+
+    if (phase === 'new' || phase === 'full') {
+        const c = phase === 'new'
+            ? [-0.4072, 0.17241, 0.01608, 0.01039, 0.00739, -0.00514, 0.00208]
+            : [-0.40614, 0.17302, 0.01614, 0.01043, 0.00734, -0.00515, 0.00209];
+
+        jde += c[0] * sin(Mp) + c[1] * E * sin(M) + c[2] * sin(2 * Mp) + c[3] * sin(2 * F)
+            + c[4] * E * sin(Mp - M) + c[5] * E * sin(Mp + M) + c[6] * E * E * sin(2 * M)
+            - 0.00111 * sin(Mp - 2 * F) - 0.00057 * sin(Mp + 2 * F) + 0.00056 * E * sin(2 * Mp + M)
+            - 0.00042 * sin(3 * Mp) + 0.00042 * E * sin(M + 2 * F) + 0.00038 * E * sin(M - 2 * F)
+            - 0.00024 * E * sin(2 * Mp - M) - 0.00017 * sin(omega) - 0.00007 * sin(Mp + 2 * M)
+            + 0.00004 * sin(2 * Mp - 2 * F) + 0.00004 * sin(3 * M) + 0.00003 * sin(Mp + M - 2 * F)
+            + 0.00003 * sin(2 * Mp + 2 * F) - 0.00003 * sin(Mp + M + 2 * F) + 0.00003 * sin(Mp - M + 2 * F)
+            - 0.00002 * sin(Mp - M - 2 * F) - 0.00002 * sin(3 * Mp + M) + 0.00002 * sin(4 * Mp);
+    } else {
+        jde += -0.62801 * sin(Mp) + 0.17172 * E * sin(M) - 0.01183 * E * sin(Mp + M)
+            + 0.00862 * sin(2 * Mp) + 0.00804 * sin(2 * F) + 0.00454 * E * sin(Mp - M)
+            + 0.00204 * E * E * sin(2 * M) - 0.0018 * sin(Mp - 2 * F) - 0.0007 * sin(Mp + 2 * F)
+            - 0.0004 * sin(3 * Mp) - 0.00034 * E * sin(2 * Mp - M) + 0.00032 * E * sin(M + 2 * F)
+            + 0.00032 * E * sin(M - 2 * F) - 0.00028 * E * E * sin(Mp + 2 * M) + 0.00027 * E * sin(2 * Mp + M)
+            - 0.00017 * sin(omega) - 0.00005 * sin(Mp - M - 2 * F) + 0.00004 * sin(2 * Mp + 2 * F)
+            - 0.00004 * sin(Mp + M + 2 * F) + 0.00004 * sin(Mp - 2 * M) + 0.00003 * sin(Mp + M - 2 * F)
+            + 0.00003 * sin(3 * M) + 0.00002 * sin(2 * Mp - 2 * F) + 0.00002 * sin(Mp - M + 2 * F)
+            - 0.00002 * sin(3 * Mp + M);
+
+        const W = 0.00306 - 0.00038 * E * Math.cos(M) + 0.00026 * Math.cos(Mp)
+            - 0.00002 * Math.cos(Mp - M) + 0.00002 * Math.cos(Mp + M) + 0.00002 * Math.cos(2 * F);
+        jde += phase === 'firstQuarter' ? W : -W;
+    }
+
+    // Planetary perturbations shared by every phase
+    const planetary = [
+        [0.000325, 299.77 + 0.107408 * k - 0.009173 * T * T], [0.000165, 251.88 + 0.016321 * k],
+        [0.000164, 251.83 + 26.651886 * k], [0.000126, 349.42 + 36.412478 * k],
+        [0.00011, 84.66 + 18.206239 * k], [0.000062, 141.74 + 53.303771 * k],
+        [0.00006, 207.14 + 2.453732 * k], [0.000056, 154.84 + 7.30686 * k],
+        [0.000047, 34.52 + 27.261239 * k], [0.000042, 207.19 + 0.121824 * k],
+        [0.00004, 291.34 + 1.844379 * k], [0.000037, 161.72 + 24.198154 * k],
+        [0.000035, 239.56 + 25.513099 * k], [0.000023, 331.55 + 3.592518 * k]
+    ];
+    planetary.forEach(([coefficient, argument]) => {
+        jde += coefficient * sin(argument * DEG);
+    });
+
+    // JDE is in Terrestrial Time
+    const year = 2000 + k / 12.3685;
+    return jde - deltaT(year) / 86400;
+}
+
+/**
+ * Find the principal phase of a kind closest before or after an instant
+ * @param {number} jd - Reference Julian Day (UT)
+ * @param {string} phase - Key of PRINCIPAL_PHASES
+ * @param {number} direction - 1 for the next phase, -1 for the previous one
+ * @returns {number} Julian Day (UT) of the phase
+ */
+function findPhase(jd, phase, direction = 1) {
+    let k = Math.floor((jd - 2451550.09766) / SYNODIC_MONTH) - direction;
+
+    for (let i = 0; i < 4; i++, k += direction) {
+        const time = moonPhaseTime(k, phase);
+        if (direction > 0 ? time > jd : time <= jd) {
+            // The next candidate in this direction might still be closer
+            const further = moonPhaseTime(k - direction, phase);
+            const valid = direction > 0 ? further > jd : further <= jd;
+            return valid && Math.abs(further - jd) < Math.abs(time - jd) ? further : time;
+        }
+    }
+
+    return moonPhaseTime(k, phase);
+}
+
+/**
+ * List the principal phases within a time range
+ * @param {Date} start - Start of the range
+ * @param {Date} end - End of the range (exclusive)
+ * @returns {Array<{phase: string, date: Date}>} Phases in chronological order
+ */
+function principalPhasesBetween(start, end) {
+    const first = Math.floor((toJulianDay(start) - 2451550.09766) / SYNODIC_MONTH) - 1;
+    const last = Math.ceil((toJulianDay(end) - 2451550.09766) / SYNODIC_MONTH) + 1;
+    const phases = [];
+
+    for (let k = first; k <= last; k++) {
+        Object.keys(PRINCIPAL_PHASES).forEach(phase => {
+            const date = fromJulianDay(moonPhaseTime(k, phase));
+            if (date >= start && date < end) {
+                phases.push({ phase, date });
+            }
+        });
+    }
+
+    return phases.sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Phase names by eighths of the lunation (elongation sectors of 45°)
+ */
+const PHASE_NAMES = [
+    'Lua Nova',
+    'Lua Crescente',
+    'Quarto Crescente',
+    'Crescente Gibosa',
+    'Lua Cheia',
+    'Minguante Gibosa',
+    'Quarto Minguante',
+    'Lua Minguante'
+];
+
+/**
+ * Compute the state of the Moon at an instant
+ * @param {Date} date - Instant
+ * @param {number} latitude - Observer latitude in degrees
+ * @param {number} longitude - Observer longitude in degrees (east positive)
+ * @returns {Object} illumination (0-1), phaseAngle, elongation, waxing, phaseName,
+ * age (days), distance and topocentricDistance (km) and the next principal phases
+ */
+function computeMoonInfo(date, latitude = 0, longitude = 0) {
+    const jd = toJulianDay(date);
+    const moon = moonPosition(jd);
+    const sun = sunPosition(jd);
+
+    // Phase angle (Meeus 48.2 and 48.3)
+    const psi = Math.acos(Math.cos(moon.latitude * DEG) * Math.cos((moon.longitude - sun.longitude) * DEG));
+    const phaseAngle = Math.atan2(sun.distance * Math.sin(psi), moon.distance - sun.distance * Math.cos(psi));
+    const elongation = normalizeDegrees(moon.longitude - sun.longitude);
+
+    const previousNew = findPhase(jd, 'new', -1);
+    const nextPhases = Object.keys(PRINCIPAL_PHASES)
+        .map(phase => ({ phase, date: fromJulianDay(findPhase(jd, phase, 1)) }))
+        .sort((a, b) => a.date - b.date);
+
+    return {
+        date,
+        illumination: (1 + Math.cos(phaseAngle)) / 2,
+        phaseAngle: phaseAngle / DEG,
+        elongation,
+        waxing: elongation < 180,
+        phaseName: PHASE_NAMES[Math.floor(normalizeDegrees(elongation + 22.5) / 45)],
+        age: jd - previousNew,
+        distance: moon.distance,
+        topocentricDistance: topocentricDistance(jd, latitude, longitude, moon),
+        nextPhases
+    };
+}
+
+// =============================================================================
+// RISE AND SET
+// =============================================================================
+
+/**
+ * Altitude and azimuth of the Moon's centre for an observer (geocentric, no refraction)
+ * @param {number} jd - Julian Day (UT)
+ * @param {number} latitude - Observer latitude in degrees
+ * @param {number} longitude - Observer longitude in degrees (east positive)
+ * @returns {{altitude: number, azimuth: number, hourAngle: number, parallax: number}}
+ * Degrees; azimuth measured from north through east, hour angle in [-180, 180)
+ */
+function moonHorizontal(jd, latitude, longitude) {
+    const moon = moonPosition(jd);
+    const { rightAscension, declination } = eclipticToEquatorial(moon.longitude, moon.latitude, jd);
+    const hourAngle = normalizeDegrees(siderealTime(jd) + longitude - rightAscension + 180) - 180;
+
+    const phi = latitude * DEG;
+    const delta = declination * DEG;
+    const H = hourAngle * DEG;
+    const altitude = Math.asin(Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.cos(H));
+    const azimuth = Math.atan2(Math.sin(H), Math.cos(H) * Math.sin(phi) - Math.tan(delta) * Math.cos(phi));
+
+    return {
+        altitude: altitude / DEG,
+        azimuth: normalizeDegrees(azimuth / DEG + 180),
+        hourAngle,
+        parallax: Math.asin(6378.14 / moon.distance) / DEG
+    };
+}
+
+/**
+ * Find moonrise, upper transit and moonset within a day
+ * @param {Date} start - Start of the day (local midnight in the observer's time zone)
+ * @param {Date} end - End of the day (next local midnight)
+ * @param {number} latitude - Observer latitude in degrees
+ * @param {number} longitude - Observer longitude in degrees (east positive)
+ * @returns {Object} rise and set ({date, azimuth} or null), transit ({date, altitude}
+ * or null), maxAltitude over the day, and alwaysUp/alwaysDown when the Moon
+ * neither rises nor sets that day
+ */
+function moonEvents(start, end, latitude, longitude) {
+    const startJd = toJulianDay(start);
+    const hours = Math.max(1, Math.round((end - start) / 3600000));
+    const step = (toJulianDay(end) - startJd) / hours;
+
+    // Upper limb on the horizon, with refraction and parallax (Meeus 15.1)
+    const aboveHorizon = jd => {
+        const { altitude, parallax } = moonHorizontal(jd, latitude, longitude);
+        return altitude - (0.7275 * parallax - 0.5667);
+    };
+    const hourAngle = jd => moonHorizontal(jd, latitude, longitude).hourAngle;
+
+    // Refine a bracketed sign change by regula falsi
+    const refine = (f, a, fa, b, fb) => {
+        for (let i = 0; i < 4; i++) {
+            const c = b - fb * (b - a) / (fb - fa);
+            const fc = f(c);
+            if ((fc < 0) === (fa < 0)) {
+                a = c;
+                fa = fc;
+            } else {
+                b = c;
+                fb = fc;
+            }
+        }
+        return b - fb * (b - a) / (fb - fa);
+    };
+
+    // Apparent altitude seen from the surface: parallax lowers the Moon by about 1°
+    const topocentric = jd => {
+        const { altitude, azimuth, parallax } = moonHorizontal(jd, latitude, longitude);
+        return { altitude: altitude - parallax * Math.cos(altitude * DEG), azimuth };
+    };
+
+    const events = { rise: null, set: null, transit: null, maxAltitude: -90, alwaysUp: false, alwaysDown: false };
+    let previousHeight = aboveHorizon(startJd);
+    let previousAngle = hourAngle(startJd);
+    events.maxAltitude = topocentric(startJd).altitude;
+
+    for (let i = 1; i <= hours; i++) {
+        const jd = startJd + i * step;
+        const height = aboveHorizon(jd);
+        const angle = hourAngle(jd);
+        events.maxAltitude = Math.max(events.maxAltitude, topocentric(jd).altitude);
+
+        if ((previousHeight < 0) !== (height < 0)) {
+            const crossing = refine(aboveHorizon, jd - step, previousHeight, jd, height);
+            const event = { date: fromJulianDay(crossing), azimuth: topocentric(crossing).azimuth };
+            if (height > 0 && !events.rise) events.rise = event;
+            if (height < 0 && !events.set) events.set = event;
+        }
+
+        // Upper transit: the hour angle goes through zero (not the ±180° wrap)
+        if (previousAngle < 0 && angle >= 0 && angle - previousAngle < 90 && !events.transit) {
+            const crossing = refine(hourAngle, jd - step, previousAngle, jd, angle);
+            events.transit = { date: fromJulianDay(crossing), altitude: topocentric(crossing).altitude };
+            events.maxAltitude = Math.max(events.maxAltitude, events.transit.altitude);
+        }
+
+        previousHeight = height;
+        previousAngle = angle;
+    }
+
+    if (!events.rise && !events.set) {
+        events.alwaysUp = previousHeight > 0;
+        events.alwaysDown = !events.alwaysUp;
+    }
+
+    return events;
+}
+
+// =============================================================================
+// ECLIPSES
+// =============================================================================
+
+/**
+ * Mean solar radius and the Moon's radius, in km, for apparent sizes
+ */
+const SUN_RADIUS_KM = 696000;
+const MOON_RADIUS_KM = 1737.4;
+
+/**
+ * Eclipse at a given lunation, if any (Meeus chapter 54)
+ * @param {number} k - Integer for a new moon (solar eclipse), integer + 0.5 for a full moon (lunar eclipse)
+ * @returns {Object|null} kind ('solar' or 'lunar'), type ('total', 'annular', 'hybrid',
+ * 'partial' or 'penumbral'), date of greatest eclipse, gamma, magnitude and, for lunar
+ * eclipses, the semi-durations of the phases in minutes; null when there is no eclipse
+ */
+function eclipseAt(k) {
+    const solar = Number.isInteger(k);
+    const T = k / 1236.85;
+    const sin = x => Math.sin(x * DEG);
+    const cos = x => Math.cos(x * DEG);
+
+    const F = normalizeDegrees(160.7108 + 390.67050284 * k - 0.0016118 * T * T - 0.00000227 * T ** 3 + 0.000000011 * T ** 4);
+
+    // The Moon must be close enough to a node
+    if (Math.abs(sin(F)) > 0.36) return null;
+
+    let jde = 2451550.09766 + SYNODIC_MONTH * k + 0.00015437 * T * T - 0.00000015 * T ** 3 + 0.00000000073 * T ** 4;
+    const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+    const M = 2.5534 + 29.1053567 * k - 0.0000014 * T * T - 0.00000011 * T ** 3;
+    const Mp = 201.5643 + 385.81693528 * k + 0.0107582 * T * T + 0.00001238 * T ** 3 - 0.000000058 * T ** 4;
+    const omega = 124.7746 - 1.56375588 * k + 0.0020672 * T * T + 0.00000215 * T ** 3;
+    const F1 = F - 0.02665 * sin(omega);
+    const A1 = 299.77 + 0.107408 * k - 0.009173 * T * T;
+
+    jde += (solar ? -0.4075 : -0.4065) * sin(Mp) + (solar ? 0.1721 : 0.1727) * E * sin(M)
+        + 0.0161 * sin(2 * Mp) - 0.0097 * sin(2 * F1) + 0.0073 * E * sin(Mp - M) - 0.005 * E * sin(Mp + M)
+        - 0.0023 * sin(Mp - 2 * F1) + 0.0021 * E * sin(2 * M) + 0.0012 * sin(Mp + 2 * F1)
+        + 0.0006 * E * sin(2 * Mp + M) - 0.0004 * sin(3 * Mp) - 0.0003 * E * sin(M + 2 * F1)
+        + 0.0003 * sin(A1) - 0.0002 * E * sin(M - 2 * F1) - 0.0002 * E * sin(2 * Mp - M) - 0.0002 * sin(omega);
+
+    const P = 0.207 * E * sin(M) + 0.0024 * E * sin(2 * M) - 0.0392 * sin(Mp) + 0.0116 * sin(2 * Mp)
+        - 0.0073 * E * sin(Mp + M) + 0.0067 * E * sin(Mp - M) + 0.0118 * sin(2 * F1);
+    const Q = 5.2207 - 0.0048 * E * cos(M) + 0.002 * E * cos(2 * M) - 0.3299 * cos(Mp)
+        - 0.006 * E * cos(Mp + M) + 0.0041 * E * cos(Mp - M);
+    const W = Math.abs(cos(F1));
+    const gamma = (P * cos(F1) + Q * sin(F1)) * (1 - 0.0048 * W);
+    const u = 0.0059 + 0.0046 * E * cos(M) - 0.0182 * cos(Mp) + 0.0004 * cos(2 * Mp) - 0.0005 * cos(M + Mp);
+
+    const date = fromJulianDay(jde - deltaT(2000 + k / 12.3685) / 86400);
+    const absGamma = Math.abs(gamma);
+
+    if (solar) {
+        if (absGamma > 1.5433 + u) return null;
+
+        let type = 'partial';
+        let magnitude = (1.5433 + u - absGamma) / (0.5461 + 2 * u);
+        if (absGamma < 0.9972) {
+            // Central eclipse: the sign of u tells a total from an annular one
+            type = u < 0 ? 'total' : u > 0.0047 || u >= 0.00464 * Math.sqrt(1 - gamma * gamma) ? 'annular' : 'hybrid';
+            magnitude = null;
+        }
+
+        return { kind: 'solar', type, date, gamma, magnitude };
+    }
+
+    const penumbralMagnitude = (1.5573 + u - absGamma) / 0.545;
+    const umbralMagnitude = (1.0128 - u - absGamma) / 0.545;
+    if (penumbralMagnitude <= 0) return null;
+
+    // Semi-durations of the penumbral, partial and total phases, in minutes
+    const n = 0.5458 + 0.04 * cos(Mp);
+    const semiDuration = limit => (limit > absGamma ? (60 / n) * Math.sqrt(limit * limit - gamma * gamma) : 0);
+
+    return {
+        kind: 'lunar',
+        type: umbralMagnitude >= 1 ? 'total' : umbralMagnitude > 0 ? 'partial' : 'penumbral',
+        date,
+        gamma,
+        magnitude: umbralMagnitude > 0 ? umbralMagnitude : penumbralMagnitude,
+        penumbralMagnitude,
+        semiDurations: {
+            penumbral: semiDuration(1.5573 + u),
+            partial: semiDuration(1.0128 - u),
+            total: semiDuration(0.4678 - u)
+        }
+    };
+}
+
+/**
+ * List the eclipses from an instant onwards
+ * @param {Date} start - Earliest instant
+ * @param {number} count - Number of eclipses to return
+ * @param {string} kind - 'all', 'solar' or 'lunar'
+ * @returns {Array<Object>} Eclipses from eclipseAt(), in chronological order
+ */
+function findEclipses(start, count = 8, kind = 'all') {
+    const eclipses = [];
+    let k = Math.floor((toJulianDay(start) - 2451550.09766) / SYNODIC_MONTH);
+
+    // About 4 eclipses a year; the limit only guards against an impossible filter
+    for (let i = 0; eclipses.length < count && i < 2000; i++, k += 0.5) {
+        const eclipse = eclipseAt(k);
+        if (eclipse && eclipse.date >= start && (kind === 'all' || eclipse.kind === kind)) {
+            eclipses.push(eclipse);
+        }
+    }
+
+    return eclipses;
+}
+
+/**
+ * Topocentric right ascension and declination (Meeus chapter 40)
+ * @param {number} jd - Julian Day (UT)
+ * @param {number} latitude - Observer latitude in degrees
+ * @param {number} longitude - Observer longitude in degrees (east positive)
+ * @param {{longitude: number, latitude: number, distance: number}} body - Geocentric ecliptic position
+ * @returns {{rightAscension: number, declination: number}} Degrees
+ */
+function topocentricEquatorial(jd, latitude, longitude, body) {
+    const { rightAscension, declination } = eclipticToEquatorial(body.longitude, body.latitude, jd);
+    const parallax = Math.asin(6378.14 / body.distance);
+    const hourAngle = (siderealTime(jd) + longitude - rightAscension) * DEG;
+    const phi = latitude * DEG;
+    const delta = declination * DEG;
+
+    const deltaAlpha = Math.atan2(
+        -Math.cos(phi) * Math.sin(parallax) * Math.sin(hourAngle),
+        Math.cos(delta) - Math.cos(phi) * Math.sin(parallax) * Math.cos(hourAngle)
+    );
+    const topocentricDelta = Math.atan2(
+        (Math.sin(delta) - Math.sin(phi) * Math.sin(parallax)) * Math.cos(deltaAlpha),
+        Math.cos(delta) - Math.cos(phi) * Math.sin(parallax) * Math.cos(hourAngle)
+    );
+
+    return {
+        rightAscension: normalizeDegrees(rightAscension + deltaAlpha / DEG),
+        declination: topocentricDelta / DEG
+    };
+}
+
+/**
+ * Altitude of a body given its equatorial coordinates
+ * @param {number} jd - Julian Day (UT)
+ * @param {number} latitude - Observer latitude in degrees
+ * @param {number} longitude - Observer longitude in degrees (east positive)
+ * @param {{rightAscension: number, declination: number}} position - Degrees
+ * @returns {number} Altitude in degrees
+ */
+function altitudeOf(jd, latitude, longitude, { rightAscension, declination }) {
+    const hourAngle = (siderealTime(jd) + longitude - rightAscension) * DEG;
+    const phi = latitude * DEG;
+    const delta = declination * DEG;
+    return Math.asin(Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.cos(hourAngle)) / DEG;
+}
+
+/**
+ * How an eclipse looks from a place
+ * @param {Object} eclipse - Eclipse from eclipseAt()
+ * @param {number} latitude - Observer latitude in degrees
+ * @param {number} longitude - Observer longitude in degrees (east positive)
+ * @returns {{visible: boolean, partly: boolean, maximum: Date|null, magnitude: number|null, altitude: number}}
+ * visible when any part can be seen, partly when only part of it happens above the
+ * horizon, the local maximum (solar eclipses) and the altitude of the Moon or Sun then
+ */
+function eclipseVisibility(eclipse, latitude, longitude) {
+    const center = toJulianDay(eclipse.date);
+
+    if (eclipse.kind === 'lunar') {
+        // Visible wherever the Moon is up during the penumbral phase (the umbral one if any)
+        const semi = (eclipse.semiDurations.partial || eclipse.semiDurations.penumbral) / 1440;
+        const altitude = jd => moonHorizontal(jd, latitude, longitude).altitude;
+        const samples = Array.from({ length: 13 }, (_, i) => altitude(center - semi + (i * semi) / 6));
+        const above = samples.filter(value => value > 0).length;
+
+        return {
+            visible: above > 0,
+            partly: above > 0 && above < samples.length,
+            maximum: eclipse.date,
+            magnitude: eclipse.magnitude,
+            altitude: altitude(center)
+        };
+    }
+
+    // Solar: scan ±3 hours for overlap of the topocentric discs with the Sun up
+    let best = null;
+    for (let minutes = -180; minutes <= 180; minutes += 4) {
+        const jd = center + minutes / 1440;
+        const sun = sunPosition(jd);
+        const moon = moonPosition(jd);
+        const sunEquatorial = eclipticToEquatorial(sun.longitude, sun.latitude, jd);
+        const moonEquatorial = topocentricEquatorial(jd, latitude, longitude, moon);
+        const sunAltitude = altitudeOf(jd, latitude, longitude, sunEquatorial);
+
+        const separation = Math.acos(Math.min(1,
+            Math.sin(sunEquatorial.declination * DEG) * Math.sin(moonEquatorial.declination * DEG)
+            + Math.cos(sunEquatorial.declination * DEG) * Math.cos(moonEquatorial.declination * DEG)
+            * Math.cos((sunEquatorial.rightAscension - moonEquatorial.rightAscension) * DEG))) / DEG;
+        const sunRadius = Math.asin(SUN_RADIUS_KM / sun.distance) / DEG;
+        const moonRadius = Math.asin(MOON_RADIUS_KM / moon.distance) / DEG;
+        const overlap = sunRadius + moonRadius - separation;
+
+        if (overlap > 0 && sunAltitude > -0.833 && (!best || overlap > best.overlap)) {
+            best = { jd, overlap, magnitude: overlap / (2 * sunRadius), altitude: sunAltitude };
+        }
+    }
+
+    return {
+        visible: Boolean(best),
+        partly: false,
+        maximum: best ? fromJulianDay(best.jd) : null,
+        magnitude: best ? best.magnitude : null,
+        altitude: best ? best.altitude : altitudeOf(center, latitude, longitude, eclipticToEquatorial(sunPosition(center).longitude, 0, center))
+    };
+}
+
+// =============================================================================
+// NOTABLE MOONS
+// =============================================================================
+
+const ANOMALISTIC_MONTH = 27.554549878;
+
+/**
+ * Traditional (North American) full moon names by month; they follow the
+ * seasons of the northern hemisphere
+ */
+const FULL_MOON_NAMES = [
+    { name: 'Lua do Lobo', description: 'os lobos uivavam de fome no auge do inverno' },
+    { name: 'Lua da Neve', description: 'é o mês das nevascas mais pesadas' },
+    { name: 'Lua da Minhoca', description: 'o degelo traz as minhocas de volta à superfície' },
+    { name: 'Lua Rosa', description: 'florescem as primeiras flores rosadas da primavera' },
+    { name: 'Lua das Flores', description: 'a primavera está em plena floração' },
+    { name: 'Lua do Morango', description: 'é a época de colher morangos silvestres' },
+    { name: 'Lua do Cervo', description: 'os cervos machos renovam seus chifres' },
+    { name: 'Lua do Esturjão', description: 'os esturjões eram pescados em abundância nos grandes lagos' },
+    { name: 'Lua do Milho', description: 'é a época de colher o milho' },
+    { name: 'Lua do Caçador', description: 'após a colheita, os campos abertos favoreciam a caça' },
+    { name: 'Lua do Castor', description: 'os castores preparam seus abrigos e eram caçados antes do inverno' },
+    { name: 'Lua Fria', description: 'começam as noites longas e frias do inverno' }
+];
+
+/**
+ * Perigee and apogee of the orbit the Moon is on at an instant
+ * @param {number} jd - Julian Day (UT)
+ * @returns {{perigee: {date: Date, distance: number}, apogee: {date: Date, distance: number}}}
+ * Extremes of the geocentric distance within half an anomalistic month
+ */
+function lunarApsides(jd) {
+    const distance = t => moonPosition(t).distance;
+    const step = 0.5;
+    const samples = [];
+    for (let t = jd - ANOMALISTIC_MONTH / 2; t <= jd + ANOMALISTIC_MONTH / 2; t += step) {
+        samples.push({ t, distance: distance(t) });
+    }
+
+    // Golden-section search around the best sample; sign 1 finds a minimum, -1 a maximum
+    const refine = (sample, sign) => {
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        let a = sample.t - step;
+        let b = sample.t + step;
+        for (let i = 0; i < 16; i++) {
+            const c = b - ratio * (b - a);
+            const d = a + ratio * (b - a);
+            if (sign * distance(c) < sign * distance(d)) {
+                b = d;
+            } else {
+                a = c;
+            }
+        }
+        const t = (a + b) / 2;
+        return { date: fromJulianDay(t), distance: distance(t) };
+    };
+
+    const nearest = samples.reduce((best, sample) => sample.distance < best.distance ? sample : best);
+    const farthest = samples.reduce((best, sample) => sample.distance > best.distance ? sample : best);
+
+    return { perigee: refine(nearest, 1), apogee: refine(farthest, -1) };
+}
+
+/**
+ * September equinox of a year
+ * @param {number} year - Year
+ * @returns {number} Julian Day (UT) when the Sun reaches longitude 180°
+ */
+function septemberEquinox(year) {
+    let jd = toJulianDay(new Date(Date.UTC(year, 8, 22)));
+    for (let i = 0; i < 4; i++) {
+        jd += 58 * Math.sin((180 - sunPosition(jd).longitude) * DEG);
+    }
+    return jd;
+}
+
+/**
+ * Traditional name of a full moon; the Harvest Moon is the full moon closest
+ * to the September equinox and the Hunter's Moon the one after it
+ * @param {Date} date - Instant of the full moon
+ * @param {string} timeZone - IANA time zone deciding its calendar month
+ * @returns {{name: string, description: string}} Name and origin
+ */
+function fullMoonName(date, timeZone) {
+    const [year, month] = formatDateInTimeZone(date, timeZone).split('-').map(Number);
+    const jd = toJulianDay(date);
+    const equinox = septemberEquinox(year);
+    const harvest = Math.abs(findPhase(equinox, 'full', 1) - equinox) < Math.abs(findPhase(equinox, 'full', -1) - equinox)
+        ? findPhase(equinox, 'full', 1)
+        : findPhase(equinox, 'full', -1);
+
+    if (Math.abs(jd - harvest) < 1) {
+        return { name: 'Lua da Colheita', description: 'é a Lua Cheia mais próxima do equinócio de setembro, cuja luz estendia o trabalho da colheita no hemisfério norte' };
+    }
+    if (Math.abs(jd - SYNODIC_MONTH - harvest) < 3) {
+        return FULL_MOON_NAMES[9];
+    }
+    return FULL_MOON_NAMES[month - 1];
+}
+
+/**
+ * Notable events of a new or full moon, each with a short explanation
+ * @param {{phase: string, date: Date}} principal - Principal phase
+ * @param {string} timeZone - IANA time zone deciding calendar months
+ * @returns {Array<{id: string, label: string, description: string}>} Tags; empty for quarters
+ */
+function moonPhaseTags({ phase, date }, timeZone) {
+    if (phase !== 'new' && phase !== 'full') return [];
+
+    const tags = [];
+    const jd = toJulianDay(date);
+    const full = phase === 'full';
+    const phaseName = PRINCIPAL_PHASE_NAMES[phase];
+    const km = value => `${Math.round(value).toLocaleString('pt-BR')} km`;
+    const day = instant => instant.toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit', timeZone });
+
+    // Supermoon and micromoon: within 10% of the perigee or apogee of this orbit (Nolle's definition)
+    const distance = moonPosition(jd).distance;
+    const { perigee, apogee } = lunarApsides(jd);
+    const fraction = (distance - perigee.distance) / (apogee.distance - perigee.distance);
+
+    if (fraction <= 0.1) {
+        tags.push({
+            id: 'supermoon',
+            label: 'Superlua',
+            description: `${phaseName} a ${km(distance)} da Terra, perto do perigeu desta órbita (${km(perigee.distance)} em ${day(perigee.date)}). `
+                + (full ? 'O disco parece até 14% maior e 30% mais brilhante que numa microlua.' : 'Invisível, mas reforça as marés de sizígia.')
+        });
+    } else if (fraction >= 0.9) {
+        tags.push({
+            id: 'micromoon',
+            label: 'Microlua',
+            description: `${phaseName} a ${km(distance)} da Terra, perto do apogeu desta órbita (${km(apogee.distance)} em ${day(apogee.date)}). `
+                + (full ? 'É a Lua Cheia de menor tamanho aparente.' : 'As marés de sizígia ficam mais fracas.')
+        });
+    }
+
+    // Blue moon and black moon: the second full or new moon of a calendar month
+    const month = formatDateInTimeZone(date, timeZone).slice(0, 7);
+    const previous = fromJulianDay(findPhase(jd - 1, phase, -1));
+    const secondInMonth = formatDateInTimeZone(previous, timeZone).slice(0, 7) === month;
+    if (secondInMonth) {
+        tags.push(full
+            ? { id: 'blue-moon', label: 'Lua Azul', description: 'Segunda Lua Cheia do mesmo mês; acontece a cada 2 ou 3 anos. A Lua não fica azul, o nome vem da raridade.' }
+            : { id: 'black-moon', label: 'Lua Negra', description: 'Segunda Lua Nova do mesmo mês, o equivalente da Lua Azul para a Lua Nova. Com o céu sem Lua, é ótima para observar o céu profundo.' });
+    }
+
+    // The month's traditional name belongs to its first full moon; a blue moon is only that
+    if (full && !secondInMonth) {
+        const { name, description } = fullMoonName(date, timeZone);
+        tags.push({
+            id: 'full-moon-name',
+            label: name,
+            description: `Nome tradicional norte-americano: ${description}.`
+        });
+    }
+
+    return tags;
+}
+
+// =============================================================================
+// LIBRATION AND ORIENTATION
+// =============================================================================
+
+/**
+ * Optical libration, position angles and selenographic points of the Sun and
+ * Earth (Meeus chapters 48 and 53, without physical libration)
+ * @param {Date} date - Instant
+ * @returns {Object} libration in longitude and latitude, axisAngle (position angle
+ * of the Moon's north pole), brightLimbAngle, subEarth and subSolar selenographic
+ * points and the Sun's selenographic colongitude, all in degrees
+ */
+function computeLibration(date) {
+    const jd = toJulianDay(date);
+    const T = (toEphemerisDay(jd) - J2000) / 36525;
+    const moon = moonPosition(jd);
+    const sun = sunPosition(jd);
+
+    // Inclination of the lunar equator, argument of latitude and ascending node
+    const I = 1.54242 * DEG;
+    const F = (93.2720950 + 483202.0175233 * T - 0.0036539 * T ** 2 - T ** 3 / 3526000 + T ** 4 / 863310000) * DEG;
+    const omega = (125.0445479 - 1934.1362891 * T + 0.0020754 * T ** 2 + T ** 3 / 467441 - T ** 4 / 60616000) * DEG;
+    const signed = degrees => normalizeDegrees(degrees + 180) - 180;
+
+    // Selenographic point under a direction given in ecliptic coordinates (Meeus 53.1)
+    const selenographic = (longitude, latitude) => {
+        const W = longitude * DEG - omega;
+        const beta = latitude * DEG;
+        const A = Math.atan2(Math.sin(W) * Math.cos(beta) * Math.cos(I) - Math.sin(beta) * Math.sin(I), Math.cos(W) * Math.cos(beta));
+        return {
+            longitude: signed((A - F) / DEG),
+            latitude: Math.asin(-Math.sin(W) * Math.cos(beta) * Math.sin(I) - Math.sin(beta) * Math.cos(I)) / DEG
+        };
+    };
+
+    const subEarth = selenographic(moon.longitude, moon.latitude);
+
+    // Heliocentric direction of the Moon gives the subsolar point
+    const ratio = moon.distance / sun.distance;
+    const subSolar = selenographic(
+        sun.longitude + 180 + ratio * (180 / Math.PI) * Math.cos(moon.latitude * DEG) * Math.sin((sun.longitude - moon.longitude) * DEG),
+        ratio * moon.latitude
+    );
+
+    // Position angle of the axis
+    const epsilon = (23.4392911 - 0.0130042 * T) * DEG;
+    const X = Math.sin(I) * Math.sin(omega);
+    const Y = Math.sin(I) * Math.cos(omega) * Math.cos(epsilon) - Math.cos(I) * Math.sin(epsilon);
+    const moonEquatorial = eclipticToEquatorial(moon.longitude, moon.latitude, jd);
+    const axisAngle = Math.asin(Math.hypot(X, Y) * Math.cos(moonEquatorial.rightAscension * DEG - Math.atan2(X, Y)) / Math.cos(subEarth.latitude * DEG)) / DEG;
+
+    // Position angle of the bright limb (Meeus 48.5)
+    const sunEquatorial = eclipticToEquatorial(sun.longitude, sun.latitude, jd);
+    const alpha = moonEquatorial.rightAscension * DEG;
+    const delta = moonEquatorial.declination * DEG;
+    const alpha0 = sunEquatorial.rightAscension * DEG;
+    const delta0 = sunEquatorial.declination * DEG;
+    const brightLimbAngle = normalizeDegrees(Math.atan2(
+        Math.cos(delta0) * Math.sin(alpha0 - alpha),
+        Math.sin(delta0) * Math.cos(delta) - Math.cos(delta0) * Math.sin(delta) * Math.cos(alpha0 - alpha)
+    ) / DEG);
+
+    return {
+        longitude: subEarth.longitude,
+        latitude: subEarth.latitude,
+        axisAngle,
+        brightLimbAngle,
+        subEarth,
+        subSolar,
+        colongitude: normalizeDegrees(90 - subSolar.longitude)
+    };
+}
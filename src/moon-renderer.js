@@ -0,0 +1,312 @@
+/**
+ * Stars for Starlikers - Moon Renderer
+ * @fileoverview Draws the moon as SVG from the local ephemeris, honouring the
+ * same style, background, colour, orientation and layout options the Astronomy
+ * API accepts. Used for the live preview and when the API is unavailable.
+ */
+
+// =============================================================================
+// PALETTE
+// =============================================================================
+
+const RENDER_COLORS = {
+    red: '#c82828',
+    blue: '#1e50c8',
+    black: '#000000',
+    navy: '#0a1f44',
+    purple: '#5a288c',
+    white: '#ffffff',
+    yellow: '#fad23c'
+};
+
+const MOON_LIT_COLOR = '#e8e6dc';
+const MOON_DARK_COLOR = '#2d2d34';
+
+/**
+ * Main lunar maria as ellipses on the unit disc, north up and the Moon's
+ * eastern limb (Mare Crisium side) to the right: [x, y, rx, ry]
+ */
+const MARIA = [
+    [0.72, -0.3, 0.12, 0.09],    // Crisium
+    [0.58, 0.08, 0.13, 0.17],    // Fecunditatis
+    [0.36, -0.1, 0.18, 0.14],    // Tranquillitatis
+    [0.26, -0.42, 0.14, 0.13],   // Serenitatis
+    [0.44, 0.32, 0.08, 0.09],    // Nectaris
+    [0.04, -0.24, 0.08, 0.06],   // Vaporum
+    [-0.26, -0.48, 0.25, 0.2],   // Imbrium
+    [0, -0.78, 0.42, 0.07],      // Frigoris
+    [-0.14, 0.4, 0.17, 0.13],    // Nubium
+    [-0.6, -0.08, 0.24, 0.4],    // Procellarum
+    [-0.48, 0.38, 0.09, 0.09]    // Humorum
+];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Create a pseudo-random generator seeded from a string (FNV-1a + mulberry32)
+ * @param {string} text - Seed text
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function seededRandom(text) {
+    let seed = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        seed = Math.imul(seed ^ text.charCodeAt(i), 0x01000193) >>> 0;
+    }
+
+    return function random() {
+        seed = (seed + 0x6d2b79f5) >>> 0;
+        let t = seed;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Outline of the illuminated part of the disc, bright limb on the right
+ * @param {number} cx - Disc centre x
+ * @param {number} cy - Disc centre y
+ * @param {number} radius - Disc radius
+ * @param {number} illumination - Illuminated fraction (0-1)
+ * @returns {string} SVG path data
+ */
+function litRegionPath(cx, cy, radius, illumination) {
+    // The terminator is a half ellipse whose semi-axis shrinks to zero at quarter phase
+    const terminator = round2(radius * Math.abs(1 - 2 * illumination));
+    const bulgesTowardsLimb = illumination < 0.5 ? 0 : 1;
+
+    return `M ${cx} ${cy - radius} A ${radius} ${radius} 0 0 1 ${cx} ${cy + radius} `
+        + `A ${terminator} ${radius} 0 0 ${bulgesTowardsLimb} ${cx} ${cy - radius} Z`;
+}
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+/**
+ * Draw the moon disc
+ * @param {Object} moon - Moon state from computeMoonInfo()
+ * @param {Object} options - Render options
+ * @param {number} cx - Disc centre x
+ * @param {number} cy - Disc centre y
+ * @param {number} radius - Disc radius
+ * @returns {{defs: string, body: string}} SVG fragments
+ */
+function renderMoonDisc(moon, { moonStyle, orientation, detailed }, cx, cy, radius) {
+    // Waning moons are lit from the left; south-up views turn the whole disc around
+    const litTransform = moon.waxing ? '' : ` transform="translate(${2 * cx} 0) scale(-1 1)"`;
+    const orientationTransform = orientation === 'south-up' ? ` transform="rotate(180 ${cx} ${cy})"` : '';
+    const litPath = litRegionPath(cx, cy, radius, moon.illumination);
+    const maria = MARIA.map(([x, y, rx, ry]) => `<ellipse cx="${round2(cx + x * radius)}" cy="${round2(cy + y * radius)}" rx="${round2(rx * radius)}" ry="${round2(ry * radius)}"/>`).join('');
+
+    let defs = `<clipPath id="moonLit"><path d="${litPath}"${litTransform}/></clipPath>`;
+    let body;
+
+    if (moonStyle === 'sketch') {
+        defs += `
+            <pattern id="moonHatch" width="6" height="6" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+                <line x1="0" y1="0" x2="0" y2="6" stroke="${MOON_LIT_COLOR}" stroke-width="1" stroke-opacity="0.6"/>
+            </pattern>`;
+        body = `
+            <circle cx="${cx}" cy="${cy}" r="${radius}" fill="none" stroke="${MOON_LIT_COLOR}" stroke-width="2" stroke-dasharray="4 3" stroke-opacity="0.5"/>
+            <g clip-path="url(#moonLit)">
+                <circle cx="${cx}" cy="${cy}" r="${radius}" fill="url(#moonHatch)"/>
+                ${detailed ? `<g fill="none" stroke="${MOON_LIT_COLOR}" stroke-width="1.2">${maria}</g>` : ''}
+            </g>
+            <path d="${litPath}"${litTransform} fill="none" stroke="${MOON_LIT_COLOR}" stroke-width="2" stroke-linejoin="round"/>`;
+    } else if (moonStyle === 'shaded') {
+        defs += `
+            <radialGradient id="moonLimb" cx="50%" cy="50%" r="50%">
+                <stop offset="0%" stop-color="#f6f4ec"/>
+                <stop offset="70%" stop-color="#dcd9cd"/>
+                <stop offset="100%" stop-color="#8f8c84"/>
+            </radialGradient>
+            <radialGradient id="moonEarthshine" cx="50%" cy="50%" r="50%">
+                <stop offset="0%" stop-color="#3c3c48"/>
+                <stop offset="100%" stop-color="#1c1c22"/>
+            </radialGradient>
+            <filter id="moonSoften"><feGaussianBlur stdDeviation="${round2(radius / 60)}"/></filter>`;
+        body = `
+            <circle cx="${cx}" cy="${cy}" r="${radius}" fill="url(#moonEarthshine)"/>
+            <g fill="#26262e" opacity="0.6">${maria}</g>
+            <g clip-path="url(#moonLit)">
+                <g filter="url(#moonSoften)">
+                    <circle cx="${cx}" cy="${cy}" r="${radius}" fill="url(#moonLimb)"/>
+                    <g fill="#a9a69c" opacity="0.75">${maria}</g>
+                </g>
+            </g>`;
+    } else {
+        body = `
+            <circle cx="${cx}" cy="${cy}" r="${radius}" fill="${MOON_DARK_COLOR}"/>
+            <g clip-path="url(#moonLit)">
+                <circle cx="${cx}" cy="${cy}" r="${radius}" fill="${MOON_LIT_COLOR}"/>
+                ${detailed ? `<g fill="#bdbab0">${maria}</g>` : ''}
+            </g>`;
+    }
+
+    return { defs, body: `<g${orientationTransform}>${body}</g>` };
+}
+
+/**
+ * Render the libration overlay: lunar axis, mean centre of the disc, subsolar
+ * point and bright limb direction, in the north-up frame of the disc
+ * @param {Object} libration - Libration from computeLibration()
+ * @param {string} orientation - 'north-up' or 'south-up'
+ * @param {number} cx - Centre x
+ * @param {number} cy - Centre y
+ * @param {number} radius - Disc radius
+ * @returns {string} SVG group
+ */
+function renderLibrationOverlay(libration, orientation, cx, cy, radius) {
+    const flip = orientation === 'south-up' ? -1 : 1;
+    const { subEarth, subSolar } = libration;
+    const l = subEarth.longitude * DEG;
+    const b = subEarth.latitude * DEG;
+
+    // Orthographic projection of a selenographic point as seen from the sub-Earth point
+    const project = (longitude, latitude) => {
+        const L = longitude * DEG;
+        const B = latitude * DEG;
+        return {
+            x: round2(cx + flip * radius * Math.cos(B) * Math.sin(L - l)),
+            y: round2(cy - flip * radius * (Math.cos(b) * Math.sin(B) - Math.sin(b) * Math.cos(B) * Math.cos(L - l))),
+            visible: Math.sin(b) * Math.sin(B) + Math.cos(b) * Math.cos(B) * Math.cos(L - l) > 0
+        };
+    };
+
+    // Position angles are measured towards the sky's east, to the left of this frame
+    const limbAngle = (libration.brightLimbAngle - libration.axisAngle) * DEG;
+    const limbPoint = distance => ({
+        x: round2(cx - flip * distance * Math.sin(limbAngle)),
+        y: round2(cy - flip * distance * Math.cos(limbAngle))
+    });
+
+    const pole = project(0, b >= 0 ? 90 : -90);
+    const center = project(0, 0);
+    const sun = project(subSolar.longitude, subSolar.latitude);
+    const tickStart = limbPoint(radius + 4);
+    const tickEnd = limbPoint(radius + 18);
+    const tickLabel = limbPoint(radius + 30);
+    const label = (x, y, content) => `<text x="${x}" y="${y}" fill="#5ad1ff" font-family="sans-serif" font-size="12" text-anchor="middle" dominant-baseline="middle">${content}</text>`;
+
+    return `
+        <g class="libration-overlay" stroke="#5ad1ff" stroke-width="1.5" fill="none">
+            <line x1="${cx}" y1="${cy - radius - 6}" x2="${cx}" y2="${cy + radius + 6}" stroke-dasharray="5 4" stroke-opacity="0.7"/>
+            <circle cx="${pole.x}" cy="${pole.y}" r="3" fill="#5ad1ff"/>
+            <path d="M${center.x - 7} ${center.y}h14M${center.x} ${center.y - 7}v14"/>
+            <circle cx="${cx}" cy="${cy}" r="2.5" fill="#5ad1ff"/>
+            ${sun.visible ? `<circle cx="${sun.x}" cy="${sun.y}" r="5" stroke="${RENDER_COLORS.yellow}" fill="${RENDER_COLORS.yellow}" fill-opacity="0.4"/>` : ''}
+            <line x1="${tickStart.x}" y1="${tickStart.y}" x2="${tickEnd.x}" y2="${tickEnd.y}" stroke-width="2.5"/>
+        </g>
+        <g class="libration-labels">
+            ${label(cx, b >= 0 ? cy - flip * (radius + 16) : cy + flip * (radius + 16), b >= 0 ? 'N' : 'S')}
+            ${label(center.x + 16, center.y - 10, '0°')}
+            ${label(tickLabel.x, tickLabel.y, 'χ')}
+        </g>`;
+}
+
+/**
+ * Render a moon image
+ * @param {Object} options - Moon form data (date, latitude, longitude, moonStyle,
+ * backgroundStyle, backgroundColor, headingColor, textColor, orientation, viewType,
+ * overlay)
+ * @param {Object} moon - Moon state from computeMoonInfo()
+ * @returns {{svg: string, width: number, height: number}} SVG document and its size
+ */
+function renderMoonSvg(options, moon) {
+    const landscape = (options.viewType || '').startsWith('landscape');
+    const detailed = (options.viewType || '').endsWith('detailed');
+    const width = landscape ? 640 : 480;
+    const height = landscape ? 480 : 640;
+    const headingColor = RENDER_COLORS[options.headingColor] || RENDER_COLORS.white;
+    const textColor = RENDER_COLORS[options.textColor] || RENDER_COLORS.white;
+
+    // Landscape detailed views keep a text column on the right
+    const sideText = landscape && detailed;
+    const cx = sideText ? 220 : width / 2;
+    const cy = sideText ? height / 2 + 10 : (detailed && !landscape ? 260 : height / 2);
+    const radius = Math.round(Math.min(width, height) * (detailed ? 0.28 : 0.32));
+
+    let background = '';
+    if (options.backgroundStyle !== 'transparent') {
+        background = `<rect width="100%" height="100%" fill="${RENDER_COLORS[options.backgroundColor] || RENDER_COLORS.black}"/>`;
+    }
+    if (options.backgroundStyle === 'stars') {
+        const random = seededRandom(`${options.date}|${options.latitude}|${options.longitude}`);
+        const stars = Array.from({ length: 160 }, () => {
+            const x = round2(random() * width);
+            const y = round2(random() * height);
+            return `<circle cx="${x}" cy="${y}" r="${round2(0.4 + random() * 1.1)}" fill-opacity="${round2(0.3 + random() * 0.7)}"/>`;
+        });
+        background += `<g fill="#ffffff">${stars.join('')}</g>`;
+    }
+
+    const disc = renderMoonDisc(moon, { moonStyle: options.moonStyle, orientation: options.orientation, detailed }, cx, cy, radius);
+    const libration = options.overlay === 'libration' ? computeLibration(moon.date) : null;
+
+    const [year, month, day] = options.date.split('-');
+    const dateLabel = `${day}/${month}/${year}`;
+    const percent = `${(moon.illumination * 100).toFixed(1).replace('.', ',')}%`;
+    const formatPhaseDate = date => date.toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit', timeZone: 'UTC' });
+    const nextFull = moon.nextPhases.find(({ phase }) => phase === 'full');
+    const nextNew = moon.nextPhases.find(({ phase }) => phase === 'new');
+
+    let lines;
+    if (detailed) {
+        lines = [
+            moon.phaseName,
+            `Iluminação: ${percent}`,
+            `Idade: ${moon.age.toFixed(1).replace('.', ',')} dias`,
+            `Distância: ${Math.round(moon.topocentricDistance).toLocaleString('pt-BR')} km`,
+            `Próxima cheia: ${formatPhaseDate(nextFull.date)} · nova: ${formatPhaseDate(nextNew.date)}`,
+            `${dateLabel} · ${options.latitude}°, ${options.longitude}°`
+        ];
+        if (libration) {
+            const signed = value => `${value >= 0 ? '+' : '−'}${Math.abs(value).toFixed(2).replace('.', ',')}°`;
+            lines.splice(4, 0, `Libração: l ${signed(libration.longitude)} · b ${signed(libration.latitude)}`);
+        }
+    } else {
+        lines = [`${dateLabel} · ${moon.phaseName} · ${percent}`];
+    }
+
+    const textX = sideText ? 385 : width / 2;
+    const anchor = sideText ? 'start' : 'middle';
+    const firstLine = sideText ? 170 : (detailed ? cy + radius + 48 : height - 40);
+    const text = lines.map((line, i) => {
+        const size = detailed && i === 0 ? 20 : 14;
+        const offset = i === 0 ? 0 : 8 + i * 22;
+        return `<text x="${textX}" y="${firstLine + offset}" fill="${textColor}" font-family="sans-serif" font-size="${size}" text-anchor="${anchor}">${escapeSvgText(line)}</text>`;
+    }).join('\n    ');
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+    <defs>${disc.defs}</defs>
+    ${background}
+    <text x="${width / 2}" y="44" fill="${headingColor}" font-family="sans-serif" font-size="24" font-weight="600" text-anchor="middle">Fase da Lua</text>
+    ${disc.body}
+    ${libration ? renderLibrationOverlay(libration, options.orientation, cx, cy, radius) : ''}
+    ${text}
+</svg>`;
+
+    return { svg, width, height };
+}
+
+/**
+ * Render a small phase icon
+ * @param {Object} moon - Moon state from computeMoonInfo()
+ * @param {number} size - Icon size in pixels
+ * @param {string} orientation - 'north-up' or 'south-up'
+ * @returns {string} Inline SVG element
+ */
+function renderPhaseGlyph(moon, size = 28, orientation = 'north-up') {
+    const radius = size / 2 - 1;
+    const center = size / 2;
+    const mirrored = !moon.waxing !== (orientation === 'south-up');
+    const litTransform = mirrored ? ` transform="translate(${size} 0) scale(-1 1)"` : '';
+
+    return `<svg class="phase-glyph" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" aria-hidden="true">`
+        + `<circle cx="${center}" cy="${center}" r="${radius}" fill="${MOON_DARK_COLOR}" stroke="${MOON_LIT_COLOR}" stroke-opacity="0.25"/>`
+        + `<path d="${litRegionPath(center, center, radius, moon.illumination)}"${litTransform} fill="${MOON_LIT_COLOR}"/>`
+        + '</svg>';
+}
@@ -3,627 +3,6 @@
  * @fileoverview Moon phases functionality
  */
 
-// =============================================================================
-// UTILITY FUNCTIONS
-// =============================================================================
-
-/**
- * Debounce function to limit the rate of function execution
- * @param {Function} func - The function to debounce
- * @param {number} wait - The number of milliseconds to delay
- * @param {boolean} immediate - Whether to execute immediately
- * @returns {Function} The debounced function
- */
-function debounce(func, wait, immediate) {
-    let timeout;
-    return function executedFunction(...args) {
-        const later = () => {
-            timeout = null;
-            if (!immediate) func(...args);
-        };
-        const callNow = immediate && !timeout;
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
-        if (callNow) func(...args);
-    };
-}
-
-/**
- * Format date to YYYY-MM-DD format
- * @param {Date} date - The date to format
- * @returns {string} Formatted date string
- */
-function formatDate(date) {
-    return date.toISOString().split('T')[0];
-}
-
-/**
- * Validate date format (YYYY-MM-DD)
- * @param {string} dateString - The date string to validate
- * @returns {boolean} Whether the date is valid
- */
-function isValidDate(dateString) {
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(dateString)) return false;
-
-    const date = new Date(dateString);
-    return date instanceof Date && !isNaN(date);
-}
-
-/**
- * Generate a unique ID
- * @returns {string} Unique identifier
- */
-function generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
-}
-
-/**
- * Copy text to clipboard
- * @param {string} text - Text to copy
- * @returns {Promise<boolean>} Success status
- */
-async function copyToClipboard(text) {
-    try {
-        if (navigator.clipboard && window.isSecureContext) {
-            await navigator.clipboard.writeText(text);
-            return true;
-        } else {
-            // Fallback for older browsers
-            const textArea = document.createElement('textarea');
-            textArea.value = text;
-            textArea.style.position = 'fixed';
-            textArea.style.left = '-999999px';
-            textArea.style.top = '-999999px';
-            document.body.appendChild(textArea);
-            textArea.focus();
-            textArea.select();
-            const success = document.execCommand('copy');
-            textArea.remove();
-            return success;
-        }
-    } catch (error) {
-        console.error('Failed to copy text:', error);
-        return false;
-    }
-}
-
-/**
- * Download file from URL
- * @param {string} url - File URL
- * @param {string} filename - Desired filename
- */
-function downloadFile(url, filename) {
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = filename;
-    link.target = '_blank';
-    link.rel = 'noopener noreferrer';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-}
-
-/**
- * Check if device supports sharing
- * @returns {boolean} Whether native sharing is supported
- */
-function canShare() {
-    return navigator.share && typeof navigator.share === 'function';
-}
-
-/**
- * Share content using native sharing or fallback
- * @param {Object} shareData - Data to share
- * @returns {Promise<boolean>} Success status
- */
-async function shareContent(shareData) {
-    try {
-        if (canShare()) {
-            await navigator.share(shareData);
-            return true;
-        } else {
-            // Fallback: copy to clipboard
-            const shareText = `${shareData.title}\n${shareData.text}\n${shareData.url}`;
-            return await copyToClipboard(shareText);
-        }
-    } catch (error) {
-        console.error('Failed to share:', error);
-        return false;
-    }
-}
-
-/**
- * Scroll to element smoothly
- * @param {Element|string} target - Element or selector to scroll to
- * @param {Object} options - Scroll options
- */
-function scrollToElement(target, options = {}) {
-    const element = typeof target === 'string' ? document.querySelector(target) : target;
-    if (!element) return;
-
-    const defaultOptions = {
-        behavior: 'smooth',
-        block: 'start',
-        inline: 'nearest'
-    };
-
-    element.scrollIntoView({ ...defaultOptions, ...options });
-}
-
-// =============================================================================
-// UI MANAGEMENT CLASSES
-// =============================================================================
-
-/**
- * Toast notification system
- */
-class ToastManager {
-    constructor() {
-        this.container = document.getElementById('toastContainer');
-        if (!this.container) {
-            this.container = document.createElement('div');
-            this.container.id = 'toastContainer';
-            this.container.className = 'toast-container';
-            document.body.appendChild(this.container);
-        }
-    }
-
-    /**
-     * Show a toast notification
-     * @param {string} message - Message to display
-     * @param {string} type - Toast type (success, error, warning, info)
-     * @param {number} duration - Duration in milliseconds
-     */
-    show(message, type = 'info', duration = 4000) {
-        const toast = document.createElement('div');
-        const id = generateId();
-
-        toast.id = id;
-        toast.className = `toast toast-${type}`;
-
-        const icon = this.getIcon(type);
-        toast.innerHTML = `
-            <svg class="toast-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                ${icon}
-            </svg>
-            <span>${message}</span>
-        `;
-
-        this.container.appendChild(toast);
-
-        // Trigger animation
-        requestAnimationFrame(() => {
-            toast.classList.add('show');
-        });
-
-        // Auto remove
-        setTimeout(() => {
-            this.remove(id);
-        }, duration);
-
-        return id;
-    }
-
-    /**
-     * Remove a toast notification
-     * @param {string} id - Toast ID to remove
-     */
-    remove(id) {
-        const toast = document.getElementById(id);
-        if (!toast) return;
-
-        toast.classList.remove('show');
-        setTimeout(() => {
-            if (toast.parentNode) {
-                toast.parentNode.removeChild(toast);
-            }
-        }, 300);
-    }
-
-    /**
-     * Get icon SVG for toast type
-     * @param {string} type - Toast type
-     * @returns {string} SVG path
-     */
-    getIcon(type) {
-        const icons = {
-            success: '<path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22,4 12,14.01 9,11.01"/>',
-            error: '<circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/>',
-            warning: '<path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/>',
-            info: '<circle cx="12" cy="12" r="10"/><path d="M12 16v-4"/><path d="M12 8h.01"/>'
-        };
-        return icons[type] || icons.info;
-    }
-}
-
-/**
- * Theme management
- */
-class ThemeManager {
-    constructor() {
-        this.init();
-    }
-
-    init() {
-        // Set initial theme
-        const theme = this.getStoredTheme() || this.getSystemTheme();
-        this.setTheme(theme);
-
-        // Listen for system theme changes
-        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-            if (!this.getStoredTheme()) {
-                this.setTheme(e.matches ? 'dark' : 'light');
-            }
-        });
-    }
-
-    getStoredTheme() {
-        return localStorage.getItem('theme');
-    }
-
-    getSystemTheme() {
-        return window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark';
-    }
-
-    setTheme(theme) {
-        document.documentElement.setAttribute('data-theme', theme);
-        localStorage.setItem('theme', theme);
-    }
-
-    toggleTheme() {
-        const currentTheme = document.documentElement.getAttribute('data-theme');
-        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
-        this.setTheme(newTheme);
-        return newTheme;
-    }
-}
-
-/**
- * Animation utilities
- */
-class AnimationManager {
-    /**
-     * Animate element entrance
-     * @param {Element} element - Element to animate
-     * @param {string} animation - Animation type
-     */
-    static animateIn(element, animation = 'fadeInUp') {
-        element.style.opacity = '0';
-        element.style.transform = 'translateY(20px)';
-
-        requestAnimationFrame(() => {
-            element.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
-            element.style.opacity = '1';
-            element.style.transform = 'translateY(0)';
-        });
-    }
-
-    /**
-     * Animate element exit
-     * @param {Element} element - Element to animate
-     * @param {Function} callback - Callback after animation
-     */
-    static animateOut(element, callback) {
-        element.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
-        element.style.opacity = '0';
-        element.style.transform = 'translateY(-20px)';
-
-        setTimeout(() => {
-            if (callback) callback();
-        }, 300);
-    }
-
-    /**
-     * Pulse animation
-     * @param {Element} element - Element to pulse
-     */
-    static pulse(element) {
-        element.style.transform = 'scale(1.05)';
-        element.style.transition = 'transform 0.15s ease';
-
-        setTimeout(() => {
-            element.style.transform = 'scale(1)';
-        }, 150);
-    }
-
-    /**
-     * Shake animation for errors
-     * @param {Element} element - Element to shake
-     */
-    static shake(element) {
-        element.style.animation = 'shake 0.5s ease-in-out';
-
-        setTimeout(() => {
-            element.style.animation = '';
-        }, 500);
-    }
-}
-
-/**
- * Progress bar management
- */
-class ProgressManager {
-    constructor(element) {
-        this.element = element;
-        this.currentProgress = 0;
-    }
-
-    /**
-     * Set progress value
-     * @param {number} value - Progress value (0-100)
-     */
-    setProgress(value) {
-        this.currentProgress = Math.max(0, Math.min(100, value));
-        if (this.element) {
-            this.element.style.width = `${this.currentProgress}%`;
-        }
-    }
-
-    /**
-     * Animate progress to value
-     * @param {number} targetValue - Target progress value
-     * @param {number} duration - Animation duration in ms
-     */
-    animateToProgress(targetValue, duration = 300) {
-        const startValue = this.currentProgress;
-        const difference = targetValue - startValue;
-        const startTime = performance.now();
-
-        const animate = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-
-            const easeOutCubic = 1 - Math.pow(1 - progress, 3);
-            const currentValue = startValue + (difference * easeOutCubic);
-
-            this.setProgress(currentValue);
-
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            }
-        };
-
-        requestAnimationFrame(animate);
-    }
-
-    /**
-     * Reset progress to 0
-     */
-    reset() {
-        this.setProgress(0);
-    }
-}
-
-// =============================================================================
-// API MANAGEMENT
-// =============================================================================
-
-/**
- * Custom API Error class
- */
-class APIError extends Error {
-    constructor(message, status, statusText, details) {
-        super(message);
-        this.name = 'APIError';
-        this.status = status;
-        this.statusText = statusText;
-        this.details = details;
-    }
-
-    /**
-     * Get user-friendly error message
-     * @returns {string} User-friendly error message
-     */
-    getUserMessage() {
-        switch (this.status) {
-            case 401:
-                return 'Credenciais da API inválidas. Verifique sua Application ID e Secret.';
-            case 403:
-                return 'Acesso negado. Verifique suas permissões da API.';
-            case 429:
-                return 'Limite de requisições excedido. Tente novamente em alguns minutos.';
-            case 422:
-                return 'Dados inválidos enviados para a API. Verifique os parâmetros.';
-            case 500:
-            case 502:
-            case 503:
-            case 504:
-                return 'Erro no servidor da API. Tente novamente mais tarde.';
-            case 0:
-                return 'Erro de CORS: O método OPTIONS não está configurado corretamente na API.';
-            default:
-                return this.message || 'Erro desconhecido na API.';
-        }
-    }
-
-    /**
-     * Get detailed error information
-     * @returns {Object} Detailed error info
-     */
-    getDetails() {
-        return {
-            message: this.message,
-            status: this.status,
-            statusText: this.statusText,
-            details: this.details,
-            userMessage: this.getUserMessage()
-        };
-    }
-}
-
-/**
- * Moon API client
- */
-class MoonAPI {
-    constructor() {
-        // Usando proxy CORS temporário até configurar CORS no AWS
-        this.baseUrl = 'https://9nj2r6j9fd.execute-api.sa-east-1.amazonaws.com';
-        this.directUrl = 'https://9nj2r6j9fd.execute-api.sa-east-1.amazonaws.com';
-        // Credenciais fixas da sua API
-        this.authHeader = 'dHllZGZzZGY6dHdyZXQyMzQ=';
-        this.useProxy = true;
-    }
-
-    /**
-     * Toggle between proxy and direct API
-     * @param {boolean} useProxy - Whether to use CORS proxy
-     */
-    setProxyMode(useProxy) {
-        this.useProxy = useProxy;
-        this.baseUrl = useProxy
-            ? 'https://cors-anywhere.herokuapp.com/https://9nj2r6j9fd.execute-api.sa-east-1.amazonaws.com'
-            : this.directUrl;
-    }
-
-    /**
-     * Make API request
-     * @param {string} endpoint - API endpoint
-     * @param {Object} options - Request options
-     * @returns {Promise<Object>} API response
-     */
-    async request(endpoint, options = {}) {
-        const url = `${this.baseUrl}${endpoint}`;
-
-        const defaultOptions = {
-            method: 'GET',
-            headers: {
-                'Authorization': `Basic ${this.authHeader}`,
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            }
-        };
-
-        // Add proxy headers if using proxy
-        if (this.useProxy) {
-            defaultOptions.headers['X-Requested-With'] = 'XMLHttpRequest';
-        }
-
-        const requestOptions = { ...defaultOptions, ...options };
-
-        // Merge headers
-        if (options.headers) {
-            requestOptions.headers = { ...defaultOptions.headers, ...options.headers };
-        }
-
-        console.log('Making request to:', url);
-        console.log('Request options:', requestOptions);
-
-        try {
-            const response = await fetch(url, requestOptions);
-
-            console.log('Response status:', response.status);
-            console.log('Response headers:', [...response.headers.entries()]);
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                throw new APIError(
-                    `API Error: ${response.status} - ${response.statusText}`,
-                    response.status,
-                    response.statusText,
-                    errorData
-                );
-            }
-
-            return await response.json();
-        } catch (error) {
-            if (error instanceof APIError) {
-                throw error;
-            }
-
-            console.error('Network error:', error);
-
-            // Check if it's a CORS or preflight error
-            if (error.message.includes('CORS') || error.message.includes('preflight') || error.message.includes('fetch')) {
-                throw new APIError(
-                    'Erro de CORS: Preflight request falhou - método OPTIONS não configurado corretamente',
-                    0,
-                    'CORS Error',
-                    {
-                        originalError: error.message,
-                        solution: 'O método OPTIONS precisa retornar status 200 OK com headers CORS corretos'
-                    }
-                );
-            }
-
-            // Other network errors
-            throw new APIError(
-                'Erro de rede ou API indisponível',
-                0,
-                'Network Error',
-                { originalError: error.message }
-            );
-        }
-    }
-
-    /**
-     * Generate moon visualization
-     * @param {Object} params - Moon visualization parameters
-     * @returns {Promise<Object>} Moon visualization response
-     */
-    async generateMoonVisualization(params) {
-        const {
-            format,
-            latitude,
-            longitude,
-            date,
-            moonStyle,
-            backgroundStyle,
-            backgroundColor,
-            headingColor,
-            textColor,
-            orientation,
-            viewType
-        } = params;
-
-        // Validate required parameters
-        if (!format) {
-            throw new Error('Format is required');
-        }
-        if (latitude === undefined || longitude === undefined) {
-            throw new Error('Latitude and longitude are required');
-        }
-        if (!date) {
-            throw new Error('Date is required');
-        }
-
-        const requestData = {
-            format: format,
-            observer: {
-                latitude: parseFloat(latitude),
-                longitude: parseFloat(longitude),
-                date: date
-            },
-            style: {
-                moonStyle: moonStyle || 'default',
-                backgroundStyle: backgroundStyle || 'stars',
-                backgroundColor: backgroundColor || 'red',
-                headingColor: headingColor || 'white',
-                textColor: textColor || 'red'
-            },
-            view: {
-                orientation: orientation || 'south-up',
-                type: viewType || 'portrait-simple'
-            }
-        };
-
-        console.log('API Request:', JSON.stringify(requestData, null, 2));
-
-        const response = await this.request('/moon', {
-            method: 'POST',
-            body: JSON.stringify(requestData)
-        });
-
-        console.log('API Response:', response);
-
-        if (!response || !response.imageUrl) {
-            throw new Error('Invalid API response: missing image URL');
-        }
-
-        return response;
-    }
-}
-
 // =============================================================================
 // MOON APPLICATION
 // =============================================================================
@@ -631,42 +10,64 @@ class MoonAPI {
 /**
  * Moon Phases application
  */
-class MoonApp {
+class MoonApp extends PageApp {
     constructor() {
-        // Initialize API and managers
-        this.moonAPI = new MoonAPI();
-        this.toast = new ToastManager();
-        this.theme = new ThemeManager();
+        super();
+
+        // Initialize API client
+        this.api = AstronomyClient.fromConfig();
 
         // Initialize application
         this.init();
         this.setupEventListeners();
         this.setDefaultDate();
+        this.setupTimeZoneSelect();
         this.createInteractiveStars();
+        this.refreshLocalViews();
     }
 
     /**
-     * Initialize DOM elements and progress manager
+     * Initialize DOM elements, progress manager and presets
      */
     init() {
-        // Form elements
-        this.form = document.getElementById('moonForm');
-        this.searchBtn = document.getElementById('searchBtn');
-
-        // Section elements
-        this.loadingSection = document.getElementById('loadingSection');
-        this.resultsSection = document.getElementById('resultsSection');
-        this.errorSection = document.getElementById('errorSection');
-        this.moonInfo = document.getElementById('moonInfo');
+        super.init('moonForm', 'moonInfo');
+
+        // Where schema and API validation messages are shown
+        this.fieldMap = {
+            'format': 'format',
+            'observer.latitude': 'latitude',
+            'observer.longitude': 'longitude',
+            'observer.date': 'date',
+            'style.moonStyle': 'moonStyle',
+            'style.backgroundStyle': 'backgroundStyle',
+            'style.backgroundColor': 'backgroundColor',
+            'style.headingColor': 'headingColor',
+            'style.textColor': 'textColor',
+            'view.orientation': 'orientation',
+            'view.type': 'viewType'
+        };
 
         // Result elements
         this.moonImage = document.getElementById('moonImage');
-
-        // Progress manager
-        this.progressManager = new ProgressManager(document.getElementById('progressBar'));
-
-        // Current request data
-        this.currentRequest = null;
+        this.moonPreview = document.getElementById('moonPreview');
+        this.localRenderBtn = document.getElementById('localRenderBtn');
+
+        // Image returned by the API, kept while the local rendering is shown
+        this.apiResult = null;
+        this.showingLocalRender = false;
+
+        // Month and lunation grids and the eclipse list; picking a day generates it
+        this.calendar = new LunarCalendar({ onSelect: (date) => this.loadCalendarDay(date) });
+        this.eclipseFinder = new EclipseFinder({ onSelect: (date) => this.loadCalendarDay(date) });
+
+        // Frames across a date range, played in the result image
+        this.timeLapse = new TimeLapse({
+            image: this.moonImage,
+            getRequest: () => this.currentRequest,
+            renderFrame: (formData, source, signal) => this.renderTimeLapseFrame(formData, source, signal),
+            onClose: () => this.setLocalRenderShown(this.showingLocalRender),
+            notify: (message, type) => this.toast.show(message, type)
+        });
 
         // Presets
         this.presets = {
@@ -678,7 +79,8 @@ class MoonApp {
                 textColor: 'white',
                 orientation: 'south-up',
                 viewType: 'portrait-simple',
-                format: 'png'
+                format: 'png',
+                overlay: 'none'
             },
             modern: {
                 moonStyle: 'shaded',
@@ -688,7 +90,8 @@ class MoonApp {
                 textColor: 'blue',
                 orientation: 'south-up',
                 viewType: 'landscape-simple',
-                format: 'png'
+                format: 'png',
+                overlay: 'none'
             },
             vintage: {
                 moonStyle: 'sketch',
@@ -698,7 +101,8 @@ class MoonApp {
                 textColor: 'red',
                 orientation: 'north-up',
                 viewType: 'portrait-detailed',
-                format: 'png'
+                format: 'png',
+                overlay: 'none'
             },
             minimal: {
                 moonStyle: 'default',
@@ -708,7 +112,8 @@ class MoonApp {
                 textColor: 'black',
                 orientation: 'south-up',
                 viewType: 'portrait-simple',
-                format: 'svg'
+                format: 'svg',
+                overlay: 'none'
             },
             artistic: {
                 moonStyle: 'sketch',
@@ -718,7 +123,8 @@ class MoonApp {
                 textColor: 'white',
                 orientation: 'south-up',
                 viewType: 'landscape-detailed',
-                format: 'png'
+                format: 'png',
+                overlay: 'none'
             },
             scientific: {
                 moonStyle: 'shaded',
@@ -728,45 +134,27 @@ class MoonApp {
                 textColor: 'white',
                 orientation: 'north-up',
                 viewType: 'portrait-detailed',
-                format: 'png'
+                format: 'png',
+                overlay: 'libration'
             }
         };
     }
 
-    /**
-     * Set default date to today
-     */
-    setDefaultDate() {
-        const dateInput = document.getElementById('date');
-        if (dateInput) {
-            dateInput.value = formatDate(new Date());
-        }
-    }
-
     /**
      * Setup all event listeners
      */
     setupEventListeners() {
-        // Back to home button
-        const backToHome = document.getElementById('backToHome');
-        if (backToHome) {
-            backToHome.addEventListener('click', () => {
-                window.location.href = 'index.html';
-            });
-        }
+        // Back button, theme toggle and retry button
+        this.setupCommonListeners();
 
         // Form submission
         if (this.form) {
             this.form.addEventListener('submit', (e) => this.handleSubmit(e));
-        }
 
-        // Theme toggle
-        const themeToggle = document.getElementById('themeToggle');
-        if (themeToggle) {
-            themeToggle.addEventListener('click', () => {
-                const newTheme = this.theme.toggleTheme();
-                this.toast.show(`Tema alterado para ${newTheme === 'light' ? 'claro' : 'escuro'}`, 'info', 2000);
-            });
+            // Redraw the preview and calendar as options change
+            const refresh = debounce(() => this.refreshLocalViews(), 150);
+            this.form.addEventListener('input', refresh);
+            this.form.addEventListener('change', refresh);
         }
 
         // Preset suggestion items
@@ -779,12 +167,6 @@ class MoonApp {
 
         // Action buttons
         this.setupActionButtons();
-
-        // Retry button
-        const retryBtn = document.getElementById('retryBtn');
-        if (retryBtn) {
-            retryBtn.addEventListener('click', () => this.retrySearch());
-        }
     }
 
     /**
@@ -799,6 +181,10 @@ class MoonApp {
             downloadBtn.addEventListener('click', () => this.downloadImage());
         }
 
+        if (this.localRenderBtn) {
+            this.localRenderBtn.addEventListener('click', () => this.toggleLocalRender());
+        }
+
         if (shareBtn) {
             shareBtn.addEventListener('click', () => this.shareMoon());
         }
@@ -824,6 +210,8 @@ class MoonApp {
             }
         });
 
+        this.refreshLocalViews();
+
         // Highlight the form briefly
         const searchCard = document.querySelector('.search-card');
         if (searchCard) {
@@ -850,19 +238,17 @@ class MoonApp {
     }
 
     /**
-     * Set button loading state
-     * @param {boolean} loading - Whether to show loading state
+     * Load a day picked in the lunar calendar or eclipse list into the form and generate it
+     * @param {string} date - Date as YYYY-MM-DD
      */
-    setButtonLoading(loading) {
-        if (!this.searchBtn) return;
+    loadCalendarDay(date) {
+        const dateInput = document.getElementById('date');
+        if (!dateInput || !this.form) return;
 
-        if (loading) {
-            this.searchBtn.classList.add('loading');
-            this.searchBtn.disabled = true;
-        } else {
-            this.searchBtn.classList.remove('loading');
-            this.searchBtn.disabled = false;
-        }
+        dateInput.value = date;
+        this.clearFieldError(dateInput);
+        this.refreshLocalViews();
+        this.form.requestSubmit();
     }
 
     /**
@@ -872,9 +258,13 @@ class MoonApp {
     async handleSubmit(e) {
         e.preventDefault();
 
+        // Cancel any generation still in flight; its response is now stale
+        const request = this.beginRequest();
+
         // Reset all sections and states
         this.hideAllSections();
         this.progressManager.reset();
+        this.clearFieldErrors();
 
         // Get form data
         const formData = this.getFormData();
@@ -891,17 +281,29 @@ class MoonApp {
         this.setButtonLoading(true);
 
         try {
-            await this.generateMoonVisualization(formData);
+            await this.generateMoonVisualization(formData, request);
         } catch (error) {
-            console.error('Error generating moon visualization:', error);
+            if (this.isStaleRequest(request) || (error instanceof APIError && error.isCancellation())) {
+                return;
+            }
+
+            logger.error('Error generating moon visualization', error);
 
             if (error instanceof APIError) {
+                const invalidFields = this.showFieldErrors(error.details?.errors);
                 this.showError(error.getUserMessage(), this.formatErrorDetails(error));
+
+                // The phase data does not depend on the API
+                if (!invalidFields) {
+                    this.showOfflineInfo(formData);
+                }
             } else {
                 this.showError('Erro inesperado', error.message);
             }
         } finally {
-            this.setButtonLoading(false);
+            if (!this.isStaleRequest(request)) {
+                this.setButtonLoading(false);
+            }
         }
     }
 
@@ -914,6 +316,7 @@ class MoonApp {
             latitude: document.getElementById('latitude')?.value,
             longitude: document.getElementById('longitude')?.value,
             date: document.getElementById('date')?.value,
+            timezone: document.getElementById('timezone')?.value || getBrowserTimeZone(),
             moonStyle: document.getElementById('moonStyle')?.value,
             backgroundStyle: document.getElementById('backgroundStyle')?.value,
             backgroundColor: document.getElementById('backgroundColor')?.value,
@@ -921,6 +324,7 @@ class MoonApp {
             textColor: document.getElementById('textColor')?.value,
             orientation: document.getElementById('orientation')?.value,
             viewType: document.getElementById('viewType')?.value,
+            overlay: document.getElementById('overlay')?.value || 'none',
             format: document.getElementById('format')?.value
         };
     }
@@ -970,37 +374,42 @@ class MoonApp {
     /**
      * Generate moon visualization using API
      * @param {Object} formData - Form data
+     * @param {{id: number, signal: AbortSignal}} request - Request handle from beginRequest
      */
-    async generateMoonVisualization(formData) {
+    async generateMoonVisualization(formData, request) {
         this.progressManager.animateToProgress(25, 500);
 
-        try {
-            // Store current request
-            this.currentRequest = formData;
+        // Make API request
+        const response = await this.api.moonPhase(formData, {
+            signal: request.signal,
+            onRetry: (retry) => this.showRetry(retry)
+        });
 
-            // Make API request
-            const response = await this.moonAPI.generateMoonVisualization(formData);
+        if (this.isStaleRequest(request)) return;
 
-            this.progressManager.animateToProgress(100, 300);
+        this.progressManager.animateToProgress(100, 300);
 
-            // Wait a bit for progress animation
-            await new Promise(resolve => setTimeout(resolve, 500));
+        // Wait a bit for progress animation
+        await sleep(500);
+        if (this.isStaleRequest(request)) return;
 
-            // Display results
-            this.displayResults(response.imageUrl);
-        } catch (error) {
-            throw error;
-        }
+        // Store current request
+        this.currentRequest = formData;
+
+        // Display results
+        this.displayResults(response.imageUrl, response);
     }
 
     /**
      * Display results
      * @param {string} imageUrl - Generated image URL
+     * @param {Object} cached - Cache metadata from the API client (fromCache, cachedAt, imageBlob)
      */
-    displayResults(imageUrl) {
+    displayResults(imageUrl, { fromCache = false, cachedAt = null, imageBlob = null } = {}) {
         this.hideAllSections();
+        this.resultsSection?.classList.remove('offline');
 
-        const { date, moonStyle, backgroundStyle } = this.currentRequest;
+        const { date } = this.currentRequest;
 
         // Update results title
         const resultsTitle = document.getElementById('resultsTitle');
@@ -1013,26 +422,24 @@ class MoonApp {
             `;
         }
 
-        // Update image
+        // Update image and overlay
         if (this.moonImage) {
-            this.moonImage.src = imageUrl;
             this.moonImage.alt = `Visualização das fases da lua para ${date}`;
         }
 
-        // Update overlay
         const overlayTitle = document.getElementById('overlayTitle');
-        const overlayDescription = document.getElementById('overlayDescription');
-
         if (overlayTitle) {
             overlayTitle.textContent = `Lua - ${new Date(date).toLocaleDateString('pt-BR')}`;
         }
 
-        if (overlayDescription) {
-            overlayDescription.textContent = `Estilo: ${moonStyle} | Fundo: ${backgroundStyle}`;
-        }
+        this.apiResult = { imageUrl, imageBlob };
+        this.setLocalRenderShown(false);
+
+        this.updateCacheIndicator(fromCache ? cachedAt : null);
 
         // Update info cards
         this.updateInfoCards(imageUrl);
+        this.timeLapse?.reset(this.currentRequest.date);
 
         // Show results with animation
         if (this.resultsSection) {
@@ -1040,23 +447,178 @@ class MoonApp {
             AnimationManager.animateIn(this.resultsSection);
         }
 
-        if (this.moonInfo) {
-            this.moonInfo.classList.add('show');
+        if (this.infoPanel) {
+            this.infoPanel.classList.add('show');
         }
 
         // Scroll to results
         scrollToElement(this.resultsSection);
 
         // Show success notification
-        this.toast.show('Visualização da lua gerada com sucesso!', 'success');
+        this.toast.show(fromCache ? 'Visualização da lua carregada do cache!' : 'Visualização da lua gerada com sucesso!', 'success');
+    }
+
+    /**
+     * Show the locally rendered moon and its data alongside the error when the API fails
+     * @param {Object} formData - Form data of the failed request
+     */
+    showOfflineInfo(formData) {
+        this.currentRequest = formData;
+        this.updateCacheIndicator(null);
+
+        const resultsTitle = document.getElementById('resultsTitle');
+        if (resultsTitle) {
+            resultsTitle.innerHTML = `
+                <svg class="results-icon" viewBox="0 0 24 24" fill="currentColor">
+                    <path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"/>
+                </svg>
+                Fases da Lua - ${new Date(formData.date).toLocaleDateString('pt-BR')} (calculadas localmente)
+            `;
+        }
+
+        const overlayTitle = document.getElementById('overlayTitle');
+        if (overlayTitle) {
+            overlayTitle.textContent = `Lua - ${new Date(formData.date).toLocaleDateString('pt-BR')}`;
+        }
+
+        this.updateInfoCards(null);
+        this.timeLapse?.reset(this.currentRequest.date);
+
+        // Without the API image the local rendering takes its place
+        this.apiResult = null;
+        this.setLocalRenderShown(true);
+
+        if (this.resultsSection) {
+            this.resultsSection.classList.add('offline', 'show');
+        }
+
+        if (this.infoPanel) {
+            this.infoPanel.classList.add('show');
+        }
+    }
+
+    /**
+     * Render the moon locally for a set of form options
+     * @param {Object} formData - Form data
+     * @returns {{svg: string, width: number, height: number, moon: Object}} Rendering and moon state
+     */
+    renderLocalMoon(formData) {
+        const moon = computeMoonInfo(zonedTimeToUtc(formData.date, '12:00', formData.timezone), parseFloat(formData.latitude), parseFloat(formData.longitude));
+
+        return { ...renderMoonSvg(formData, moon), moon };
+    }
+
+    /**
+     * Redraw the preview card from the current form options
+     */
+    updatePreview() {
+        if (!this.moonPreview) return;
+
+        const formData = this.getFormData();
+        if (!this.validateFormData(formData).valid) {
+            this.moonPreview.innerHTML = '<p class="moon-preview-empty">Preencha data e coordenadas válidas para ver a prévia.</p>';
+            return;
+        }
+
+        const { svg, moon } = this.renderLocalMoon(formData);
+        this.moonPreview.innerHTML = svg;
+        this.moonPreview.setAttribute('aria-label', `Pré-visualização: ${moon.phaseName}, ${Math.round(moon.illumination * 100)}% iluminada`);
+    }
+
+    /**
+     * Refresh everything drawn locally from the form: preview, calendar and eclipses
+     */
+    refreshLocalViews() {
+        const formData = this.getFormData();
+        this.updatePreview();
+        this.calendar?.update(formData);
+        this.eclipseFinder?.update(formData);
+    }
+
+    /**
+     * Render one time-lapse frame
+     * @param {Object} formData - Form data with the frame's date
+     * @param {string} source - 'local' or 'api'
+     * @param {AbortSignal} signal - Cancels API requests
+     * @returns {Promise<{blob: Blob|null, url: string|null}>} Frame image
+     */
+    async renderTimeLapseFrame(formData, source, signal) {
+        if (source !== 'api') {
+            const { svg } = this.renderLocalMoon(formData);
+            return { blob: new Blob([svg], { type: 'image/svg+xml' }), url: null };
+        }
+
+        const response = await this.api.moonPhase(formData, { signal });
+        if (response.imageBlob) {
+            return { blob: response.imageBlob, url: response.imageUrl };
+        }
+
+        // Keep the bytes so the frames can be exported
+        try {
+            const image = await fetch(response.imageUrl, { signal });
+            return { blob: image.ok ? await image.blob() : null, url: response.imageUrl };
+        } catch (error) {
+            if (signal.aborted) throw error;
+            return { blob: null, url: response.imageUrl };
+        }
+    }
+
+    /**
+     * Switch the result image between the API image and the local rendering
+     * @param {boolean} local - Whether to show the local rendering
+     */
+    setLocalRenderShown(local) {
+        this.showingLocalRender = local;
+
+        if (this.moonImage) {
+            if (local) {
+                const { svg } = this.renderLocalMoon(this.currentRequest);
+                const blob = new Blob([svg], { type: 'image/svg+xml' });
+                this.setResultImage(this.moonImage, this.apiResult?.imageUrl || null, blob);
+            } else if (this.apiResult) {
+                this.setResultImage(this.moonImage, this.apiResult.imageUrl, this.apiResult.imageBlob);
+            }
+        }
+
+        if (this.localRenderBtn) {
+            this.localRenderBtn.setAttribute('aria-pressed', String(local));
+            const label = this.localRenderBtn.querySelector('.btn-label');
+            if (label) {
+                label.textContent = local ? 'Imagem da API' : 'Renderização Local';
+            }
+        }
+
+        const overlayDescription = document.getElementById('overlayDescription');
+        if (overlayDescription && this.currentRequest) {
+            const { moonStyle, backgroundStyle } = this.currentRequest;
+            overlayDescription.textContent = `Estilo: ${moonStyle} | Fundo: ${backgroundStyle}${local ? ' | Renderização local' : ''}`;
+        }
+    }
+
+    /**
+     * Toggle between the API image and the local rendering
+     */
+    toggleLocalRender() {
+        if (!this.currentRequest || !this.apiResult) return;
+        this.setLocalRenderShown(!this.showingLocalRender);
     }
 
     /**
      * Update info cards with current request data
-     * @param {string} imageUrl - Generated image URL
+     * @param {string|null} imageUrl - Generated image URL, or null when the API failed
      */
     updateInfoCards(imageUrl) {
         const formData = this.currentRequest;
+        const latitude = parseFloat(formData.latitude);
+        const longitude = parseFloat(formData.longitude);
+        const timeZone = formData.timezone;
+        const moon = computeMoonInfo(zonedTimeToUtc(formData.date, '12:00', timeZone), latitude, longitude);
+        const day = getZonedDayRange(formData.date, timeZone);
+        const events = moonEvents(day.start, day.end, latitude, longitude);
+        const clock = date => date.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit', timeZone });
+        const imageLink = imageUrl
+            ? `<a href="${imageUrl}" target="_blank" rel="noopener noreferrer" style="color: var(--primary-color); word-break: break-all;">${imageUrl}</a>`
+            : 'indisponível (API fora do ar)';
 
         // Request details
         const requestDetails = document.getElementById('requestDetails');
@@ -1066,14 +628,102 @@ class MoonApp {
                 <p><strong>Estilo da Lua:</strong> ${this.getStyleDisplayName(formData.moonStyle)}</p>
                 <p><strong>Fundo:</strong> ${this.getBackgroundDisplayName(formData.backgroundStyle)}</p>
                 <p><strong>Orientação:</strong> ${this.getOrientationDisplayName(formData.orientation)}</p>
-                <p><strong>URL da Imagem:</strong> <a href="${imageUrl}" target="_blank" rel="noopener noreferrer" style="color: var(--primary-color); word-break: break-all;">${imageUrl}</a></p>
+                <p><strong>URL da Imagem:</strong> ${imageLink}</p>
             `;
         }
 
         // Moon description
         const moonDescription = document.getElementById('moonDescription');
         if (moonDescription) {
-            moonDescription.textContent = 'A Lua é o único satélite natural da Terra e o quinto maior satélite do Sistema Solar. Suas fases são causadas pela mudança de posição relativa entre a Terra, a Lua e o Sol.';
+            moonDescription.innerHTML = `
+                <p><strong>Fase:</strong> ${moon.phaseName} (${moon.waxing ? 'crescendo' : 'minguando'})</p>
+                <p><strong>Iluminação:</strong> ${this.formatNumber(moon.illumination * 100, 1)}%</p>
+                <p><strong>Ângulo de Fase:</strong> ${this.formatNumber(moon.phaseAngle, 1)}°</p>
+                <p><strong>Idade:</strong> ${this.formatNumber(moon.age, 1)} dias</p>
+                <p><strong>Distância:</strong> ${Math.round(moon.topocentricDistance).toLocaleString('pt-BR')} km</p>
+            `;
+        }
+
+        // Notable events of the day, or of the next full moon when the day has none
+        const moonTags = document.getElementById('moonTags');
+        if (moonTags) {
+            const describe = tags => tags.map(tag => `
+                <p>${renderMoonTag(tag)} ${tag.description}</p>
+            `).join('');
+            const notable = principalPhasesBetween(day.start, day.end)
+                .map(principal => ({ ...principal, tags: moonPhaseTags(principal, timeZone) }))
+                .filter(({ tags }) => tags.length);
+
+            if (notable.length) {
+                moonTags.innerHTML = notable.map(({ phase, date, tags }) => `
+                    <p><strong>${this.getPhaseDisplayName(phase)} às ${clock(date)}:</strong></p>
+                    ${describe(tags)}
+                `).join('');
+            } else {
+                const nextFull = moon.nextPhases.find(({ phase }) => phase === 'full');
+                moonTags.innerHTML = `
+                    <p><em>Nenhum evento notável neste dia.</em></p>
+                    <p><strong>Próxima Lua Cheia:</strong> ${nextFull.date.toLocaleDateString('pt-BR', { timeZone })}</p>
+                    ${describe(moonPhaseTags(nextFull, timeZone))}
+                `;
+            }
+        }
+
+        // Libration, position angles and selenographic points
+        const librationInfo = document.getElementById('librationInfo');
+        if (librationInfo) {
+            const libration = computeLibration(moon.date);
+            const degrees = value => `${this.formatNumber(value, 2)}°`;
+            const point = ({ latitude: lat, longitude: lng }) => `${degrees(Math.abs(lat))} ${lat >= 0 ? 'N' : 'S'}, ${degrees(Math.abs(lng))} ${lng >= 0 ? 'L' : 'O'}`;
+
+            librationInfo.innerHTML = `
+                <p><strong>Libração em Longitude:</strong> ${degrees(libration.longitude)} (limbo ${libration.longitude >= 0 ? 'leste' : 'oeste'} mais visível)</p>
+                <p><strong>Libração em Latitude:</strong> ${degrees(libration.latitude)} (polo ${libration.latitude >= 0 ? 'norte' : 'sul'} mais visível)</p>
+                <p><strong>Ângulo de Posição do Eixo:</strong> ${degrees(libration.axisAngle)}</p>
+                <p><strong>Ângulo de Posição do Limbo Iluminado:</strong> ${degrees(libration.brightLimbAngle)}</p>
+                <p><strong>Ponto Subterrestre:</strong> ${point(libration.subEarth)}</p>
+                <p><strong>Ponto Subsolar:</strong> ${point(libration.subSolar)} (colongitude ${degrees(libration.colongitude)})</p>
+            `;
+        }
+
+        // Next principal phases
+        const nextPhases = document.getElementById('nextPhases');
+        if (nextPhases) {
+            nextPhases.innerHTML = moon.nextPhases.map(({ phase, date }) => `
+                <li><strong>${this.getPhaseDisplayName(phase)}:</strong> ${date.toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short', timeZone })}</li>
+            `).join('');
+        }
+
+        // Moonrise, transit and moonset
+        const riseSetInfo = document.getElementById('riseSetInfo');
+        if (riseSetInfo) {
+            const { rise, transit, set, maxAltitude, alwaysUp, alwaysDown } = events;
+            let summary = '';
+
+            if (alwaysUp) {
+                summary = '<p><em>A Lua fica acima do horizonte o dia todo.</em></p>';
+            } else if (alwaysDown) {
+                summary = '<p><em>A Lua fica abaixo do horizonte o dia todo.</em></p>';
+            }
+
+            const riseText = rise
+                ? `${clock(rise.date)} (azimute ${this.formatAzimuth(rise.azimuth)})`
+                : 'não nasce neste dia';
+            const setText = set
+                ? `${clock(set.date)} (azimute ${this.formatAzimuth(set.azimuth)})`
+                : 'não se põe neste dia';
+            const transitText = transit
+                ? `${clock(transit.date)} a ${this.formatNumber(transit.altitude, 1)}°${transit.altitude < 0 ? ' (abaixo do horizonte)' : ''}`
+                : 'não ocorre neste dia';
+
+            riseSetInfo.innerHTML = `
+                ${summary}
+                <p><strong>Nascer:</strong> ${alwaysUp || alwaysDown ? '—' : riseText}</p>
+                <p><strong>Passagem Meridiana:</strong> ${transitText}</p>
+                <p><strong>Ocaso:</strong> ${alwaysUp || alwaysDown ? '—' : setText}</p>
+                <p><strong>Altitude Máxima:</strong> ${this.formatNumber(maxAltitude, 1)}°</p>
+                <p><strong>Fuso:</strong> ${formatTimeZoneLabel(timeZone, day.start)}</p>
+            `;
         }
 
         // Location info
@@ -1087,10 +737,42 @@ class MoonApp {
         if (dateTimeInfo) {
             const formattedDate = new Date(formData.date).toLocaleDateString('pt-BR');
             const currentTime = new Date().toLocaleTimeString('pt-BR');
-            dateTimeInfo.textContent = `${formattedDate} - Gerado às ${currentTime}`;
+            const computedFor = `Dados lunares calculados para 12:00 (${formatTimeZoneLabel(timeZone, day.start)}).`;
+            dateTimeInfo.textContent = imageUrl
+                ? `${formattedDate} - Gerado às ${currentTime}. ${computedFor}`
+                : `${formattedDate} - ${computedFor}`;
         }
     }
 
+    /**
+     * Format a number with Brazilian decimal separators
+     * @param {number} value - Number to format
+     * @param {number} digits - Fraction digits
+     * @returns {string} Formatted number
+     */
+    formatNumber(value, digits) {
+        return value.toLocaleString('pt-BR', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    }
+
+    /**
+     * Format an azimuth with its compass direction
+     * @param {number} azimuth - Degrees from north through east
+     * @returns {string} Text such as "112° (ESE)"
+     */
+    formatAzimuth(azimuth) {
+        const points = ['N', 'NNE', 'NE', 'ENE', 'L', 'ESE', 'SE', 'SSE', 'S', 'SSO', 'SO', 'OSO', 'O', 'ONO', 'NO', 'NNO'];
+        return `${Math.round(azimuth)}° (${points[Math.round(azimuth / 22.5) % 16]})`;
+    }
+
+    /**
+     * Get display name for a principal phase
+     * @param {string} phase - Phase key from PRINCIPAL_PHASES
+     * @returns {string} Display name
+     */
+    getPhaseDisplayName(phase) {
+        return PRINCIPAL_PHASE_NAMES[phase] || phase;
+    }
+
     /**
      * Get display name for style
      * @param {string} style - Style code
@@ -1132,107 +814,6 @@ class MoonApp {
         return names[orientation] || orientation;
     }
 
-    /**
-     * Show loading state
-     */
-    showLoading() {
-        this.hideAllSections();
-        if (this.loadingSection) {
-            this.loadingSection.classList.add('show');
-            AnimationManager.animateIn(this.loadingSection);
-        }
-    }
-
-    /**
-     * Show error state
-     * @param {string} title - Error title
-     * @param {string} message - Error message
-     * @param {string} details - Error details
-     */
-    showError(title, message, details = '') {
-        this.hideAllSections();
-
-        const errorTitle = document.querySelector('.error-title');
-        const errorMessage = document.getElementById('errorMessage');
-        const errorDetails = document.getElementById('errorDetails');
-
-        if (errorTitle) {
-            errorTitle.textContent = title;
-        }
-
-        if (errorMessage) {
-            errorMessage.textContent = message;
-        }
-
-        if (errorDetails) {
-            if (details) {
-                let detailsText = typeof details === 'string' ? details : JSON.stringify(details, null, 2);
-
-                // Add CORS solution if it's a CORS error
-                if (title.includes('CORS') || message.includes('CORS')) {
-                    detailsText += '\n\n🔧 SOLUÇÃO PARA AWS API GATEWAY:\n';
-                    detailsText += '1. Acesse o AWS API Gateway Console\n';
-                    detailsText += '2. Selecione sua API\n';
-                    detailsText += '3. Selecione o recurso /moon\n';
-                    detailsText += '4. Clique em "Actions" > "Enable CORS"\n';
-                    detailsText += '5. Configure:\n';
-                    detailsText += '   - Access-Control-Allow-Origin: *\n';
-                    detailsText += '   - Access-Control-Allow-Headers: Content-Type,Authorization\n';
-                    detailsText += '   - Access-Control-Allow-Methods: POST,OPTIONS\n';
-                    detailsText += '6. Clique "Enable CORS and replace existing CORS headers"\n';
-                    detailsText += '7. Deploy a API novamente (Actions > Deploy API)\n';
-                    detailsText += '\n⚠️ IMPORTANTE: O método OPTIONS deve retornar status 200!\n';
-                    detailsText += '\n🔄 ALTERNATIVA TEMPORÁRIA:\n';
-                    detailsText += 'Usando proxy CORS para contornar o problema temporariamente.';
-                }
-
-                errorDetails.textContent = detailsText;
-                errorDetails.style.display = 'block';
-            } else {
-                errorDetails.style.display = 'none';
-            }
-        }
-
-        if (this.errorSection) {
-            this.errorSection.classList.add('show');
-            AnimationManager.animateIn(this.errorSection);
-        }
-
-        // Show error toast
-        this.toast.show(title, 'error');
-    }
-
-    /**
-     * Hide all sections
-     */
-    hideAllSections() {
-        const sections = [this.loadingSection, this.resultsSection, this.errorSection];
-
-        sections.forEach(section => {
-            if (section) {
-                section.classList.remove('show');
-            }
-        });
-
-        if (this.moonInfo) {
-            this.moonInfo.classList.remove('show');
-        }
-    }
-
-    /**
-     * Retry search
-     */
-    retrySearch() {
-        this.hideAllSections();
-        this.progressManager.reset();
-        this.setButtonLoading(false);
-        const searchPanel = document.querySelector('.search-panel');
-        if (searchPanel) {
-            scrollToElement(searchPanel);
-        }
-        this.toast.show('Pronto para nova busca!', 'info', 2000);
-    }
-
     /**
      * Download moon image
      */
@@ -1243,12 +824,39 @@ class MoonApp {
         }
 
         const date = this.currentRequest?.date || 'moon';
-        const filename = `moon-phases-${date}-${Date.now()}.${this.currentRequest?.format || 'png'}`;
+        const format = this.currentRequest?.format || 'png';
+        const filename = `moon-phases-${date}-${Date.now()}.${format}`;
+
+        if (this.showingLocalRender && format !== 'svg') {
+            this.downloadLocalBitmap(filename, format);
+            return;
+        }
 
         downloadFile(this.moonImage.src, filename);
         this.toast.show('Download iniciado!', 'success');
     }
 
+    /**
+     * Download the local rendering converted to PNG or JPG
+     * @param {string} filename - Download file name
+     * @param {string} format - 'png' or 'jpg'
+     */
+    async downloadLocalBitmap(filename, format) {
+        const { svg, width, height } = this.renderLocalMoon(this.currentRequest);
+
+        try {
+            const blob = await rasterizeSvg(svg, width, height, format === 'jpg' ? 'image/jpeg' : 'image/png');
+            const url = URL.createObjectURL(blob);
+            downloadFile(url, filename);
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            this.toast.show('Download iniciado!', 'success');
+        } catch (error) {
+            logger.warn('Could not convert the local rendering', error);
+            downloadFile(this.moonImage.src, filename.replace(/\.\w+$/, '.svg'));
+            this.toast.show('Conversão indisponível; baixando em SVG.', 'info');
+        }
+    }
+
     /**
      * Share moon visualization
      */
@@ -1262,7 +870,7 @@ class MoonApp {
         const shareData = {
             title: `Fases da Lua - ${date}`,
             text: `Confira esta visualização das fases da lua para ${date}!`,
-            url: this.moonImage.src
+            url: this.imageUrl
         };
 
         const success = await shareContent(shareData);
@@ -1291,57 +899,6 @@ class MoonApp {
             this.toast.show('Erro ao abrir imagem em tela cheia', 'error');
         }
     }
-
-    /**
-     * Create interactive stars in background
-     */
-    createInteractiveStars() {
-        const starsContainer = document.querySelector('.stars-container');
-        if (!starsContainer) return;
-
-        const numberOfStars = 100;
-
-        for (let i = 0; i < numberOfStars; i++) {
-            const star = document.createElement('div');
-            star.className = 'interactive-star';
-            star.style.cssText = `
-                position: absolute;
-                width: ${Math.random() * 3 + 1}px;
-                height: ${Math.random() * 3 + 1}px;
-                background: white;
-                border-radius: 50%;
-                top: ${Math.random() * 100}%;
-                left: ${Math.random() * 100}%;
-                animation: twinkle ${Math.random() * 3 + 2}s infinite;
-                animation-delay: ${Math.random() * 2}s;
-                opacity: ${Math.random() * 0.8 + 0.2};
-            `;
-
-            starsContainer.appendChild(star);
-        }
-    }
-
-    /**
-     * Format error details for display
-     * @param {APIError} error - API error object
-     * @returns {string} Formatted error details
-     */
-    formatErrorDetails(error) {
-        const details = error.getDetails();
-
-        let formatted = `Status: ${details.status} - ${details.statusText}\n`;
-
-        if (details.details && details.details.errors) {
-            formatted += '\nDetalhes da validação:\n';
-            details.details.errors.forEach(err => {
-                formatted += `- ${err.property}: ${err.message}\n`;
-            });
-        } else if (details.details) {
-            formatted += `\nDetalhes: ${JSON.stringify(details.details, null, 2)}`;
-        }
-
-        return formatted;
-    }
 }
 
 // Initialize the moon application when DOM is loaded
@@ -0,0 +1,321 @@
+/**
+ * Stars for Starlikers - Planisphere
+ * @fileoverview All-sky view of the observer's dome drawn from the bundled
+ * catalog: altitude/azimuth grid, horizon, cardinal points, constellation
+ * figures and labels. Supports pan, zoom and rotation; clicking a
+ * constellation selects it.
+ */
+
+// =============================================================================
+// PLANISPHERE
+// =============================================================================
+
+const PLANISPHERE_SIZE = 720;
+const PLANISPHERE_RADIUS = 330;
+const PLANISPHERE_MAX_ZOOM = 8;
+
+/**
+ * Interactive all-sky map for the location and date in the constellation form
+ */
+class Planisphere {
+    /**
+     * @param {Object} options - Planisphere options
+     * @param {Function} options.onSelect - Called with the code of a clicked constellation
+     */
+    constructor({ onSelect }) {
+        this.onSelect = onSelect;
+        this.view = document.getElementById('skyView');
+        this.caption = document.getElementById('skyCaption');
+
+        this.observer = null;
+        this.selected = null;
+        this.sky = null;
+        this.zoom = 1;
+        this.rotation = 0;
+        this.pan = { x: 0, y: 0 };
+        this.drag = null;
+        this.frame = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Wire the view controls, dragging, wheel zoom, keyboard and clicks
+     */
+    setupEventListeners() {
+        document.getElementById('skyZoomIn')?.addEventListener('click', () => this.zoomBy(1.5));
+        document.getElementById('skyZoomOut')?.addEventListener('click', () => this.zoomBy(1 / 1.5));
+        document.getElementById('skyRotateLeft')?.addEventListener('click', () => this.rotate(-15));
+        document.getElementById('skyRotateRight')?.addEventListener('click', () => this.rotate(15));
+        document.getElementById('skyReset')?.addEventListener('click', () => this.resetView());
+
+        if (!this.view) return;
+
+        this.view.addEventListener('pointerdown', (e) => {
+            this.drag = { x: e.clientX, y: e.clientY, pan: { ...this.pan }, moved: false };
+        });
+
+        this.view.addEventListener('pointermove', (e) => {
+            if (!this.drag) return;
+
+            const dx = e.clientX - this.drag.x;
+            const dy = e.clientY - this.drag.y;
+            if (!this.drag.moved && Math.hypot(dx, dy) < 4) return;
+
+            // Capture only once dragging starts so plain clicks still reach the figures
+            if (!this.drag.moved) {
+                this.view.setPointerCapture?.(e.pointerId);
+            }
+            this.drag.moved = true;
+            const scale = this.getViewScale();
+            this.pan = { x: this.drag.pan.x + dx * scale, y: this.drag.pan.y + dy * scale };
+            this.render();
+        });
+
+        const endDrag = () => {
+            // Let the click that ends a drag know it was a drag
+            setTimeout(() => { this.drag = null; }, 0);
+        };
+        this.view.addEventListener('pointerup', endDrag);
+        this.view.addEventListener('pointercancel', endDrag);
+
+        this.view.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const rect = this.view.getBoundingClientRect();
+            const scale = this.getViewScale();
+            this.zoomBy(Math.exp(-e.deltaY * 0.002), {
+                x: (e.clientX - rect.left) * scale,
+                y: (e.clientY - rect.top) * scale
+            });
+        }, { passive: false });
+
+        this.view.addEventListener('keydown', (e) => {
+            const actions = {
+                ArrowLeft: () => this.panBy(40, 0),
+                ArrowRight: () => this.panBy(-40, 0),
+                ArrowUp: () => this.panBy(0, 40),
+                ArrowDown: () => this.panBy(0, -40),
+                '+': () => this.zoomBy(1.25),
+                '=': () => this.zoomBy(1.25),
+                '-': () => this.zoomBy(0.8),
+                '[': () => this.rotate(-15),
+                ']': () => this.rotate(15),
+                '0': () => this.resetView()
+            };
+            if (actions[e.key]) {
+                e.preventDefault();
+                actions[e.key]();
+            }
+        });
+
+        this.view.addEventListener('click', (e) => {
+            if (this.drag?.moved) return;
+
+            const figure = e.target.closest('[data-constellation]');
+            if (figure) {
+                this.onSelect(figure.dataset.constellation);
+            }
+        });
+    }
+
+    /**
+     * Follow the constellation form: observer, date, time and selected constellation
+     * @param {Object} formData - Constellation form data
+     */
+    update({ constellation, location, date, time, timezone }) {
+        const coordinates = parseCoordinates(location || '');
+        if (!coordinates || !isValidDate(date) || !isValidDate(`${date}T${time}`)) return;
+
+        this.observer = { latitude: coordinates.lat, longitude: coordinates.lng, date, time, timeZone: timezone };
+        this.selected = constellation || null;
+        this.compute();
+    }
+
+    /**
+     * Work out where every star and constellation is in the sky, then redraw
+     */
+    compute() {
+        if (!this.observer) return;
+
+        const { latitude, longitude, date, time, timeZone } = this.observer;
+        const instant = zonedTimeToUtc(date, time, timeZone);
+        const jd = toJulianDay(instant);
+        const horizontal = position => equatorialToHorizontal(jd, latitude, longitude, position);
+
+        const stars = new Map(getCatalogStars().map(star => [star, horizontal(star)]));
+        const figures = Object.entries(CONSTELLATIONS).map(([code, { name, lines }]) => ({
+            code,
+            name,
+            label: horizontal(constellationCenter(code)),
+            segments: lines.flatMap(line => line.slice(1).map((ref, i) => [
+                stars.get(findCatalogStar(code, line[i])),
+                stars.get(findCatalogStar(code, ref))
+            ]))
+        }));
+        this.sky = { stars, figures };
+
+        if (this.caption) {
+            this.caption.textContent = `Céu em ${date.split('-').reverse().join('/')} às ${time} (${formatTimeZoneLabel(timeZone, instant)}) · ${latitude}°, ${longitude}°. Arraste para mover, use a roda do mouse para ampliar e clique em uma constelação para gerar o mapa.`;
+        }
+
+        this.render();
+    }
+
+    /**
+     * ViewBox units per CSS pixel of the rendered view
+     * @returns {number} Scale
+     */
+    getViewScale() {
+        const width = this.view.getBoundingClientRect().width;
+        return width ? PLANISPHERE_SIZE / width : 1;
+    }
+
+    /**
+     * Zoom by a factor, keeping a point of the view fixed
+     * @param {number} factor - Zoom multiplier
+     * @param {{x: number, y: number}} anchor - Fixed point in viewBox units (default: centre)
+     */
+    zoomBy(factor, anchor = { x: PLANISPHERE_SIZE / 2, y: PLANISPHERE_SIZE / 2 }) {
+        const zoom = Math.min(PLANISPHERE_MAX_ZOOM, Math.max(1, this.zoom * factor));
+        const center = PLANISPHERE_SIZE / 2;
+        const ratio = zoom / this.zoom;
+
+        this.pan = {
+            x: anchor.x - center - (anchor.x - center - this.pan.x) * ratio,
+            y: anchor.y - center - (anchor.y - center - this.pan.y) * ratio
+        };
+        this.zoom = zoom;
+        this.render();
+    }
+
+    /**
+     * Move the view
+     * @param {number} dx - Horizontal offset in viewBox units
+     * @param {number} dy - Vertical offset in viewBox units
+     */
+    panBy(dx, dy) {
+        this.pan = { x: this.pan.x + dx, y: this.pan.y + dy };
+        this.render();
+    }
+
+    /**
+     * Turn the dome around the zenith
+     * @param {number} degrees - Clockwise rotation
+     */
+    rotate(degrees) {
+        this.rotation = normalizeDegrees(this.rotation + degrees);
+        this.render();
+    }
+
+    /**
+     * Back to the whole dome with north up
+     */
+    resetView() {
+        this.zoom = 1;
+        this.rotation = 0;
+        this.pan = { x: 0, y: 0 };
+        this.render();
+    }
+
+    /**
+     * Redraw on the next animation frame
+     */
+    render() {
+        if (!this.view || !this.sky || this.frame) return;
+
+        const schedule = window.requestAnimationFrame || (callback => setTimeout(callback, 16));
+        this.frame = schedule(() => {
+            this.frame = null;
+            this.draw();
+        });
+    }
+
+    /**
+     * Project an altitude and azimuth onto the view. Looking up with north at
+     * the top, east is on the left.
+     * @param {{altitude: number, azimuth: number}} position - Degrees
+     * @returns {{x: number, y: number}} ViewBox coordinates
+     */
+    project({ altitude, azimuth }) {
+        const r = (90 - altitude) / 90 * PLANISPHERE_RADIUS * this.zoom;
+        const angle = (azimuth + this.rotation) * DEG;
+        return {
+            x: round2(PLANISPHERE_SIZE / 2 + this.pan.x - r * Math.sin(angle)),
+            y: round2(PLANISPHERE_SIZE / 2 + this.pan.y - r * Math.cos(angle))
+        };
+    }
+
+    /**
+     * Build the SVG for the current view
+     */
+    draw() {
+        const { stars } = this.sky;
+        const size = PLANISPHERE_SIZE;
+        const center = this.project({ altitude: 90, azimuth: 0 });
+        const horizonRadius = round2(PLANISPHERE_RADIUS * this.zoom);
+
+        // Altitude circles every 30° and azimuth spokes every 30°
+        const grid = [30, 60].map(altitude =>
+            `<circle cx="${center.x}" cy="${center.y}" r="${round2((90 - altitude) / 90 * horizonRadius)}"/>`);
+        for (let azimuth = 0; azimuth < 360; azimuth += 30) {
+            const end = this.project({ altitude: 0, azimuth });
+            grid.push(`<line x1="${center.x}" y1="${center.y}" x2="${end.x}" y2="${end.y}"/>`);
+        }
+        const gridLabels = [30, 60].map(altitude => {
+            const point = this.project({ altitude, azimuth: 0 });
+            return `<text x="${point.x + 4}" y="${point.y - 4}">${altitude}°</text>`;
+        });
+
+        const cardinals = CARDINAL_POINTS.map(([azimuth, letter]) => {
+            const point = this.project({ altitude: -5, azimuth });
+            return `<text x="${point.x}" y="${point.y}" text-anchor="middle" dominant-baseline="middle">${letter}</text>`;
+        });
+
+        // Figures, each with a wide invisible stroke to make it easy to click
+        const figures = this.sky.figures.map(({ code, name, label, segments }) => {
+            const path = segments
+                .filter(([from, to]) => from.altitude > -10 && to.altitude > -10)
+                .map(([from, to]) => {
+                    const a = this.project(from);
+                    const b = this.project(to);
+                    return `M${a.x} ${a.y}L${b.x} ${b.y}`;
+                })
+                .join('');
+            const labelPoint = label.altitude > 0 ? this.project(label) : null;
+            if (!path && !labelPoint) return '';
+
+            return `<g class="sky-figure${code === this.selected ? ' selected' : ''}" data-constellation="${code}">`
+                + `<title>${escapeSvgText(name)}</title>`
+                + (path ? `<path class="sky-hit" d="${path}"/><path class="sky-line" d="${path}"/>` : '')
+                + (labelPoint ? `<text class="sky-label" x="${labelPoint.x}" y="${labelPoint.y}" text-anchor="middle">${escapeSvgText(name)}</text>` : '')
+                + '</g>';
+        });
+
+        const dots = [];
+        const names = [];
+        stars.forEach((position, star) => {
+            if (position.altitude < 0) return;
+
+            const point = this.project(position);
+            const r = round2(Math.max(0.7, 0.9 + (4.5 - star.magnitude) * 0.6));
+            dots.push(`<circle cx="${point.x}" cy="${point.y}" r="${r}"/>`);
+            if (star.name && star.magnitude < 1) {
+                names.push(`<text x="${round2(point.x + r + 3)}" y="${round2(point.y + 3)}">${escapeSvgText(star.name)}</text>`);
+            }
+        });
+
+        this.view.innerHTML = `<svg class="sky-map" viewBox="0 0 ${size} ${size}" role="img" aria-label="Céu completo visto do local escolhido">
+            <defs><clipPath id="skyClip"><circle cx="${center.x}" cy="${center.y}" r="${horizonRadius}"/></clipPath></defs>
+            <circle class="sky-dome" cx="${center.x}" cy="${center.y}" r="${horizonRadius}"/>
+            <g clip-path="url(#skyClip)">
+                <g class="sky-grid">${grid.join('')}</g>
+                <g class="sky-grid-labels">${gridLabels.join('')}</g>
+                <g class="sky-figures">${figures.join('')}</g>
+                <g class="sky-stars">${dots.join('')}</g>
+                <g class="sky-star-names">${names.join('')}</g>
+            </g>
+            <circle class="sky-horizon" cx="${center.x}" cy="${center.y}" r="${horizonRadius}"/>
+            <g class="sky-cardinals">${cardinals.join('')}</g>
+        </svg>`;
+    }
+}
@@ -0,0 +1,197 @@
+/**
+ * Stars for Starlikers - API Schemas
+ * @fileoverview Declarative schemas of the Astronomy API payloads, checked by the
+ * client before sending a request and again when the response arrives.
+ *
+ * Supported keywords: type ('object', 'string', 'number'), required, properties,
+ * enum, minimum, maximum, pattern and format ('date', 'time', 'url').
+ */
+
+// =============================================================================
+// SCHEMAS
+// =============================================================================
+
+const COLOR_NAMES = ['red', 'blue', 'black', 'navy', 'purple', 'white', 'yellow'];
+
+/**
+ * Observer block shared by both endpoints
+ */
+const OBSERVER_SCHEMA = {
+    type: 'object',
+    required: ['latitude', 'longitude', 'date'],
+    properties: {
+        latitude: { type: 'number', minimum: -90, maximum: 90 },
+        longitude: { type: 'number', minimum: -180, maximum: 180 },
+        date: { type: 'string', format: 'date' }
+    }
+};
+
+const STAR_CHART_REQUEST_SCHEMA = {
+    type: 'object',
+    required: ['style', 'observer', 'view'],
+    properties: {
+        style: { type: 'string', enum: ['default', 'inverted', 'navy', 'red'] },
+        // Star charts can also be asked for a time of night, sent apart from the date
+        observer: {
+            ...OBSERVER_SCHEMA,
+            properties: {
+                ...OBSERVER_SCHEMA.properties,
+                time: { type: 'string', format: 'time' }
+            }
+        },
+        view: {
+            type: 'object',
+            required: ['type', 'parameters'],
+            properties: {
+                type: { type: 'string', enum: ['constellation'] },
+                parameters: {
+                    type: 'object',
+                    required: ['constellation'],
+                    properties: {
+                        constellation: { type: 'string', pattern: /^[a-z]{3}$/ }
+                    }
+                }
+            }
+        }
+    }
+};
+
+const MOON_REQUEST_SCHEMA = {
+    type: 'object',
+    required: ['format', 'observer', 'style', 'view'],
+    properties: {
+        format: { type: 'string', enum: ['png', 'jpg', 'svg'] },
+        observer: OBSERVER_SCHEMA,
+        style: {
+            type: 'object',
+            required: ['moonStyle', 'backgroundStyle', 'backgroundColor', 'headingColor', 'textColor'],
+            properties: {
+                moonStyle: { type: 'string', enum: ['default', 'sketch', 'shaded'] },
+                backgroundStyle: { type: 'string', enum: ['stars', 'solid', 'transparent'] },
+                backgroundColor: { type: 'string', enum: COLOR_NAMES },
+                headingColor: { type: 'string', enum: COLOR_NAMES },
+                textColor: { type: 'string', enum: COLOR_NAMES }
+            }
+        },
+        view: {
+            type: 'object',
+            required: ['orientation', 'type'],
+            properties: {
+                orientation: { type: 'string', enum: ['north-up', 'south-up'] },
+                type: { type: 'string', enum: ['portrait-simple', 'landscape-simple', 'portrait-detailed', 'landscape-detailed'] }
+            }
+        }
+    }
+};
+
+/**
+ * Both endpoints answer with the URL of the generated image
+ */
+const IMAGE_RESPONSE_SCHEMA = {
+    type: 'object',
+    required: ['imageUrl'],
+    properties: {
+        imageUrl: { type: 'string', format: 'url' }
+    }
+};
+
+/**
+ * Request and response schemas by endpoint
+ */
+const API_SCHEMAS = {
+    '/constellations': { request: STAR_CHART_REQUEST_SCHEMA, response: IMAGE_RESPONSE_SCHEMA },
+    '/moon': { request: MOON_REQUEST_SCHEMA, response: IMAGE_RESPONSE_SCHEMA }
+};
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+/**
+ * Check a string against a named format
+ * @param {string} value - Value to check
+ * @param {string} format - Format name
+ * @returns {string|null} Error message or null when valid
+ */
+function checkFormat(value, format) {
+    switch (format) {
+        case 'date':
+            return /^\d{4}-\d{2}-\d{2}$/.test(value) && isValidDate(value)
+                ? null
+                : 'data inválida (use AAAA-MM-DD)';
+        case 'time':
+            return /^([01]\d|2[0-3]):[0-5]\d:[0-5]\d([+-]([01]\d|2[0-3]):[0-5]\d|Z)$/.test(value)
+                ? null
+                : 'horário inválido (use HH:MM:SS±HH:MM)';
+        case 'url':
+            try {
+                const url = new URL(value);
+                return ['http:', 'https:'].includes(url.protocol) ? null : 'URL inválida';
+            } catch (error) {
+                return 'URL inválida';
+            }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - Schema
+ * @param {*} value - Value to validate
+ * @param {string} path - Dotted path of the value (used in error properties)
+ * @returns {Array<{property: string, message: string}>} Errors, empty when valid
+ */
+function validateSchema(schema, value, path = '') {
+    const errors = [];
+    const property = path || '(raiz)';
+
+    if (schema.type === 'object') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return [{ property, message: 'deve ser um objeto' }];
+        }
+
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined || value[key] === null || value[key] === '') {
+                errors.push({ property: path ? `${path}.${key}` : key, message: 'campo obrigatório' });
+            }
+        });
+
+        Object.entries(schema.properties || {}).forEach(([key, child]) => {
+            if (value[key] !== undefined && value[key] !== null && value[key] !== '') {
+                errors.push(...validateSchema(child, value[key], path ? `${path}.${key}` : key));
+            }
+        });
+
+        return errors;
+    }
+
+    if (schema.type === 'number' && (typeof value !== 'number' || !isFinite(value))) {
+        return [{ property, message: 'deve ser um número' }];
+    }
+
+    if (schema.type === 'string' && typeof value !== 'string') {
+        return [{ property, message: 'deve ser um texto' }];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ property, message: `valor inválido "${value}" (use ${schema.enum.join(', ')})` });
+    }
+
+    if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+        errors.push({ property, message: `deve estar entre ${schema.minimum} e ${schema.maximum}` });
+    }
+
+    if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push({ property, message: 'formato inválido' });
+    }
+
+    if (schema.format) {
+        const message = checkFormat(value, schema.format);
+        if (message) {
+            errors.push({ property, message });
+        }
+    }
+
+    return errors;
+}
@@ -0,0 +1,2252 @@
+/**
+ * Stars for Starlikers - Star Catalog
+ * @fileoverview Bundled data for the offline star charts: the stars that draw
+ * the 88 IAU constellation figures, taken from the Yale Bright Star Catalogue
+ * (J2000 positions, visual magnitudes), the lines joining them, the other
+ * naked-eye stars around them and the IAU constellation boundaries.
+ */
+
+// =============================================================================
+// CONSTELLATION FIGURES
+// =============================================================================
+
+/**
+ * Constellations keyed by the lowercase IAU abbreviation used by the form.
+ * Stars are [designation, right ascension (hours), declination (degrees),
+ * magnitude, proper name]; lines are polylines of designations, where
+ * "abr:designation" borrows a star drawn by a neighbouring figure.
+ */
+const CONSTELLATIONS = {
+    and: {
+        name: 'Andromeda',
+        stars: [
+            ['α', 0.1398, 29.091, 2.06, 'Alpheratz'],
+            ['β', 1.1622, 35.621, 2.05, 'Mirach'],
+            ['γ', 2.0650, 42.330, 2.10, 'Almach'],
+            ['δ', 0.6555, 30.861, 3.27],
+            ['π', 0.6147, 33.719, 4.34],
+            ['μ', 0.9459, 38.499, 3.87],
+            ['ν', 0.8302, 41.079, 4.53],
+            ['ε', 0.6426, 29.312, 4.37],
+            ['ο', 23.0320, 42.326, 3.62],
+            ['λ', 23.6261, 46.458, 3.82],
+            ['κ', 23.6735, 44.334, 4.14],
+            ['ι', 23.6356, 43.268, 4.29],
+            ['51', 1.6332, 48.628, 3.59],
+            ['φ', 1.1584, 47.242, 4.25]
+        ],
+        lines: [['α', 'δ', 'β', 'γ'], ['β', 'μ', 'ν', 'φ', '51'], ['δ', 'π', 'ι', 'κ', 'λ'], ['ι', 'ο'], ['δ', 'ε']]
+    },
+    ant: {
+        name: 'Antlia',
+        stars: [
+            ['α', 10.4525, -31.068, 4.25],
+            ['ε', 9.4874, -35.951, 4.51],
+            ['ι', 10.9453, -37.138, 4.60],
+            ['θ', 9.7367, -27.769, 4.79]
+        ],
+        lines: [['ε', 'θ', 'α', 'ι']]
+    },
+    aps: {
+        name: 'Apus',
+        stars: [
+            ['α', 14.7977, -79.045, 3.83],
+            ['γ', 16.5575, -78.897, 3.89],
+            ['β', 16.7179, -77.518, 4.24],
+            ['δ', 16.3391, -78.696, 4.68]
+        ],
+        lines: [['α', 'δ', 'γ', 'β', 'δ']]
+    },
+    aqr: {
+        name: 'Aquarius',
+        stars: [
+            ['α', 22.0964, -0.320, 2.95, 'Sadalmelik'],
+            ['β', 21.5260, -5.571, 2.90, 'Sadalsuud'],
+            ['γ', 22.3610, -1.387, 3.84, 'Sadachbia'],
+            ['ζ', 22.4806, -0.020, 3.65],
+            ['η', 22.5893, -0.117, 4.02],
+            ['π', 22.4213, 1.378, 4.66],
+            ['δ', 22.9108, -15.821, 3.27, 'Skat'],
+            ['ε', 20.7946, -9.496, 3.77, 'Albali'],
+            ['λ', 22.8769, -7.580, 3.74],
+            ['τ', 22.8265, -13.593, 4.05],
+            ['θ', 22.2806, -7.783, 4.16],
+            ['ι', 22.1073, -13.870, 4.27],
+            ['φ', 23.2387, -6.049, 4.22],
+            ['ψ¹', 23.2649, -9.088, 4.21],
+            ['88', 23.1574, -21.173, 3.66],
+            ['98', 23.3828, -20.101, 3.97]
+        ],
+        lines: [['ε', 'β', 'α', 'γ', 'ζ', 'η'], ['ζ', 'π'], ['α', 'θ', 'λ', 'φ'], ['θ', 'ι'], ['λ', 'τ', 'δ', '88'], ['φ', 'ψ¹', '98']]
+    },
+    aql: {
+        name: 'Aquila',
+        stars: [
+            ['α', 19.8464, 8.868, 0.76, 'Altair'],
+            ['β', 19.9219, 6.407, 3.71, 'Alshain'],
+            ['γ', 19.7710, 10.613, 2.72, 'Tarazed'],
+            ['δ', 19.4250, 3.115, 3.36],
+            ['ζ', 19.0902, 13.863, 2.99],
+            ['θ', 20.1884, -0.821, 3.23],
+            ['λ', 19.1041, -4.883, 3.43],
+            ['η', 19.8746, 1.006, 3.87],
+            ['ε', 18.9937, 15.068, 4.02],
+            ['ι', 19.6120, -1.287, 4.36]
+        ],
+        lines: [['γ', 'α', 'β'], ['α', 'δ', 'λ'], ['ε', 'ζ', 'δ'], ['δ', 'η', 'θ'], ['λ', 'ι', 'η']]
+    },
+    ara: {
+        name: 'Ara',
+        stars: [
+            ['α', 17.5307, -49.876, 2.95],
+            ['β', 17.4217, -55.530, 2.85],
+            ['γ', 17.4233, -56.378, 3.34],
+            ['δ', 17.5183, -60.684, 3.62],
+            ['ζ', 16.9770, -55.990, 3.13],
+            ['ε¹', 16.9931, -53.161, 4.06],
+            ['η', 16.8298, -59.041, 3.76],
+            ['θ', 18.1105, -50.092, 3.66]
+        ],
+        lines: [['θ', 'α', 'β', 'γ', 'δ', 'η', 'ζ', 'ε¹', 'α']]
+    },
+    ari: {
+        name: 'Aries',
+        stars: [
+            ['α', 2.1196, 23.463, 2.00, 'Hamal'],
+            ['β', 1.9107, 20.808, 2.64, 'Sheratan'],
+            ['γ', 1.8922, 19.294, 3.88, 'Mesarthim'],
+            ['41', 2.8331, 27.261, 3.61]
+        ],
+        lines: [['41', 'α', 'β', 'γ']]
+    },
+    aur: {
+        name: 'Auriga',
+        stars: [
+            ['α', 5.2782, 45.998, 0.08, 'Capella'],
+            ['β', 5.9921, 44.948, 1.90, 'Menkalinan'],
+            ['θ', 5.9954, 37.213, 2.65],
+            ['ι', 4.9499, 33.166, 2.69],
+            ['ε', 5.0328, 43.823, 2.99],
+            ['η', 5.1086, 41.234, 3.17],
+            ['ζ', 5.0413, 41.076, 3.75],
+            ['δ', 5.9921, 54.285, 3.72]
+        ],
+        lines: [['α', 'β', 'θ', 'tau:β', 'ι', 'η', 'α'], ['α', 'ε', 'ζ', 'η'], ['β', 'δ']]
+    },
+    boo: {
+        name: 'Boötes',
+        stars: [
+            ['α', 14.2610, 19.182, -0.05, 'Arcturus'],
+            ['ε', 14.7498, 27.074, 2.37, 'Izar'],
+            ['η', 13.9114, 18.398, 2.68, 'Muphrid'],
+            ['γ', 14.5346, 38.308, 3.03, 'Seginus'],
+            ['δ', 15.2584, 33.315, 3.47],
+            ['β', 15.0324, 40.391, 3.58, 'Nekkar'],
+            ['ρ', 14.5305, 30.371, 3.58],
+            ['ζ', 14.6858, 13.728, 3.78]
+        ],
+        lines: [['α', 'ε', 'δ', 'β', 'γ', 'ρ', 'α'], ['α', 'η'], ['α', 'ζ']]
+    },
+    cae: {
+        name: 'Caelum',
+        stars: [
+            ['α', 4.6760, -41.864, 4.45],
+            ['β', 4.7010, -37.145, 5.05],
+            ['γ¹', 5.0734, -35.484, 4.55],
+            ['δ', 4.5139, -44.954, 5.07]
+        ],
+        lines: [['δ', 'α', 'β', 'γ¹']]
+    },
+    cam: {
+        name: 'Camelopardalis',
+        stars: [
+            ['β', 5.0570, 60.442, 4.03],
+            ['α', 4.9008, 66.343, 4.29],
+            ['γ', 3.8393, 71.332, 4.63],
+            ['7', 4.9548, 53.752, 4.47],
+            ['BE', 3.8254, 65.526, 4.47]
+        ],
+        lines: [['7', 'β', 'α', 'γ'], ['β', 'BE', 'γ']]
+    },
+    cnc: {
+        name: 'Cancer',
+        stars: [
+            ['β', 8.2753, 9.186, 3.52, 'Tarf'],
+            ['δ', 8.7448, 18.154, 3.94, 'Asellus Australis'],
+            ['γ', 8.7214, 21.469, 4.66, 'Asellus Borealis'],
+            ['α', 8.9748, 11.858, 4.25, 'Acubens'],
+            ['ι', 8.7783, 28.760, 4.02]
+        ],
+        lines: [['β', 'δ', 'γ', 'ι'], ['δ', 'α']]
+    },
+    cvn: {
+        name: 'Canes Venatici',
+        stars: [
+            ['α', 12.9338, 38.318, 2.89, 'Cor Caroli'],
+            ['β', 12.5624, 41.358, 4.24, 'Chara']
+        ],
+        lines: [['α', 'β']]
+    },
+    cma: {
+        name: 'Canis Major',
+        stars: [
+            ['α', 6.7525, -16.716, -1.46, 'Sirius'],
+            ['β', 6.3783, -17.956, 1.98, 'Mirzam'],
+            ['ε', 6.9771, -28.972, 1.50, 'Adhara'],
+            ['δ', 7.1399, -26.393, 1.84, 'Wezen'],
+            ['η', 7.4016, -29.303, 2.45, 'Aludra'],
+            ['ζ', 6.3385, -30.063, 3.02, 'Furud'],
+            ['ο²', 7.0504, -23.833, 3.02],
+            ['σ', 7.0286, -27.935, 3.47],
+            ['ο¹', 6.9022, -24.184, 3.87],
+            ['γ', 7.0626, -15.633, 4.12],
+            ['ι', 6.9356, -17.054, 4.37],
+            ['θ', 6.9032, -12.039, 4.07],
+            ['ν²', 6.6114, -19.256, 3.95]
+        ],
+        lines: [['θ', 'ι', 'α', 'β'], ['ι', 'γ'], ['α', 'ν²', 'ο¹', 'ο²', 'δ', 'η'], ['δ', 'σ', 'ε', 'ζ']]
+    },
+    cmi: {
+        name: 'Canis Minor',
+        stars: [
+            ['α', 7.6550, 5.225, 0.34, 'Procyon'],
+            ['β', 7.4525, 8.289, 2.90, 'Gomeisa']
+        ],
+        lines: [['α', 'β']]
+    },
+    cap: {
+        name: 'Capricornus',
+        stars: [
+            ['α²', 20.3009, -12.545, 3.57, 'Algedi'],
+            ['β', 20.3502, -14.781, 3.08, 'Dabih'],
+            ['θ', 21.0991, -17.233, 4.07],
+            ['ι', 21.3708, -16.834, 4.28],
+            ['γ', 21.6682, -16.663, 3.67, 'Nashira'],
+            ['δ', 21.7840, -16.127, 2.87, 'Deneb Algedi'],
+            ['ζ', 21.4444, -22.411, 3.74],
+            ['ω', 20.8637, -26.919, 4.12],
+            ['ψ', 20.7683, -25.271, 4.14]
+        ],
+        lines: [['α²', 'β', 'ψ', 'ω', 'ζ', 'δ', 'γ', 'ι', 'θ', 'α²']]
+    },
+    car: {
+        name: 'Carina',
+        stars: [
+            ['α', 6.3992, -52.696, -0.74, 'Canopus'],
+            ['β', 9.2200, -69.717, 1.67, 'Miaplacidus'],
+            ['ε', 8.3752, -59.510, 1.86, 'Avior'],
+            ['ι', 9.2848, -59.275, 2.21, 'Aspidiske'],
+            ['θ', 10.7159, -64.394, 2.76],
+            ['υ', 9.7850, -65.072, 2.97],
+            ['ω', 10.2289, -70.038, 3.29],
+            ['p', 10.5337, -61.685, 3.30],
+            ['q', 10.2847, -61.332, 3.40],
+            ['χ', 7.9463, -52.982, 3.47],
+            ['a', 9.1828, -58.967, 3.44]
+        ],
+        lines: [['α', 'χ', 'ε', 'a', 'ι', 'q', 'p', 'θ'], ['θ', 'ω', 'β', 'υ', 'ι']]
+    },
+    cas: {
+        name: 'Cassiopeia',
+        stars: [
+            ['α', 0.6751, 56.537, 2.24, 'Schedar'],
+            ['β', 0.1530, 59.150, 2.28, 'Caph'],
+            ['γ', 0.9451, 60.717, 2.15],
+            ['δ', 1.4303, 60.235, 2.66, 'Ruchbah'],
+            ['ε', 1.9066, 63.670, 3.35, 'Segin']
+        ],
+        lines: [['β', 'α', 'γ', 'δ', 'ε']]
+    },
+    cen: {
+        name: 'Centaurus',
+        stars: [
+            ['α', 14.6601, -60.834, -0.27, 'Rigil Kentaurus'],
+            ['β', 14.0637, -60.373, 0.61, 'Hadar'],
+            ['θ', 14.1114, -36.370, 2.06, 'Menkent'],
+            ['γ', 12.6920, -48.960, 2.17],
+            ['ε', 13.6648, -53.466, 2.30],
+            ['η', 14.5918, -42.158, 2.31],
+            ['ζ', 13.9257, -47.288, 2.55],
+            ['δ', 12.1393, -50.722, 2.52],
+            ['ι', 13.3433, -36.712, 2.75],
+            ['μ', 13.8269, -42.474, 3.04],
+            ['κ', 14.9860, -42.104, 3.13],
+            ['λ', 11.5964, -63.020, 3.13],
+            ['ν', 13.8251, -41.688, 3.41]
+        ],
+        lines: [['α', 'β', 'ε', 'γ', 'δ'], ['ε', 'ζ', 'η', 'κ'], ['ζ', 'μ', 'ν', 'ι'], ['ν', 'θ'], ['γ', 'λ']]
+    },
+    cep: {
+        name: 'Cepheus',
+        stars: [
+            ['α', 21.3097, 62.586, 2.45, 'Alderamin'],
+            ['β', 21.4777, 70.561, 3.23, 'Alfirk'],
+            ['γ', 23.6558, 77.632, 3.21, 'Errai'],
+            ['ζ', 22.1809, 58.201, 3.35],
+            ['ι', 22.8280, 66.200, 3.52],
+            ['δ', 22.4862, 58.415, 4.07],
+            ['η', 20.7548, 61.839, 3.41]
+        ],
+        lines: [['α', 'β', 'γ', 'ι', 'ζ', 'α'], ['ζ', 'δ'], ['α', 'η']]
+    },
+    cet: {
+        name: 'Cetus',
+        stars: [
+            ['β', 0.7265, -17.987, 2.04, 'Diphda'],
+            ['α', 3.0380, 4.090, 2.54, 'Menkar'],
+            ['ο', 2.3224, -2.978, 3.04, 'Mira'],
+            ['γ', 2.7217, 3.236, 3.47],
+            ['τ', 1.7345, -15.938, 3.50],
+            ['η', 1.1432, -10.182, 3.45],
+            ['θ', 1.4004, -8.184, 3.60],
+            ['ζ', 1.8577, -10.335, 3.73],
+            ['ι', 0.3238, -8.824, 3.56],
+            ['δ', 2.6580, 0.329, 4.07],
+            ['λ', 2.9953, 8.908, 4.70],
+            ['μ', 2.7490, 10.114, 4.27],
+            ['ν', 2.5979, 5.593, 4.86],
+            ['ξ²', 2.4693, 8.460, 4.28]
+        ],
+        lines: [['β', 'ι', 'η', 'θ', 'ζ', 'τ', 'β'], ['ζ', 'ο', 'δ', 'γ', 'α', 'λ', 'μ', 'ξ²', 'ν', 'γ']]
+    },
+    cha: {
+        name: 'Chamaeleon',
+        stars: [
+            ['α', 8.3088, -76.920, 4.07],
+            ['γ', 10.5911, -78.608, 4.11],
+            ['β', 12.3058, -79.312, 4.26],
+            ['δ²', 10.7630, -80.540, 4.45],
+            ['θ', 8.3440, -77.485, 4.35]
+        ],
+        lines: [['α', 'γ', 'β', 'δ²', 'γ'], ['α', 'θ']]
+    },
+    cir: {
+        name: 'Circinus',
+        stars: [
+            ['α', 14.7085, -64.975, 3.19],
+            ['β', 15.2919, -58.801, 4.07],
+            ['γ', 15.3896, -59.321, 4.51]
+        ],
+        lines: [['β', 'α', 'γ']]
+    },
+    col: {
+        name: 'Columba',
+        stars: [
+            ['α', 5.6608, -34.074, 2.65, 'Phact'],
+            ['β', 5.8493, -35.768, 3.12, 'Wazn'],
+            ['δ', 6.3686, -33.436, 3.85],
+            ['ε', 5.5202, -35.471, 3.87],
+            ['η', 5.9858, -42.815, 3.96],
+            ['γ', 5.9589, -35.283, 4.36]
+        ],
+        lines: [['ε', 'α', 'β', 'γ', 'δ'], ['β', 'η']]
+    },
+    com: {
+        name: 'Coma Berenices',
+        stars: [
+            ['β', 13.1979, 27.878, 4.26],
+            ['α', 13.1665, 17.529, 4.32, 'Diadem'],
+            ['γ', 12.4490, 28.268, 4.36]
+        ],
+        lines: [['α', 'β', 'γ']]
+    },
+    cra: {
+        name: 'Corona Austrina',
+        stars: [
+            ['α', 19.1579, -37.904, 4.10],
+            ['β', 19.1671, -39.341, 4.11],
+            ['γ', 19.1070, -37.063, 4.21],
+            ['δ', 19.1392, -40.497, 4.59],
+            ['ε', 18.9787, -37.107, 4.87],
+            ['θ', 18.5584, -42.313, 4.64],
+            ['ζ', 19.0519, -42.095, 4.75]
+        ],
+        lines: [['ε', 'γ', 'α', 'β', 'δ', 'ζ', 'θ']]
+    },
+    crb: {
+        name: 'Corona Borealis',
+        stars: [
+            ['α', 15.5781, 26.715, 2.23, 'Alphecca'],
+            ['β', 15.4638, 29.106, 3.68, 'Nusakan'],
+            ['θ', 15.5488, 31.359, 4.14],
+            ['γ', 15.7124, 26.296, 3.81],
+            ['δ', 15.8266, 26.068, 4.63],
+            ['ε', 15.9598, 26.878, 4.15],
+            ['ι', 16.0241, 29.851, 4.98]
+        ],
+        lines: [['θ', 'β', 'α', 'γ', 'δ', 'ε', 'ι']]
+    },
+    crv: {
+        name: 'Corvus',
+        stars: [
+            ['γ', 12.2634, -17.542, 2.59, 'Gienah'],
+            ['β', 12.5731, -23.397, 2.65, 'Kraz'],
+            ['δ', 12.4977, -16.515, 2.95, 'Algorab'],
+            ['ε', 12.1688, -22.620, 3.00, 'Minkar'],
+            ['α', 12.1402, -24.729, 4.02, 'Alchiba']
+        ],
+        lines: [['α', 'ε', 'γ', 'δ', 'β', 'ε']]
+    },
+    crt: {
+        name: 'Crater',
+        stars: [
+            ['δ', 11.3223, -14.779, 3.56],
+            ['α', 10.9962, -18.299, 4.07, 'Alkes'],
+            ['γ', 11.4147, -17.684, 4.08],
+            ['β', 11.1943, -22.826, 4.48],
+            ['θ', 11.6114, -9.802, 4.70],
+            ['ε', 11.4102, -10.859, 4.83],
+            ['ζ', 11.7460, -18.351, 4.73],
+            ['η', 11.9336, -17.151, 5.18]
+        ],
+        lines: [['α', 'β', 'γ', 'δ', 'α'], ['δ', 'ε', 'θ'], ['γ', 'ζ', 'η']]
+    },
+    cru: {
+        name: 'Crux',
+        stars: [
+            ['α', 12.4433, -63.099, 0.77, 'Acrux'],
+            ['β', 12.7954, -59.689, 1.25, 'Mimosa'],
+            ['γ', 12.5194, -57.113, 1.59, 'Gacrux'],
+            ['δ', 12.2524, -58.749, 2.79, 'Imai'],
+            ['ε', 12.3560, -60.401, 3.59]
+        ],
+        lines: [['α', 'γ'], ['β', 'δ']]
+    },
+    cyg: {
+        name: 'Cygnus',
+        stars: [
+            ['α', 20.6905, 45.280, 1.25, 'Deneb'],
+            ['γ', 20.3705, 40.257, 2.23, 'Sadr'],
+            ['ε', 20.7702, 33.970, 2.48, 'Aljanah'],
+            ['δ', 19.7496, 45.131, 2.87],
+            ['β', 19.5120, 27.960, 3.08, 'Albireo'],
+            ['ζ', 21.2156, 30.227, 3.21],
+            ['ι', 19.4951, 51.730, 3.77],
+            ['κ', 19.2851, 53.369, 3.80],
+            ['η', 19.9384, 35.083, 3.89]
+        ],
+        lines: [['α', 'γ', 'η', 'β'], ['δ', 'γ', 'ε', 'ζ'], ['δ', 'ι', 'κ']]
+    },
+    del: {
+        name: 'Delphinus',
+        stars: [
+            ['α', 20.6606, 15.912, 3.77, 'Sualocin'],
+            ['β', 20.6258, 14.595, 3.63, 'Rotanev'],
+            ['γ²', 20.7776, 16.124, 4.27],
+            ['δ', 20.7243, 15.075, 4.43],
+            ['ε', 20.5536, 11.303, 4.03]
+        ],
+        lines: [['ε', 'β', 'α', 'γ²', 'δ', 'β']]
+    },
+    dor: {
+        name: 'Dorado',
+        stars: [
+            ['α', 4.5666, -55.045, 3.27],
+            ['β', 5.5604, -62.490, 3.76],
+            ['γ', 4.2671, -51.487, 4.25],
+            ['δ', 5.7462, -65.736, 4.35],
+            ['ζ', 5.0919, -57.473, 4.72]
+        ],
+        lines: [['γ', 'α', 'ζ', 'β', 'δ'], ['α', 'β']]
+    },
+    dra: {
+        name: 'Draco',
+        stars: [
+            ['γ', 17.9434, 51.489, 2.23, 'Eltanin'],
+            ['η', 16.3999, 61.514, 2.73, 'Athebyne'],
+            ['β', 17.5072, 52.301, 2.79, 'Rastaban'],
+            ['δ', 19.2093, 67.662, 3.07, 'Altais'],
+            ['ζ', 17.1465, 65.715, 3.17],
+            ['ι', 15.4155, 58.966, 3.29, 'Edasich'],
+            ['χ', 18.3510, 72.733, 3.55],
+            ['α', 14.0732, 64.376, 3.65, 'Thuban'],
+            ['ε', 19.8029, 70.268, 3.83],
+            ['ξ', 17.8921, 56.873, 3.75, 'Grumium'],
+            ['ν', 17.5378, 55.184, 4.88],
+            ['κ', 12.5581, 69.788, 3.87],
+            ['λ', 11.5234, 69.331, 3.84, 'Giausar'],
+            ['θ', 16.0315, 58.565, 4.01]
+        ],
+        lines: [['λ', 'κ', 'α', 'ι', 'θ', 'η', 'ζ', 'χ', 'ε', 'δ', 'ξ', 'γ', 'β', 'ν', 'ξ']]
+    },
+    equ: {
+        name: 'Equuleus',
+        stars: [
+            ['α', 21.2637, 5.248, 3.92, 'Kitalpha'],
+            ['δ', 21.2413, 10.007, 4.47],
+            ['γ', 21.1724, 10.132, 4.69],
+            ['β', 21.3816, 6.811, 5.16]
+        ],
+        lines: [['γ', 'δ', 'β', 'α', 'γ']]
+    },
+    eri: {
+        name: 'Eridanus',
+        stars: [
+            ['α', 1.6286, -57.237, 0.46, 'Achernar'],
+            ['β', 5.1308, -5.086, 2.79, 'Cursa'],
+            ['θ¹', 2.9710, -40.305, 3.20, 'Acamar'],
+            ['γ', 3.9672, -13.509, 2.95, 'Zaurak'],
+            ['δ', 3.7208, -9.763, 3.54, 'Rana'],
+            ['ε', 3.5488, -9.458, 3.73, 'Ran'],
+            ['η', 2.9405, -8.898, 3.89, 'Azha'],
+            ['τ³', 3.0399, -23.624, 4.09],
+            ['τ⁴', 3.3253, -21.758, 3.69],
+            ['υ²', 4.5925, -30.562, 3.82],
+            ['υ⁴', 4.2982, -33.798, 3.56],
+            ['ι', 2.6778, -39.855, 4.11],
+            ['φ', 2.2752, -51.512, 3.56],
+            ['χ', 1.9326, -51.609, 3.70],
+            ['ο¹', 4.1978, -6.838, 4.04],
+            ['ν', 4.6053, -3.353, 3.93],
+            ['μ', 4.7584, -3.255, 4.02]
+        ],
+        lines: [['β', 'μ', 'ν', 'ο¹', 'γ', 'δ', 'ε', 'η', 'τ³', 'τ⁴', 'υ²', 'υ⁴', 'θ¹', 'ι', 'φ', 'χ', 'α']]
+    },
+    for: {
+        name: 'Fornax',
+        stars: [
+            ['α', 3.2013, -28.987, 3.87, 'Dalim'],
+            ['β', 2.8182, -32.406, 4.46],
+            ['ν', 2.0748, -29.297, 4.69]
+        ],
+        lines: [['α', 'β', 'ν']]
+    },
+    gem: {
+        name: 'Gemini',
+        stars: [
+            ['β', 7.7553, 28.026, 1.14, 'Pollux'],
+            ['α', 7.5767, 31.888, 1.58, 'Castor'],
+            ['γ', 6.6285, 16.399, 1.93, 'Alhena'],
+            ['μ', 6.3827, 22.514, 2.88, 'Tejat'],
+            ['ε', 6.7322, 25.131, 2.98, 'Mebsuta'],
+            ['η', 6.2479, 22.507, 3.28, 'Propus'],
+            ['ξ', 6.7548, 12.896, 3.36, 'Alzirr'],
+            ['δ', 7.3354, 21.982, 3.53, 'Wasat'],
+            ['κ', 7.7408, 24.398, 3.57],
+            ['λ', 7.3016, 16.540, 3.58],
+            ['θ', 6.8798, 33.961, 3.60],
+            ['ζ', 7.0685, 20.570, 3.90, 'Mekbuda'],
+            ['τ', 7.1857, 30.245, 4.41],
+            ['ι', 7.4288, 27.798, 3.79],
+            ['υ', 7.5987, 26.896, 4.06]
+        ],
+        lines: [['α', 'τ', 'ε', 'μ', 'η'], ['τ', 'θ'], ['τ', 'ι', 'υ', 'β'], ['υ', 'δ', 'ζ', 'γ'], ['δ', 'λ', 'ξ'], ['β', 'κ']]
+    },
+    gru: {
+        name: 'Grus',
+        stars: [
+            ['α', 22.1372, -46.961, 1.74, 'Alnair'],
+            ['β', 22.7111, -46.885, 2.10, 'Tiaki'],
+            ['γ', 21.8988, -37.365, 3.00, 'Aldhanab'],
+            ['ε', 22.8092, -51.317, 3.49],
+            ['ι', 23.1726, -45.247, 3.90],
+            ['δ¹', 22.4878, -43.496, 3.97],
+            ['ζ', 23.0147, -52.754, 4.12],
+            ['λ', 22.1019, -39.543, 4.46],
+            ['μ¹', 22.2604, -41.347, 4.79]
+        ],
+        lines: [['γ', 'λ', 'μ¹', 'δ¹', 'β', 'ε', 'ζ'], ['α', 'δ¹'], ['β', 'ι']]
+    },
+    her: {
+        name: 'Hercules',
+        stars: [
+            ['β', 16.5037, 21.490, 2.77, 'Kornephoros'],
+            ['ζ', 16.6881, 31.603, 2.81],
+            ['α', 17.2441, 14.390, 3.10, 'Rasalgethi'],
+            ['δ', 17.2505, 24.839, 3.14, 'Sarin'],
+            ['π', 17.2508, 36.809, 3.16],
+            ['μ', 17.7743, 27.721, 3.42],
+            ['η', 16.7149, 38.922, 3.48],
+            ['ξ', 17.9627, 29.248, 3.70],
+            ['γ', 16.3653, 19.153, 3.75],
+            ['ι', 17.6578, 46.006, 3.80],
+            ['θ', 17.9376, 37.251, 3.86],
+            ['ο', 18.1257, 28.763, 3.83],
+            ['ε', 17.0048, 30.926, 3.92],
+            ['τ', 16.3290, 46.313, 3.89],
+            ['σ', 16.5684, 42.437, 4.20],
+            ['φ', 16.1462, 44.935, 4.26]
+        ],
+        lines: [['ζ', 'ε', 'π', 'η', 'ζ'], ['ζ', 'β', 'γ'], ['β', 'α'], ['ε', 'δ', 'α'], ['δ', 'μ', 'ξ', 'ο'], ['π', 'θ', 'ι'], ['η', 'σ', 'τ', 'φ']]
+    },
+    hor: {
+        name: 'Horologium',
+        stars: [
+            ['α', 4.2334, -42.294, 3.86],
+            ['β', 2.9799, -64.071, 4.99],
+            ['ι', 2.7093, -50.800, 5.40],
+            ['η', 2.6234, -52.543, 5.31],
+            ['ζ', 2.6777, -54.550, 5.21],
+            ['μ', 3.0602, -59.738, 5.11]
+        ],
+        lines: [['α', 'ι', 'η', 'ζ', 'μ', 'β']]
+    },
+    hya: {
+        name: 'Hydra',
+        stars: [
+            ['α', 9.4598, -8.659, 1.98, 'Alphard'],
+            ['γ', 13.3154, -23.171, 3.00],
+            ['ζ', 8.9232, 5.946, 3.11],
+            ['ν', 10.8271, -16.194, 3.11],
+            ['π', 14.1062, -26.682, 3.27],
+            ['ε', 8.7796, 6.419, 3.38],
+            ['ξ', 11.5500, -31.858, 3.54],
+            ['λ', 10.1765, -12.354, 3.61],
+            ['μ', 10.4349, -16.836, 3.81],
+            ['θ', 9.2394, 2.314, 3.88],
+            ['ι', 9.6643, -1.143, 3.91],
+            ['δ', 8.6276, 5.704, 4.16],
+            ['η', 8.7204, 3.399, 4.30],
+            ['σ', 8.6459, 3.341, 4.45],
+            ['υ¹', 9.8580, -14.847, 4.12],
+            ['β', 11.8818, -33.908, 4.28]
+        ],
+        lines: [['δ', 'σ', 'η', 'ε', 'δ'], ['ε', 'ζ', 'θ', 'ι', 'α', 'υ¹', 'λ', 'μ', 'ν', 'ξ', 'β', 'γ', 'π']]
+    },
+    hyi: {
+        name: 'Hydrus',
+        stars: [
+            ['β', 0.4292, -77.254, 2.82],
+            ['α', 1.9795, -61.570, 2.86],
+            ['γ', 3.7873, -74.239, 3.24],
+            ['δ', 2.3625, -68.659, 4.09],
+            ['ε', 2.6598, -68.267, 4.11]
+        ],
+        lines: [['β', 'γ', 'ε', 'δ', 'α']]
+    },
+    ind: {
+        name: 'Indus',
+        stars: [
+            ['α', 20.6261, -47.291, 3.11, 'The Persian'],
+            ['β', 20.9135, -58.454, 3.65],
+            ['θ', 21.3311, -53.449, 4.39],
+            ['δ', 21.9653, -54.993, 4.40]
+        ],
+        lines: [['α', 'θ', 'β'], ['θ', 'δ']]
+    },
+    lac: {
+        name: 'Lacerta',
+        stars: [
+            ['α', 22.5215, 50.283, 3.77],
+            ['β', 22.3927, 52.229, 4.43],
+            ['4', 22.4086, 49.476, 4.57],
+            ['5', 22.4922, 47.707, 4.36],
+            ['2', 22.3504, 46.537, 4.57],
+            ['1', 22.2662, 37.749, 4.13]
+        ],
+        lines: [['β', 'α', '4', '5', '2', '1']]
+    },
+    leo: {
+        name: 'Leo',
+        stars: [
+            ['α', 10.1395, 11.967, 1.35, 'Regulus'],
+            ['γ¹', 10.3329, 19.841, 2.08, 'Algieba'],
+            ['β', 11.8177, 14.572, 2.13, 'Denebola'],
+            ['δ', 11.2351, 20.524, 2.56, 'Zosma'],
+            ['ε', 9.7642, 23.774, 2.98],
+            ['θ', 11.2373, 15.430, 3.33, 'Chertan'],
+            ['ζ', 10.2782, 23.417, 3.44, 'Adhafera'],
+            ['η', 10.1222, 16.763, 3.49],
+            ['μ', 9.8794, 26.007, 3.88, 'Rasalas'],
+            ['λ', 9.5287, 22.968, 4.31],
+            ['ι', 11.3987, 10.529, 3.94],
+            ['ο', 9.6858, 9.892, 3.52],
+            ['ρ', 10.5468, 9.307, 3.85]
+        ],
+        lines: [['α', 'η', 'γ¹', 'ζ', 'μ', 'ε', 'λ'], ['γ¹', 'δ', 'β', 'θ', 'α'], ['δ', 'θ', 'ι'], ['α', 'ρ'], ['α', 'ο']]
+    },
+    lmi: {
+        name: 'Leo Minor',
+        stars: [
+            ['46', 10.8885, 34.215, 3.83, 'Praecipua'],
+            ['β', 10.4647, 36.707, 4.21],
+            ['21', 10.1238, 35.245, 4.48],
+            ['10', 9.5704, 36.398, 4.55]
+        ],
+        lines: [['10', '21', 'β', '46', '21']]
+    },
+    lep: {
+        name: 'Lepus',
+        stars: [
+            ['α', 5.5455, -17.822, 2.58, 'Arneb'],
+            ['β', 5.4708, -20.759, 2.84, 'Nihal'],
+            ['ε', 5.0910, -22.371, 3.19],
+            ['μ', 5.2155, -16.206, 3.29],
+            ['ζ', 5.7826, -14.822, 3.55],
+            ['γ', 5.7411, -22.448, 3.60],
+            ['η', 5.9401, -14.168, 3.71],
+            ['δ', 5.8554, -20.879, 3.81],
+            ['κ', 5.2205, -12.941, 4.36],
+            ['λ', 5.3262, -13.177, 4.29]
+        ],
+        lines: [['κ', 'μ', 'α', 'ζ', 'η'], ['μ', 'λ'], ['μ', 'ε', 'β', 'α'], ['β', 'γ', 'δ', 'α']]
+    },
+    lib: {
+        name: 'Libra',
+        stars: [
+            ['β', 15.2835, -9.383, 2.61, 'Zubeneschamali'],
+            ['α²', 14.8480, -16.042, 2.75, 'Zubenelgenubi'],
+            ['σ', 15.0678, -25.282, 3.29],
+            ['γ', 15.5921, -14.789, 3.91],
+            ['υ', 15.6171, -28.135, 3.58],
+            ['τ', 15.6443, -29.778, 3.66],
+            ['θ', 15.8971, -16.729, 4.15]
+        ],
+        lines: [['σ', 'α²', 'β', 'γ', 'θ'], ['α²', 'γ', 'υ', 'τ']]
+    },
+    lup: {
+        name: 'Lupus',
+        stars: [
+            ['α', 14.6988, -47.388, 2.30],
+            ['β', 14.9755, -43.134, 2.68],
+            ['γ', 15.5857, -41.167, 2.78],
+            ['δ', 15.3562, -40.648, 3.22],
+            ['ε', 15.3780, -44.690, 3.37],
+            ['ζ', 15.2048, -52.099, 3.41],
+            ['η', 16.0020, -38.397, 3.42],
+            ['φ¹', 15.3634, -36.261, 3.56],
+            ['κ¹', 15.1989, -48.738, 3.87],
+            ['χ', 15.8493, -33.627, 3.95]
+        ],
+        lines: [['ζ', 'κ¹', 'α', 'β', 'δ', 'φ¹', 'χ'], ['δ', 'γ', 'η'], ['γ', 'ε', 'κ¹']]
+    },
+    lyn: {
+        name: 'Lynx',
+        stars: [
+            ['α', 9.3509, 34.393, 3.14],
+            ['38', 9.3141, 36.803, 3.82],
+            ['10', 9.0107, 41.783, 3.96],
+            ['31', 8.3806, 43.188, 4.25],
+            ['21', 7.4452, 49.212, 4.64],
+            ['15', 6.9546, 58.423, 4.35],
+            ['2', 6.3271, 59.011, 4.48]
+        ],
+        lines: [['α', '38', '10', '31', '21', '15', '2']]
+    },
+    lyr: {
+        name: 'Lyra',
+        stars: [
+            ['α', 18.6156, 38.784, 0.03, 'Vega'],
+            ['γ', 18.9824, 32.690, 3.24, 'Sulafat'],
+            ['β', 18.8347, 33.363, 3.52, 'Sheliak'],
+            ['δ²', 18.9084, 36.899, 4.30],
+            ['ζ¹', 18.7462, 37.605, 4.36],
+            ['ε¹', 18.7390, 39.670, 4.67]
+        ],
+        lines: [['ε¹', 'α', 'ζ¹', 'β', 'γ', 'δ²', 'ζ¹']]
+    },
+    men: {
+        name: 'Mensa',
+        stars: [
+            ['α', 6.1707, -74.753, 5.09],
+            ['γ', 5.5314, -76.341, 5.19],
+            ['η', 4.9198, -74.937, 5.47],
+            ['β', 5.0453, -71.314, 5.31]
+        ],
+        lines: [['α', 'γ', 'η', 'β']]
+    },
+    mic: {
+        name: 'Microscopium',
+        stars: [
+            ['γ', 21.0215, -32.258, 4.67],
+            ['ε', 21.2990, -32.173, 4.71],
+            ['α', 20.8328, -33.780, 4.90],
+            ['θ¹', 21.3460, -40.810, 4.82],
+            ['ι', 20.8081, -43.989, 5.11]
+        ],
+        lines: [['α', 'γ', 'ε', 'θ¹', 'ι', 'α']]
+    },
+    mon: {
+        name: 'Monoceros',
+        stars: [
+            ['β', 6.4803, -7.033, 3.74],
+            ['α', 7.6875, -9.551, 3.93],
+            ['γ', 6.2476, -6.275, 3.98],
+            ['δ', 7.1977, -0.493, 4.15],
+            ['ε', 6.3961, 4.593, 4.39],
+            ['13', 6.5497, 7.333, 4.50],
+            ['ζ', 8.1432, -2.984, 4.34]
+        ],
+        lines: [['γ', 'β', 'δ', 'α'], ['δ', 'ζ'], ['δ', '13', 'ε']]
+    },
+    mus: {
+        name: 'Musca',
+        stars: [
+            ['α', 12.6197, -69.136, 2.69],
+            ['β', 12.7714, -68.108, 3.04],
+            ['δ', 13.0378, -71.549, 3.62],
+            ['λ', 11.7601, -66.729, 3.64],
+            ['γ', 12.5411, -72.133, 3.84],
+            ['ε', 12.2929, -67.961, 4.11],
+            ['μ', 11.8041, -66.815, 4.72]
+        ],
+        lines: [['λ', 'μ', 'ε', 'α', 'β', 'δ', 'γ', 'α']]
+    },
+    nor: {
+        name: 'Norma',
+        stars: [
+            ['γ²', 16.3307, -50.156, 4.02],
+            ['ε', 16.4531, -47.555, 4.46],
+            ['η', 16.0536, -49.230, 4.65],
+            ['δ', 16.1082, -45.173, 4.72]
+        ],
+        lines: [['γ²', 'ε', 'δ', 'η', 'γ²']]
+    },
+    oct: {
+        name: 'Octans',
+        stars: [
+            ['ν', 21.6913, -77.390, 3.76],
+            ['β', 22.7677, -81.382, 4.13],
+            ['δ', 14.4487, -83.668, 4.31],
+            ['σ', 21.1464, -88.956, 5.45, 'Polaris Australis']
+        ],
+        lines: [['ν', 'β', 'δ', 'ν']]
+    },
+    oph: {
+        name: 'Ophiuchus',
+        stars: [
+            ['α', 17.5822, 12.560, 2.07, 'Rasalhague'],
+            ['η', 17.1730, -15.725, 2.43, 'Sabik'],
+            ['ζ', 16.6193, -10.567, 2.56],
+            ['δ', 16.2391, -3.694, 2.74, 'Yed Prior'],
+            ['β', 17.7245, 4.567, 2.77, 'Cebalrai'],
+            ['κ', 16.9611, 9.375, 3.20],
+            ['ε', 16.3054, -4.693, 3.24, 'Yed Posterior'],
+            ['θ', 17.3668, -24.999, 3.26],
+            ['ν', 17.9838, -9.774, 3.34],
+            ['γ', 17.7982, 2.707, 3.75]
+        ],
+        lines: [['α', 'κ', 'δ', 'ε', 'ζ', 'η', 'ν', 'β', 'α'], ['η', 'θ'], ['β', 'γ']]
+    },
+    ori: {
+        name: 'Orion',
+        stars: [
+            ['α', 5.9195, 7.407, 0.50, 'Betelgeuse'],
+            ['β', 5.2423, -8.202, 0.13, 'Rigel'],
+            ['γ', 5.4189, 6.350, 1.64, 'Bellatrix'],
+            ['ε', 5.6036, -1.202, 1.69, 'Alnilam'],
+            ['ζ', 5.6793, -1.943, 1.77, 'Alnitak'],
+            ['κ', 5.7959, -9.670, 2.09, 'Saiph'],
+            ['δ', 5.5334, -0.299, 2.23, 'Mintaka'],
+            ['ι', 5.5906, -5.910, 2.77, 'Hatysa'],
+            ['θ¹', 5.5879, -5.390, 4.00],
+            ['η', 5.4079, -2.397, 3.36],
+            ['λ', 5.5856, 9.934, 3.39, 'Meissa'],
+            ['π¹', 4.9149, 10.151, 4.65],
+            ['π²', 4.8435, 8.900, 4.35],
+            ['π³', 4.8307, 6.961, 3.19, 'Tabit'],
+            ['π⁴', 4.8534, 5.605, 3.69],
+            ['π⁵', 4.9042, 2.441, 3.72],
+            ['π⁶', 4.9758, 1.714, 4.47],
+            ['μ', 6.0397, 9.648, 4.12],
+            ['ν', 6.1262, 14.768, 4.42],
+            ['ξ', 6.1990, 14.209, 4.48],
+            ['χ¹', 5.9064, 20.276, 4.39],
+            ['χ²', 6.0653, 20.138, 4.63]
+        ],
+        lines: [
+            ['α', 'ζ', 'κ', 'β', 'η', 'δ', 'γ', 'α'],
+            ['δ', 'ε', 'ζ'],
+            ['ε', 'θ¹', 'ι'],
+            ['α', 'λ', 'γ'],
+            ['α', 'μ', 'ν', 'χ¹'],
+            ['ν', 'ξ', 'χ²'],
+            ['γ', 'π³'],
+            ['π¹', 'π²', 'π³', 'π⁴', 'π⁵', 'π⁶']
+        ]
+    },
+    pav: {
+        name: 'Pavo',
+        stars: [
+            ['α', 20.4275, -56.735, 1.94, 'Peacock'],
+            ['β', 20.7493, -66.203, 3.42],
+            ['δ', 20.1454, -66.182, 3.56],
+            ['η', 17.7622, -64.724, 3.62],
+            ['ε', 20.0099, -72.911, 3.96],
+            ['ζ', 18.7173, -71.428, 4.01],
+            ['κ', 18.9492, -67.234, 4.40],
+            ['λ', 18.8703, -62.188, 4.22],
+            ['ξ', 18.3871, -61.494, 4.36],
+            ['π', 18.1430, -63.668, 4.35],
+            ['γ', 21.4407, -65.366, 4.22]
+        ],
+        lines: [['α', 'β', 'δ', 'κ', 'λ', 'ξ', 'π', 'η'], ['δ', 'ε', 'ζ'], ['β', 'γ']]
+    },
+    peg: {
+        name: 'Pegasus',
+        stars: [
+            ['ε', 21.7364, 9.875, 2.39, 'Enif'],
+            ['β', 23.0629, 28.083, 2.42, 'Scheat'],
+            ['α', 23.0794, 15.205, 2.49, 'Markab'],
+            ['γ', 0.2206, 15.184, 2.83, 'Algenib'],
+            ['η', 22.7167, 30.221, 2.94, 'Matar'],
+            ['ζ', 22.6910, 10.831, 3.40, 'Homam'],
+            ['μ', 22.8334, 24.602, 3.48, 'Sadalbari'],
+            ['θ', 22.1700, 6.198, 3.53, 'Biham'],
+            ['ι', 22.1169, 25.345, 3.77],
+            ['λ', 22.7755, 23.566, 3.95],
+            ['κ', 21.7441, 25.645, 4.13],
+            ['π²', 22.1665, 33.178, 4.29]
+        ],
+        lines: [['α', 'β', 'and:α', 'γ', 'α'], ['α', 'ζ', 'θ', 'ε'], ['β', 'μ', 'λ', 'ι', 'κ'], ['β', 'η', 'π²']]
+    },
+    per: {
+        name: 'Perseus',
+        stars: [
+            ['α', 3.4054, 49.861, 1.79, 'Mirfak'],
+            ['β', 3.1361, 40.956, 2.10, 'Algol'],
+            ['ζ', 3.9022, 31.884, 2.85, 'Menkib'],
+            ['ε', 3.9642, 40.010, 2.89],
+            ['γ', 3.0799, 53.506, 2.93],
+            ['δ', 3.7154, 47.788, 3.01],
+            ['ρ', 3.0863, 38.840, 3.39, 'Gorgonea Tertia'],
+            ['η', 2.8449, 55.896, 3.76, 'Miram'],
+            ['ν', 3.7532, 42.579, 3.77],
+            ['κ', 3.1583, 44.858, 3.80],
+            ['ο', 3.7386, 32.288, 3.83, 'Atik'],
+            ['ξ', 3.9828, 35.791, 4.04, 'Menkhib'],
+            ['θ', 2.7366, 49.229, 4.12],
+            ['τ', 2.9043, 52.763, 3.95],
+            ['ι', 3.1511, 49.613, 4.05],
+            ['μ', 4.2483, 48.409, 4.14]
+        ],
+        lines: [['η', 'τ', 'γ', 'α', 'δ', 'ν', 'ε', 'ξ', 'ζ', 'ο'], ['α', 'ι', 'κ', 'β', 'ρ'], ['δ', 'μ'], ['ι', 'θ']]
+    },
+    phe: {
+        name: 'Phoenix',
+        stars: [
+            ['α', 0.4381, -42.306, 2.40, 'Ankaa'],
+            ['β', 1.1014, -46.719, 3.31],
+            ['γ', 1.4728, -43.318, 3.41],
+            ['ζ', 1.1397, -55.246, 3.94],
+            ['δ', 1.5209, -49.073, 3.93],
+            ['ε', 0.1568, -45.748, 3.88],
+            ['κ', 0.4367, -43.680, 3.94],
+            ['η', 0.7226, -57.463, 4.36]
+        ],
+        lines: [['α', 'κ', 'β', 'γ'], ['γ', 'δ', 'ζ', 'η', 'ε', 'α'], ['β', 'ζ']]
+    },
+    pic: {
+        name: 'Pictor',
+        stars: [
+            ['α', 6.8032, -61.941, 3.27],
+            ['β', 5.7881, -51.066, 3.86],
+            ['γ', 5.8305, -56.167, 4.50]
+        ],
+        lines: [['α', 'γ', 'β']]
+    },
+    psc: {
+        name: 'Pisces',
+        stars: [
+            ['η', 1.5247, 15.346, 3.62, 'Alpherg'],
+            ['γ', 23.2861, 3.282, 3.69],
+            ['ω', 23.9885, 6.864, 4.01],
+            ['ι', 23.6658, 5.626, 4.13],
+            ['θ', 23.4661, 6.379, 4.28],
+            ['α', 2.0341, 2.764, 3.82, 'Alrescha'],
+            ['ο', 1.7566, 9.158, 4.26],
+            ['ε', 1.0491, 7.890, 4.28],
+            ['δ', 0.8114, 7.585, 4.43],
+            ['ν', 1.6905, 5.488, 4.44],
+            ['λ', 23.7008, 1.780, 4.49],
+            ['κ', 23.4489, 1.256, 4.94],
+            ['β', 23.0646, 3.820, 4.48, 'Fumalsamakah'],
+            ['τ', 1.1943, 30.090, 4.51],
+            ['υ', 1.3244, 27.264, 4.74],
+            ['φ', 1.2292, 24.584, 4.67],
+            ['χ', 1.1909, 21.035, 4.66]
+        ],
+        lines: [['β', 'γ', 'κ', 'λ', 'ι', 'θ', 'γ'], ['ι', 'ω', 'δ', 'ε', 'ν', 'α', 'ο', 'η'], ['η', 'χ', 'φ', 'υ', 'τ']]
+    },
+    psa: {
+        name: 'Piscis Austrinus',
+        stars: [
+            ['α', 22.9608, -29.622, 1.16, 'Fomalhaut'],
+            ['ε', 22.6776, -27.044, 4.17],
+            ['δ', 22.9325, -32.540, 4.21],
+            ['β', 22.5251, -32.346, 4.29],
+            ['ι', 21.7491, -33.026, 4.35],
+            ['γ', 22.8754, -32.876, 4.46],
+            ['μ', 22.1397, -32.988, 4.50]
+        ],
+        lines: [['ι', 'μ', 'β', 'γ', 'δ', 'α', 'ε', 'μ']]
+    },
+    pup: {
+        name: 'Puppis',
+        stars: [
+            ['ζ', 8.0597, -40.003, 2.21, 'Naos'],
+            ['π', 7.2857, -37.098, 2.70],
+            ['ρ', 8.1257, -24.304, 2.83, 'Tureis'],
+            ['τ', 6.8323, -50.615, 2.93],
+            ['ν', 6.6294, -43.196, 3.17],
+            ['σ', 7.4872, -43.301, 3.25],
+            ['ξ', 7.8216, -24.860, 3.34, 'Azmidi'],
+            ['c', 7.7543, -37.969, 3.62]
+        ],
+        lines: [['ρ', 'ξ', 'π', 'ν', 'τ', 'σ', 'c', 'ζ', 'ρ']]
+    },
+    pyx: {
+        name: 'Pyxis',
+        stars: [
+            ['α', 8.7265, -33.186, 3.68],
+            ['β', 8.6684, -35.308, 3.97],
+            ['γ', 8.8422, -27.710, 4.01]
+        ],
+        lines: [['β', 'α', 'γ']]
+    },
+    ret: {
+        name: 'Reticulum',
+        stars: [
+            ['α', 4.2404, -62.474, 3.33],
+            ['β', 3.7367, -64.807, 3.85],
+            ['ε', 4.2747, -59.302, 4.44],
+            ['δ', 3.9791, -61.400, 4.56]
+        ],
+        lines: [['α', 'β', 'δ', 'ε', 'α']]
+    },
+    sge: {
+        name: 'Sagitta',
+        stars: [
+            ['γ', 19.9793, 19.492, 3.47],
+            ['δ', 19.7898, 18.534, 3.82],
+            ['α', 19.6683, 18.014, 4.37, 'Sham'],
+            ['β', 19.6841, 17.476, 4.37]
+        ],
+        lines: [['γ', 'δ', 'α'], ['δ', 'β']]
+    },
+    sgr: {
+        name: 'Sagittarius',
+        stars: [
+            ['ε', 18.4029, -34.385, 1.85, 'Kaus Australis'],
+            ['σ', 18.9211, -26.297, 2.05, 'Nunki'],
+            ['ζ', 19.0435, -29.880, 2.60, 'Ascella'],
+            ['δ', 18.3499, -29.828, 2.70, 'Kaus Media'],
+            ['λ', 18.4662, -25.422, 2.81, 'Kaus Borealis'],
+            ['π', 19.1627, -21.024, 2.89, 'Albaldah'],
+            ['γ²', 18.0968, -30.424, 2.98, 'Alnasl'],
+            ['η', 18.2938, -36.762, 3.11],
+            ['φ', 18.7609, -26.991, 3.17],
+            ['τ', 19.1157, -27.671, 3.32],
+            ['ξ²', 18.9622, -21.107, 3.51],
+            ['ο', 19.0780, -21.742, 3.76],
+            ['μ', 18.2294, -21.059, 3.84],
+            ['α', 19.3981, -40.616, 3.97, 'Rukbat'],
+            ['β¹', 19.3773, -44.459, 4.01, 'Arkab Prior']
+        ],
+        lines: [
+            ['γ²', 'δ', 'ε', 'γ²'],
+            ['δ', 'λ', 'φ', 'δ'],
+            ['ε', 'ζ', 'φ'],
+            ['ζ', 'τ', 'σ', 'φ'],
+            ['λ', 'μ'],
+            ['σ', 'ξ²', 'ο', 'π'],
+            ['ε', 'η'],
+            ['ζ', 'α', 'β¹']
+        ]
+    },
+    sco: {
+        name: 'Scorpius',
+        stars: [
+            ['α', 16.4901, -26.432, 1.06, 'Antares'],
+            ['λ', 17.5601, -37.104, 1.62, 'Shaula'],
+            ['θ', 17.6220, -42.998, 1.86, 'Sargas'],
+            ['δ', 16.0056, -22.622, 2.29, 'Dschubba'],
+            ['ε', 16.8361, -34.293, 2.29, 'Larawag'],
+            ['κ', 17.7081, -39.030, 2.39, 'Girtab'],
+            ['β¹', 16.0906, -19.806, 2.62, 'Acrab'],
+            ['υ', 17.5127, -37.296, 2.70, 'Lesath'],
+            ['τ', 16.5981, -28.216, 2.82, 'Paikauhale'],
+            ['π', 15.9809, -26.114, 2.89, 'Fang'],
+            ['σ', 16.3531, -25.593, 2.90, 'Alniyat'],
+            ['ι¹', 17.7931, -40.127, 2.99],
+            ['μ¹', 16.8645, -38.048, 3.00, 'Xamidimura'],
+            ['G', 17.8310, -37.043, 3.19, 'Fuyue'],
+            ['η', 17.2025, -43.239, 3.32],
+            ['ζ²', 16.9097, -42.361, 3.62],
+            ['ρ', 15.9481, -29.214, 3.88]
+        ],
+        lines: [['β¹', 'δ', 'π', 'ρ'], ['δ', 'σ', 'α', 'τ', 'ε', 'μ¹', 'ζ²', 'η', 'θ', 'ι¹', 'κ', 'λ', 'υ'], ['κ', 'G']]
+    },
+    scl: {
+        name: 'Sculptor',
+        stars: [
+            ['α', 0.9768, -29.358, 4.31],
+            ['β', 23.5495, -37.818, 4.37],
+            ['γ', 23.3137, -32.532, 4.41],
+            ['δ', 23.8154, -28.130, 4.57]
+        ],
+        lines: [['α', 'δ', 'γ', 'β']]
+    },
+    sct: {
+        name: 'Scutum',
+        stars: [
+            ['α', 18.5868, -8.244, 3.85],
+            ['β', 18.7862, -4.748, 4.22],
+            ['ζ', 18.3943, -8.934, 4.68],
+            ['γ', 18.4866, -14.566, 4.70],
+            ['δ', 18.7046, -9.053, 4.72]
+        ],
+        lines: [['β', 'α', 'γ', 'δ', 'β'], ['α', 'ζ']]
+    },
+    ser: {
+        name: 'Serpens',
+        stars: [
+            ['α', 15.7378, 6.426, 2.63, 'Unukalhai'],
+            ['η', 18.3552, -2.899, 3.26],
+            ['μ', 15.8270, -3.430, 3.54],
+            ['ξ', 17.6265, -15.399, 3.54],
+            ['β', 15.7698, 15.422, 3.65],
+            ['ε', 15.8469, 4.478, 3.71],
+            ['δ', 15.5800, 10.539, 3.80],
+            ['γ', 15.9409, 15.662, 3.85],
+            ['κ', 15.8123, 18.142, 4.09],
+            ['θ¹', 18.9370, 4.204, 4.62, 'Alya'],
+            ['ο', 17.6903, -12.875, 4.26],
+            ['ν', 17.3471, -12.847, 4.32],
+            ['ζ', 18.0081, -3.690, 4.62]
+        ],
+        lines: [['μ', 'ε', 'α', 'δ', 'β', 'γ', 'κ', 'β'], ['ν', 'ξ', 'ο', 'ζ', 'η', 'θ¹']]
+    },
+    sex: {
+        name: 'Sextans',
+        stars: [
+            ['α', 10.1323, -0.372, 4.49],
+            ['γ', 9.8751, -8.105, 5.05],
+            ['β', 10.5049, -0.637, 5.09],
+            ['ε', 10.2938, -8.069, 5.24]
+        ],
+        lines: [['γ', 'α', 'β', 'ε', 'γ']]
+    },
+    tau: {
+        name: 'Taurus',
+        stars: [
+            ['α', 4.5987, 16.509, 0.87, 'Aldebaran'],
+            ['β', 5.4382, 28.608, 1.65, 'Elnath'],
+            ['η', 3.7914, 24.105, 2.87, 'Alcyone'],
+            ['ζ', 5.6274, 21.143, 3.00, 'Tianguan'],
+            ['θ²', 4.4777, 15.871, 3.40, 'Chamukuy'],
+            ['λ', 4.0113, 12.490, 3.47],
+            ['ε', 4.4769, 19.181, 3.53, 'Ain'],
+            ['γ', 4.3299, 15.628, 3.65, 'Prima Hyadum'],
+            ['δ¹', 4.3823, 17.543, 3.76, 'Secunda Hyadum'],
+            ['ο', 3.4136, 9.029, 3.60],
+            ['ξ', 3.4528, 9.733, 3.73],
+            ['27', 3.8194, 24.053, 3.62, 'Atlas'],
+            ['17', 3.7479, 24.113, 3.70, 'Electra'],
+            ['τ', 4.7041, 22.957, 4.28]
+        ],
+        lines: [['ζ', 'α', 'θ²', 'γ', 'δ¹', 'ε', 'τ', 'β'], ['γ', 'λ', 'ξ', 'ο']]
+    },
+    tel: {
+        name: 'Telescopium',
+        stars: [
+            ['α', 18.4496, -45.968, 3.49],
+            ['ζ', 18.4805, -49.071, 4.13],
+            ['ε', 18.1872, -45.955, 4.52]
+        ],
+        lines: [['ε', 'α', 'ζ']]
+    },
+    tri: {
+        name: 'Triangulum',
+        stars: [
+            ['β', 2.1591, 34.987, 3.00],
+            ['α', 1.8847, 29.579, 3.41, 'Mothallah'],
+            ['γ', 2.2886, 33.847, 4.01]
+        ],
+        lines: [['α', 'β', 'γ', 'α']]
+    },
+    tra: {
+        name: 'Triangulum Australe',
+        stars: [
+            ['α', 16.8111, -69.028, 1.91, 'Atria'],
+            ['β', 15.9190, -63.431, 2.85],
+            ['γ', 15.3152, -68.680, 2.89]
+        ],
+        lines: [['α', 'β', 'γ', 'α']]
+    },
+    tuc: {
+        name: 'Tucana',
+        stars: [
+            ['α', 22.3084, -60.260, 2.86],
+            ['γ', 23.2905, -58.236, 3.99],
+            ['ζ', 0.3345, -64.875, 4.23],
+            ['β¹', 0.5257, -62.958, 4.37],
+            ['ε', 23.9986, -65.577, 4.50],
+            ['δ', 22.4555, -64.966, 4.48]
+        ],
+        lines: [['α', 'γ', 'β¹', 'ζ', 'ε', 'δ', 'α']]
+    },
+    uma: {
+        name: 'Ursa Major',
+        stars: [
+            ['α', 11.0621, 61.751, 1.79, 'Dubhe'],
+            ['β', 11.0307, 56.383, 2.37, 'Merak'],
+            ['γ', 11.8972, 53.695, 2.44, 'Phecda'],
+            ['δ', 12.2571, 57.033, 3.31, 'Megrez'],
+            ['ε', 12.9005, 55.960, 1.77, 'Alioth'],
+            ['ζ', 13.3988, 54.925, 2.27, 'Mizar'],
+            ['η', 13.7923, 49.313, 1.86, 'Alkaid'],
+            ['ψ', 11.1611, 44.499, 3.01],
+            ['μ', 10.3721, 41.499, 3.05, 'Tania Australis'],
+            ['λ', 10.2849, 42.914, 3.45, 'Tania Borealis'],
+            ['ι', 8.9868, 48.042, 3.14, 'Talitha'],
+            ['κ', 9.0604, 47.157, 3.57],
+            ['θ', 9.5476, 51.677, 3.17],
+            ['ο', 8.5044, 60.718, 3.36, 'Muscida'],
+            ['h', 9.5255, 63.062, 3.65],
+            ['υ', 9.8498, 59.039, 3.78],
+            ['ν', 11.3080, 33.094, 3.48, 'Alula Borealis'],
+            ['ξ', 11.3030, 31.529, 3.79, 'Alula Australis'],
+            ['χ', 11.7675, 47.779, 3.69]
+        ],
+        lines: [
+            ['η', 'ζ', 'ε', 'δ', 'α', 'β', 'γ', 'δ'],
+            ['α', 'h', 'ο', 'υ', 'β'],
+            ['υ', 'θ', 'κ', 'ι'],
+            ['γ', 'χ', 'ψ', 'μ', 'λ'],
+            ['χ', 'ν', 'ξ']
+        ]
+    },
+    umi: {
+        name: 'Ursa Minor',
+        stars: [
+            ['α', 2.5303, 89.264, 1.98, 'Polaris'],
+            ['β', 14.8451, 74.156, 2.08, 'Kochab'],
+            ['γ', 15.3455, 71.834, 3.05, 'Pherkad'],
+            ['δ', 17.5369, 86.586, 4.36, 'Yildun'],
+            ['ε', 16.7662, 82.037, 4.21],
+            ['ζ', 15.7343, 77.794, 4.29],
+            ['η', 16.2918, 75.755, 4.95]
+        ],
+        lines: [['α', 'δ', 'ε', 'ζ', 'β', 'γ', 'η', 'ζ']]
+    },
+    vel: {
+        name: 'Vela',
+        stars: [
+            ['γ²', 8.1589, -47.337, 1.83, 'Regor'],
+            ['δ', 8.7451, -54.708, 1.96, 'Alsephina'],
+            ['λ', 9.1333, -43.433, 2.21, 'Suhail'],
+            ['κ', 9.3686, -55.011, 2.47, 'Markeb'],
+            ['μ', 10.7795, -49.420, 2.69],
+            ['N', 9.5204, -57.034, 3.13],
+            ['φ', 9.9477, -54.568, 3.54],
+            ['ψ', 9.5116, -40.467, 3.60],
+            ['ο', 8.6716, -52.922, 3.60]
+        ],
+        lines: [['γ²', 'δ', 'κ', 'N', 'φ', 'μ', 'ψ', 'λ', 'γ²']]
+    },
+    vir: {
+        name: 'Virgo',
+        stars: [
+            ['α', 13.4199, -11.161, 0.98, 'Spica'],
+            ['γ', 12.6943, -1.449, 2.74, 'Porrima'],
+            ['ε', 13.0363, 10.959, 2.85, 'Vindemiatrix'],
+            ['ζ', 13.5782, -0.596, 3.37, 'Heze'],
+            ['δ', 12.9267, 3.398, 3.38, 'Minelauva'],
+            ['β', 11.8449, 1.765, 3.61, 'Zavijava'],
+            ['109', 14.7708, 1.893, 3.72],
+            ['μ', 14.7177, -5.658, 3.88, 'Rijl al Awwa'],
+            ['η', 12.3318, -0.667, 3.89, 'Zaniah'],
+            ['ν', 11.7643, 6.529, 4.04],
+            ['ι', 14.2669, -6.001, 4.08, 'Syrma'],
+            ['τ', 14.0274, 1.545, 4.26],
+            ['θ', 13.1658, -5.539, 4.38],
+            ['κ', 14.2149, -10.274, 4.18, 'Kang']
+        ],
+        lines: [['ν', 'β', 'η', 'γ', 'δ', 'ε'], ['γ', 'θ', 'α'], ['δ', 'ζ', 'τ', '109'], ['ζ', 'α', 'κ', 'ι', 'μ']]
+    },
+    vol: {
+        name: 'Volans',
+        stars: [
+            ['γ²', 7.1458, -70.499, 3.78],
+            ['β', 8.4289, -66.137, 3.77],
+            ['ζ', 7.6970, -72.606, 3.95],
+            ['δ', 7.2805, -67.957, 3.98],
+            ['α', 9.0408, -66.396, 4.00],
+            ['ε', 8.1322, -68.617, 4.35]
+        ],
+        lines: [['γ²', 'δ', 'ε', 'β', 'α', 'ε', 'ζ', 'γ²']]
+    },
+    vul: {
+        name: 'Vulpecula',
+        stars: [
+            ['α', 19.4784, 24.665, 4.44, 'Anser'],
+            ['23', 20.2636, 27.814, 4.52],
+            ['13', 19.8910, 24.080, 4.57],
+            ['1', 19.2703, 21.390, 4.77]
+        ],
+        lines: [['1', 'α', '13', '23']]
+    }
+};
+
+// =============================================================================
+// FIELD STARS
+// =============================================================================
+
+/**
+ * Stars down to magnitude 5.5 that are not part of any figure, drawn around
+ * the figures so the charts show the sky as it looks to the naked eye. From
+ * XHIP (Anderson & Francis 2012), as [right ascension (hours), declination
+ * (degrees), magnitude], sorted by right ascension.
+ */
+const FIELD_STARS = [
+    [0.0266, -77.066, 4.78], [0.0304, -3.027, 5.13], [0.0327, -6.014, 4.37], [0.0389, -29.720, 5.04], [0.0623, -17.336, 4.55], [0.0750, -10.509, 4.99],
+    [0.0889, -5.708, 4.61], [0.1559, -27.988, 5.42], [0.1673, -82.224, 5.29], [0.1720, 46.072, 5.01], [0.1877, -15.468, 4.89], [0.1929, -27.800, 5.41],
+    [0.1956, -35.133, 5.24], [0.2028, -17.938, 5.29], [0.2410, -7.780, 5.13], [0.2434, 20.207, 4.79], [0.2440, -18.933, 4.44], [0.2849, 38.682, 4.61],
+    [0.3055, 36.785, 4.51], [0.3433, 8.190, 5.38], [0.3442, -69.625, 5.50], [0.3520, 37.969, 5.16], [0.3587, -28.982, 5.18], [0.4132, 61.831, 5.38],
+    [0.4655, -33.007, 4.86], [0.4675, 17.893, 5.01], [0.4705, 44.395, 5.18], [0.4740, -39.915, 5.42], [0.5020, 29.752, 5.20], [0.5063, -23.788, 5.17],
+    [0.5236, -48.803, 4.76], [0.5295, 54.522, 4.74], [0.5432, 20.294, 5.38], [0.5455, -63.032, 5.07], [0.5500, 62.932, 4.17], [0.5875, -3.593, 5.20],
+    [0.6023, 54.169, 5.08], [0.6129, 44.489, 5.14], [0.6162, 53.897, 3.69], [0.6226, 35.400, 5.45], [0.6527, 49.355, 5.45], [0.6654, 21.439, 5.36],
+    [0.6853, 39.459, 5.30], [0.6888, -46.085, 4.59], [0.7011, 50.513, 4.80], [0.7079, -65.468, 5.38], [0.7245, 47.025, 4.95], [0.7365, -10.610, 4.77],
+    [0.7454, 48.284, 4.48], [0.7457, -22.006, 5.22], [0.7548, 55.221, 5.41], [0.7699, -22.522, 5.49], [0.7758, 15.476, 5.36], [0.7890, 24.267, 4.08],
+    [0.7961, 74.848, 5.42], [0.8098, -74.923, 5.09], [0.8139, 50.968, 4.90], [0.8163, 16.941, 5.07], [0.8184, 57.815, 3.46], [0.8354, -10.644, 5.17],
+    [0.8448, -50.987, 5.24], [0.8454, 64.248, 5.35], [0.8780, -24.006, 5.47], [0.8835, -1.144, 4.78], [0.8845, 61.124, 4.80], [0.9161, 23.628, 5.46],
+    [0.9167, 58.973, 4.83], [0.9168, -69.527, 5.45], [0.9337, -11.267, 5.35], [0.9444, 59.181, 4.62], [0.9534, 23.418, 4.40], [0.9639, 28.992, 5.44],
+    [1.0407, -31.552, 5.50], [1.0470, 31.804, 5.50], [1.0470, -46.397, 5.39], [1.0507, -4.837, 5.40], [1.0947, 21.473, 5.33], [1.1219, -61.775, 5.36],
+    [1.1300, -41.487, 5.21], [1.1336, 43.942, 5.04], [1.1379, 54.920, 5.17], [1.1458, 86.257, 4.24], [1.1776, 68.779, 5.32], [1.1850, 55.150, 4.34],
+    [1.1852, 31.425, 5.15], [1.2289, 7.575, 5.21], [1.2400, -7.923, 5.14], [1.2531, -45.532, 4.97], [1.2628, -68.876, 4.25], [1.2767, -2.500, 5.42],
+    [1.2967, 3.615, 5.13], [1.3347, 58.232, 4.95], [1.3520, 28.738, 5.23], [1.3723, 45.529, 4.87], [1.4113, -41.492, 5.42], [1.4270, -14.599, 4.90],
+    [1.4322, 68.130, 4.72], [1.4376, 19.172, 5.35], [1.4449, 19.240, 5.50], [1.4609, 45.407, 4.83], [1.4934, -21.629, 5.11], [1.5017, 47.007, 5.27],
+    [1.5031, 6.144, 4.84], [1.5489, -36.865, 5.49], [1.5655, 59.232, 4.68], [1.5997, -15.400, 5.41], [1.6133, 41.406, 4.10], [1.6419, 73.040, 5.28],
+    [1.6558, 44.386, 5.01], [1.6763, 40.577, 4.96], [1.6964, 42.613, 4.96], [1.7024, -32.327, 5.25], [1.7083, 20.268, 5.24], [1.7121, -3.690, 4.98],
+    [1.7155, 70.623, 5.18], [1.7277, 50.689, 4.01], [1.7608, -25.053, 5.29], [1.7665, -5.733, 5.37], [1.7683, -50.816, 5.49], [1.7684, -53.522, 5.04],
+    [1.8264, -10.686, 4.66], [1.8882, 40.730, 5.42], [1.8926, 3.188, 4.61], [1.8941, -46.303, 4.39], [1.9061, -42.497, 5.12], [1.9156, -67.647, 4.68],
+    [1.9333, 68.685, 4.97], [1.9445, -22.527, 4.92], [1.9528, -47.385, 4.82], [1.9558, 17.817, 5.09], [1.9655, 23.596, 4.79], [1.9939, 64.622, 5.29],
+    [1.9962, -20.825, 5.43], [2.0001, -21.078, 3.99], [2.0075, -8.524, 5.43], [2.0208, -30.002, 5.34], [2.0284, -44.714, 5.15], [2.0326, 70.907, 4.49],
+    [2.0384, 54.487, 4.99], [2.0494, 33.284, 5.50], [2.0532, 0.129, 5.42], [2.0573, 72.421, 3.95], [2.0854, 77.281, 5.27], [2.0921, 76.115, 5.22],
+    [2.1094, 22.648, 5.03], [2.1415, 37.859, 4.78], [2.1570, 25.940, 4.98], [2.2062, 30.303, 4.94], [2.2134, 21.211, 5.23], [2.2151, -30.724, 5.27],
+    [2.2167, 8.847, 4.36], [2.2204, 44.232, 4.84], [2.2268, 51.066, 5.31], [2.2656, 33.359, 5.25], [2.2842, 34.224, 4.84], [2.3158, 28.643, 5.29],
+    [2.3213, 47.380, 5.31], [2.3657, 0.396, 5.29], [2.3671, -10.777, 5.43], [2.3701, -0.885, 5.42], [2.3726, 55.846, 5.16], [2.3757, -23.816, 5.19],
+    [2.4069, 50.007, 5.19], [2.4136, 10.611, 5.48], [2.4150, -60.312, 5.36], [2.4271, 50.279, 4.73], [2.4325, -12.290, 4.88], [2.4498, -47.704, 4.24],
+    [2.4671, -33.811, 5.13], [2.4694, 29.669, 5.29], [2.4844, 67.403, 4.46], [2.5250, 2.267, 5.27], [2.5279, -79.109, 5.27], [2.5348, -15.245, 4.74],
+    [2.5350, 36.147, 5.15], [2.5360, -1.035, 5.36], [2.5641, -28.232, 4.96], [2.5963, 34.688, 5.38], [2.6339, 72.818, 5.17], [2.6469, 21.961, 5.45],
+    [2.6594, -11.872, 4.83], [2.6633, -42.892, 4.74], [2.6781, 27.061, 5.30], [2.7041, 40.194, 4.91], [2.7242, 27.707, 4.65], [2.7348, 44.297, 5.43],
+    [2.7354, -13.859, 4.24], [2.7493, 12.446, 5.17], [2.7517, -18.573, 4.47], [2.7591, -67.617, 4.83], [2.7985, 29.247, 4.52], [2.8171, -62.806, 5.25],
+    [2.8215, 17.464, 5.26], [2.8317, -27.942, 5.39], [2.8412, -75.067, 4.76], [2.8431, 38.319, 4.22], [2.8446, -35.676, 5.48], [2.8506, -21.004, 4.76],
+    [2.8586, 35.060, 4.56], [2.8952, 38.337, 5.34], [2.9437, -3.712, 5.16], [2.9548, 31.934, 5.10], [2.9566, -23.862, 5.44], [2.9784, -2.783, 5.22],
+    [2.9794, 39.663, 4.68], [2.9844, 35.183, 4.94], [2.9869, 21.340, 4.63], [2.9972, 47.221, 5.47], [3.0145, 52.352, 5.24], [3.0451, -7.686, 5.32],
+    [3.0713, -7.601, 5.26], [3.0907, 25.255, 5.45], [3.0923, 56.706, 4.77], [3.1022, 79.418, 5.49], [3.1093, -6.089, 5.23], [3.1882, 39.612, 4.61],
+    [3.1938, 19.727, 4.35], [3.1990, 74.394, 4.85], [3.2129, -1.196, 5.07], [3.2484, 21.044, 4.87], [3.2639, -8.820, 4.80], [3.2701, 50.938, 5.04],
+    [3.2965, 44.025, 5.49], [3.3036, -62.506, 5.24], [3.3061, -22.511, 4.86], [3.3105, 50.222, 5.16], [3.3122, 34.223, 4.85], [3.3188, 50.095, 5.05],
+    [3.3227, 3.370, 4.84], [3.3321, -43.070, 4.26], [3.3331, 65.652, 4.74], [3.3388, 77.735, 5.44], [3.3390, 29.049, 4.47], [3.3538, 21.147, 5.27],
+    [3.3567, -23.635, 5.50], [3.3574, 43.330, 4.96], [3.3792, 20.742, 5.10], [3.3870, 49.213, 5.32], [3.4051, 24.724, 5.50], [3.4113, 64.586, 5.13],
+    [3.4675, 49.063, 4.99], [3.4845, 59.940, 4.21], [3.4895, 49.509, 4.67], [3.4896, -62.938, 4.71], [3.4985, 58.879, 4.55], [3.5001, 55.452, 5.09],
+    [3.5068, 11.336, 5.14], [3.5096, 47.995, 4.36], [3.5103, -5.075, 4.74], [3.5145, 12.937, 4.14], [3.5357, 48.023, 5.47], [3.5406, 46.057, 5.30],
+    [3.5631, -21.633, 4.26], [3.6048, -17.467, 5.24], [3.6082, 48.193, 4.32], [3.6146, 0.402, 4.29], [3.6182, -40.275, 4.57], [3.7026, 63.217, 5.06],
+    [3.7041, -31.938, 4.99], [3.7063, 33.965, 4.97], [3.7139, -37.313, 4.59], [3.7418, -1.163, 5.24], [3.7467, 24.290, 5.45], [3.7535, 24.467, 4.30],
+    [3.7612, 6.050, 5.34], [3.7638, 24.368, 3.87], [3.7673, 63.345, 4.78], [3.7690, -12.102, 4.43], [3.7721, 23.948, 4.14], [3.7808, -23.250, 4.22],
+    [3.7943, -23.875, 5.24], [3.8045, 11.143, 5.08], [3.8058, 23.421, 5.44], [3.8100, -37.620, 4.30], [3.8198, 24.137, 5.05], [3.8205, 70.871, 5.40],
+    [3.8242, -36.200, 4.17], [3.8257, 33.091, 5.14], [3.8386, 25.579, 5.24], [3.8782, -5.361, 5.48], [3.8942, -34.732, 5.11], [3.8952, -24.612, 4.64],
+    [3.9049, -2.955, 4.46], [3.9328, 47.871, 5.39], [3.9413, 35.081, 5.49], [3.9435, 50.695, 5.28], [3.9523, 61.109, 4.99], [3.9571, 63.072, 4.95],
+    [3.9987, -24.016, 4.62], [4.0149, -62.159, 4.48], [4.0217, -61.079, 4.97], [4.0256, -1.550, 5.28], [4.0435, -0.269, 5.38], [4.0526, 5.989, 3.91],
+    [4.0624, 5.436, 5.32], [4.0657, 8.197, 5.45], [4.0694, 2.827, 5.36], [4.0727, 24.106, 5.46], [4.0742, 59.156, 5.00], [4.0783, 22.082, 4.36],
+    [4.1097, 50.351, 4.25], [4.1101, 27.600, 5.18], [4.1168, 29.001, 5.21], [4.1444, 47.712, 3.96], [4.1550, -16.386, 5.45], [4.1674, 80.699, 5.10],
+    [4.1729, -6.924, 5.44], [4.1805, 26.481, 5.39], [4.1807, -41.994, 4.93], [4.2259, 7.716, 5.29], [4.2323, 9.264, 4.84], [4.2399, -10.256, 4.87],
+    [4.2434, 10.011, 5.22], [4.2468, -62.192, 5.45], [4.2481, 40.484, 4.67], [4.2545, -7.653, 4.43], [4.2589, 8.892, 4.27], [4.2786, 53.612, 5.20],
+    [4.2877, 20.579, 4.93], [4.3041, 50.295, 4.60], [4.3203, 50.049, 5.46], [4.3213, -44.268, 5.33], [4.3239, 21.142, 5.50], [4.3269, 21.773, 5.34],
+    [4.3392, 27.351, 4.97], [4.3402, 34.567, 4.93], [4.3434, 15.095, 5.26], [4.3442, -20.640, 5.38], [4.3445, 65.140, 5.26], [4.3592, 46.499, 4.80],
+    [4.3632, 60.736, 5.40], [4.3648, -63.386, 5.24], [4.3764, 25.629, 5.38], [4.3947, -3.745, 5.17], [4.3977, 9.461, 5.10], [4.4006, -34.017, 3.97],
+    [4.4016, 17.444, 4.80], [4.4228, 22.294, 4.21], [4.4236, 22.200, 5.27], [4.4248, 17.928, 4.30], [4.4351, 31.439, 5.29], [4.4385, 22.814, 4.28],
+    [4.4391, 15.618, 4.48], [4.4434, 14.714, 4.69], [4.4508, 80.824, 5.42], [4.4740, 16.360, 4.96], [4.4806, 13.048, 5.02], [4.5001, 83.340, 5.47],
+    [4.5093, 16.194, 4.78], [4.5104, 13.724, 5.40], [4.5108, 15.692, 5.47], [4.5313, -0.044, 4.91], [4.5585, -29.767, 4.49], [4.5641, 14.844, 4.65],
+    [4.5699, -8.231, 5.20], [4.5699, -8.970, 5.24], [4.5942, 10.161, 4.25], [4.6115, 41.265, 4.25], [4.6205, 0.998, 5.32], [4.6267, -2.474, 5.22],
+    [4.6360, 12.511, 4.27], [4.6363, -14.304, 3.86], [4.6482, -12.123, 4.99], [4.6517, 7.871, 5.38], [4.6526, 15.800, 5.08], [4.6546, 15.918, 4.67],
+    [4.6555, -14.359, 5.46], [4.6652, 53.080, 5.07], [4.6661, 53.473, 5.36], [4.6676, 12.198, 5.45], [4.6740, -19.672, 4.32], [4.7129, -50.481, 5.30],
+    [4.7151, 43.365, 5.30], [4.7392, -59.733, 5.28], [4.7405, 11.146, 5.39], [4.7672, 11.706, 5.35], [4.7934, -16.934, 5.49], [4.8001, 56.757, 5.29],
+    [4.8318, 37.488, 4.89], [4.8366, -16.217, 5.03], [4.8562, 18.840, 5.08], [4.8681, 63.505, 5.47], [4.8755, 14.251, 4.71], [4.8772, 36.703, 4.79],
+    [4.8816, -5.453, 4.36], [4.8897, 2.508, 5.33], [4.9130, 11.426, 5.18], [4.9133, 7.779, 5.33], [4.9395, 13.514, 4.06], [4.9401, -5.171, 5.50],
+    [4.9876, 37.890, 4.93], [4.9973, -10.263, 5.39], [4.9988, -12.537, 4.78], [5.0058, 81.194, 5.09], [5.0238, -20.052, 4.91], [5.0240, -7.174, 4.80],
+    [5.0361, -26.275, 5.01], [5.0469, -49.151, 5.37], [5.0516, 21.590, 4.62], [5.0762, 15.404, 4.65], [5.0828, -49.578, 5.05], [5.1023, 58.972, 5.22],
+    [5.1113, 51.598, 4.98], [5.1127, -4.655, 5.12], [5.1242, 18.645, 4.91], [5.1261, -63.400, 5.19], [5.1301, 20.418, 5.28], [5.1314, 8.498, 5.33],
+    [5.1352, 24.265, 5.50], [5.1455, -4.456, 5.11], [5.1524, -8.754, 4.25], [5.1555, 9.830, 5.43], [5.1617, 15.597, 4.81], [5.1949, 16.046, 5.18],
+    [5.2050, -11.869, 4.45], [5.2062, 73.947, 5.44], [5.2215, 2.861, 4.46], [5.2238, 38.484, 4.82], [5.2293, -67.185, 4.81], [5.2456, 5.156, 5.50],
+    [5.2568, 32.688, 5.01], [5.2568, -26.944, 5.06], [5.2914, -34.895, 4.81], [5.2934, -6.844, 3.59], [5.2945, -13.520, 5.48], [5.3029, 33.372, 4.54],
+    [5.3167, 33.748, 5.38], [5.3190, 40.099, 4.69], [5.3198, 2.596, 5.34], [5.3213, 22.096, 4.96], [5.3228, -50.606, 5.44], [5.3331, -12.316, 5.29],
+    [5.3336, 33.958, 5.05], [5.3374, 41.086, 5.46], [5.3408, -21.240, 4.70], [5.3627, -0.383, 4.72], [5.3628, -24.773, 5.06], [5.3634, 41.805, 5.22],
+    [5.3760, 79.231, 5.08], [5.3806, 3.545, 4.99], [5.3911, 57.544, 5.24], [5.3917, -13.927, 5.25], [5.3991, -7.808, 4.13], [5.4071, 17.384, 5.00],
+    [5.4080, -0.891, 5.07], [5.4109, 37.385, 5.02], [5.4125, 1.846, 4.89], [5.4387, -58.913, 5.14], [5.4473, 3.096, 4.59], [5.4528, 17.962, 5.40],
+    [5.4606, 21.937, 4.88], [5.4608, 34.476, 5.08], [5.4879, 25.150, 5.47], [5.4956, -1.092, 4.71], [5.5026, -47.078, 5.46], [5.5028, 63.067, 5.43],
+    [5.5131, 5.948, 4.20], [5.5207, 3.292, 5.46], [5.5322, -7.301, 4.62], [5.5369, 18.594, 4.32], [5.5373, 17.058, 5.50], [5.5448, -1.592, 5.34],
+    [5.5455, 32.192, 4.71], [5.5476, -38.513, 5.45], [5.5499, -64.228, 5.34], [5.5587, -1.156, 5.36], [5.5713, 3.767, 5.32], [5.5803, 9.490, 4.39],
+    [5.5841, -6.002, 4.78], [5.5877, -5.387, 4.98], [5.5879, -5.390, 5.13], [5.5897, -5.416, 4.98], [5.5898, -4.838, 4.58], [5.5909, 24.040, 5.37],
+    [5.5943, -4.856, 5.24], [5.6151, 9.291, 4.09], [5.6291, -28.690, 5.28], [5.6439, 30.492, 5.40], [5.6458, -2.600, 3.77], [5.6481, -7.213, 4.77],
+    [5.6531, 4.122, 4.50], [5.6623, 25.897, 5.18], [5.6638, -32.629, 5.44], [5.6808, -1.129, 4.95], [5.6883, 16.534, 4.84], [5.7042, -34.668, 5.29],
+    [5.7080, 1.475, 4.90], [5.7650, 49.826, 5.46], [5.7666, -32.306, 5.18], [5.7743, -46.597, 5.31], [5.7906, 17.729, 5.47], [5.7953, 13.900, 5.28],
+    [5.8001, 6.454, 5.26], [5.8169, 24.567, 4.88], [5.8196, 39.181, 4.51], [5.8258, 12.651, 4.89], [5.8268, -14.484, 5.49], [5.8315, -66.901, 5.10],
+    [5.8380, -79.361, 5.46], [5.8481, -52.109, 5.16], [5.8507, 37.306, 4.72], [5.8561, -7.518, 5.36], [5.8582, 39.148, 3.97], [5.8740, 1.855, 4.76],
+    [5.8852, -33.801, 4.88], [5.8888, 27.612, 4.56], [5.9017, -63.090, 4.65], [5.9139, -52.636, 5.29], [5.9141, 55.707, 4.96], [5.9161, 59.888, 5.20],
+    [5.9250, -37.121, 4.97], [5.9666, 25.954, 4.81], [5.9804, 0.553, 5.21], [5.9845, -9.558, 5.04], [5.9989, 45.937, 4.30], [6.0009, -3.074, 4.53],
+    [6.0307, -10.598, 4.92], [6.0543, -26.285, 5.03], [6.0576, 19.691, 5.14], [6.0687, 23.263, 4.16], [6.0704, -6.709, 5.19], [6.0831, -16.484, 4.92],
+    [6.1026, -14.935, 4.67], [6.1089, -23.111, 5.46], [6.1097, 38.483, 5.35], [6.1108, -4.194, 5.37], [6.1176, -62.155, 5.04], [6.1255, -37.253, 5.00],
+    [6.1282, -19.166, 5.28], [6.1313, -42.154, 5.50], [6.1456, -68.843, 5.06], [6.1494, -22.427, 5.49], [6.1664, 58.936, 5.35], [6.1716, -54.969, 4.72],
+    [6.1875, -65.589, 5.01], [6.1977, -6.550, 5.06], [6.2009, 16.130, 4.95], [6.2142, 65.718, 5.36], [6.2475, 19.156, 5.20], [6.2563, 29.498, 4.32],
+    [6.2570, 16.143, 5.34], [6.2613, 59.999, 5.37], [6.2625, -13.718, 5.00], [6.2625, 12.551, 5.44], [6.2741, 12.272, 5.04], [6.2759, -35.141, 4.37],
+    [6.2852, 9.942, 5.39], [6.2949, -16.816, 5.15], [6.2986, 61.515, 5.01], [6.3141, -9.390, 5.36], [6.3141, 69.320, 4.76], [6.3286, -7.823, 5.27],
+    [6.3332, -2.945, 4.91], [6.3569, -11.773, 5.48], [6.3628, 53.452, 5.34], [6.4029, -11.530, 5.21], [6.4150, 49.288, 4.92], [6.4246, -69.690, 5.37],
+    [6.4469, 58.417, 5.21], [6.4538, 0.299, 5.19], [6.4660, -4.762, 5.06], [6.4695, -32.580, 4.47], [6.4827, 20.212, 4.13], [6.4912, -56.853, 5.20],
+    [6.4970, -50.239, 5.28], [6.5231, -12.392, 5.16], [6.5301, 11.544, 5.22], [6.5306, -8.158, 5.43], [6.5309, -23.418, 4.34], [6.5393, -37.697, 5.25],
+    [6.5605, -1.220, 5.09], [6.5637, -36.232, 5.42], [6.5829, -52.976, 4.35], [6.5843, -22.965, 4.54], [6.5867, 28.022, 5.26], [6.6091, 38.446, 5.40],
+    [6.6299, -32.340, 5.25], [6.6315, -18.238, 4.42], [6.6438, -48.220, 5.05], [6.6470, 39.903, 5.34], [6.6546, -14.146, 4.82], [6.6555, 42.489, 4.80],
+    [6.6830, 9.896, 4.66], [6.6990, -9.168, 5.21], [6.7068, 17.645, 5.20], [6.7180, 44.524, 5.04], [6.7331, 13.228, 4.49], [6.7412, -31.070, 5.23],
+    [6.7460, 28.971, 5.42], [6.7665, -14.796, 5.30], [6.7706, 59.442, 4.86], [6.7706, 79.565, 5.44], [6.7790, 43.577, 5.24], [6.7804, 57.169, 5.34],
+    [6.7809, -14.426, 5.28], [6.7813, -51.266, 5.39], [6.7888, 8.037, 4.77], [6.7893, -37.930, 5.27], [6.7937, -8.998, 5.08], [6.7943, 48.789, 5.22],
+    [6.7977, 2.412, 4.48], [6.8160, -15.145, 5.39], [6.8307, -32.508, 3.50], [6.8309, -53.622, 4.41], [6.8318, -46.615, 5.14], [6.8461, 41.781, 4.99],
+    [6.8479, -34.367, 4.99], [6.8492, 67.572, 5.14], [6.8575, -70.963, 5.41], [6.8592, 21.761, 5.28], [6.8847, 59.449, 5.34], [6.8925, -20.224, 4.82],
+    [6.8951, 68.888, 5.11], [6.9069, -1.127, 5.44], [6.9107, 13.178, 4.73], [6.9271, -20.137, 4.66], [6.9297, -22.941, 5.29], [6.9352, -14.043, 5.00],
+    [6.9378, -48.721, 4.94], [6.9429, -79.420, 5.45], [6.9594, -24.631, 5.45], [6.9603, 45.094, 4.90], [6.9736, -34.112, 5.07], [6.9974, -67.916, 5.18],
+    [7.0011, 76.977, 4.55], [7.0143, -51.403, 5.14], [7.0323, -5.722, 5.22], [7.0402, 24.215, 5.20], [7.0485, -4.239, 4.99], [7.0542, -59.178, 5.50],
+    [7.0606, 10.952, 5.14], [7.0649, -49.584, 4.92], [7.0674, -42.337, 5.20], [7.0718, -56.750, 5.14], [7.1113, -11.294, 5.41], [7.1395, 15.931, 5.47],
+    [7.1475, -39.656, 4.83], [7.1705, -4.237, 4.91], [7.1720, -27.491, 5.46], [7.1799, -48.932, 5.12], [7.1899, -0.302, 5.44], [7.1943, 39.321, 4.91],
+    [7.2044, -40.499, 5.30], [7.2093, -46.759, 4.49], [7.2204, -45.183, 4.87], [7.2229, 16.159, 5.07], [7.2232, 51.429, 5.46], [7.2256, -44.640, 4.42],
+    [7.2376, -26.352, 4.42], [7.2389, 3.111, 5.36], [7.2439, -48.272, 4.75], [7.2468, -26.773, 4.01], [7.2559, -30.686, 5.36], [7.2653, 59.638, 5.20],
+    [7.2707, -15.586, 5.46], [7.2764, -27.881, 4.66], [7.2769, -23.316, 4.83], [7.2804, -36.593, 5.03], [7.3051, -36.734, 4.65], [7.3089, 49.465, 5.00],
+    [7.3093, -39.210, 5.24], [7.3106, -36.743, 5.11], [7.3112, -24.559, 4.88], [7.3118, -24.954, 4.37], [7.3142, -26.586, 5.29], [7.3393, -52.312, 5.50],
+    [7.3441, -52.086, 5.38], [7.3658, 20.444, 5.09], [7.3674, 36.761, 5.12], [7.3704, -19.017, 4.94], [7.3835, -31.924, 5.40], [7.3913, 25.050, 5.04],
+    [7.3914, -27.834, 5.37], [7.3922, -32.202, 5.41], [7.4024, 40.672, 5.23], [7.4112, -16.201, 5.18], [7.4122, -31.809, 5.35], [7.4162, 11.669, 5.37],
+    [7.4275, 9.276, 4.99], [7.4394, -51.019, 5.09], [7.4623, 21.445, 5.20], [7.4672, 6.942, 5.22], [7.4694, 8.925, 4.33], [7.4849, -38.812, 5.41],
+    [7.4852, 31.785, 4.16], [7.4890, 28.118, 5.07], [7.4966, 12.007, 4.55], [7.4969, 27.916, 5.01], [7.4976, -23.024, 4.85], [7.4989, 49.672, 5.35],
+    [7.5118, -30.962, 4.65], [7.5179, 82.412, 4.92], [7.5301, 17.086, 5.45], [7.5350, 1.915, 5.24], [7.5601, 15.827, 5.27], [7.5633, -14.524, 4.82],
+    [7.5642, -36.338, 5.42], [7.5676, -22.296, 4.44], [7.5718, -23.474, 5.06], [7.5858, 30.961, 5.34], [7.5897, -28.369, 4.65], [7.5944, -52.534, 4.93],
+    [7.6213, -4.111, 5.14], [7.6228, -34.968, 4.53], [7.6383, -25.365, 4.69], [7.6472, -26.804, 3.80], [7.6528, 34.584, 4.89], [7.6576, -38.308, 4.84],
+    [7.6579, 17.674, 5.04], [7.6731, -15.264, 4.98], [7.6751, 87.020, 5.05], [7.6877, -38.533, 5.41], [7.7159, -45.173, 5.04], [7.7168, 58.710, 4.93],
+    [7.7219, 28.884, 4.23], [7.7257, -28.411, 4.63], [7.7283, -40.934, 5.12], [7.7301, -28.955, 3.94], [7.7345, 50.434, 5.31], [7.7353, 25.784, 5.30],
+    [7.7597, -34.172, 5.36], [7.7658, -14.564, 5.03], [7.7673, -6.772, 5.49], [7.7687, 18.510, 4.89], [7.7712, 10.768, 5.25], [7.7776, 37.517, 5.15],
+    [7.7903, -38.511, 5.07], [7.7918, 33.416, 5.14], [7.7921, -46.608, 5.22], [7.7991, -12.193, 5.48], [7.8014, -25.937, 4.40], [7.8056, -47.078, 4.69],
+    [7.8171, -24.912, 5.32], [7.8206, -46.373, 4.10], [7.8281, -17.228, 5.17], [7.8617, 1.767, 5.12], [7.8629, -13.898, 5.16], [7.8703, -40.576, 3.71],
+    [7.8710, -34.705, 5.01], [7.8774, -38.863, 4.49], [7.8843, -36.364, 5.44], [7.8843, -49.613, 4.63], [7.8884, -48.103, 4.22], [7.8916, 26.766, 4.97],
+    [7.9031, -35.877, 5.48], [7.9119, 47.565, 5.47], [7.9277, 19.884, 5.38], [7.9476, -22.880, 4.20], [7.9494, -43.500, 5.36], [7.9551, -44.110, 5.08],
+    [7.9611, -30.335, 4.76], [7.9644, -45.578, 5.14], [7.9707, -49.245, 4.47], [7.9724, 2.225, 5.30], [7.9849, -23.310, 5.09], [7.9912, -39.297, 5.22],
+    [7.9938, -60.587, 5.19], [7.9956, -3.680, 4.93], [7.9978, -18.399, 4.61], [8.0033, 73.918, 5.37], [8.0055, -63.568, 4.81], [8.0204, -1.393, 4.69],
+    [8.0378, 2.335, 4.39], [8.0586, 27.794, 4.94], [8.0712, -32.675, 5.25], [8.0797, 79.480, 5.39], [8.0846, 13.118, 5.14], [8.1112, -45.266, 5.04],
+    [8.1217, -20.554, 5.33], [8.1294, 21.582, 5.30], [8.1410, 51.507, 4.78], [8.1502, -61.302, 4.74], [8.1505, -19.245, 4.40], [8.1600, -44.123, 5.20],
+    [8.1620, -47.937, 5.23], [8.1879, -12.927, 4.72], [8.1893, -39.618, 4.44], [8.1905, -42.987, 4.73], [8.1925, -7.772, 5.36], [8.2035, 17.648, 4.67],
+    [8.2136, 68.474, 5.34], [8.2222, -15.788, 4.99], [8.2249, -35.900, 4.78], [8.2267, -46.992, 5.14], [8.2329, -36.322, 5.09], [8.2341, -40.348, 4.42],
+    [8.2544, -62.916, 5.16], [8.3052, -65.613, 5.06], [8.3093, -36.659, 4.44], [8.3303, -71.515, 5.33], [8.3344, 27.218, 5.13], [8.3558, -36.484, 5.18],
+    [8.3564, -33.054, 4.83], [8.3679, -73.400, 5.28], [8.3755, -48.490, 4.79], [8.4177, -24.046, 5.32], [8.4254, -51.727, 5.18], [8.4277, -3.906, 3.91],
+    [8.4311, -42.153, 5.45], [8.4319, 7.564, 5.13], [8.4602, -53.089, 5.08], [8.4847, -47.929, 5.33], [8.4910, -44.725, 5.03], [8.5253, -19.578, 5.42],
+    [8.5266, 18.094, 5.33], [8.5451, 20.441, 5.33], [8.5767, 65.145, 5.47], [8.5788, -49.944, 5.01], [8.5877, -58.225, 5.27], [8.5888, -58.009, 4.84],
+    [8.6219, -62.853, 5.45], [8.6274, -42.989, 4.11], [8.6312, -26.255, 5.24], [8.6514, -70.387, 5.19], [8.6522, -22.662, 5.05], [8.6566, -53.440, 5.45],
+    [8.6618, -29.561, 4.86], [8.6660, -53.055, 5.18], [8.6671, -12.475, 4.98], [8.6702, 64.328, 4.59], [8.6720, -40.264, 5.20], [8.6770, -59.761, 4.31],
+    [8.6771, -46.649, 3.77], [8.6836, 45.834, 5.35], [8.6870, -47.317, 4.74], [8.6888, -78.963, 5.46], [8.6954, -15.943, 4.87], [8.6991, -45.411, 5.20],
+    [8.7045, -48.099, 5.48], [8.7053, -53.100, 5.49], [8.7071, -53.114, 4.83], [8.7279, -49.823, 5.15], [8.7279, -7.234, 4.63], [8.7400, -42.649, 4.05],
+    [8.7671, -46.041, 3.87], [8.7729, -13.548, 4.32], [8.7752, -45.913, 5.43], [8.7785, -56.770, 4.50], [8.7875, -1.897, 5.28], [8.8072, 5.838, 4.35],
+    [8.8227, -3.443, 5.30], [8.8275, -40.320, 5.47], [8.8299, -45.308, 4.94], [8.8310, -32.781, 5.19], [8.8426, -46.529, 5.09], [8.8430, -66.793, 5.34],
+    [8.8658, 43.727, 5.15], [8.8974, -47.521, 5.31], [8.9041, 30.579, 5.40], [8.9175, -60.645, 3.84], [8.9254, -27.682, 4.87], [8.9277, 27.927, 5.23],
+    [8.9321, 11.626, 5.44], [8.9387, -52.724, 4.68], [8.9447, -85.663, 5.43], [8.9491, 32.910, 5.44], [8.9496, -59.229, 4.93], [8.9542, 15.323, 5.22],
+    [8.9812, -47.235, 5.17], [8.9901, -59.084, 5.17], [8.9924, 32.419, 5.23], [9.0015, -41.254, 4.45], [9.0290, -52.189, 5.23], [9.0424, 67.630, 4.74],
+    [9.0456, 24.453, 5.45], [9.0692, -47.098, 3.75], [9.0858, -72.603, 4.47], [9.0900, 48.530, 5.48], [9.0940, -70.538, 4.66], [9.0995, 5.092, 4.99],
+    [9.1088, 38.452, 4.56], [9.1291, 10.668, 5.23], [9.1333, 29.654, 5.42], [9.1341, -25.858, 4.62], [9.1399, 66.873, 5.15], [9.1478, 51.605, 4.46],
+    [9.1560, 22.045, 5.16], [9.1599, -8.788, 5.47], [9.1732, 67.134, 4.80], [9.1820, 63.514, 4.67], [9.1846, -44.868, 4.99], [9.1880, -62.317, 3.96],
+    [9.2301, 43.218, 5.30], [9.2383, -55.570, 5.26], [9.2390, 61.423, 5.18], [9.2401, -43.227, 5.24], [9.2538, 14.941, 5.36], [9.2602, -38.570, 4.92],
+    [9.2625, -37.413, 4.63], [9.2638, 56.741, 5.28], [9.2698, 54.022, 4.80], [9.2700, -57.541, 4.34], [9.2731, -44.266, 5.12], [9.2782, -8.745, 5.49],
+    [9.2783, -6.353, 5.24], [9.2825, -39.401, 5.31], [9.2881, -68.690, 5.38], [9.2903, -74.894, 5.28], [9.3016, -51.051, 5.26], [9.3296, -11.975, 4.77],
+    [9.3414, -9.556, 4.80], [9.3491, -62.405, 4.79], [9.3582, -25.965, 4.71], [9.3867, -28.834, 4.71], [9.4026, -80.787, 5.34], [9.4109, 26.182, 4.47],
+    [9.4383, -53.379, 5.09], [9.4518, -71.602, 5.46], [9.4551, -22.344, 4.72], [9.4630, -6.071, 5.38], [9.4743, 9.057, 5.40], [9.4778, 45.602, 5.40],
+    [9.4858, -2.769, 4.59], [9.4985, -26.590, 5.49], [9.5014, -51.517, 5.45], [9.5257, 35.103, 5.39], [9.5267, -73.081, 5.46], [9.5324, 11.300, 4.99],
+    [9.5327, 9.716, 5.07], [9.5330, -1.185, 4.54], [9.5387, -40.649, 5.35], [9.5535, -21.116, 5.02], [9.5624, -49.005, 5.12], [9.5648, -80.941, 5.07],
+    [9.5691, -51.255, 5.01], [9.5741, -59.230, 4.08], [9.5747, 69.830, 4.54], [9.5804, 52.051, 4.47], [9.5844, 39.621, 4.81], [9.5943, 35.810, 5.40],
+    [9.6138, -49.355, 4.34], [9.6181, 81.326, 4.28], [9.6202, -53.669, 5.44], [9.6202, 6.836, 5.00], [9.6394, 40.240, 5.28], [9.6409, 4.649, 4.68],
+    [9.6558, -61.328, 4.51], [9.6718, -14.332, 5.07], [9.6785, -57.984, 5.30], [9.6881, -23.591, 4.76], [9.7040, -23.916, 4.93], [9.7159, 72.253, 5.15],
+    [9.7289, 14.022, 5.36], [9.7541, -62.508, 3.69], [9.7724, -76.776, 5.43], [9.7755, 57.128, 5.09], [9.8098, 46.021, 5.08], [9.8325, -45.733, 5.09],
+    [9.8613, -46.548, 4.58], [9.8647, 24.395, 5.29], [9.8684, 54.064, 4.55], [9.9034, -25.932, 4.87], [9.9145, -19.009, 4.94], [9.9286, 49.820, 5.27],
+    [9.9614, 41.056, 5.11], [9.9704, 12.445, 5.26], [9.9812, -35.891, 5.23], [9.9977, 56.812, 5.50], [10.0036, 8.044, 4.68], [10.0168, 31.924, 5.37],
+    [10.0854, -13.065, 4.60], [10.1031, -47.370, 5.06], [10.1317, 9.998, 4.39], [10.1452, -65.815, 5.26], [10.1490, -51.811, 4.85], [10.1683, -12.816, 5.30],
+    [10.2230, -51.233, 5.27], [10.2252, -66.373, 5.15], [10.2456, -42.122, 3.85], [10.2707, 29.311, 5.49], [10.2780, 13.728, 5.42], [10.3269, -55.029, 4.59],
+    [10.3289, 19.471, 4.78], [10.3486, -56.043, 4.50], [10.3721, -41.650, 4.82], [10.3828, -66.901, 4.97], [10.3915, -38.010, 5.34], [10.4022, 65.566, 4.94],
+    [10.4066, -74.032, 3.99], [10.4319, 33.796, 4.72], [10.4568, -57.639, 4.65], [10.4646, -58.739, 3.81], [10.4813, -64.172, 5.27], [10.4913, -2.739, 5.19],
+    [10.5056, -71.993, 4.72], [10.5104, 55.980, 4.82], [10.5172, -73.222, 4.94], [10.5180, 82.559, 5.25], [10.5227, -53.715, 4.89], [10.5366, 14.137, 5.43],
+    [10.5491, -47.003, 5.02], [10.5539, 40.426, 4.72], [10.5669, -23.745, 5.08], [10.5800, 6.954, 5.07], [10.5849, 75.713, 4.86], [10.5860, 57.083, 5.16],
+    [10.5869, -39.563, 5.50], [10.5931, -57.558, 4.45], [10.6057, -59.564, 5.08], [10.6205, -27.413, 4.87], [10.6217, -48.226, 3.84], [10.6242, -58.733, 5.47],
+    [10.6259, -13.384, 4.89], [10.6430, -16.877, 4.91], [10.6453, 31.976, 4.68], [10.6458, -59.183, 4.69], [10.6551, -55.603, 4.29], [10.6990, 65.716, 5.12],
+    [10.7039, -64.466, 4.76], [10.7113, -59.216, 5.36], [10.7178, 69.076, 5.01], [10.7236, 23.188, 5.08], [10.7256, -60.567, 4.58], [10.7258, 46.204, 5.18],
+    [10.7353, -63.961, 4.80], [10.7545, -80.470, 5.46], [10.7644, 30.682, 5.36], [10.7713, -64.515, 5.33], [10.7735, 18.892, 5.50], [10.7737, 14.195, 5.49],
+    [10.7749, -64.263, 5.23], [10.7809, -64.383, 4.87], [10.7811, -17.297, 5.44], [10.7826, -56.757, 5.14], [10.8210, 10.545, 5.32], [10.8752, -57.240, 5.26],
+    [10.8915, -20.139, 5.23], [10.8916, -58.853, 3.78], [10.8929, 54.585, 5.12], [10.8955, -2.129, 5.45], [10.8997, 43.190, 4.66], [10.9269, 24.750, 4.30],
+    [10.9290, 33.507, 5.02], [10.9911, 40.430, 5.03], [11.0026, -42.226, 4.37], [11.0041, 45.526, 5.47], [11.0093, 3.618, 4.84], [11.0124, 6.101, 4.98],
+    [11.0140, 39.212, 5.06], [11.0305, -2.485, 4.73], [11.0388, 20.180, 4.42], [11.0817, -35.805, 5.43], [11.0836, 7.336, 4.62], [11.0889, -27.294, 4.92],
+    [11.1090, -62.424, 4.62], [11.1213, -42.639, 5.15], [11.1428, -61.947, 5.11], [11.1432, -58.975, 3.93], [11.1456, -28.081, 5.43], [11.2092, -49.101, 5.37],
+    [11.2100, -60.318, 4.59], [11.2126, -64.170, 5.22], [11.2293, -0.070, 5.40], [11.2534, 23.096, 4.56], [11.2644, 13.308, 5.31], [11.2777, -3.652, 4.45],
+    [11.2882, 2.011, 5.18], [11.3189, 38.186, 4.76], [11.3501, -54.491, 3.90], [11.3523, 6.029, 4.05], [11.3804, 43.483, 4.99], [11.3869, -36.165, 5.00],
+    [11.3893, -64.955, 5.09], [11.3894, -18.780, 5.08], [11.4006, 1.408, 5.39], [11.4248, -36.063, 5.21], [11.4287, -63.972, 5.18], [11.4432, -61.115, 5.22],
+    [11.4656, 2.856, 4.95], [11.4764, -42.674, 5.14], [11.4845, 39.337, 5.30], [11.5052, -3.003, 4.77], [11.5295, -59.442, 5.07], [11.5302, -59.516, 5.12],
+    [11.5379, -29.261, 4.93], [11.5391, 61.083, 5.46], [11.5484, -31.087, 5.13], [11.5603, -40.587, 5.39], [11.5793, -54.264, 4.62], [11.5825, -49.136, 5.50],
+    [11.5988, -47.642, 5.26], [11.6008, 69.323, 5.19], [11.6158, -0.824, 4.30], [11.6168, -61.283, 5.14], [11.6261, -47.747, 5.46], [11.6354, -61.827, 5.15],
+    [11.6410, 8.134, 5.24], [11.6444, -13.202, 5.48], [11.6582, -65.398, 5.01], [11.6702, -34.745, 4.70], [11.6797, 21.353, 5.26], [11.6816, -62.090, 4.93],
+    [11.6842, 34.202, 5.31], [11.6955, -32.499, 5.20], [11.7079, 66.745, 5.32], [11.7253, -62.489, 5.00], [11.7547, 8.258, 4.84], [11.7622, -45.690, 5.28],
+    [11.7752, -61.178, 4.11], [11.7753, -40.500, 4.89], [11.7821, 55.628, 5.27], [11.7887, -57.697, 5.42], [11.7986, 8.246, 5.31], [11.7998, 20.219, 4.50],
+    [11.8125, -26.750, 5.10], [11.8281, -63.788, 4.30], [11.8324, -70.226, 4.98], [11.8524, -45.173, 4.47], [11.8642, -65.206, 4.89], [11.9118, -25.714, 5.26],
+    [11.9709, -56.317, 5.44], [11.9938, -78.222, 4.88], [11.9991, 3.655, 5.36], [12.0142, -19.659, 5.28], [12.0146, 6.614, 4.65], [12.0352, 43.046, 5.22],
+    [12.0504, -63.313, 4.32], [12.0610, -42.434, 5.15], [12.0720, -63.166, 4.72], [12.0775, -68.329, 5.34], [12.0796, -76.519, 5.04], [12.0868, 8.733, 4.12],
+    [12.1147, -64.614, 4.14], [12.1305, -75.367, 5.17], [12.1348, -50.661, 4.46], [12.1374, -48.693, 5.34], [12.1844, -23.602, 5.45], [12.1942, -52.368, 3.97],
+    [12.2033, 77.616, 5.14], [12.2341, -45.724, 5.31], [12.2667, 14.899, 5.09], [12.2724, 23.945, 4.93], [12.2750, 33.062, 4.99], [12.3073, -64.003, 4.06],
+    [12.3139, 75.161, 5.47], [12.3166, -55.143, 5.01], [12.3302, 48.984, 5.28], [12.3392, 3.313, 4.97], [12.3427, -22.216, 5.20], [12.3453, 17.793, 4.72],
+    [12.3488, -13.566, 5.14], [12.3687, -67.522, 5.15], [12.3751, 25.846, 4.78], [12.3804, -57.676, 5.38], [12.3932, -35.413, 5.32], [12.4004, 51.562, 4.76],
+    [12.4051, 26.099, 5.17], [12.4308, 39.019, 5.01], [12.4400, 27.268, 4.92], [12.4422, -51.451, 4.82], [12.4498, 26.826, 4.98], [12.4580, -58.992, 5.38],
+    [12.4673, -50.231, 3.91], [12.4729, -39.041, 5.45], [12.4819, 25.913, 5.29], [12.4908, 24.109, 5.47], [12.4993, 58.406, 5.37], [12.5018, 69.201, 5.01],
+    [12.5168, 24.567, 5.47], [12.5279, -59.424, 5.49], [12.5345, -16.196, 4.30], [12.5608, 33.248, 5.42], [12.5630, -9.452, 5.48], [12.5789, 70.022, 4.95],
+    [12.5809, 22.629, 4.80], [12.5855, 18.377, 5.03], [12.5960, -41.022, 5.12], [12.6284, -48.541, 3.85], [12.6284, -27.139, 5.41], [12.6520, 21.063, 5.49],
+    [12.6541, -7.996, 4.66], [12.6646, -39.987, 4.63], [12.6878, -13.014, 5.17], [12.6981, 10.236, 4.88], [12.6990, -59.686, 4.91], [12.7098, -48.813, 4.66],
+    [12.7140, -63.059, 5.27], [12.7335, -28.324, 5.46], [12.7522, 45.440, 5.42], [12.7603, 7.673, 5.22], [12.7606, -60.981, 4.69], [12.7730, -56.489, 4.62],
+    [12.7774, 16.578, 5.12], [12.7929, 66.790, 5.43], [12.8205, 83.413, 5.38], [12.8448, -33.999, 4.90], [12.8616, 27.541, 4.93], [12.8853, -48.943, 4.33],
+    [12.8883, 21.245, 4.89], [12.8906, -40.179, 4.25], [12.9059, -9.539, 4.77], [12.9099, -57.178, 4.03], [12.9102, -57.169, 5.08], [12.9109, -59.147, 4.62],
+    [12.9163, -85.123, 5.45], [12.9221, -42.916, 5.46], [12.9246, 65.439, 5.23], [12.9325, -56.836, 5.34], [12.9512, -51.199, 5.17], [12.9821, 17.409, 4.76],
+    [12.9986, 66.597, 5.37], [13.0046, 30.785, 4.88], [13.0121, 56.366, 4.93], [13.0593, -49.527, 4.83], [13.0957, 35.799, 5.20], [13.1046, -48.463, 4.71],
+    [13.1152, -49.906, 4.27], [13.1196, 27.625, 4.80], [13.1316, -10.740, 5.15], [13.1353, -65.306, 5.44], [13.1509, -23.118, 4.94], [13.1898, -43.369, 5.24],
+    [13.2009, -37.803, 4.85], [13.2010, -16.199, 5.04], [13.2049, -59.921, 4.58], [13.2286, 40.153, 4.94], [13.2364, -19.931, 5.31], [13.2375, -59.103, 4.90],
+    [13.2542, -67.895, 4.79], [13.2663, -19.943, 5.21], [13.2796, 9.424, 5.19], [13.2814, -31.506, 5.10], [13.2869, -66.783, 4.86], [13.2877, 13.676, 5.33],
+    [13.2924, 40.573, 4.72], [13.2934, 5.470, 4.78], [13.3040, 49.682, 5.14], [13.3068, -18.311, 4.74], [13.3438, -52.748, 5.47], [13.3772, -60.988, 4.52],
+    [13.3836, -17.735, 5.36], [13.4001, -64.536, 4.52], [13.4186, -74.888, 5.04], [13.4204, 54.988, 3.99], [13.4205, -64.485, 5.32], [13.4355, -39.755, 5.11],
+    [13.4453, -12.708, 5.27], [13.4575, -15.974, 4.76], [13.4738, 13.779, 4.97], [13.4742, 59.946, 5.40], [13.4903, -51.165, 5.04], [13.5174, -39.407, 3.90],
+    [13.5327, -6.256, 4.68], [13.5495, -10.165, 5.21], [13.5689, 3.659, 4.92], [13.5742, 49.016, 4.68], [13.5799, 37.182, 4.91], [13.6197, 71.242, 5.50],
+    [13.6243, 36.295, 4.82], [13.6585, 52.921, 5.46], [13.6790, 54.682, 4.63], [13.6935, -8.703, 5.03], [13.6958, -54.559, 4.99], [13.7003, -58.787, 5.38],
+    [13.7177, 3.538, 5.35], [13.7615, -33.044, 4.23], [13.7656, -12.427, 5.50], [13.7776, -51.433, 4.64], [13.7823, -36.252, 5.15], [13.7877, 17.457, 4.50],
+    [13.7904, -17.860, 5.41], [13.7940, -50.321, 5.46], [13.8241, -34.451, 4.19], [13.8246, 15.798, 4.05], [13.8286, 21.264, 4.92], [13.8312, -18.134, 4.96],
+    [13.8572, 64.723, 4.58], [13.8632, 34.444, 4.76], [13.8638, -32.994, 4.32], [13.8680, -52.812, 5.26], [13.8868, -31.928, 4.75], [13.9117, -1.503, 5.16],
+    [13.9428, 27.492, 5.02], [13.9608, -63.687, 4.71], [13.9712, -42.101, 3.83], [13.9753, -24.972, 5.20], [13.9780, -44.804, 3.87], [14.0287, -45.603, 4.34],
+    [14.0397, -27.430, 5.47], [14.1008, -41.180, 4.36], [14.1119, -9.313, 5.46], [14.1322, 43.855, 5.13], [14.1381, 49.458, 5.26], [14.1475, 77.547, 4.80],
+    [14.1652, -53.439, 4.74], [14.1733, 25.092, 4.82], [14.1807, -16.302, 4.93], [14.2011, 69.433, 5.18], [14.2044, 2.409, 4.99], [14.2128, -27.261, 5.07],
+    [14.2247, 51.790, 4.53], [14.2475, 10.101, 5.29], [14.2492, -57.086, 5.03], [14.2694, 51.367, 4.75], [14.2731, 46.088, 4.18], [14.2999, 35.510, 4.80],
+    [14.3039, -81.008, 4.89], [14.3185, -13.371, 4.52], [14.3212, 13.004, 5.41], [14.3234, -46.058, 3.55], [14.3257, -2.265, 5.14], [14.3292, 16.307, 4.84],
+    [14.3310, -61.273, 5.22], [14.3388, -56.386, 4.30], [14.3426, -37.885, 4.05], [14.3452, -45.187, 4.78], [14.3731, -80.109, 5.06], [14.3770, -58.459, 4.76],
+    [14.3840, -39.512, 4.41], [14.3849, -27.754, 4.78], [14.3896, 8.447, 4.86], [14.4032, 5.820, 5.10], [14.4135, -24.806, 5.34], [14.4199, 51.851, 4.04],
+    [14.4356, -45.221, 4.56], [14.4363, -45.379, 4.33], [14.4409, 19.227, 5.40], [14.4588, 75.696, 4.25], [14.4696, -29.492, 4.97], [14.4700, -2.228, 4.81],
+    [14.4783, -6.901, 5.42], [14.5058, -49.519, 5.38], [14.5436, -50.457, 4.44], [14.5780, 29.745, 4.47], [14.6223, -46.133, 5.39], [14.6315, -49.426, 4.05],
+    [14.6473, 44.404, 5.39], [14.6597, -60.837, 1.35], [14.6788, 16.418, 4.49], [14.6941, 8.162, 4.86], [14.6993, -37.794, 4.01], [14.7237, 26.528, 4.80],
+    [14.7276, -35.174, 4.06], [14.7498, -35.192, 4.92], [14.7540, 16.964, 4.60], [14.7548, -62.876, 5.36], [14.7667, -25.443, 5.15], [14.7837, -52.383, 5.22],
+    [14.7958, -26.087, 5.23], [14.8220, -14.149, 5.32], [14.8381, -27.960, 4.42], [14.8416, 37.272, 5.47], [14.8448, -15.997, 5.15], [14.8503, -2.299, 4.93],
+    [14.8565, 19.101, 4.54], [14.8573, 59.294, 5.48], [14.8606, -43.575, 4.32], [14.8809, -37.803, 5.02], [14.9056, -24.642, 5.27], [14.9263, -60.114, 5.18],
+    [14.9291, -33.856, 5.32], [14.9381, -52.809, 5.38], [14.9456, -62.781, 5.08], [14.9461, -11.410, 5.48], [14.9531, -4.346, 4.47], [14.9597, 65.933, 4.63],
+    [14.9647, -76.663, 5.37], [15.0162, -8.519, 4.91], [15.0351, 25.008, 4.80], [15.0483, 2.091, 4.39], [15.0498, -32.643, 5.45], [15.0631, 47.654, 4.83],
+    [15.0741, 26.948, 4.52], [15.0801, -64.031, 5.16], [15.0853, -47.051, 3.91], [15.0887, -41.067, 5.13], [15.1046, 54.556, 5.24], [15.1104, -16.257, 5.19],
+    [15.1217, 24.869, 4.93], [15.1474, -45.280, 4.07], [15.1878, -55.346, 5.45], [15.2037, -19.792, 4.54], [15.2138, -44.500, 4.83], [15.2414, 29.164, 5.28],
+    [15.2437, -31.519, 4.91], [15.2440, 67.347, 5.15], [15.2532, 4.939, 5.32], [15.2678, -41.491, 5.15], [15.2825, -60.957, 5.04], [15.2850, 71.824, 5.02],
+    [15.2941, -63.611, 4.85], [15.2972, -30.149, 4.35], [15.3089, -47.875, 4.27], [15.3137, -60.496, 5.43], [15.3219, 1.765, 5.04], [15.3506, 0.715, 5.35],
+    [15.3635, 32.934, 5.38], [15.3690, -47.928, 4.99], [15.3859, -36.858, 4.54], [15.3868, 30.288, 4.99], [15.4033, -10.322, 4.92], [15.4082, 37.377, 4.31],
+    [15.4125, -39.710, 5.36], [15.4223, -38.734, 4.60], [15.4298, 15.428, 5.16], [15.4382, 34.336, 5.46], [15.4550, -36.768, 5.46], [15.4773, 1.842, 5.15],
+    [15.4901, -46.733, 5.26], [15.5155, 40.833, 5.04], [15.5236, 77.349, 5.00], [15.5252, -73.390, 5.40], [15.5297, 40.899, 4.98], [15.5435, -19.671, 5.50],
+    [15.5494, -1.186, 5.50], [15.5696, -10.065, 4.61], [15.5740, -9.183, 5.16], [15.5770, -28.047, 5.13], [15.5875, 39.010, 5.14], [15.5981, -44.958, 4.55],
+    [15.6034, -44.397, 5.44], [15.6082, 10.010, 5.26], [15.6120, -66.317, 4.11], [15.6304, 40.353, 5.25], [15.6342, -42.567, 4.34], [15.6471, -52.373, 5.43],
+    [15.6485, -19.302, 5.36], [15.6563, 36.636, 4.64], [15.6628, -34.412, 4.66], [15.6714, -23.818, 4.97], [15.6865, -44.661, 4.64], [15.6925, 19.670, 4.51],
+    [15.6965, 12.848, 5.34], [15.6991, -19.679, 4.75], [15.7106, -37.425, 5.23], [15.7114, -34.710, 4.75], [15.7141, 52.361, 5.48], [15.7346, -15.673, 5.41],
+    [15.7682, -1.804, 5.39], [15.7741, 7.353, 4.42], [15.7778, 62.600, 5.19], [15.8382, 2.196, 5.21], [15.8497, -25.751, 4.63], [15.8539, 35.657, 4.79],
+    [15.8543, -3.091, 5.09], [15.8544, 20.978, 4.74], [15.8779, 42.452, 4.60], [15.8889, -20.167, 5.04], [15.8935, -25.327, 4.59], [15.8983, -24.533, 5.38],
+    [15.8989, -23.978, 5.41], [15.9096, 20.311, 5.45], [15.9105, 43.139, 5.35], [15.9249, -68.603, 5.11], [15.9299, 37.947, 5.43], [15.9482, -33.966, 5.14],
+    [15.9632, 54.750, 4.96], [15.9698, -14.279, 4.95], [15.9764, -24.831, 5.43], [15.9917, -41.744, 4.99], [16.0054, -16.533, 5.47], [16.0174, 33.303, 5.39],
+    [16.0206, 17.818, 5.10], [16.0382, 22.805, 4.82], [16.0466, 46.037, 4.72], [16.0557, -25.865, 4.96], [16.0567, -38.602, 4.90], [16.0589, -57.775, 4.63],
+    [16.0727, -11.374, 4.16], [16.0907, -19.802, 4.90], [16.1055, 67.810, 5.44], [16.1099, -36.802, 4.22], [16.1135, -20.669, 3.93], [16.1234, -20.869, 4.31],
+    [16.1346, 17.047, 5.00], [16.1354, -26.327, 5.35], [16.1495, 36.491, 4.73], [16.1640, -3.467, 5.39], [16.1646, -33.546, 5.50], [16.1804, 75.878, 5.48],
+    [16.1839, -29.416, 5.09], [16.1999, -19.461, 4.00], [16.2000, -10.064, 4.93], [16.2020, -8.548, 5.43], [16.2051, -27.926, 4.58], [16.2210, 5.021, 5.46],
+    [16.2246, -54.630, 4.95], [16.2308, -11.838, 5.24], [16.2447, 33.859, 5.23], [16.2543, -47.372, 5.13], [16.2573, -63.686, 3.86], [16.2604, -8.369, 5.49],
+    [16.2787, -53.811, 5.45], [16.2836, -50.068, 4.97], [16.2876, 59.755, 5.37], [16.3050, -28.614, 4.80], [16.3216, -42.674, 5.44], [16.3320, 39.709, 5.48],
+    [16.3439, -24.169, 4.55], [16.3635, 69.109, 5.26], [16.3679, 1.029, 4.82], [16.3683, 30.892, 4.86], [16.3726, 33.799, 5.20], [16.3744, -49.572, 5.32],
+    [16.3748, 33.703, 5.40], [16.4004, -39.193, 5.37], [16.4017, -20.037, 4.48], [16.4088, -37.566, 5.42], [16.4110, -29.705, 5.40], [16.4236, 14.033, 4.57],
+    [16.4264, -23.447, 4.57], [16.4504, -18.456, 4.22], [16.4621, -7.598, 5.24], [16.4634, -8.372, 4.62], [16.4659, -64.058, 5.28], [16.4664, 68.768, 4.94],
+    [16.4745, -70.084, 4.90], [16.4761, 0.665, 5.41], [16.4774, 41.882, 4.83], [16.4951, -46.243, 5.35], [16.5035, -25.115, 4.79], [16.5093, 20.479, 5.24],
+    [16.5137, -61.633, 5.19], [16.5152, 1.984, 3.82], [16.5190, -16.613, 4.29], [16.5230, -34.704, 4.24], [16.5283, -41.817, 5.31], [16.5356, -21.466, 4.45],
+    [16.5434, 11.488, 4.84], [16.5681, -44.045, 4.86], [16.5720, -70.988, 5.50], [16.5958, -65.495, 5.50], [16.6038, 52.924, 5.07], [16.6062, -35.255, 4.18],
+    [16.6063, -42.859, 5.46], [16.6335, 56.016, 5.28], [16.6458, 48.928, 4.86], [16.6820, 64.589, 4.84], [16.6929, -17.742, 4.91], [16.7549, 56.782, 4.84],
+    [16.7639, 8.583, 5.15], [16.7778, -67.110, 5.10], [16.7800, -39.377, 5.48], [16.7962, 5.247, 5.22], [16.8206, 45.983, 4.82], [16.8306, -10.783, 4.64],
+    [16.8387, 7.248, 5.48], [16.8594, -41.230, 5.23], [16.8626, 24.656, 5.03], [16.8828, 31.702, 5.34], [16.8999, -42.362, 4.70], [16.9001, 10.165, 4.39],
+    [16.9005, -41.806, 5.46], [16.9099, -6.154, 5.23], [16.9153, 20.959, 5.39], [16.9228, 18.433, 5.35], [16.9338, 65.135, 4.88], [16.9531, -33.260, 5.48],
+    [17.0177, -4.223, 4.82], [17.0268, 33.568, 5.27], [17.0313, -32.144, 5.03], [17.0522, 14.092, 4.97], [17.0524, -53.237, 5.27], [17.0804, -34.123, 4.83],
+    [17.0889, 54.470, 4.91], [17.0896, 12.741, 4.89], [17.1339, 35.935, 5.41], [17.1592, 40.777, 5.07], [17.1633, -10.523, 5.43], [17.1784, -44.558, 5.06],
+    [17.2077, 10.585, 5.32], [17.2558, -26.603, 4.33], [17.2769, -0.445, 4.72], [17.2888, 33.100, 4.80], [17.2945, 37.291, 4.64], [17.3002, -24.287, 5.14],
+    [17.3103, 10.864, 5.03], [17.3177, -46.636, 5.47], [17.3361, 25.538, 5.36], [17.3386, 18.057, 5.01], [17.3443, 32.468, 5.38], [17.3484, 24.499, 5.13],
+    [17.3501, -21.113, 4.39], [17.3665, -67.771, 4.76], [17.3683, -70.123, 5.39], [17.3878, -47.468, 5.21], [17.3893, -28.143, 5.30], [17.3947, 37.146, 4.15],
+    [17.4036, -44.163, 5.10], [17.4333, -50.633, 5.19], [17.4395, -24.175, 4.16], [17.4419, 4.140, 4.34], [17.4439, -5.087, 4.53], [17.4478, -45.843, 5.28],
+    [17.4559, -29.867, 4.28], [17.4805, 0.331, 5.41], [17.5066, -1.063, 5.31], [17.5123, 26.111, 4.41], [17.5236, -23.963, 4.78], [17.5327, 68.135, 5.07],
+    [17.5832, 61.875, 5.23], [17.5943, -46.506, 4.56], [17.6091, -38.635, 4.26], [17.6105, 48.586, 5.35], [17.6159, 68.758, 4.77], [17.6308, -8.119, 4.58],
+    [17.6349, -54.500, 5.25], [17.6733, -49.416, 4.76], [17.6990, 72.149, 4.57], [17.7238, -21.683, 4.86], [17.7358, -51.834, 5.12], [17.7927, -27.831, 4.53],
+    [17.8137, 25.623, 5.09], [17.8179, 50.781, 5.02], [17.8196, -31.703, 4.79], [17.8242, 76.963, 5.02], [17.8364, -40.090, 4.78], [17.8883, 40.008, 5.17],
+    [17.9198, 72.005, 5.43], [17.9237, 26.050, 5.47], [17.9465, -44.342, 4.85], [17.9466, -4.082, 5.44], [17.9633, -41.716, 4.88], [17.9750, 30.189, 4.41],
+    [17.9848, -30.253, 5.00], [17.9965, -23.816, 4.74], [18.0009, 16.751, 4.67], [18.0044, 4.369, 4.79], [18.0108, 2.932, 3.93], [18.0251, 21.596, 4.26],
+    [18.0292, 1.305, 4.42], [18.0397, 20.834, 5.25], [18.0475, -24.282, 5.37], [18.0514, -8.180, 4.77], [18.0837, -29.580, 4.66], [18.0909, 2.500, 4.03],
+    [18.1005, 22.219, 4.96], [18.1139, -43.425, 4.92], [18.1171, 30.562, 5.05], [18.1218, 8.734, 4.64], [18.1225, 9.564, 3.71], [18.1246, 43.462, 5.00],
+    [18.1340, 36.401, 5.49], [18.1347, -28.457, 4.55], [18.1460, 20.815, 4.37], [18.1480, 20.045, 5.10], [18.1739, -62.002, 5.47], [18.1779, 3.324, 5.50],
+    [18.1954, -23.701, 4.96], [18.1984, 31.405, 4.96], [18.2202, -41.336, 5.47], [18.2316, 64.397, 4.99], [18.2378, -21.713, 5.49], [18.2536, -20.728, 5.29],
+    [18.2648, -44.206, 5.45], [18.2854, -56.023, 5.36], [18.3009, -27.043, 4.66], [18.3193, 7.260, 5.41], [18.3196, 24.446, 5.30], [18.3310, 36.065, 4.33],
+    [18.3358, -15.832, 5.39], [18.3383, 21.961, 4.92], [18.3460, 71.338, 4.22], [18.3478, 3.377, 4.85], [18.3503, 28.870, 5.12], [18.3591, 49.122, 5.02],
+    [18.3691, 23.285, 5.41], [18.3718, -38.657, 5.09], [18.3803, 17.827, 5.25], [18.3814, -36.670, 5.33], [18.3935, -75.044, 5.47], [18.3950, 21.770, 3.85],
+    [18.3985, 58.801, 4.98], [18.4038, 39.507, 5.11], [18.4051, -44.110, 5.24], [18.4225, -20.542, 4.81], [18.4331, 65.564, 4.82], [18.4483, -48.117, 5.44],
+    [18.4535, 0.196, 5.20], [18.4947, -1.985, 5.38], [18.5180, -32.989, 5.37], [18.5229, -62.278, 4.63], [18.5240, -18.403, 5.12], [18.5293, -45.915, 4.92],
+    [18.5339, -45.757, 5.07], [18.5393, -39.704, 5.16], [18.5429, 57.046, 4.77], [18.5454, -14.866, 5.47], [18.5472, 30.554, 5.47], [18.5649, -24.032, 5.49],
+    [18.5657, 52.353, 5.38], [18.5660, -33.017, 5.28], [18.5840, -10.977, 5.12], [18.6077, 9.123, 5.38], [18.6104, 33.469, 5.41], [18.6109, 6.672, 5.43],
+    [18.6598, -43.186, 5.42], [18.7105, 55.539, 5.03], [18.7253, -8.275, 4.88], [18.7297, -38.323, 5.11], [18.7387, -35.642, 4.86], [18.7472, 2.060, 5.02],
+    [18.7492, -39.686, 5.40], [18.7575, -64.871, 4.78], [18.7610, 20.546, 4.19], [18.7630, 74.086, 5.25], [18.7679, 26.662, 4.83], [18.7724, -22.392, 5.37],
+    [18.7728, 75.434, 5.37], [18.7837, 18.181, 4.34], [18.7914, -5.705, 5.38], [18.7957, -40.406, 5.20], [18.8140, -43.680, 5.46], [18.8278, -20.325, 5.22],
+    [18.8314, 32.551, 5.22], [18.8534, 59.388, 4.63], [18.8712, 21.425, 5.43], [18.8777, -52.107, 5.18], [18.8871, 50.708, 4.92], [18.9028, -22.745, 4.86],
+    [18.9066, 71.297, 4.82], [18.9120, -15.603, 5.08], [18.9125, 22.645, 4.57], [18.9131, -87.606, 5.29], [18.9145, 41.603, 5.46], [18.9187, -22.671, 5.00],
+    [18.9223, 43.946, 4.08], [18.9380, -42.711, 5.35], [18.9446, -37.343, 5.36], [18.9504, 32.901, 5.20], [18.9510, -5.846, 4.83], [18.9557, -20.656, 5.02],
+    [18.9708, 17.361, 5.33], [18.9744, -52.939, 4.85], [18.9768, -60.200, 5.14], [18.9849, 13.622, 5.27], [18.9960, 26.230, 5.26], [19.0002, 32.145, 4.94],
+    [19.0038, 50.533, 5.39], [19.0240, 46.935, 5.00], [19.0280, -5.739, 4.02], [19.0485, -3.699, 5.40], [19.0736, -31.047, 5.49], [19.0820, 53.397, 5.40],
+    [19.0827, -4.031, 5.40], [19.1055, -52.341, 5.17], [19.1163, 11.071, 5.07], [19.1217, 36.100, 5.25], [19.1238, 32.502, 5.20], [19.1500, 6.073, 5.23],
+    [19.1527, 76.561, 5.11], [19.1647, -68.424, 5.31], [19.1946, 56.859, 5.13], [19.2113, -7.939, 5.35], [19.2285, 2.294, 5.14], [19.2293, 39.146, 4.43],
+    [19.2320, 57.705, 5.00], [19.2590, -25.257, 4.86], [19.2592, 73.356, 4.45], [19.2727, -45.466, 5.38], [19.2728, 38.134, 4.35], [19.2939, -18.953, 4.88],
+    [19.2955, 23.026, 5.46], [19.2969, 11.595, 5.28], [19.3090, 1.085, 5.10], [19.3425, -5.416, 4.98], [19.3432, -0.892, 5.46], [19.3445, 65.715, 4.60],
+    [19.3612, -17.847, 3.92], [19.3621, -15.955, 4.52], [19.3808, 26.262, 5.22], [19.3809, -54.424, 5.03], [19.3870, -44.800, 4.27], [19.4021, 29.621, 4.99],
+    [19.4162, 11.944, 5.17], [19.4212, -24.509, 5.02], [19.4246, 19.798, 5.14], [19.4249, -23.962, 5.45], [19.4359, 36.318, 5.17], [19.4420, 0.339, 4.64],
+    [19.4978, -26.986, 5.46], [19.5111, -2.789, 5.03], [19.5126, 27.965, 5.12], [19.5295, 34.453, 4.74], [19.5393, 69.661, 4.67], [19.5682, 7.379, 4.45],
+    [19.5764, 19.773, 5.00], [19.5781, 42.413, 5.34], [19.5808, 29.463, 5.39], [19.5853, -10.560, 5.12], [19.5869, -48.099, 4.88], [19.6074, 50.221, 4.49],
+    [19.6105, 44.695, 5.17], [19.6118, -24.884, 4.59], [19.6148, -7.027, 4.93], [19.6262, -14.302, 5.46], [19.6298, -4.648, 5.45], [19.6532, 5.398, 5.18],
+    [19.6563, 30.153, 4.68], [19.6574, 42.818, 5.41], [19.6787, -16.293, 5.30], [19.6806, 45.525, 5.06], [19.7086, -16.124, 5.06], [19.7094, 11.827, 5.28],
+    [19.7260, -15.470, 5.49], [19.7286, 25.772, 5.50], [19.7379, 37.354, 4.89], [19.7727, -19.761, 4.87], [19.7738, 33.728, 5.00], [19.8003, -56.363, 5.33],
+    [19.8163, 19.142, 5.01], [19.8237, -72.503, 5.39], [19.8428, 38.722, 5.18], [19.8438, 52.988, 5.03], [19.8458, -59.194, 5.41], [19.8463, -10.764, 5.38],
+    [19.8505, 10.416, 5.12], [19.8511, 22.610, 4.90], [19.8641, -39.874, 5.32], [19.8882, 57.523, 5.14], [19.9041, 8.461, 4.71], [19.9210, -41.868, 4.12],
+    [19.9272, 52.439, 4.91], [19.9307, -26.299, 4.70], [19.9310, 38.487, 4.95], [19.9320, 58.846, 4.98], [19.9373, 11.424, 5.28], [19.9491, -27.170, 4.54],
+    [19.9518, -58.901, 5.24], [19.9539, 40.368, 5.46], [19.9658, -15.492, 5.01], [19.9826, -26.196, 4.84], [19.9956, -35.276, 4.37], [19.9976, -34.698, 5.30],
+    [19.9987, 37.043, 5.15], [20.0009, 17.517, 5.33], [20.0183, 27.754, 4.66], [20.0227, 50.105, 5.06], [20.0246, 64.821, 5.22], [20.0291, -59.376, 4.95],
+    [20.0312, -66.944, 5.32], [20.0337, 24.938, 5.23], [20.0443, -27.710, 4.43], [20.0470, 67.874, 4.51], [20.0593, -37.941, 4.77], [20.0721, -32.056, 4.99],
+    [20.0860, 19.991, 5.09], [20.0925, 61.995, 5.40], [20.1060, 35.972, 5.38], [20.1148, 23.614, 5.08], [20.1231, -52.881, 4.93], [20.1482, 77.711, 4.38],
+    [20.1571, 36.840, 4.93], [20.1866, -36.101, 5.32], [20.2205, -1.009, 5.44], [20.2217, 46.816, 4.80], [20.2233, 56.568, 4.28], [20.2272, 46.741, 3.80],
+    [20.2374, 28.695, 5.19], [20.2379, 15.198, 4.94], [20.2422, 36.806, 4.93], [20.2544, 25.592, 4.79], [20.2579, 47.714, 3.96], [20.2584, 23.509, 5.18],
+    [20.2797, 24.671, 5.30], [20.2820, 40.365, 5.27], [20.2941, -12.508, 4.30], [20.2964, 38.033, 4.77], [20.3109, 34.983, 5.14], [20.3232, -19.119, 5.28],
+    [20.3444, -12.759, 4.77], [20.3676, 24.446, 5.50], [20.3863, 5.343, 5.30], [20.3977, 32.190, 4.43], [20.4553, -18.212, 5.08], [20.4707, 81.423, 5.38],
+    [20.4810, -17.814, 4.77], [20.4899, 30.369, 4.01], [20.4930, 62.994, 4.21], [20.4942, -2.885, 4.91], [20.5010, 48.952, 4.94], [20.5219, 49.220, 5.44],
+    [20.5251, 74.955, 5.18], [20.5651, 35.251, 4.61], [20.5653, -44.516, 5.12], [20.5658, 13.027, 5.39], [20.5885, 14.674, 4.64], [20.5930, -60.582, 4.75],
+    [20.6121, -2.550, 4.91], [20.6265, -61.530, 4.86], [20.6303, 11.378, 5.42], [20.6390, -1.105, 4.31], [20.6420, 21.201, 4.81], [20.6422, 24.116, 5.06],
+    [20.6522, 10.086, 5.07], [20.6545, -14.955, 5.24], [20.6569, 0.486, 5.15], [20.6674, -60.549, 5.11], [20.6675, -18.139, 5.15], [20.6722, -33.432, 5.47],
+    [20.6992, -66.761, 5.14], [20.7035, 50.340, 5.41], [20.7340, -51.921, 4.51], [20.7479, 25.271, 4.92], [20.7559, 57.580, 4.52], [20.7610, 30.720, 4.22],
+    [20.7722, -39.199, 5.48], [20.7775, 16.124, 5.15], [20.7863, 34.374, 4.93], [20.7901, 36.491, 4.53], [20.7926, 80.552, 5.36], [20.7956, -5.028, 4.43],
+    [20.8156, 46.114, 4.81], [20.8217, -68.776, 5.41], [20.8247, -46.227, 4.90], [20.8347, 44.059, 5.06], [20.8583, -51.608, 5.06], [20.8688, 27.097, 4.56],
+    [20.8776, -8.983, 4.73], [20.8874, 44.387, 4.80], [20.8885, 45.182, 5.48], [20.8945, -39.810, 5.34], [20.8983, 33.438, 5.47], [20.9093, 28.058, 5.03],
+    [20.9269, 13.722, 5.19], [20.9483, -9.697, 5.49], [20.9529, 41.167, 3.94], [20.9712, 22.326, 5.30], [20.9846, 4.293, 5.30], [20.9848, 4.295, 5.24],
+    [20.9971, 47.521, 4.74], [21.0197, 46.156, 5.38], [21.0494, -38.631, 5.32], [21.0734, -19.855, 4.82], [21.0786, -77.024, 5.13], [21.0822, 43.928, 3.72],
+    [21.0873, -54.727, 5.17], [21.1069, -32.342, 5.20], [21.1100, 47.648, 4.56], [21.1150, 38.749, 5.20], [21.1188, -25.006, 4.49], [21.1427, -21.194, 5.30],
+    [21.1599, -11.372, 4.50], [21.2175, -39.425, 5.25], [21.2215, -27.619, 5.41], [21.2224, -70.126, 5.06], [21.2465, 38.045, 3.74], [21.2605, -20.652, 5.17],
+    [21.2625, -15.171, 5.31], [21.2903, 39.395, 4.22], [21.2986, 34.897, 4.41], [21.2992, -17.985, 5.40], [21.3076, 43.946, 5.04], [21.3228, 64.872, 5.19],
+    [21.3681, 19.805, 4.08], [21.4027, -20.852, 5.38], [21.4032, -12.878, 5.48], [21.4214, -3.557, 5.48], [21.4477, 48.835, 5.29], [21.4505, -42.548, 5.50],
+    [21.4559, 37.117, 5.30], [21.4611, 27.609, 5.39], [21.4628, 66.809, 5.42], [21.4787, -21.807, 4.50], [21.4791, -69.505, 5.47], [21.4908, 46.541, 5.22],
+    [21.4991, 23.639, 4.52], [21.5350, -41.179, 5.29], [21.5663, 45.592, 3.98], [21.5796, 38.534, 4.87], [21.6158, 40.413, 5.04], [21.6180, -19.466, 4.51],
+    [21.6292, -7.854, 4.68], [21.6293, 19.319, 5.46], [21.6320, 62.082, 4.76], [21.6592, 2.244, 5.10], [21.6698, 43.274, 5.09], [21.6925, -14.048, 5.16],
+    [21.6987, 71.311, 4.55], [21.7002, -23.263, 5.24], [21.7016, 51.190, 4.69], [21.7043, 5.680, 5.30], [21.7110, -18.866, 4.72], [21.7178, 72.320, 5.18],
+    [21.7251, 58.780, 4.23], [21.7357, 28.743, 4.49], [21.7419, 17.350, 4.34], [21.7501, -9.082, 5.10], [21.7575, 61.121, 4.25], [21.7679, 22.949, 5.29],
+    [21.7799, 49.310, 4.23], [21.7956, -30.898, 5.02], [21.8307, 30.174, 5.07], [21.8357, 17.286, 5.34], [21.8485, -82.719, 5.27], [21.8844, 25.925, 5.09],
+    [21.8883, -13.552, 5.08], [21.9397, -37.254, 5.45], [21.9442, 63.626, 5.11], [21.9875, 73.180, 5.04], [21.9883, -38.395, 5.50], [22.0140, -28.454, 5.43],
+    [22.0552, -2.155, 4.74], [22.0560, -56.786, 4.69], [22.0632, 64.628, 4.26], [22.0647, 63.120, 5.26], [22.0798, -0.906, 5.29], [22.0835, 62.786, 5.27],
+    [22.0858, 62.280, 5.07], [22.0947, 5.059, 4.86], [22.1005, 45.014, 5.09], [22.1405, -34.044, 4.99], [22.1635, 72.341, 4.79], [22.1655, -34.015, 5.37],
+    [22.1691, -32.548, 4.94], [22.1771, -11.565, 5.43], [22.1861, 50.823, 5.38], [22.1918, 59.414, 5.05], [22.1969, 56.839, 5.24], [22.2006, 60.759, 5.37],
+    [22.2133, 34.605, 5.34], [22.2196, 86.108, 5.27], [22.2313, 39.715, 4.50], [22.2383, -21.075, 5.33], [22.2385, -27.767, 5.45], [22.2506, 57.044, 4.18],
+    [22.2740, -41.627, 5.11], [22.2800, -12.831, 5.34], [22.2974, -77.512, 5.49], [22.3043, -53.627, 5.36], [22.3338, -80.440, 5.09], [22.3366, -7.821, 5.35],
+    [22.3410, 5.790, 5.37], [22.3554, 28.331, 4.78], [22.3586, 12.205, 4.82], [22.3599, -21.598, 5.12], [22.4102, -72.255, 5.28], [22.4157, -57.797, 5.31],
+    [22.4336, 70.771, 5.47], [22.4643, 4.696, 4.78], [22.4776, -39.132, 5.47], [22.4960, -43.749, 4.12], [22.4980, 78.824, 5.45], [22.5081, 43.123, 4.52],
+    [22.5108, -10.678, 4.82], [22.5500, -61.982, 4.91], [22.5782, -20.708, 5.21], [22.5961, 73.643, 5.08], [22.6229, 51.545, 4.64], [22.6293, -4.228, 5.04],
+    [22.6439, 56.796, 5.11], [22.6442, 63.584, 5.19], [22.6544, 39.050, 4.89], [22.6752, 44.276, 4.50], [22.6913, 40.225, 5.25], [22.6959, 29.308, 4.80],
+    [22.7250, -41.414, 4.84], [22.7265, -18.830, 4.68], [22.7349, 41.819, 5.11], [22.7605, -53.500, 4.84], [22.7782, 12.173, 4.20], [22.7914, 83.154, 4.77],
+    [22.7925, -19.613, 5.24], [22.8295, 55.903, 5.43], [22.8397, -80.124, 5.32], [22.8506, -39.157, 5.43], [22.8672, 43.312, 4.95], [22.8734, 9.836, 5.16],
+    [22.9069, 84.346, 4.70], [22.9205, 8.816, 4.91], [22.9406, 49.733, 4.99], [22.9513, 48.684, 5.34], [22.9578, 20.769, 5.45], [22.9910, 0.963, 5.43],
+    [23.0014, 56.945, 5.10], [23.0434, 42.758, 5.09], [23.0583, -34.749, 5.12], [23.0591, 67.209, 5.25], [23.0697, 50.052, 4.64], [23.0777, -53.965, 5.37],
+    [23.0861, -7.694, 5.44], [23.1102, 59.420, 4.84], [23.1113, -23.743, 4.48], [23.1146, -43.520, 4.28], [23.1167, 9.409, 4.54], [23.1185, 25.468, 4.76],
+    [23.1276, 46.387, 5.30], [23.1316, 75.388, 4.41], [23.1447, 2.128, 5.42], [23.1587, 8.677, 5.05], [23.1652, -22.458, 4.71], [23.1671, 9.822, 5.39],
+    [23.1956, 8.720, 5.15], [23.2092, 49.406, 4.53], [23.2808, -7.726, 4.93], [23.2957, 49.015, 4.82], [23.2984, -9.182, 4.41], [23.3104, 68.111, 4.75],
+    [23.3160, -9.611, 4.99], [23.3184, -13.455, 5.19], [23.3185, -13.459, 5.20], [23.3249, 48.625, 5.44], [23.3391, 5.381, 5.05], [23.3440, 23.740, 4.58],
+    [23.3653, 31.812, 5.35], [23.3775, -15.039, 5.19], [23.3846, 12.314, 5.09], [23.4140, 62.283, 4.96], [23.4230, 23.404, 4.42], [23.4341, -20.642, 4.38],
+    [23.4677, -87.482, 5.50], [23.4859, 12.761, 4.54], [23.5005, 58.549, 4.89], [23.5215, 39.236, 5.22], [23.5546, -20.915, 4.70], [23.5578, 22.499, 5.33],
+    [23.5659, 31.325, 4.97], [23.5846, -42.615, 4.69], [23.6308, -45.492, 4.74], [23.6324, 18.401, 5.49], [23.6523, 50.472, 5.35], [23.6631, -14.222, 4.97],
+    [23.6773, -32.073, 5.30], [23.6929, -18.027, 5.36], [23.6961, -17.817, 4.82], [23.7077, -15.448, 5.27], [23.7120, -14.545, 4.49], [23.7229, 10.332, 5.09],
+    [23.7332, 29.361, 4.93], [23.7367, -18.277, 5.24], [23.7669, -18.678, 5.28], [23.7672, 46.420, 4.97], [23.7732, 3.487, 4.95], [23.7843, 58.652, 4.88],
+    [23.7878, -50.227, 5.18], [23.7985, 67.807, 5.05], [23.7990, -2.762, 5.49], [23.8139, 62.215, 5.43], [23.8559, -18.909, 5.17], [23.8685, -82.019, 5.10],
+    [23.8748, 19.120, 5.06], [23.8770, 10.947, 5.30], [23.9064, 57.499, 4.51], [23.9597, -64.298, 5.00], [23.9626, 25.141, 4.63], [23.9779, -3.556, 4.88],
+    [23.9822, -52.746, 5.13], [23.9835, 55.755, 4.88]
+];
+
+// =============================================================================
+// CONSTELLATION BOUNDARIES
+// =============================================================================
+
+/**
+ * IAU constellation boundaries (Delporte 1930) precessed to J2000, from
+ * Davenhall & Leggett (1989). Each constellation has one closed polygon of
+ * [right ascension (hours), declination (degrees)] vertices, or two for the
+ * halves of Serpens. Polar polygons wind around the pole without a vertex on it.
+ */
+const CONSTELLATION_BOUNDARIES = {
+    and: [
+        [
+            [22.9644, 35.168], [22.9562, 53.168], [23.4302, 53.187], [23.4310, 50.687], [23.6847, 50.693], [23.6851, 48.693], [0.2764, 48.695], [0.2762, 46.695],
+            [0.9851, 46.676], [0.9859, 48.676], [1.2392, 48.663], [1.2404, 50.663], [1.4939, 50.648], [1.7979, 50.626], [1.7954, 47.626], [2.1748, 47.593],
+            [2.1783, 51.093], [2.6590, 51.042], [2.6453, 37.293], [2.1247, 37.347], [2.1236, 35.597], [1.5274, 35.645], [1.5265, 33.645], [0.8295, 33.682],
+            [0.8276, 24.432], [0.9616, 24.427], [0.9610, 21.677], [0.2493, 21.695], [0.2494, 22.695], [0.1740, 22.696], [0.1742, 28.696], [0.1071, 28.696],
+            [0.1071, 32.029], [23.8552, 32.029], [23.8552, 32.779], [23.6033, 32.775], [23.6029, 35.191]
+        ]
+    ],
+    ant: [
+        [
+            [9.4603, -24.543], [9.4514, -37.292], [9.4489, -40.292], [11.0971, -40.425], [11.0986, -35.675], [10.9306, -35.666], [10.9319, -31.833], [10.6801, -31.819],
+            [10.6809, -29.819], [10.3454, -29.795], [10.3466, -27.128], [9.8440, -27.084], [9.8453, -24.584]
+        ]
+    ],
+    aps: [
+        [
+            [13.9407, -83.120], [18.4577, -82.458], [18.2797, -74.975], [18.2187, -67.480], [17.7184, -67.571], [17.2162, -67.661], [17.2314, -70.160], [14.9444, -70.511],
+            [13.8307, -70.624], [13.8521, -75.624]
+        ]
+    ],
+    aqr: [
+        [
+            [20.6399, 0.436], [20.6387, 2.436], [20.9387, 2.477], [21.4389, 2.539], [21.5723, 2.554], [21.5719, 3.304], [21.7720, 3.326], [21.7725, 2.326],
+            [22.1059, 2.358], [22.1058, 2.608], [22.8561, 2.662], [22.8566, 0.662], [22.8576, -3.338], [23.9401, -3.304], [23.9402, -6.304], [23.9407, -24.804],
+            [23.1121, -24.825], [21.9847, -24.904], [21.9771, -8.404], [21.4446, -8.460], [21.4478, -14.460], [20.6496, -14.563], [20.6456, -8.563]
+        ]
+    ],
+    aql: [
+        [
+            [18.6900, 0.116], [18.6884, 2.115], [18.9718, 2.166], [18.9684, 6.416], [18.7639, 6.379], [18.7592, 12.129], [18.9638, 12.165], [18.9582, 18.665],
+            [19.0917, 18.688], [19.0937, 16.355], [19.9281, 16.496], [19.9284, 16.079], [20.2373, 16.128], [20.2424, 8.878], [20.4009, 8.902], [20.4053, 2.402],
+            [20.6387, 2.436], [20.6399, 0.436], [20.6456, -8.563], [20.1129, -8.643], [20.1151, -11.676], [18.9829, -11.866], [18.9765, -3.834], [18.6932, -3.884]
+        ]
+    ],
+    ara: [
+        [
+            [16.6023, -60.264], [16.5714, -45.767], [17.9873, -45.516], [18.1539, -45.486], [18.1782, -56.984], [17.6779, -57.075], [17.7184, -67.571], [17.2162, -67.661],
+            [17.0483, -67.691], [17.0362, -65.192], [16.9522, -65.206], [16.9463, -63.790], [16.7784, -63.819], [16.7692, -61.236], [16.6054, -61.264]
+        ]
+    ],
+    ari: [
+        [
+            [2.1110, 10.514], [1.7770, 10.543], [1.7830, 25.626], [2.0342, 25.605], [2.0354, 27.855], [2.5380, 27.805], [2.5402, 31.221], [2.8419, 31.186],
+            [3.4951, 31.100], [3.4860, 19.434], [3.4025, 19.446], [3.3964, 10.363]
+        ]
+    ],
+    aur: [
+        [
+            [4.6325, 30.922], [4.6383, 36.255], [4.8305, 36.222], [4.8560, 52.720], [5.1657, 52.666], [5.1738, 56.165], [6.2754, 55.966], [6.2705, 53.966],
+            [6.6697, 53.894], [6.6613, 49.895], [6.9604, 49.841], [6.9510, 44.342], [7.5156, 44.243], [7.5040, 35.245], [6.6727, 35.391], [6.6644, 27.891],
+            [6.0147, 28.009], [6.0153, 28.509], [4.8808, 28.712], [4.8824, 30.212], [4.6318, 30.255]
+        ]
+    ],
+    boo: [
+        [
+            [15.1854, 7.525], [13.6043, 7.361], [13.6019, 14.361], [13.5969, 27.860], [14.0526, 27.898], [14.0514, 30.148], [14.1259, 30.154], [14.1132, 47.904],
+            [14.1056, 54.904], [14.4834, 54.942], [15.3061, 55.045], [15.3105, 52.545], [15.8056, 52.617], [15.8083, 51.118], [15.8244, 39.619], [15.5096, 39.572],
+            [15.5165, 32.573], [15.2677, 32.538], [15.2733, 25.538], [15.1737, 25.525]
+        ]
+    ],
+    cae: [
+        [
+            [4.3384, -39.701], [4.3255, -48.700], [4.5575, -48.738], [4.5616, -46.239], [4.8935, -46.296], [4.8988, -42.796], [5.0650, -42.826], [5.0837, -27.077],
+            [4.9173, -27.048], [4.7842, -27.025], [4.7815, -29.775], [4.6651, -29.755], [4.6575, -36.754], [4.3420, -36.701]
+        ]
+    ],
+    cam: [
+        [
+            [6.2754, 55.966], [5.1738, 56.165], [5.1657, 52.666], [4.8560, 52.720], [3.4875, 52.937], [3.4921, 55.436], [3.3236, 55.460], [3.3276, 57.459],
+            [3.2601, 57.468], [3.2930, 68.466], [3.6158, 68.421], [3.6872, 77.416], [3.7817, 77.403], [3.8354, 80.399], [5.3659, 80.148], [5.6357, 85.124],
+            [8.5302, 84.610], [8.6935, 86.097], [14.2015, 85.931], [14.4522, 79.445], [13.5873, 79.363], [13.6105, 76.364], [13.0547, 76.329], [11.6290, 76.308],
+            [11.6354, 79.308], [10.8546, 79.340], [10.8737, 81.340], [9.4794, 81.468], [9.3744, 72.974], [8.2057, 73.138], [8.1419, 59.643], [7.1835, 59.804],
+            [7.1901, 61.803], [6.2938, 61.964]
+        ]
+    ],
+    cnc: [
+        [
+            [9.3603, 6.470], [8.1948, 6.630], [8.0366, 6.655], [8.0387, 9.655], [7.9222, 9.673], [7.9248, 13.173], [7.9298, 19.673], [8.0047, 19.661],
+            [8.0114, 27.660], [8.1277, 27.642], [8.1329, 33.142], [9.3764, 32.969]
+        ]
+    ],
+    cvn: [
+        [
+            [12.1063, 33.304], [12.1061, 44.304], [12.1884, 44.304], [12.1879, 52.304], [13.5828, 52.360], [13.5863, 47.860], [14.1132, 47.904], [14.1259, 30.154],
+            [14.0514, 30.148], [14.0526, 27.898], [13.5969, 27.860], [13.3484, 27.844], [13.3472, 31.344], [12.4372, 31.307], [12.4370, 33.307]
+        ]
+    ],
+    cma: [
+        [
+            [6.2144, -11.030], [7.4649, -11.252], [7.4451, -33.251], [6.6603, -33.113], [6.1933, -33.028], [6.1995, -27.279]
+        ]
+    ],
+    cmi: [
+        [
+            [8.1899, -0.369], [7.3066, -0.224], [7.3078, 1.276], [7.1245, 1.307], [7.1276, 5.307], [7.1110, 5.310], [7.1145, 9.810], [7.1165, 12.310],
+            [7.6161, 12.224], [7.6168, 13.224], [7.9248, 13.173], [7.9222, 9.673], [8.0387, 9.655], [8.0366, 6.655], [8.1948, 6.630]
+        ]
+    ],
+    cap: [
+        [
+            [20.6456, -8.563], [20.1129, -8.643], [20.1151, -11.676], [20.1277, -27.642], [20.4599, -27.591], [21.4554, -27.460], [21.4539, -24.960], [21.9847, -24.904],
+            [21.9771, -8.404], [21.4446, -8.460], [21.4478, -14.460], [20.6496, -14.563]
+        ]
+    ],
+    car: [
+        [
+            [11.3437, -57.184], [11.0892, -57.174], [8.8882, -56.974], [8.8920, -54.974], [8.5045, -54.920], [8.5073, -53.421], [8.2213, -53.378], [8.2254, -51.129],
+            [8.0574, -51.103], [6.0499, -50.755], [6.0462, -52.504], [6.2130, -52.535], [6.2072, -55.034], [6.5410, -55.095], [6.5330, -58.094], [6.8674, -58.154],
+            [6.8469, -64.152], [9.0730, -64.499], [9.0162, -75.496], [11.3238, -75.684], [11.3390, -64.684]
+        ]
+    ],
+    cas: [
+        [
+            [22.9562, 53.168], [22.9536, 56.918], [22.9513, 59.751], [23.2573, 59.765], [23.2544, 63.681], [23.6812, 63.693], [23.6799, 66.693], [0.4509, 66.692],
+            [0.4615, 77.692], [3.6872, 77.416], [3.6158, 68.421], [3.2930, 68.466], [3.2601, 57.468], [2.5842, 57.551], [2.5868, 59.051], [2.0530, 59.105],
+            [2.0516, 58.105], [1.8397, 58.123], [1.8356, 54.623], [1.4971, 54.648], [1.4939, 50.648], [1.2404, 50.663], [1.2392, 48.663], [0.9859, 48.676],
+            [0.9851, 46.676], [0.2762, 46.695], [0.2764, 48.695], [23.6851, 48.693], [23.6847, 50.693], [23.4310, 50.687], [23.4302, 53.187]
+        ]
+    ],
+    cen: [
+        [
+            [11.0986, -35.675], [11.0971, -40.425], [11.0892, -57.174], [11.3437, -57.184], [11.3390, -64.684], [11.9372, -64.696], [11.9381, -55.696], [12.9556, -55.677],
+            [12.9626, -64.677], [13.6454, -64.638], [14.7010, -64.539], [14.6823, -55.540], [14.3105, -55.580], [14.2967, -42.581], [15.0531, -42.494], [15.0421, -29.995],
+            [12.6945, -30.186], [12.6951, -33.686], [12.3592, -33.694], [12.3594, -35.694]
+        ]
+    ],
+    cep: [
+        [
+            [20.0382, 59.851], [20.0323, 61.851], [20.4541, 61.914], [20.4345, 67.413], [20.6889, 67.449], [20.6382, 75.445], [20.1249, 75.371], [20.0449, 80.365],
+            [20.9137, 80.487], [20.5814, 86.466], [20.5554, 86.631], [22.9007, 86.837], [22.6174, 88.664], [0.0632, 88.609], [1.6472, 88.356], [3.8443, 88.006],
+            [9.0555, 87.569], [8.6935, 86.097], [8.5302, 84.610], [5.6357, 85.124], [5.3659, 80.148], [3.8354, 80.399], [3.7817, 77.403], [3.6872, 77.416],
+            [0.4615, 77.692], [0.4509, 66.692], [23.6799, 66.693], [23.6812, 63.693], [23.2544, 63.681], [23.2573, 59.765], [22.9513, 59.751], [22.9536, 56.918],
+            [22.3941, 56.883], [22.3954, 55.633], [22.2092, 55.618], [22.2116, 53.368], [22.0426, 53.353], [22.0401, 55.437], [20.6554, 55.275], [20.6416, 61.358],
+            [20.5774, 61.349], [20.5811, 59.932]
+        ]
+    ],
+    cet: [
+        [
+            [0.4401, 0.693], [0.4403, 2.692], [2.1077, 2.598], [2.1110, 10.514], [3.3964, 10.363], [3.3902, 0.447], [3.3891, -1.303], [2.7559, -1.221],
+            [2.7433, -23.854], [1.7644, -23.756], [1.7639, -24.873], [23.9407, -24.804], [23.9402, -6.304], [0.4395, -6.308]
+        ]
+    ],
+    cha: [
+        [
+            [7.4435, -82.776], [13.9407, -83.120], [13.8521, -75.624], [11.3238, -75.684], [9.0162, -75.496], [7.6143, -75.290]
+        ]
+    ],
+    cir: [
+        [
+            [13.6454, -64.638], [13.6472, -65.638], [13.8179, -65.625], [13.8307, -70.624], [14.9444, -70.511], [14.9336, -68.012], [15.1038, -67.991], [15.0902, -64.075],
+            [15.3444, -64.042], [15.3370, -61.459], [15.5060, -61.435], [15.5033, -60.435], [15.4921, -55.436], [15.2056, -55.475], [14.6823, -55.540], [14.7010, -64.539]
+        ]
+    ],
+    col: [
+        [
+            [5.0650, -42.826], [5.0837, -27.077], [6.1995, -27.279], [6.1933, -33.028], [6.6603, -33.113], [6.6473, -43.112], [6.0635, -43.006]
+        ]
+    ],
+    com: [
+        [
+            [11.9736, 13.304], [11.9739, 28.304], [12.1064, 28.304], [12.1063, 33.304], [12.4370, 33.307], [12.4372, 31.307], [13.3472, 31.344], [13.3484, 27.844],
+            [13.5969, 27.860], [13.6019, 14.361], [12.9373, 14.322], [12.9375, 13.322]
+        ]
+    ],
+    cra: [
+        [
+            [17.9750, -37.017], [19.3064, -36.779], [19.3180, -45.278], [18.1539, -45.486], [17.9873, -45.516]
+        ]
+    ],
+    crb: [
+        [
+            [15.2733, 25.538], [15.2677, 32.538], [15.5165, 32.573], [15.5096, 39.572], [15.8244, 39.619], [16.4048, 39.712], [16.4187, 26.713], [16.2524, 26.686],
+            [16.2533, 25.686], [16.1204, 25.664]
+        ]
+    ],
+    crv: [
+        [
+            [12.9422, -11.677], [11.9398, -11.696], [11.9394, -25.196], [12.6936, -25.186], [12.6932, -22.686], [12.9445, -22.677]
+        ]
+    ],
+    crt: [
+        [
+            [10.8551, -6.662], [10.8539, -11.662], [10.8517, -19.662], [10.9354, -19.667], [10.9339, -25.167], [11.9394, -25.196], [11.9398, -11.696], [11.9399, -6.696],
+            [11.6228, -6.692]
+        ]
+    ],
+    cru: [
+        [
+            [11.9381, -55.696], [11.9372, -64.696], [12.9626, -64.677], [12.9556, -55.677]
+        ]
+    ],
+    cyg: [
+        [
+            [19.3422, 27.732], [19.3397, 30.232], [19.4399, 30.249], [19.4328, 36.749], [19.4746, 36.756], [19.4656, 43.755], [19.2314, 43.715], [19.2250, 47.714],
+            [19.1414, 47.700], [19.1251, 55.698], [19.4603, 55.756], [19.4540, 58.255], [19.8067, 58.314], [19.8026, 59.813], [20.0382, 59.851], [20.5811, 59.932],
+            [20.5774, 61.349], [20.6416, 61.358], [20.6554, 55.275], [22.0401, 55.437], [22.0426, 53.353], [22.0508, 44.604], [21.9919, 44.598], [21.9921, 44.348],
+            [21.9584, 44.345], [21.9641, 36.595], [21.8213, 36.581], [21.8263, 28.582], [21.5080, 28.548], [21.0056, 28.487], [21.0048, 29.487], [19.7501, 29.301],
+            [19.7515, 27.801]
+        ]
+    ],
+    del: [
+        [
+            [20.6387, 2.436], [20.4053, 2.402], [20.4009, 8.902], [20.2424, 8.878], [20.2373, 16.128], [20.3458, 16.144], [20.3423, 20.894], [20.6598, 20.940],
+            [20.6605, 19.940], [21.1453, 20.005], [21.1499, 12.338], [20.9746, 12.316], [20.9781, 6.483], [20.9364, 6.477], [20.9387, 2.477]
+        ]
+    ],
+    dor: [
+        [
+            [3.8879, -52.797], [4.0532, -52.823], [4.0462, -56.156], [4.3767, -56.209], [4.3703, -58.709], [4.6183, -58.751], [4.5863, -67.248], [4.5721, -69.747],
+            [6.5636, -70.104], [6.5958, -64.107], [6.0116, -64.001], [6.0230, -61.002], [5.5238, -60.911], [5.5346, -57.412], [5.0365, -57.323], [5.0451, -53.824],
+            [4.5478, -53.738], [4.5575, -48.738], [4.3255, -48.700], [4.1433, -48.670], [4.1399, -50.670], [3.8918, -50.630]
+        ]
+    ],
+    dra: [
+        [
+            [9.3744, 72.974], [9.4794, 81.468], [10.8737, 81.340], [10.8546, 79.340], [11.6354, 79.308], [11.6290, 76.308], [13.0547, 76.329], [13.0732, 69.329],
+            [14.0434, 69.399], [14.0547, 65.400], [15.6886, 65.602], [15.6700, 69.601], [16.5227, 69.738], [16.4814, 74.735], [17.4358, 74.903], [17.3479, 79.895],
+            [17.8437, 79.986], [17.4481, 85.950], [20.5814, 86.466], [20.9137, 80.487], [20.0449, 80.365], [20.1249, 75.371], [20.6382, 75.445], [20.6889, 67.449],
+            [20.4345, 67.413], [20.4541, 61.914], [20.0323, 61.851], [20.0382, 59.851], [19.8026, 59.813], [19.8067, 58.314], [19.4540, 58.255], [19.4603, 55.756],
+            [19.1251, 55.698], [19.1414, 47.700], [18.2895, 47.548], [18.2838, 50.547], [17.0524, 50.324], [17.0505, 51.324], [15.8083, 51.118], [15.8056, 52.617],
+            [15.3105, 52.545], [15.3061, 55.045], [14.4834, 54.942], [14.4697, 62.441], [13.5716, 62.359], [13.5700, 63.359], [12.1054, 63.304], [12.1053, 65.804],
+            [11.4566, 65.813], [11.4641, 72.812]
+        ]
+    ],
+    equ: [
+        [
+            [20.9387, 2.477], [20.9364, 6.477], [20.9781, 6.483], [20.9746, 12.316], [21.1499, 12.338], [21.2167, 12.347], [21.2163, 13.013], [21.4334, 13.039],
+            [21.4389, 2.539]
+        ]
+    ],
+    eri: [
+        [
+            [3.6902, 0.404], [4.7235, 0.237], [4.7735, 0.229], [4.7704, -3.771], [5.1870, -3.844], [5.1813, -10.843], [5.0148, -10.814], [5.0119, -14.314],
+            [4.9287, -14.299], [4.9173, -27.048], [4.7842, -27.025], [4.7815, -29.775], [4.6651, -29.755], [4.6575, -36.754], [4.3420, -36.701], [4.3384, -39.701],
+            [3.9404, -39.637], [3.9354, -43.636], [3.4885, -43.569], [3.4859, -45.569], [3.0727, -45.513], [3.0690, -48.512], [2.7390, -48.471], [2.7365, -50.471],
+            [2.4894, -50.443], [2.4856, -53.442], [2.2389, -53.416], [2.2326, -57.916], [1.4137, -57.848], [1.4182, -52.849], [1.6645, -52.866], [1.6663, -50.866],
+            [1.9129, -50.886], [1.9159, -47.553], [2.4102, -47.600], [2.4176, -39.434], [3.0792, -39.513], [3.0796, -39.096], [3.5763, -39.165], [3.5800, -35.582],
+            [3.8287, -35.619], [3.8393, -24.003], [2.7433, -23.854], [2.7559, -1.221], [3.3891, -1.303], [3.6890, -1.346]
+        ]
+    ],
+    for: [
+        [
+            [1.7644, -23.756], [2.7433, -23.854], [3.8393, -24.003], [3.8287, -35.619], [3.5800, -35.582], [3.5763, -39.165], [3.0796, -39.096], [3.0792, -39.513],
+            [2.4176, -39.434], [1.7567, -39.373], [1.7639, -24.873]
+        ]
+    ],
+    gem: [
+        [
+            [6.4249, 11.933], [6.4296, 17.433], [6.3380, 17.450], [6.3416, 21.449], [6.0083, 21.510], [6.0096, 22.843], [6.0147, 28.009], [6.6644, 27.891],
+            [6.6727, 35.391], [7.5040, 35.245], [7.8860, 35.181], [7.8839, 33.181], [8.1329, 33.142], [8.1277, 27.642], [8.0114, 27.660], [8.0047, 19.661],
+            [7.9298, 19.673], [7.9248, 13.173], [7.6168, 13.224], [7.6161, 12.224], [7.1165, 12.310], [7.1145, 9.810], [7.0479, 9.822], [7.0495, 11.821]
+        ]
+    ],
+    gru: [
+        [
+            [21.4619, -36.459], [21.4695, -44.959], [21.4745, -49.459], [22.1333, -49.391], [22.1409, -56.391], [23.4512, -56.313], [23.4462, -39.313], [23.4456, -36.313],
+            [23.1152, -36.325]
+        ]
+    ],
+    her: [
+        [
+            [16.3706, 3.703], [16.1873, 3.674], [16.1784, 15.673], [16.0121, 15.646], [16.0074, 21.646], [16.1238, 21.664], [16.1204, 25.664], [16.2533, 25.686],
+            [16.2524, 26.686], [16.4187, 26.713], [16.4048, 39.712], [15.8244, 39.619], [15.8083, 51.118], [17.0505, 51.324], [17.0524, 50.324], [18.2838, 50.547],
+            [18.2895, 47.548], [18.2311, 47.537], [18.2550, 30.039], [18.4467, 30.074], [18.4509, 26.074], [18.9513, 26.164], [18.9518, 25.664], [18.9559, 21.248],
+            [18.9582, 18.665], [18.9638, 12.165], [18.7592, 12.129], [18.3469, 12.054], [18.3449, 14.387], [17.3451, 14.206], [17.3464, 12.706], [16.8468, 12.618],
+            [16.8537, 3.785]
+        ]
+    ],
+    hor: [
+        [
+            [4.3384, -39.701], [4.3255, -48.700], [4.1433, -48.670], [4.1399, -50.670], [3.8918, -50.630], [3.8879, -52.797], [3.5577, -52.747], [3.5491, -57.080],
+            [3.2527, -57.038], [3.2242, -67.036], [2.2135, -66.915], [2.2326, -57.916], [2.2389, -53.416], [2.4856, -53.442], [2.4894, -50.443], [2.7365, -50.471],
+            [2.7390, -48.471], [3.0690, -48.512], [3.0727, -45.513], [3.4859, -45.569], [3.4885, -43.569], [3.9354, -43.636], [3.9404, -39.637]
+        ]
+    ],
+    hya: [
+        [
+            [8.1899, -0.369], [8.1948, 6.630], [9.3603, 6.470], [9.6932, 6.433], [9.6899, -0.567], [9.6847, -11.567], [10.8539, -11.662], [10.8517, -19.662],
+            [10.9354, -19.667], [10.9339, -25.167], [11.9394, -25.196], [12.6936, -25.186], [12.6932, -22.686], [12.9445, -22.677], [14.3675, -22.573], [14.3689, -25.073],
+            [15.0384, -24.995], [15.0421, -29.995], [12.6945, -30.186], [12.6951, -33.686], [12.3592, -33.694], [12.3594, -35.694], [11.0986, -35.675], [10.9306, -35.666],
+            [10.9319, -31.833], [10.6801, -31.819], [10.6809, -29.819], [10.3454, -29.795], [10.3466, -27.128], [9.8440, -27.084], [9.8453, -24.584], [9.4603, -24.543],
+            [9.1758, -24.509], [9.1790, -19.509], [8.6776, -19.442], [8.6790, -17.442], [8.4618, -17.411], [8.4660, -11.412], [8.1823, -11.369]
+        ]
+    ],
+    hyi: [
+        [
+            [4.5863, -67.248], [4.5721, -69.747], [4.5305, -74.743], [3.4717, -74.574], [3.3394, -82.064], [0.1022, -81.804], [0.1044, -74.304], [0.8222, -74.319],
+            [0.8197, -75.319], [1.3769, -75.347], [1.4137, -57.848], [2.2326, -57.916], [2.2135, -66.915], [3.2242, -67.036]
+        ]
+    ],
+    ind: [
+        [
+            [21.5457, -74.454], [23.4665, -74.312], [23.4574, -66.813], [22.1599, -66.890], [22.1409, -56.391], [22.1333, -49.391], [21.4745, -49.459], [21.4695, -44.959],
+            [20.4780, -45.090], [20.4973, -56.589], [20.5043, -59.588], [21.4899, -59.458]
+        ]
+    ],
+    lac: [
+        [
+            [21.9641, 36.595], [21.9584, 44.345], [21.9921, 44.348], [21.9919, 44.598], [22.0508, 44.604], [22.0426, 53.353], [22.2116, 53.368], [22.2092, 55.618],
+            [22.3954, 55.633], [22.3941, 56.883], [22.9536, 56.918], [22.9562, 53.168], [22.9644, 35.168], [22.9139, 35.166], [22.9138, 35.666], [22.0906, 35.607],
+            [22.0900, 36.607]
+        ]
+    ],
+    leo: [
+        [
+            [10.8566, -0.662], [10.8584, 6.338], [9.6932, 6.433], [9.3603, 6.470], [9.3764, 32.969], [10.0056, 32.902], [10.0028, 27.902], [10.6159, 27.853],
+            [10.6141, 22.853], [10.8628, 22.838], [10.8634, 24.838], [11.1121, 24.825], [11.1129, 28.325], [11.9739, 28.304], [11.9736, 13.304], [11.9736, 10.304],
+            [11.6244, 10.308], [11.6234, -0.692], [11.6228, -6.692], [10.8551, -6.662]
+        ]
+    ],
+    lmi: [
+        [
+            [9.3764, 32.969], [9.3814, 39.219], [9.7121, 39.182], [9.7139, 41.432], [10.2919, 41.377], [10.2906, 39.377], [10.9015, 39.336], [10.8993, 33.336],
+            [11.1143, 33.325], [11.1129, 28.325], [11.1121, 24.825], [10.8634, 24.838], [10.8628, 22.838], [10.6141, 22.853], [10.6159, 27.853], [10.0028, 27.902],
+            [10.0056, 32.902]
+        ]
+    ],
+    lep: [
+        [
+            [4.9173, -27.048], [5.0837, -27.077], [6.1995, -27.279], [6.2144, -11.030], [5.9311, -10.979], [5.1813, -10.843], [5.0148, -10.814], [5.0119, -14.314],
+            [4.9287, -14.299]
+        ]
+    ],
+    lib: [
+        [
+            [15.1902, -0.474], [14.7735, -0.527], [14.7778, -8.527], [14.3606, -8.573], [14.3675, -22.573], [14.3689, -25.073], [15.0384, -24.995], [15.0421, -29.995],
+            [15.7953, -29.890], [15.7875, -20.390], [16.0381, -20.352], [16.0292, -8.352], [16.0258, -3.603], [15.1921, -3.724]
+        ]
+    ],
+    lup: [
+        [
+            [14.3105, -55.580], [14.6823, -55.540], [15.2056, -55.475], [15.2038, -54.476], [15.4902, -54.436], [15.4805, -48.437], [15.8165, -48.388], [15.8083, -42.389],
+            [16.1435, -42.337], [16.1298, -29.838], [15.7953, -29.890], [15.0421, -29.995], [15.0531, -42.494], [14.2967, -42.581]
+        ]
+    ],
+    lyn: [
+        [
+            [7.5040, 35.245], [7.5156, 44.243], [6.9510, 44.342], [6.9604, 49.841], [6.6613, 49.895], [6.6697, 53.894], [6.2705, 53.966], [6.2754, 55.966],
+            [6.2938, 61.964], [7.1901, 61.803], [7.1835, 59.804], [8.1419, 59.643], [8.5866, 59.576], [8.5627, 46.578], [9.3060, 46.478], [9.3008, 41.479],
+            [9.7139, 41.432], [9.7121, 39.182], [9.3814, 39.219], [9.3764, 32.969], [8.1329, 33.142], [7.8839, 33.181], [7.8860, 35.181]
+        ]
+    ],
+    lyr: [
+        [
+            [18.9518, 25.664], [18.9513, 26.164], [18.4509, 26.074], [18.4467, 30.074], [18.2550, 30.039], [18.2311, 47.537], [18.2895, 47.548], [19.1414, 47.700],
+            [19.2250, 47.714], [19.2314, 43.715], [19.4656, 43.755], [19.4746, 36.756], [19.4328, 36.749], [19.4399, 30.249], [19.3397, 30.232], [19.3422, 27.732],
+            [19.3441, 25.733]
+        ]
+    ],
+    men: [
+        [
+            [7.2680, -85.261], [3.2155, -84.555], [3.3394, -82.064], [3.4717, -74.574], [4.5305, -74.743], [4.5721, -69.747], [6.5636, -70.104], [6.5180, -75.100],
+            [7.6143, -75.290], [7.4435, -82.776]
+        ]
+    ],
+    mic: [
+        [
+            [20.4599, -27.591], [21.4554, -27.460], [21.4619, -36.459], [21.4695, -44.959], [20.4780, -45.090]
+        ]
+    ],
+    mon: [
+        [
+            [6.3484, -0.054], [6.3565, 9.945], [6.4232, 9.933], [6.4249, 11.933], [7.0495, 11.821], [7.0479, 9.822], [7.1145, 9.810], [7.1110, 5.310],
+            [7.1276, 5.307], [7.1245, 1.307], [7.3078, 1.276], [7.3066, -0.224], [8.1899, -0.369], [8.1823, -11.369], [7.4649, -11.252], [6.2144, -11.030],
+            [5.9311, -10.979], [5.9368, -3.979], [6.3451, -4.053]
+        ]
+    ],
+    mus: [
+        [
+            [11.3390, -64.684], [11.3238, -75.684], [13.8521, -75.624], [13.8307, -70.624], [13.8179, -65.625], [13.6472, -65.638], [13.6454, -64.638], [12.9626, -64.677],
+            [11.9372, -64.696]
+        ]
+    ],
+    nor: [
+        [
+            [15.5033, -60.435], [16.6023, -60.264], [16.5714, -45.767], [16.5663, -42.267], [16.1435, -42.337], [15.8083, -42.389], [15.8165, -48.388], [15.4805, -48.437],
+            [15.4902, -54.436], [15.2038, -54.476], [15.2056, -55.475], [15.4921, -55.436]
+        ]
+    ],
+    oct: [
+        [
+            [0.1022, -81.804], [3.3394, -82.064], [3.2155, -84.555], [7.2680, -85.261], [7.4435, -82.776], [13.9407, -83.120], [18.4577, -82.458], [18.2797, -74.975],
+            [21.5457, -74.454], [23.4665, -74.312], [0.1044, -74.304]
+        ]
+    ],
+    oph: [
+        [
+            [16.3735, -0.296], [16.3706, 3.703], [16.8537, 3.785], [16.8468, 12.618], [17.3464, 12.706], [17.3451, 14.206], [18.3449, 14.387], [18.3469, 12.054],
+            [18.7592, 12.129], [18.7639, 6.379], [18.3516, 6.305], [18.3531, 4.555], [18.5281, 4.587], [18.5293, 3.087], [18.3543, 3.055], [18.3567, 0.055],
+            [17.9401, -0.021], [17.9433, -4.020], [18.0766, -3.996], [18.0816, -9.996], [17.7816, -10.050], [17.7830, -11.717], [17.6996, -11.732], [17.6982, -10.065],
+            [17.2815, -10.140], [17.2865, -16.140], [17.7200, -16.062], [17.7335, -30.061], [16.8824, -30.212], [16.8770, -24.796], [16.3928, -24.878], [16.3882, -19.545],
+            [16.4967, -19.527], [16.4959, -18.527], [16.3874, -18.545], [16.3794, -8.296], [16.0292, -8.352], [16.0258, -3.603], [16.3759, -3.546]
+        ]
+    ],
+    ori: [
+        [
+            [4.7235, 0.237], [4.7356, 15.736], [5.0859, 15.675], [5.0864, 16.175], [5.4532, 16.110], [5.4528, 15.610], [5.7196, 15.562], [5.7170, 12.562],
+            [5.8837, 12.532], [5.8885, 18.031], [5.8218, 18.044], [5.8263, 22.877], [6.0096, 22.843], [6.0083, 21.510], [6.3416, 21.449], [6.3380, 17.450],
+            [6.4296, 17.433], [6.4249, 11.933], [6.4232, 9.933], [6.3565, 9.945], [6.3484, -0.054], [6.3451, -4.053], [5.9368, -3.979], [5.9311, -10.979],
+            [5.1813, -10.843], [5.1870, -3.844], [4.7704, -3.771], [4.7735, 0.229]
+        ]
+    ],
+    pav: [
+        [
+            [18.2797, -74.975], [21.5457, -74.454], [21.4899, -59.458], [20.5043, -59.588], [20.4973, -56.589], [18.1782, -56.984], [17.6779, -57.075], [17.7184, -67.571],
+            [18.2187, -67.480]
+        ]
+    ],
+    peg: [
+        [
+            [21.4389, 2.539], [21.4334, 13.039], [21.2163, 13.013], [21.2167, 12.347], [21.1499, 12.338], [21.1453, 20.005], [21.3459, 20.029], [21.3434, 24.029],
+            [21.5108, 24.048], [21.5080, 28.548], [21.8263, 28.582], [21.8213, 36.581], [21.9641, 36.595], [22.0900, 36.607], [22.0906, 35.607], [22.9138, 35.666],
+            [22.9139, 35.166], [22.9644, 35.168], [23.6029, 35.191], [23.6033, 32.775], [23.8552, 32.779], [23.8552, 32.029], [0.1071, 32.029], [0.1071, 28.696],
+            [0.1742, 28.696], [0.1740, 22.696], [0.2494, 22.695], [0.2493, 21.695], [0.2489, 13.195], [0.1069, 13.196], [0.1068, 10.696], [23.9398, 10.696],
+            [23.9399, 8.196], [22.8548, 8.162], [22.8561, 2.662], [22.1058, 2.608], [22.1059, 2.358], [21.7725, 2.326], [21.7720, 3.326], [21.5719, 3.304],
+            [21.5723, 2.554]
+        ]
+    ],
+    per: [
+        [
+            [2.8419, 31.186], [2.8444, 34.520], [2.6935, 34.538], [2.6956, 37.287], [2.6453, 37.293], [2.6590, 51.042], [2.1783, 51.093], [2.1748, 47.593],
+            [1.7954, 47.626], [1.7979, 50.626], [1.4939, 50.648], [1.4971, 54.648], [1.8356, 54.623], [1.8397, 58.123], [2.0516, 58.105], [2.0530, 59.105],
+            [2.5868, 59.051], [2.5842, 57.551], [3.2601, 57.468], [3.3276, 57.459], [3.3236, 55.460], [3.4921, 55.436], [3.4875, 52.937], [4.8560, 52.720],
+            [4.8305, 36.222], [4.6383, 36.255], [4.6325, 30.922], [3.4951, 31.100]
+        ]
+    ],
+    phe: [
+        [
+            [23.4462, -39.313], [23.4512, -56.313], [23.4519, -57.813], [1.4137, -57.848], [1.4182, -52.849], [1.6645, -52.866], [1.6663, -50.866], [1.9129, -50.886],
+            [1.9159, -47.553], [2.4102, -47.600], [2.4176, -39.434], [1.7567, -39.373], [0.0402, -39.304]
+        ]
+    ],
+    pic: [
+        [
+            [6.0635, -43.006], [5.0650, -42.826], [4.8988, -42.796], [4.8935, -46.296], [4.5616, -46.239], [4.5575, -48.738], [4.5478, -53.738], [5.0451, -53.824],
+            [5.0365, -57.323], [5.5346, -57.412], [5.5238, -60.911], [6.0230, -61.002], [6.0116, -64.001], [6.5958, -64.107], [6.8469, -64.152], [6.8674, -58.154],
+            [6.5330, -58.094], [6.5410, -55.095], [6.2072, -55.034], [6.2130, -52.535], [6.0462, -52.504], [6.0499, -50.755]
+        ]
+    ],
+    psc: [
+        [
+            [22.8566, 0.662], [22.8561, 2.662], [22.8548, 8.162], [23.9399, 8.196], [23.9398, 10.696], [0.1068, 10.696], [0.1069, 13.196], [0.2489, 13.195],
+            [0.2493, 21.695], [0.9610, 21.677], [0.9616, 24.427], [0.8276, 24.432], [0.8295, 33.682], [1.5265, 33.645], [1.5244, 28.645], [1.7843, 28.626],
+            [1.7830, 25.626], [1.7770, 10.543], [2.1110, 10.514], [2.1077, 2.598], [0.4403, 2.692], [0.4401, 0.693], [0.4395, -6.308], [23.9402, -6.304],
+            [23.9401, -3.304], [22.8576, -3.338]
+        ]
+    ],
+    psa: [
+        [
+            [23.1121, -24.825], [21.9847, -24.904], [21.4539, -24.960], [21.4554, -27.460], [21.4619, -36.459], [23.1152, -36.325]
+        ]
+    ],
+    pup: [
+        [
+            [7.4649, -11.252], [7.4451, -33.251], [6.6603, -33.113], [6.6473, -43.112], [6.0635, -43.006], [6.0499, -50.755], [8.0574, -51.103], [8.0692, -43.353],
+            [8.4382, -43.410], [8.4452, -37.160], [8.4618, -17.411], [8.4660, -11.412], [8.1823, -11.369]
+        ]
+    ],
+    pyx: [
+        [
+            [8.4618, -17.411], [8.6790, -17.442], [8.6776, -19.442], [9.1790, -19.509], [9.1758, -24.509], [9.4603, -24.543], [9.4514, -37.292], [8.4452, -37.160]
+        ]
+    ],
+    ret: [
+        [
+            [3.2242, -67.036], [4.5863, -67.248], [4.6183, -58.751], [4.3703, -58.709], [4.3767, -56.209], [4.0462, -56.156], [4.0532, -52.823], [3.8879, -52.797],
+            [3.5577, -52.747], [3.5491, -57.080], [3.2527, -57.038]
+        ]
+    ],
+    sge: [
+        [
+            [18.9582, 18.665], [18.9559, 21.248], [19.3398, 21.315], [19.3414, 19.398], [19.9257, 19.495], [19.9240, 21.579], [20.3417, 21.644], [20.3423, 20.894],
+            [20.3458, 16.144], [20.2373, 16.128], [19.9284, 16.079], [19.9281, 16.496], [19.0937, 16.355], [19.0917, 18.688]
+        ]
+    ],
+    sgr: [
+        [
+            [18.9829, -11.866], [18.9862, -15.833], [18.3700, -15.944], [17.7200, -16.062], [17.7335, -30.061], [17.9669, -30.018], [17.9750, -37.017], [19.3064, -36.779],
+            [19.3180, -45.278], [20.4780, -45.090], [20.4599, -27.591], [20.1277, -27.642], [20.1151, -11.676]
+        ]
+    ],
+    sco: [
+        [
+            [16.0292, -8.352], [16.3794, -8.296], [16.3874, -18.545], [16.4959, -18.527], [16.4967, -19.527], [16.3882, -19.545], [16.3928, -24.878], [16.8770, -24.796],
+            [16.8824, -30.212], [17.7335, -30.061], [17.9669, -30.018], [17.9750, -37.017], [17.9873, -45.516], [16.5714, -45.767], [16.5663, -42.267], [16.1435, -42.337],
+            [16.1298, -29.838], [15.7953, -29.890], [15.7875, -20.390], [16.0381, -20.352]
+        ]
+    ],
+    scl: [
+        [
+            [23.1121, -24.825], [23.9407, -24.804], [1.7639, -24.873], [1.7567, -39.373], [0.0402, -39.304], [23.4462, -39.313], [23.4456, -36.313], [23.1152, -36.325]
+        ]
+    ],
+    sct: [
+        [
+            [18.3700, -15.944], [18.9862, -15.833], [18.9829, -11.866], [18.9765, -3.834], [18.6932, -3.884], [18.3599, -3.945]
+        ]
+    ],
+    ser: [
+        [
+            [15.1902, -0.474], [15.1854, 7.525], [15.1737, 25.525], [15.2733, 25.538], [16.1204, 25.664], [16.1238, 21.664], [16.0074, 21.646], [16.0121, 15.646],
+            [16.1784, 15.673], [16.1873, 3.674], [16.3706, 3.703], [16.3735, -0.296], [16.3759, -3.546], [16.0258, -3.603], [15.1921, -3.724]
+        ],
+        [
+            [18.3567, 0.055], [18.3543, 3.055], [18.5293, 3.087], [18.5281, 4.587], [18.3531, 4.555], [18.3516, 6.305], [18.7639, 6.379], [18.9684, 6.416],
+            [18.9718, 2.166], [18.6884, 2.115], [18.6900, 0.116], [18.6932, -3.884], [18.3599, -3.945], [18.3700, -15.944], [17.7200, -16.062], [17.2865, -16.140],
+            [17.2815, -10.140], [17.6982, -10.065], [17.6996, -11.732], [17.7830, -11.717], [17.7816, -10.050], [18.0816, -9.996], [18.0766, -3.996], [17.9433, -4.020],
+            [17.9401, -0.021]
+        ]
+    ],
+    sex: [
+        [
+            [9.6899, -0.567], [9.6932, 6.433], [10.8584, 6.338], [10.8566, -0.662], [10.8551, -6.662], [10.8539, -11.662], [9.6847, -11.567]
+        ]
+    ],
+    tau: [
+        [
+            [3.3891, -1.303], [3.3902, 0.447], [3.3964, 10.363], [3.4025, 19.446], [3.4860, 19.434], [3.4951, 31.100], [4.6325, 30.922], [4.6318, 30.255],
+            [4.8824, 30.212], [4.8808, 28.712], [6.0153, 28.509], [6.0147, 28.009], [6.0096, 22.843], [5.8263, 22.877], [5.8218, 18.044], [5.8885, 18.031],
+            [5.8837, 12.532], [5.7170, 12.562], [5.7196, 15.562], [5.4528, 15.610], [5.4532, 16.110], [5.0864, 16.175], [5.0859, 15.675], [4.7356, 15.736],
+            [4.7235, 0.237], [3.6902, 0.404], [3.6890, -1.346]
+        ]
+    ],
+    tel: [
+        [
+            [20.4973, -56.589], [20.4780, -45.090], [19.3180, -45.278], [18.1539, -45.486], [18.1782, -56.984]
+        ]
+    ],
+    tri: [
+        [
+            [1.7830, 25.626], [1.7843, 28.626], [1.5244, 28.645], [1.5265, 33.645], [1.5274, 35.645], [2.1236, 35.597], [2.1247, 37.347], [2.6453, 37.293],
+            [2.6956, 37.287], [2.6935, 34.538], [2.8444, 34.520], [2.8419, 31.186], [2.5402, 31.221], [2.5380, 27.805], [2.0354, 27.855], [2.0342, 25.605]
+        ]
+    ],
+    tra: [
+        [
+            [14.9444, -70.511], [14.9336, -68.012], [15.1038, -67.991], [15.0902, -64.075], [15.3444, -64.042], [15.3370, -61.459], [15.5060, -61.435], [15.5033, -60.435],
+            [16.6023, -60.264], [16.6054, -61.264], [16.7692, -61.236], [16.7784, -63.819], [16.9463, -63.790], [16.9522, -65.206], [17.0362, -65.192], [17.0483, -67.691],
+            [17.2162, -67.661], [17.2314, -70.160]
+        ]
+    ],
+    tuc: [
+        [
+            [23.4665, -74.312], [0.1044, -74.304], [0.8222, -74.319], [0.8197, -75.319], [1.3769, -75.347], [1.4137, -57.848], [23.4519, -57.813], [23.4512, -56.313],
+            [22.1409, -56.391], [22.1599, -66.890], [23.4574, -66.813]
+        ]
+    ],
+    uma: [
+        [
+            [9.7139, 41.432], [9.3008, 41.479], [9.3060, 46.478], [8.5627, 46.578], [8.5866, 59.576], [8.1419, 59.643], [8.2057, 73.138], [9.3744, 72.974],
+            [11.4641, 72.812], [11.4566, 65.813], [12.1053, 65.804], [12.1054, 63.304], [13.5700, 63.359], [13.5716, 62.359], [14.4697, 62.441], [14.4834, 54.942],
+            [14.1056, 54.904], [14.1132, 47.904], [13.5863, 47.860], [13.5828, 52.360], [12.1879, 52.304], [12.1884, 44.304], [12.1061, 44.304], [12.1063, 33.304],
+            [12.1064, 28.304], [11.9739, 28.304], [11.1129, 28.325], [11.1143, 33.325], [10.8993, 33.336], [10.9015, 39.336], [10.2906, 39.377], [10.2919, 41.377]
+        ]
+    ],
+    umi: [
+        [
+            [13.0547, 76.329], [13.0732, 69.329], [14.0434, 69.399], [14.0547, 65.400], [15.6886, 65.602], [15.6700, 69.601], [16.5227, 69.738], [16.4814, 74.735],
+            [17.4358, 74.903], [17.3479, 79.895], [17.8437, 79.986], [17.4481, 85.950], [20.5814, 86.466], [20.5554, 86.631], [22.9007, 86.837], [22.6174, 88.664],
+            [0.0632, 88.609], [1.6472, 88.356], [3.8443, 88.006], [9.0555, 87.569], [8.6935, 86.097], [14.2015, 85.931], [14.4522, 79.445], [13.5873, 79.363],
+            [13.6105, 76.364]
+        ]
+    ],
+    vel: [
+        [
+            [11.0892, -57.174], [11.0971, -40.425], [9.4489, -40.292], [9.4514, -37.292], [8.4452, -37.160], [8.4382, -43.410], [8.0692, -43.353], [8.0574, -51.103],
+            [8.2254, -51.129], [8.2213, -53.378], [8.5073, -53.421], [8.5045, -54.920], [8.8920, -54.974], [8.8882, -56.974]
+        ]
+    ],
+    vir: [
+        [
+            [11.6234, -0.692], [11.6244, 10.308], [11.9736, 10.304], [11.9736, 13.304], [12.9375, 13.322], [12.9373, 14.322], [13.6019, 14.361], [13.6043, 7.361],
+            [15.1854, 7.525], [15.1902, -0.474], [14.7735, -0.527], [14.7778, -8.527], [14.3606, -8.573], [14.3675, -22.573], [12.9445, -22.677], [12.9422, -11.677],
+            [11.9398, -11.696], [11.9399, -6.696], [11.6228, -6.692]
+        ]
+    ],
+    vol: [
+        [
+            [6.5958, -64.107], [6.5636, -70.104], [6.5180, -75.100], [7.6143, -75.290], [9.0162, -75.496], [9.0730, -64.499], [6.8469, -64.152]
+        ]
+    ],
+    vul: [
+        [
+            [18.9559, 21.248], [18.9518, 25.664], [19.3441, 25.733], [19.3422, 27.732], [19.7515, 27.801], [19.7501, 29.301], [21.0048, 29.487], [21.0056, 28.487],
+            [21.5080, 28.548], [21.5108, 24.048], [21.3434, 24.029], [21.3459, 20.029], [21.1453, 20.005], [20.6605, 19.940], [20.6598, 20.940], [20.3423, 20.894],
+            [20.3417, 21.644], [19.9240, 21.579], [19.9257, 19.495], [19.3414, 19.398], [19.3398, 21.315]
+        ]
+    ]
+};
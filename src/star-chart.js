@@ -0,0 +1,398 @@
+/**
+ * Stars for Starlikers - Star Chart Renderer
+ * @fileoverview Draws a constellation as SVG from the bundled catalog, with
+ * its boundary and the field stars around it, as the observer sees it at the
+ * chosen place and date, in the same styles the
+ * Astronomy API accepts. Used when the API is unavailable or the local
+ * rendering is chosen.
+ */
+
+// =============================================================================
+// STYLES
+// =============================================================================
+
+const STAR_CHART_STYLES = {
+    default: { background: '#05070f', sky: '#0d1b3d', star: '#ffffff', line: '#6d8fd6', highlight: '#ffd166', label: '#dbe4ff', muted: '#8a97b8', ground: '#13291c', horizon: '#7fc97f', text: '#ffffff' },
+    inverted: { background: '#ffffff', sky: '#ffffff', star: '#000000', line: '#9a9a9a', highlight: '#000000', label: '#222222', muted: '#777777', ground: '#e4e4e4', horizon: '#333333', text: '#000000' },
+    navy: { background: '#07142e', sky: '#0f2a5c', star: '#fff8e7', line: '#5f86c9', highlight: '#f2c14e', label: '#e8eefc', muted: '#9db0d8', ground: '#0b2233', horizon: '#f2c14e', text: '#ffffff' },
+    red: { background: '#000000', sky: '#0a0000', star: '#ff4d4d', line: '#7a1a1a', highlight: '#ff3333', label: '#cc3333', muted: '#6b1a1a', ground: '#1a0000', horizon: '#992222', text: '#ff4d4d' }
+};
+
+const CARDINAL_POINTS = [[0, 'N'], [90, 'L'], [180, 'S'], [270, 'O']];
+
+// =============================================================================
+// CATALOG
+// =============================================================================
+
+let catalogStars = null;
+
+/**
+ * Every catalog star with its position in degrees
+ * @returns {Array<Object>} Stars ({constellation, designation, rightAscension, declination, magnitude, name})
+ */
+function getCatalogStars() {
+    if (!catalogStars) {
+        catalogStars = Object.entries(CONSTELLATIONS).flatMap(([constellation, { stars }]) =>
+            stars.map(([designation, ra, declination, magnitude, name]) => ({
+                constellation,
+                designation,
+                rightAscension: ra * 15,
+                declination,
+                magnitude,
+                name: name || null
+            })));
+    }
+    return catalogStars;
+}
+
+/**
+ * Look up a star referenced by a constellation figure
+ * @param {string} constellation - Constellation code the figure belongs to
+ * @param {string} ref - Designation, or "abr:designation" for a borrowed star
+ * @returns {Object|undefined} Catalog star
+ */
+function findCatalogStar(constellation, ref) {
+    const [code, designation] = ref.includes(':') ? ref.split(':') : [constellation, ref];
+    return getCatalogStars().find(star => star.constellation === code && star.designation === designation);
+}
+
+let fieldStars = null;
+
+/**
+ * Every field star with its position in degrees
+ * @returns {Array<Object>} Stars ({rightAscension, declination, magnitude})
+ */
+function getFieldStars() {
+    if (!fieldStars) {
+        fieldStars = FIELD_STARS.map(([ra, declination, magnitude]) => ({ rightAscension: ra * 15, declination, magnitude }));
+    }
+    return fieldStars;
+}
+
+/**
+ * Closed outline of a boundary polygon, with points added along long edges so
+ * they follow the sky instead of cutting across it
+ * @param {Array<number[]>} polygon - [right ascension (hours), declination] vertices
+ * @returns {Array<{rightAscension: number, declination: number}>} Degrees; the first point repeated at the end
+ */
+function boundaryOutline(polygon) {
+    const outline = [];
+    polygon.forEach(([ra, declination], i) => {
+        const [nextRa, nextDeclination] = polygon[(i + 1) % polygon.length];
+        // Shortest way around in right ascension, across 0h if needed
+        const span = ((nextRa - ra) * 15 + 540) % 360 - 180;
+        const steps = Math.max(1, Math.ceil(Math.max(Math.abs(span), Math.abs(nextDeclination - declination)) / 2));
+        for (let step = 0; step < steps; step++) {
+            outline.push({
+                rightAscension: normalizeDegrees(ra * 15 + span * step / steps),
+                declination: declination + (nextDeclination - declination) * step / steps
+            });
+        }
+    });
+    outline.push(outline[0]);
+    return outline;
+}
+
+/**
+ * Unit vector of an equatorial position
+ * @param {number} rightAscension - Degrees
+ * @param {number} declination - Degrees
+ * @returns {number[]} [x, y, z]
+ */
+function equatorialVector(rightAscension, declination) {
+    const alpha = rightAscension * DEG;
+    const delta = declination * DEG;
+    return [Math.cos(delta) * Math.cos(alpha), Math.cos(delta) * Math.sin(alpha), Math.sin(delta)];
+}
+
+/**
+ * Centre of a constellation figure: the normalized mean direction of its stars
+ * @param {string} constellation - Constellation code
+ * @returns {{rightAscension: number, declination: number}} Degrees
+ */
+function constellationCenter(constellation) {
+    const sum = [0, 0, 0];
+    CONSTELLATIONS[constellation].stars.forEach(([, ra, declination]) => {
+        equatorialVector(ra * 15, declination).forEach((value, i) => { sum[i] += value; });
+    });
+
+    const length = Math.hypot(...sum);
+    return {
+        rightAscension: normalizeDegrees(Math.atan2(sum[1], sum[0]) / DEG),
+        declination: Math.asin(sum[2] / length) / DEG
+    };
+}
+
+// =============================================================================
+// SKY POSITIONS
+// =============================================================================
+
+/**
+ * Altitude and azimuth of a fixed star (no refraction)
+ * @param {number} jd - Julian Day (UT)
+ * @param {number} latitude - Observer latitude in degrees
+ * @param {number} longitude - Observer longitude in degrees (east positive)
+ * @param {{rightAscension: number, declination: number}} position - Degrees
+ * @returns {{altitude: number, azimuth: number}} Degrees; azimuth from north through east
+ */
+function equatorialToHorizontal(jd, latitude, longitude, { rightAscension, declination }) {
+    const H = (siderealTime(jd) + longitude - rightAscension) * DEG;
+    const phi = latitude * DEG;
+    const delta = declination * DEG;
+
+    const altitude = Math.asin(Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.cos(H));
+    const azimuth = Math.atan2(Math.cos(delta) * Math.sin(H), Math.cos(delta) * Math.cos(H) * Math.sin(phi) - Math.sin(delta) * Math.cos(phi));
+
+    return { altitude: altitude / DEG, azimuth: normalizeDegrees(azimuth / DEG + 180) };
+}
+
+/**
+ * Unit vector of a horizontal position in a (north, east, up) frame
+ * @param {{altitude: number, azimuth: number}} position - Degrees
+ * @returns {number[]} [north, east, up]
+ */
+function horizontalVector({ altitude, azimuth }) {
+    const a = altitude * DEG;
+    const A = azimuth * DEG;
+    return [Math.cos(a) * Math.cos(A), Math.cos(a) * Math.sin(A), Math.sin(a)];
+}
+
+/**
+ * Instant a chart shows: 21:00 local mean solar time on the chosen date
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} longitude - Observer longitude in degrees (east positive)
+ * @returns {Date} Instant
+ */
+function starChartInstant(date, longitude) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day, 21) - longitude / 15 * 3600000);
+}
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+/**
+ * Stereographic projection onto the chart plane, centred on a direction with
+ * the zenith up
+ * @param {number[]} center - Horizontal unit vector at the middle of the chart
+ * @returns {Function} Maps a horizontal unit vector to {x, y, cos} in radians of
+ * the tangent plane (y up); cos is the cosine of the distance from the centre
+ */
+function createSkyProjection(center) {
+    const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    const normalize = v => {
+        const length = Math.hypot(...v);
+        return v.map(value => value / length);
+    };
+
+    // Near the zenith there is no "up"; point north instead
+    let up = [-center[2] * center[0], -center[2] * center[1], 1 - center[2] * center[2]];
+    if (Math.hypot(...up) < 1e-6) {
+        up = [1, 0, 0];
+    }
+    up = normalize(up);
+
+    // Facing the centre with the zenith up, azimuth grows to the right
+    const right = [
+        up[1] * center[2] - up[2] * center[1],
+        up[2] * center[0] - up[0] * center[2],
+        up[0] * center[1] - up[1] * center[0]
+    ];
+
+    return vector => {
+        const cos = dot(vector, center);
+        const k = 2 / (1 + Math.max(cos, -0.999999));
+        return { x: k * dot(vector, right), y: k * dot(vector, up), cos };
+    };
+}
+
+/**
+ * Point size for a star magnitude
+ * @param {number} magnitude - Visual magnitude
+ * @returns {number} Radius in pixels
+ */
+function starRadius(magnitude) {
+    return round2(Math.min(7, Math.max(0.9, 1.3 + (4.8 - magnitude) * 0.9)));
+}
+
+/**
+ * Render a constellation chart
+ * @param {Object} options - Chart options
+ * @param {string} options.constellation - Constellation code
+ * @param {string} options.style - default, inverted, navy or red
+ * @param {number} options.latitude - Observer latitude in degrees
+ * @param {number} options.longitude - Observer longitude in degrees (east positive)
+ * @param {string} options.date - YYYY-MM-DD
+ * @param {string} [options.time] - HH:MM in options.timeZone (default: 21:00 local mean solar time)
+ * @param {string} [options.timeZone] - IANA time zone of options.time
+ * @returns {{svg: string, width: number, height: number, instant: Date, center: {altitude: number, azimuth: number}}}
+ * SVG document, its size, the instant shown and where the constellation's centre is in the sky
+ */
+function renderStarChartSvg({ constellation, style, latitude, longitude, date, time, timeZone }) {
+    const width = 800;
+    const height = 880;
+    const cx = 400;
+    const cy = 460;
+    const radius = 370;
+    const colors = STAR_CHART_STYLES[style] || STAR_CHART_STYLES.default;
+
+    const instant = time && timeZone ? zonedTimeToUtc(date, time, timeZone) : starChartInstant(date, longitude);
+    const jd = toJulianDay(instant);
+    const horizontal = position => equatorialToHorizontal(jd, latitude, longitude, position);
+
+    const centerPosition = horizontal(constellationCenter(constellation));
+    const project = createSkyProjection(horizontalVector(centerPosition));
+
+    // Frame the whole figure with some of the surrounding sky
+    const figure = getCatalogStars().filter(star => star.constellation === constellation);
+    const spread = Math.max(...figure.map(star => Math.acos(Math.min(1, project(horizontalVector(horizontal(star))).cos)) / DEG));
+    const field = Math.min(80, Math.max(25, spread + 10));
+    const scale = radius / (2 * Math.tan(field / 2 * DEG));
+
+    const toScreen = ({ x, y }) => ({ x: round2(cx + x * scale), y: round2(cy - y * scale) });
+    const place = position => {
+        const projected = project(horizontalVector(position));
+        return { ...toScreen(projected), cos: projected.cos };
+    };
+    const inView = point => point.cos > Math.cos(Math.min(170, field * 1.3) * DEG);
+
+    // Ground: the projected horizon is a circle; below it is outside when the centre is up
+    const horizonPoints = [];
+    for (let azimuth = 0; azimuth < 360; azimuth += 2) {
+        const point = place({ altitude: 0, azimuth });
+        if (point.cos > -0.9995) {
+            horizonPoints.push(`${point.x} ${point.y}`);
+        }
+    }
+    const horizonPath = `M${horizonPoints.join('L')}Z`;
+    const chartCircle = `M${cx - radius} ${cy}a${radius} ${radius} 0 1 0 ${radius * 2} 0a${radius} ${radius} 0 1 0 ${-radius * 2} 0Z`;
+    const ground = centerPosition.altitude >= 0
+        ? `<path d="${chartCircle}${horizonPath}" fill="${colors.ground}" fill-rule="evenodd"/>`
+        : `<path d="${horizonPath}" fill="${colors.ground}"/>`;
+
+    const cardinals = CARDINAL_POINTS.map(([azimuth, letter]) => {
+        const point = place({ altitude: -3, azimuth });
+        return point.cos > Math.cos(field * DEG)
+            ? `<text x="${point.x}" y="${point.y}" fill="${colors.horizon}" font-size="18" font-weight="600" text-anchor="middle" dominant-baseline="middle">${letter}</text>`
+            : '';
+    }).join('');
+
+    const zenith = place({ altitude: 90, azimuth: 0 });
+    const zenithMark = zenith.cos > Math.cos(field * DEG)
+        ? `<path d="M${zenith.x - 6} ${zenith.y}h12M${zenith.x} ${zenith.y - 6}v12" stroke="${colors.muted}" stroke-width="1.5"/>`
+        : '';
+
+    // Boundaries: the chosen constellation's drawn over its neighbours'
+    const boundaryLines = Object.entries(CONSTELLATION_BOUNDARIES)
+        .sort(([a], [b]) => (a === constellation) - (b === constellation))
+        .map(([code, polygons]) => {
+            const selected = code === constellation;
+            const path = polygons.map(polygon => {
+                let previous = null;
+                return boundaryOutline(polygon).map(position => {
+                    const point = place(horizontal(position));
+                    const visible = inView(point);
+                    const command = visible ? `${previous ? 'L' : 'M'}${point.x} ${point.y}` : '';
+                    previous = visible;
+                    return command;
+                }).join('');
+            }).join('');
+
+            return path
+                ? `<path d="${path}" stroke="${selected ? colors.highlight : colors.muted}" stroke-width="${selected ? 1.5 : 1}" stroke-opacity="${selected ? 0.7 : 0.35}" stroke-dasharray="${selected ? '6 4' : '3 4'}"/>`
+                : '';
+        });
+
+    // Figures: the chosen one highlighted, neighbours faint
+    const positions = new Map();
+    const starPoint = star => {
+        if (!positions.has(star)) {
+            const position = horizontal(star);
+            positions.set(star, { ...place(position), altitude: position.altitude });
+        }
+        return positions.get(star);
+    };
+
+    const figureLines = [];
+    const neighbourLabels = [];
+    Object.entries(CONSTELLATIONS).forEach(([code, { name, lines }]) => {
+        const selected = code === constellation;
+        const segments = [];
+        lines.forEach(line => {
+            for (let i = 1; i < line.length; i++) {
+                const from = starPoint(findCatalogStar(code, line[i - 1]));
+                const to = starPoint(findCatalogStar(code, line[i]));
+                if (inView(from) && inView(to)) {
+                    segments.push(`M${from.x} ${from.y}L${to.x} ${to.y}`);
+                }
+            }
+        });
+        if (segments.length) {
+            figureLines.push(`<path d="${segments.join('')}" stroke="${selected ? colors.highlight : colors.line}" stroke-width="${selected ? 2 : 1}" stroke-opacity="${selected ? 0.9 : 0.5}"/>`);
+        }
+
+        if (!selected) {
+            const label = place(horizontal(constellationCenter(code)));
+            if (label.cos > Math.cos(field * 0.9 * DEG)) {
+                neighbourLabels.push(`<text x="${label.x}" y="${label.y}" fill="${colors.muted}" font-size="13" letter-spacing="1" text-anchor="middle">${escapeSvgText(name.toUpperCase())}</text>`);
+            }
+        }
+    });
+
+    const stars = [];
+    getFieldStars().forEach(star => {
+        const position = horizontal(star);
+        const point = place(position);
+        if (!inView(point)) return;
+
+        stars.push(`<circle cx="${point.x}" cy="${point.y}" r="${starRadius(star.magnitude)}"${position.altitude < 0 ? ' fill-opacity="0.4"' : ''}/>`);
+    });
+
+    const starLabels = [];
+    getCatalogStars().forEach(star => {
+        const point = starPoint(star);
+        if (!inView(point)) return;
+
+        const r = starRadius(star.magnitude);
+        const below = point.altitude < 0;
+        stars.push(`<circle cx="${point.x}" cy="${point.y}" r="${r}"${below ? ' fill-opacity="0.4"' : ''}/>`);
+
+        if (star.constellation === constellation) {
+            const text = star.name && star.magnitude < 3.5 ? star.name : star.designation;
+            starLabels.push(`<text x="${round2(point.x + r + 4)}" y="${round2(point.y + 4)}">${escapeSvgText(text)}</text>`);
+        }
+    });
+
+    const name = CONSTELLATIONS[constellation].name;
+    const [year, month, day] = date.split('-');
+    const direction = CARDINAL_POINTS[Math.round(centerPosition.azimuth / 90) % 4][1];
+    const clock = time && timeZone ? `${time} (${formatTimeZoneLabel(timeZone, instant)})` : '21h (hora solar local)';
+    const subtitle = `${day}/${month}/${year} · ${clock} · ${latitude}°, ${longitude}°`;
+    const footer = centerPosition.altitude >= 0
+        ? `Centro da constelação a ${Math.round(centerPosition.altitude)}° de altura, direção ${direction} (azimute ${Math.round(centerPosition.azimuth)}°)`
+        : `Abaixo do horizonte neste horário (altura ${Math.round(centerPosition.altitude)}°)`;
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif">
+    <defs><clipPath id="chartClip"><circle cx="${cx}" cy="${cy}" r="${radius}"/></clipPath></defs>
+    <rect width="100%" height="100%" fill="${colors.background}"/>
+    <text x="${width / 2}" y="46" fill="${colors.text}" font-size="30" font-weight="600" text-anchor="middle">${escapeSvgText(name)}</text>
+    <text x="${width / 2}" y="74" fill="${colors.muted}" font-size="15" text-anchor="middle">${escapeSvgText(subtitle)}</text>
+    <g clip-path="url(#chartClip)">
+        <circle cx="${cx}" cy="${cy}" r="${radius}" fill="${colors.sky}"/>
+        ${ground}
+        <path d="${horizonPath}" fill="none" stroke="${colors.horizon}" stroke-width="1.5"/>
+        ${zenithMark}
+        <g fill="none">${boundaryLines.join('')}</g>
+        <g fill="none" stroke-linecap="round" stroke-linejoin="round">${figureLines.join('')}</g>
+        <g>${neighbourLabels.join('')}</g>
+        <g fill="${colors.star}">${stars.join('')}</g>
+        <g fill="${colors.label}" font-size="12">${starLabels.join('')}</g>
+        ${cardinals}
+    </g>
+    <circle cx="${cx}" cy="${cy}" r="${radius}" fill="none" stroke="${colors.muted}" stroke-opacity="0.6"/>
+    <text x="${width / 2}" y="${height - 14}" fill="${colors.muted}" font-size="14" text-anchor="middle">${escapeSvgText(footer)}</text>
+</svg>`;
+
+    return { svg, width, height, instant, center: centerPosition };
+}
@@ -0,0 +1,836 @@
+/**
+ * Stars for Starlikers - Moon Time-lapse
+ * @fileoverview Steps the moon visualization across a date range, plays the
+ * frames in the result image and exports them as an animated GIF, an APNG or a
+ * zip of PNG frames. The encoders are self-contained so the page needs no
+ * third-party libraries.
+ */
+
+// =============================================================================
+// BINARY HELPERS
+// =============================================================================
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 checksum used by PNG and zip
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned checksum
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Growable byte buffer with little- and big-endian writers
+ */
+class ByteWriter {
+    constructor(capacity = 1024) {
+        this.bytes = new Uint8Array(capacity);
+        this.length = 0;
+    }
+
+    /**
+     * Make room for more bytes
+     * @param {number} count - Bytes about to be written
+     */
+    reserve(count) {
+        if (this.length + count <= this.bytes.length) return;
+
+        const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + count));
+        grown.set(this.bytes.subarray(0, this.length));
+        this.bytes = grown;
+    }
+
+    /**
+     * Append one byte
+     * @param {number} value - Byte
+     */
+    byte(value) {
+        this.reserve(1);
+        this.bytes[this.length++] = value & 0xFF;
+    }
+
+    /**
+     * Append raw bytes or an ASCII string
+     * @param {Uint8Array|Array<number>|string} data - Data
+     */
+    write(data) {
+        const bytes = typeof data === 'string' ? Uint8Array.from(data, char => char.charCodeAt(0)) : data;
+        this.reserve(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    /**
+     * Append a 16-bit little-endian integer
+     * @param {number} value - Integer
+     */
+    u16le(value) {
+        this.byte(value);
+        this.byte(value >>> 8);
+    }
+
+    /**
+     * Append a 32-bit little-endian integer
+     * @param {number} value - Integer
+     */
+    u32le(value) {
+        this.u16le(value);
+        this.u16le(value >>> 16);
+    }
+
+    /**
+     * Append a 32-bit big-endian integer
+     * @param {number} value - Integer
+     */
+    u32be(value) {
+        this.byte(value >>> 24);
+        this.byte(value >>> 16);
+        this.byte(value >>> 8);
+        this.byte(value);
+    }
+
+    /**
+     * The bytes written so far
+     * @returns {Uint8Array} Data
+     */
+    toBytes() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+// =============================================================================
+// ENCODERS
+// =============================================================================
+
+/**
+ * Build a zip archive without compression (PNG frames are compressed already)
+ * @param {Array<{name: string, data: Uint8Array}>} files - Archive entries
+ * @returns {Blob} application/zip
+ */
+function createZip(files) {
+    const out = new ByteWriter(files.reduce((total, { data }) => total + data.length + 128, 256));
+    const central = new ByteWriter();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    files.forEach(({ name, data }) => {
+        const offset = out.length;
+        const crc = crc32(data);
+
+        out.u32le(0x04034B50);
+        out.u16le(20);
+        out.u16le(0);
+        out.u16le(0);
+        out.u16le(dosTime);
+        out.u16le(dosDate);
+        out.u32le(crc);
+        out.u32le(data.length);
+        out.u32le(data.length);
+        out.u16le(name.length);
+        out.u16le(0);
+        out.write(name);
+        out.write(data);
+
+        central.u32le(0x02014B50);
+        central.u16le(20);
+        central.u16le(20);
+        central.u16le(0);
+        central.u16le(0);
+        central.u16le(dosTime);
+        central.u16le(dosDate);
+        central.u32le(crc);
+        central.u32le(data.length);
+        central.u32le(data.length);
+        central.u16le(name.length);
+        central.u16le(0);
+        central.u16le(0);
+        central.u16le(0);
+        central.u16le(0);
+        central.u32le(0);
+        central.u32le(offset);
+        central.write(name);
+    });
+
+    const centralOffset = out.length;
+    out.write(central.toBytes());
+
+    out.u32le(0x06054B50);
+    out.u16le(0);
+    out.u16le(0);
+    out.u16le(files.length);
+    out.u16le(files.length);
+    out.u32le(central.length);
+    out.u32le(centralOffset);
+    out.u16le(0);
+
+    return new Blob([out.toBytes()], { type: 'application/zip' });
+}
+
+/**
+ * Shared palette for every GIF frame: the most common colours at 5 bits per
+ * channel, plus a transparent entry when any pixel is see-through
+ * @param {Array<Uint8ClampedArray>} frames - RGBA pixels
+ * @returns {{palette: Uint8Array, transparent: number, lookup: Function}} 256 RGB
+ * entries, the transparent index (-1 if none) and a pixel-to-index function
+ */
+function buildGifPalette(frames) {
+    const counts = new Uint32Array(32768);
+    const sums = new Float64Array(32768 * 3);
+    let hasTransparency = false;
+
+    frames.forEach(pixels => {
+        for (let i = 0; i < pixels.length; i += 4) {
+            if (pixels[i + 3] < 128) {
+                hasTransparency = true;
+                continue;
+            }
+            const bin = ((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3);
+            counts[bin]++;
+            sums[bin * 3] += pixels[i];
+            sums[bin * 3 + 1] += pixels[i + 1];
+            sums[bin * 3 + 2] += pixels[i + 2];
+        }
+    });
+
+    const size = hasTransparency ? 255 : 256;
+    const bins = [];
+    counts.forEach((count, bin) => {
+        if (count) bins.push(bin);
+    });
+    bins.sort((a, b) => counts[b] - counts[a]);
+    const chosen = bins.slice(0, size);
+
+    const palette = new Uint8Array(768);
+    chosen.forEach((bin, index) => {
+        for (let channel = 0; channel < 3; channel++) {
+            palette[index * 3 + channel] = Math.round(sums[bin * 3 + channel] / counts[bin]);
+        }
+    });
+
+    // Each 5-bit bin maps to its nearest palette entry, found once
+    const nearest = new Int16Array(32768).fill(-1);
+    const transparent = hasTransparency ? 255 : -1;
+
+    const lookup = (r, g, b, a) => {
+        if (a < 128) return transparent;
+
+        const bin = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+        if (nearest[bin] < 0) {
+            let best = 0;
+            let bestDistance = Infinity;
+            for (let index = 0; index < chosen.length; index++) {
+                const dr = palette[index * 3] - r;
+                const dg = palette[index * 3 + 1] - g;
+                const db = palette[index * 3 + 2] - b;
+                const distance = dr * dr + dg * dg + db * db;
+                if (distance < bestDistance) {
+                    best = index;
+                    bestDistance = distance;
+                }
+            }
+            nearest[bin] = best;
+        }
+        return nearest[bin];
+    };
+
+    return { palette, transparent, lookup };
+}
+
+/**
+ * LZW-compress GIF colour indices into data sub-blocks
+ * @param {Uint8Array} indices - One palette index per pixel
+ * @param {ByteWriter} out - Destination
+ */
+function writeGifImageData(indices, out) {
+    const minCodeSize = 8;
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const table = new Int32Array(4096 * 256);
+
+    const data = new ByteWriter(indices.length / 2);
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let buffer = 0;
+    let bits = 0;
+
+    const emit = code => {
+        buffer |= code << bits;
+        bits += codeSize;
+        while (bits >= 8) {
+            data.byte(buffer);
+            buffer >>>= 8;
+            bits -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+
+    for (let i = 1; i < indices.length; i++) {
+        const key = prefix * 256 + indices[i];
+        if (table[key]) {
+            prefix = table[key];
+            continue;
+        }
+
+        emit(prefix);
+
+        if (nextCode === 4096) {
+            emit(clearCode);
+            table.fill(0);
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            // The decoder widens its codes one entry later than the table grows
+            if (nextCode >= 1 << codeSize) codeSize++;
+            table[key] = nextCode++;
+        }
+
+        prefix = indices[i];
+    }
+
+    emit(prefix);
+    emit(endCode);
+    if (bits > 0) data.byte(buffer);
+
+    const bytes = data.toBytes();
+    out.byte(minCodeSize);
+    for (let offset = 0; offset < bytes.length; offset += 255) {
+        const block = bytes.subarray(offset, offset + 255);
+        out.byte(block.length);
+        out.write(block);
+    }
+    out.byte(0);
+}
+
+/**
+ * Encode frames as a looping animated GIF
+ * @param {Array<Uint8ClampedArray>} frames - RGBA pixels, all width x height
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @param {number} delay - Milliseconds per frame
+ * @returns {Blob} image/gif
+ */
+function encodeGif(frames, width, height, delay) {
+    const { palette, transparent, lookup } = buildGifPalette(frames);
+    const out = new ByteWriter(width * height * frames.length / 2);
+
+    out.write('GIF89a');
+    out.u16le(width);
+    out.u16le(height);
+    out.byte(0xF7);
+    out.byte(0);
+    out.byte(0);
+    out.write(palette);
+
+    // Loop forever
+    out.write([0x21, 0xFF, 0x0B]);
+    out.write('NETSCAPE2.0');
+    out.write([0x03, 0x01, 0x00, 0x00, 0x00]);
+
+    frames.forEach(pixels => {
+        out.write([0x21, 0xF9, 0x04]);
+        out.byte(transparent >= 0 ? 0x09 : 0x04);
+        out.u16le(Math.round(delay / 10));
+        out.byte(Math.max(transparent, 0));
+        out.byte(0);
+
+        out.byte(0x2C);
+        out.u16le(0);
+        out.u16le(0);
+        out.u16le(width);
+        out.u16le(height);
+        out.byte(0);
+
+        const indices = new Uint8Array(width * height);
+        for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+            indices[i] = lookup(pixels[p], pixels[p + 1], pixels[p + 2], pixels[p + 3]);
+        }
+        writeGifImageData(indices, out);
+    });
+
+    out.byte(0x3B);
+    return new Blob([out.toBytes()], { type: 'image/gif' });
+}
+
+/**
+ * Split a PNG file into its chunks
+ * @param {Uint8Array} bytes - PNG file
+ * @returns {Array<{type: string, data: Uint8Array}>} Chunks in file order
+ */
+function readPngChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+
+    for (let offset = 8; offset < bytes.length;) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+        offset += length + 12;
+    }
+
+    return chunks;
+}
+
+/**
+ * Combine PNG frames of the same size into a looping APNG
+ * @param {Array<Uint8Array>} pngs - PNG files
+ * @param {number} delay - Milliseconds per frame
+ * @returns {Blob} image/png (animated)
+ */
+function encodeApng(pngs, delay) {
+    const out = new ByteWriter(pngs.reduce((total, png) => total + png.length + 64, 256));
+
+    const chunk = (type, data) => {
+        const body = new ByteWriter(data.length + 4);
+        body.write(type);
+        body.write(data);
+        const bytes = body.toBytes();
+        out.u32be(data.length);
+        out.write(bytes);
+        out.u32be(crc32(bytes));
+    };
+
+    const frames = pngs.map(readPngChunks);
+    const header = frames[0].find(({ type }) => type === 'IHDR').data;
+    let sequence = 0;
+
+    out.write([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+    chunk('IHDR', header);
+
+    const control = new ByteWriter(8);
+    control.u32be(frames.length);
+    control.u32be(0);
+    chunk('acTL', control.toBytes());
+
+    // Ancillary and palette chunks of the first frame apply to the whole animation
+    frames[0]
+        .filter(({ type }) => !['IHDR', 'IDAT', 'IEND'].includes(type))
+        .forEach(({ type, data }) => chunk(type, data));
+
+    frames.forEach((chunks, index) => {
+        const frameControl = new ByteWriter(26);
+        frameControl.u32be(sequence++);
+        frameControl.write(header.subarray(0, 8));
+        frameControl.u32be(0);
+        frameControl.u32be(0);
+        frameControl.byte(delay >>> 8);
+        frameControl.byte(delay);
+        frameControl.byte(1000 >>> 8);
+        frameControl.byte(1000 & 0xFF);
+        frameControl.byte(0);
+        frameControl.byte(0);
+        chunk('fcTL', frameControl.toBytes());
+
+        chunks.filter(({ type }) => type === 'IDAT').forEach(({ data }) => {
+            if (index === 0) {
+                chunk('IDAT', data);
+                return;
+            }
+            const frameData = new ByteWriter(data.length + 4);
+            frameData.u32be(sequence++);
+            frameData.write(data);
+            chunk('fdAT', frameData.toBytes());
+        });
+    });
+
+    chunk('IEND', new Uint8Array(0));
+    return new Blob([out.toBytes()], { type: 'image/png' });
+}
+
+// =============================================================================
+// TIME-LAPSE PLAYER
+// =============================================================================
+
+const TIME_LAPSE_MAX_FRAMES = 120;
+
+/**
+ * Builds, plays and exports a sequence of moon frames in the result image
+ */
+class TimeLapse {
+    /**
+     * @param {Object} options - Player options
+     * @param {HTMLImageElement} options.image - Image the frames are shown in
+     * @param {Function} options.getRequest - Returns the form data of the current result
+     * @param {Function} options.renderFrame - (formData, source, signal) => Promise<{blob: Blob|null, url: string|null}>
+     * @param {Function} options.onClose - Called when the player closes, to restore the result image
+     * @param {Function} options.notify - (message, type) toast callback
+     */
+    constructor({ image, getRequest, renderFrame, onClose, notify }) {
+        this.image = image;
+        this.getRequest = getRequest;
+        this.renderFrame = renderFrame;
+        this.onClose = onClose;
+        this.notify = notify;
+
+        this.startInput = document.getElementById('timeLapseStart');
+        this.rangeSelect = document.getElementById('timeLapseRange');
+        this.endInput = document.getElementById('timeLapseEnd');
+        this.stepInput = document.getElementById('timeLapseStep');
+        this.sourceSelect = document.getElementById('timeLapseSource');
+        this.buildBtn = document.getElementById('timeLapseBuild');
+        this.player = document.getElementById('timeLapsePlayer');
+        this.playBtn = document.getElementById('timeLapsePlay');
+        this.scrub = document.getElementById('timeLapseScrub');
+        this.label = document.getElementById('timeLapseLabel');
+        this.fpsSelect = document.getElementById('timeLapseFps');
+        this.status = document.getElementById('timeLapseStatus');
+
+        this.frames = [];
+        this.index = 0;
+        this.timer = null;
+        this.controller = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Wire the build, playback and export controls
+     */
+    setupEventListeners() {
+        this.rangeSelect?.addEventListener('change', () => this.updateRangeInputs());
+        this.buildBtn?.addEventListener('click', () => (this.controller ? this.cancel() : this.build()));
+        this.playBtn?.addEventListener('click', () => (this.timer ? this.pause() : this.play()));
+
+        this.scrub?.addEventListener('input', () => {
+            this.pause();
+            this.showFrame(parseInt(this.scrub.value, 10));
+        });
+
+        this.fpsSelect?.addEventListener('change', () => {
+            if (this.timer) {
+                this.pause();
+                this.play();
+            }
+        });
+
+        document.getElementById('timeLapseClose')?.addEventListener('click', () => this.close());
+        document.querySelectorAll('[data-time-lapse-export]').forEach(button => {
+            button.addEventListener('click', () => this.export(button.dataset.timeLapseExport));
+        });
+
+        this.updateRangeInputs();
+    }
+
+    /**
+     * Enable the end date only for custom ranges
+     */
+    updateRangeInputs() {
+        if (this.endInput) {
+            this.endInput.disabled = this.rangeSelect?.value !== 'custom';
+        }
+    }
+
+    /**
+     * Drop the frames of a previous result and start from a new date
+     * @param {string} date - YYYY-MM-DD of the new result
+     */
+    reset(date) {
+        this.cancel();
+        this.discardFrames();
+        if (this.player) this.player.hidden = true;
+        this.setStatus('');
+
+        if (this.startInput) this.startInput.value = date;
+        if (this.endInput) this.endInput.value = addCalendarDays(date, 29);
+    }
+
+    /**
+     * Dates of the frames from the range controls
+     * @returns {{dates: Array<string>, error: string|null}} Frame dates or why there are none
+     */
+    getDates() {
+        const start = this.startInput?.value || this.getRequest()?.date;
+        const step = parseInt(this.stepInput?.value, 10);
+
+        if (!isValidDate(start)) {
+            return { dates: [], error: 'Informe uma data inicial válida.' };
+        }
+        if (!Number.isInteger(step) || step < 1) {
+            return { dates: [], error: 'O passo deve ser um número inteiro de dias, a partir de 1.' };
+        }
+
+        // A synodic month covers every phase once
+        let end = addCalendarDays(start, Math.floor(SYNODIC_MONTH));
+        if (this.rangeSelect?.value === 'custom') {
+            end = this.endInput?.value;
+            if (!isValidDate(end) || end <= start) {
+                return { dates: [], error: 'A data final deve ser posterior à data inicial.' };
+            }
+        }
+
+        const dates = [];
+        for (let date = start; date <= end; date = addCalendarDays(date, step)) {
+            dates.push(date);
+            if (dates.length > TIME_LAPSE_MAX_FRAMES) {
+                return { dates: [], error: `Limite de ${TIME_LAPSE_MAX_FRAMES} quadros; aumente o passo ou reduza o intervalo.` };
+            }
+        }
+
+        return { dates, error: null };
+    }
+
+    /**
+     * Render every frame and start playing
+     */
+    async build() {
+        const request = this.getRequest();
+        if (!request) return;
+
+        const { dates, error } = this.getDates();
+        if (error) {
+            this.notify(error, 'error');
+            return;
+        }
+
+        const source = this.sourceSelect?.value || 'local';
+        const controller = new AbortController();
+        this.controller = controller;
+        this.pause();
+        this.setBuilding(true);
+
+        const frames = [];
+        const release = () => frames.forEach(frame => frame.blob && URL.revokeObjectURL(frame.src));
+        try {
+            for (let i = 0; i < dates.length; i++) {
+                this.setStatus(`Gerando quadro ${i + 1} de ${dates.length}...`);
+                const { blob, url } = await this.renderFrame({ ...request, date: dates[i] }, source, controller.signal);
+                if (controller.signal.aborted) {
+                    release();
+                    return;
+                }
+                frames.push({ date: dates[i], blob, url, src: blob ? URL.createObjectURL(blob) : url });
+            }
+        } catch (error) {
+            release();
+            if (controller.signal.aborted) return;
+
+            logger.error('Time-lapse frame failed', error);
+            this.setStatus('');
+            this.notify(error instanceof APIError ? error.getUserMessage() : 'Não foi possível gerar o time-lapse.', 'error');
+            return;
+        } finally {
+            if (this.controller === controller) {
+                this.controller = null;
+                this.setBuilding(false);
+            }
+        }
+
+        this.discardFrames();
+        this.frames = frames;
+
+        if (this.scrub) {
+            this.scrub.max = String(frames.length - 1);
+        }
+        if (this.player) this.player.hidden = false;
+
+        this.setStatus(`${frames.length} quadros de ${formatCalendarDate(dates[0])} a ${formatCalendarDate(dates[dates.length - 1])}.`);
+        this.showFrame(0);
+        this.play();
+    }
+
+    /**
+     * Stop building frames
+     */
+    cancel() {
+        if (!this.controller) return;
+
+        this.controller.abort();
+        this.controller = null;
+        this.setBuilding(false);
+        this.setStatus('Time-lapse cancelado.');
+    }
+
+    /**
+     * Show one frame in the result image
+     * @param {number} index - Frame index
+     */
+    showFrame(index) {
+        const frame = this.frames[index];
+        if (!frame) return;
+
+        this.index = index;
+        if (this.image) {
+            this.image.src = frame.src;
+            this.image.alt = `Time-lapse das fases da lua: ${formatCalendarDate(frame.date)}`;
+        }
+        if (this.scrub) this.scrub.value = String(index);
+        if (this.label) this.label.textContent = `${index + 1}/${this.frames.length} · ${formatCalendarDate(frame.date)}`;
+    }
+
+    /**
+     * Milliseconds each frame stays on screen
+     * @returns {number} Frame delay
+     */
+    getDelay() {
+        return Math.round(1000 / (parseInt(this.fpsSelect?.value, 10) || 4));
+    }
+
+    /**
+     * Start playback, looping over the frames
+     */
+    play() {
+        if (this.timer || this.frames.length < 2) return;
+
+        this.timer = setInterval(() => this.showFrame((this.index + 1) % this.frames.length), this.getDelay());
+        this.setPlaying(true);
+    }
+
+    /**
+     * Stop on the current frame
+     */
+    pause() {
+        if (!this.timer) return;
+
+        clearInterval(this.timer);
+        this.timer = null;
+        this.setPlaying(false);
+    }
+
+    /**
+     * Close the player and give the result image back
+     */
+    close() {
+        this.cancel();
+        this.discardFrames();
+        if (this.player) this.player.hidden = true;
+        this.setStatus('');
+        this.onClose();
+    }
+
+    /**
+     * Stop playback and release the frames
+     */
+    discardFrames() {
+        this.pause();
+        this.frames.forEach(frame => frame.blob && URL.revokeObjectURL(frame.src));
+        this.frames = [];
+        this.index = 0;
+    }
+
+    /**
+     * Draw a frame on a canvas
+     * @param {Object} frame - Frame
+     * @param {number} width - Canvas width (0 keeps the frame's own)
+     * @param {number} height - Canvas height (0 keeps the frame's own)
+     * @returns {Promise<HTMLCanvasElement>} Canvas with the frame
+     */
+    drawFrame(frame, width = 0, height = 0) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            if (!frame.blob) {
+                image.crossOrigin = 'anonymous';
+            }
+
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = width || image.naturalWidth;
+                canvas.height = height || image.naturalHeight;
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                resolve(canvas);
+            };
+            image.onerror = () => reject(new Error(`Could not load frame ${frame.date}`));
+            image.src = frame.src;
+        });
+    }
+
+    /**
+     * Export the frames
+     * @param {string} format - 'gif', 'apng' or 'zip'
+     */
+    async export(format) {
+        if (this.frames.length === 0) return;
+
+        const first = this.frames[0].date;
+        const delay = this.getDelay();
+        this.setStatus('Preparando exportação...');
+
+        try {
+            const canvases = [];
+            for (const frame of this.frames) {
+                const [reference] = canvases;
+                canvases.push(await this.drawFrame(frame, reference?.width, reference?.height));
+            }
+            const { width, height } = canvases[0];
+            const toPng = async canvas => new Uint8Array(await (await new Promise(resolve => canvas.toBlob(resolve, 'image/png'))).arrayBuffer());
+
+            let blob;
+            let extension;
+            if (format === 'gif') {
+                const pixels = canvases.map(canvas => canvas.getContext('2d').getImageData(0, 0, width, height).data);
+                blob = encodeGif(pixels, width, height, delay);
+                extension = 'gif';
+            } else if (format === 'apng') {
+                blob = encodeApng(await Promise.all(canvases.map(toPng)), delay);
+                extension = 'png';
+            } else {
+                const files = await Promise.all(canvases.map(async (canvas, i) => ({
+                    name: `moon-phases-${this.frames[i].date}.png`,
+                    data: await toPng(canvas)
+                })));
+                blob = createZip(files);
+                extension = 'zip';
+            }
+
+            const url = URL.createObjectURL(blob);
+            downloadFile(url, `moon-phases-${first}-${Date.now()}.${extension}`);
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            this.setStatus('');
+            this.notify('Download iniciado!', 'success');
+        } catch (error) {
+            logger.error('Time-lapse export failed', error);
+            this.setStatus('');
+            this.notify('Não foi possível exportar o time-lapse.', 'error');
+        }
+    }
+
+    /**
+     * Reflect building state on the build button
+     * @param {boolean} building - Whether frames are being rendered
+     */
+    setBuilding(building) {
+        const label = this.buildBtn?.querySelector('.btn-label');
+        if (label) {
+            label.textContent = building ? 'Cancelar' : 'Gerar Time-lapse';
+        }
+    }
+
+    /**
+     * Reflect playback state on the play button
+     * @param {boolean} playing - Whether frames are advancing
+     */
+    setPlaying(playing) {
+        if (!this.playBtn) return;
+
+        this.playBtn.setAttribute('aria-pressed', String(playing));
+        const label = this.playBtn.querySelector('.btn-label');
+        if (label) {
+            label.textContent = playing ? 'Pausar' : 'Reproduzir';
+        }
+    }
+
+    /**
+     * Show a progress or summary message
+     * @param {string} message - Message, empty to clear
+     */
+    setStatus(message) {
+        if (this.status) this.status.textContent = message;
+    }
+}
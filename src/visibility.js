@@ -0,0 +1,120 @@
+/**
+ * Stars for Starlikers - Constellation Visibility
+ * @fileoverview Rise, culmination and set of constellations for an observer,
+ * worked out from the centre of each figure in the bundled catalog, and the
+ * ranking behind the "tonight" suggestions.
+ */
+
+// =============================================================================
+// VISIBILITY
+// =============================================================================
+
+// Sidereal rotation of the sky in one solar day, in degrees
+const SIDEREAL_DEGREES_PER_DAY = 360.98564736629;
+
+const VISIBILITY_LABELS = {
+    circumpolar: 'circumpolar',
+    visible: 'visível',
+    never: 'nunca visível'
+};
+
+/**
+ * Visibility of a constellation around an instant. Large figures can show a
+ * few stars above the horizon while their centre stays below it.
+ * @param {string} constellation - Constellation code
+ * @param {number} latitude - Observer latitude in degrees
+ * @param {number} longitude - Observer longitude in degrees (east positive)
+ * @param {Date} instant - Observation instant
+ * @returns {Object} status (circumpolar, visible or never), maxAltitude, altitude at
+ * the instant, culmination nearest the instant, and the rise and set around it
+ * (Dates, null when the constellation never crosses the horizon)
+ */
+function constellationVisibility(constellation, latitude, longitude, instant) {
+    const center = constellationCenter(constellation);
+    const { declination } = center;
+    const jd = toJulianDay(instant);
+
+    // Upper and lower culmination heights
+    const maxAltitude = 90 - Math.abs(latitude - declination);
+    const minAltitude = Math.abs(latitude + declination) - 90;
+    let status = 'visible';
+    if (maxAltitude <= 0) status = 'never';
+    else if (minAltitude > 0) status = 'circumpolar';
+
+    // Hour angle is zero at culmination; take the nearest one
+    const hourAngle = normalizeDegrees(siderealTime(jd) + longitude - center.rightAscension);
+    const toCulmination = (hourAngle > 180 ? 360 - hourAngle : -hourAngle) / SIDEREAL_DEGREES_PER_DAY;
+    const culminationJd = jd + toCulmination;
+
+    let rise = null;
+    let set = null;
+    if (status === 'visible') {
+        // Hour angle at which the centre meets the horizon (Meeus 15.1 with h0 = 0)
+        const cosH0 = -Math.tan(latitude * DEG) * Math.tan(declination * DEG);
+        const semiArc = Math.acos(Math.min(1, Math.max(-1, cosH0))) / DEG / SIDEREAL_DEGREES_PER_DAY;
+        rise = fromJulianDay(culminationJd - semiArc);
+        set = fromJulianDay(culminationJd + semiArc);
+    }
+
+    return {
+        status,
+        maxAltitude,
+        altitude: equatorialToHorizontal(jd, latitude, longitude, center).altitude,
+        culmination: fromJulianDay(culminationJd),
+        rise,
+        set
+    };
+}
+
+// =============================================================================
+// TONIGHT'S SUGGESTIONS
+// =============================================================================
+
+// Sun altitude at which the sky is dark enough for faint figures (end of nautical twilight)
+const DARK_SKY_SUN_ALTITUDE = -12;
+
+// Below this altitude haze and obstacles hide most of a figure
+const COMFORTABLE_ALTITUDE = 20;
+
+/**
+ * Rank the constellations worth looking at around an observation instant by
+ * their altitude at that moment, how long they stay well placed while the sky
+ * is dark and how bright their brightest star is
+ * @param {number} latitude - Observer latitude in degrees
+ * @param {number} longitude - Observer longitude in degrees (east positive)
+ * @param {Date} instant - Observation instant
+ * @param {number} count - How many suggestions to return
+ * @returns {Array<Object>} Best first: constellation, altitude at the instant, darkHours
+ * above COMFORTABLE_ALTITUDE, nightHours of dark sky, brightest star and score
+ */
+function tonightSuggestions(latitude, longitude, instant, count = 6) {
+    const jd = toJulianDay(instant);
+
+    // Half-hour samples over the day centred on the instant, kept when the sky is dark
+    const darkSamples = Array.from({ length: 48 }, (_, i) => jd - 0.5 + (i + 0.5) / 48)
+        .filter(sample => {
+            const sun = eclipticToEquatorial(sunPosition(sample).longitude, 0, sample);
+            return altitudeOf(sample, latitude, longitude, sun) < DARK_SKY_SUN_ALTITUDE;
+        });
+    const nightHours = darkSamples.length / 2;
+
+    return Object.keys(CONSTELLATIONS)
+        .map(constellation => {
+            const center = constellationCenter(constellation);
+            const altitude = altitudeOf(jd, latitude, longitude, center);
+            const darkHours = darkSamples
+                .filter(sample => altitudeOf(sample, latitude, longitude, center) > COMFORTABLE_ALTITUDE).length / 2;
+            const brightest = getCatalogStars()
+                .filter(star => star.constellation === constellation)
+                .reduce((best, star) => (star.magnitude < best.magnitude ? star : best));
+
+            const score = 0.45 * Math.max(0, altitude) / 90
+                + 0.35 * (nightHours ? darkHours / nightHours : 0)
+                + 0.2 * Math.min(1, Math.max(0, (4 - brightest.magnitude) / 5));
+
+            return { constellation, altitude, darkHours, nightHours, brightest, score };
+        })
+        .filter(suggestion => suggestion.altitude > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, count);
+}